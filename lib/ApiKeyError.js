@@ -0,0 +1,24 @@
+/**
+ * Custom error for API key verification.
+ * @property {string} code - Error code.
+ */
+class ApiKeyError extends Error {
+  /**
+   * @param {string} message - Error message.
+   * @param {object} [options]
+   * @param {string} [options.code='ER_INVALID_API_KEY'] - Error code.
+   */
+  constructor(message, { code = 'ER_INVALID_API_KEY' } = {}) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+  }
+}
+
+ApiKeyError.CODES = {
+  INVALID: 'ER_INVALID_API_KEY',
+  EXPIRED: 'ER_API_KEY_EXPIRED',
+  REVOKED: 'ER_API_KEY_REVOKED',
+};
+
+module.exports = ApiKeyError;
@@ -0,0 +1,17 @@
+/**
+ * Error thrown when the configuration is invalid. The message lists every problem, one per line.
+ * @property {{ key: string, message: string }[]} problems - The invalid or missing variables.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {{ key: string, message: string }[]} problems - The invalid or missing variables.
+   */
+  constructor(problems) {
+    const lines = problems.map(({ key, message }) => `  - ${key}: ${message}`);
+    super(`Invalid configuration (${problems.length} problem(s)):\n${lines.join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+module.exports = ConfigError;
@@ -0,0 +1,130 @@
+/**
+ * @module lib/accessControl
+ * @description Roles, permissions and role hierarchies.
+ *
+ * A role grants permissions and inherits every permission of the roles it lists in `inherits`,
+ * so a role also satisfies checks for the roles it inherits. Permissions are `resource:action`
+ * strings; `resource:*` grants every action on a resource and `*` grants everything.
+ *
+ * @example
+ * const AccessControl = require('./lib/accessControl');
+ * const acl = new AccessControl({
+ *   user: { permissions: ['posts:read', 'posts:create'] },
+ *   editor: { inherits: ['user'], permissions: ['posts:update'] },
+ *   admin: { inherits: ['editor'], permissions: ['users:*'] },
+ * });
+ * acl.can(['editor'], 'posts:read'); // true (inherited from user)
+ * acl.hasRole(['admin'], 'editor'); // true
+ * acl.can(['editor'], 'users:delete'); // false
+ */
+
+/**
+ * @typedef {object} RoleDefinition
+ * @property {string[]} [permissions=[]] - Permissions granted by the role.
+ * @property {string[]} [inherits=[]] - Roles whose permissions are included.
+ */
+
+/**
+ * Checks whether a granted permission covers a required one.
+ * @param {string} granted - E.g. `posts:*`.
+ * @param {string} required - E.g. `posts:delete`.
+ * @returns {boolean}
+ * @private
+ */
+function covers(granted, required) {
+  if (granted === '*' || granted === required) return true;
+  return granted.endsWith(':*') && required.startsWith(granted.slice(0, -1));
+}
+
+/**
+ * Role hierarchy with the permissions each role resolves to.
+ * @class
+ */
+class AccessControl {
+  /**
+   * @param {Object<string, RoleDefinition>} roles - Role definitions by name.
+   * @throws {Error} If a role inherits an unknown role or the hierarchy has a cycle.
+   */
+  constructor(roles) {
+    this.roles = roles;
+    this.resolved = new Map();
+    Object.keys(roles).forEach((role) => this.resolve(role, []));
+  }
+
+  /**
+   * Resolves a role into the roles it includes (itself and its ancestors) and their permissions.
+   * @param {string} role
+   * @param {string[]} path - Roles being resolved, to detect cycles.
+   * @returns {{ roles: Set<string>, permissions: string[] }}
+   * @private
+   */
+  resolve(role, path) {
+    if (this.resolved.has(role)) return this.resolved.get(role);
+    if (path.includes(role)) {
+      throw new Error(`Role hierarchy has a cycle: ${[...path, role].join(' -> ')}.`);
+    }
+    const definition = this.roles[role];
+    if (!definition)
+      throw new Error(`Role "${path[path.length - 1]}" inherits unknown role "${role}".`);
+
+    const roles = new Set([role]);
+    const permissions = new Set(definition.permissions || []);
+    (definition.inherits || []).forEach((parent) => {
+      const inherited = this.resolve(parent, [...path, role]);
+      inherited.roles.forEach((name) => roles.add(name));
+      inherited.permissions.forEach((permission) => permissions.add(permission));
+    });
+
+    const result = { roles, permissions: [...permissions] };
+    this.resolved.set(role, result);
+    return result;
+  }
+
+  /**
+   * @param {string} role
+   * @returns {boolean} Whether the role is defined.
+   */
+  hasDefinition(role) {
+    return this.resolved.has(role);
+  }
+
+  /**
+   * Lists the permissions of a set of roles, including inherited ones. Unknown roles grant nothing.
+   * @param {string[]} roles
+   * @returns {string[]}
+   */
+  permissionsOf(roles) {
+    const permissions = new Set();
+    roles.forEach((role) => {
+      const resolved = this.resolved.get(role);
+      if (resolved) resolved.permissions.forEach((permission) => permissions.add(permission));
+    });
+    return [...permissions];
+  }
+
+  /**
+   * Checks whether any of the roles is, or inherits, the given role.
+   * @param {string[]} roles - Roles held, e.g. from the token.
+   * @param {string} role - Role required.
+   * @returns {boolean}
+   */
+  hasRole(roles, role) {
+    return roles.some((held) => {
+      const resolved = this.resolved.get(held);
+      return Boolean(resolved) && resolved.roles.has(role);
+    });
+  }
+
+  /**
+   * Checks whether the roles, plus permissions granted directly, cover a permission.
+   * @param {string[]} roles - Roles held.
+   * @param {string} permission - Permission required, e.g. `posts:delete`.
+   * @param {string[]} [extra=[]] - Permissions granted directly, outside of roles.
+   * @returns {boolean}
+   */
+  can(roles, permission, extra = []) {
+    return [...this.permissionsOf(roles), ...extra].some((granted) => covers(granted, permission));
+  }
+}
+
+module.exports = AccessControl;
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const ApiKeyError = require('../ApiKeyError');
+const MemoryApiKeyStore = require('./MemoryApiKeyStore');
+
+/**
+ * Hashes a key for storage. Keys carry 256 random bits, so a fast hash is enough.
+ * @param {string} key
+ * @returns {string} Hex SHA-256 digest.
+ * @private
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Drops the hash from a key record.
+ * @param {import('./index').ApiKeyRecord} record
+ * @returns {import('./index').ApiKey}
+ * @private
+ */
+function toApiKey({ hash, ...apiKey }) {
+  return apiKey;
+}
+
+/**
+ * Issues and verifies API keys.
+ *
+ * Keys look like `ak_<id>_<secret>`: the prefix makes them easy to spot in logs and secret
+ * scanners, the id locates the record, and only a hash of the whole key is stored. The plain key
+ * is returned once, when created.
+ * @class
+ */
+class ApiKeyManager {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.store] - Key store (see lib/apiKeys). Defaults to an in-memory store.
+   * @param {string} [options.prefix='ak'] - Letters and digits prepended to every key.
+   * @param {number} [options.touchInterval=60000] - Minimum ms between `lastUsedAt` updates of a
+   *   key, to spare the store a write per request.
+   * @throws {Error} If the prefix is invalid.
+   * @example
+   * const apiKeys = new ApiKeyManager({ store: new PgSQLApiKeyStore(db), prefix: 'acme' });
+   * const { key } = await apiKeys.create({ name: 'nightly export', scopes: ['reports:read'] });
+   * const apiKey = await apiKeys.verify(key);
+   */
+  constructor({ store = new MemoryApiKeyStore(), prefix = 'ak', touchInterval = 60000 } = {}) {
+    if (!/^[A-Za-z][A-Za-z0-9]*$/.test(prefix)) {
+      throw new Error(`Invalid API key prefix "${prefix}": use letters and digits.`);
+    }
+    this.store = store;
+    this.prefix = prefix;
+    this.touchInterval = touchInterval;
+    this.pattern = new RegExp(`^${prefix}_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$`);
+  }
+
+  /**
+   * Issues a key.
+   * @param {object} options
+   * @param {string} options.name - What the key is for, e.g. `nightly export`.
+   * @param {string[]} [options.scopes=[]] - Permissions granted to the key.
+   * @param {string|null} [options.ownerId=null] - Id of the user the key belongs to.
+   * @param {Date|null} [options.expiresAt=null] - Expiry; keys without one never expire.
+   * @returns {Promise<{ key: string, apiKey: import('./index').ApiKey }>} The plain key, shown
+   *   only now, and its record.
+   */
+  async create({ name, scopes = [], ownerId = null, expiresAt = null }) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const key = `${this.prefix}_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id,
+      name,
+      hash: hashKey(key),
+      scopes: [...scopes],
+      ownerId: ownerId === null ? null : String(ownerId),
+      createdAt: new Date(),
+      expiresAt,
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    await this.store.save(record);
+    return { key, apiKey: toApiKey(record) };
+  }
+
+  /**
+   * Verifies a key and records its use.
+   * @param {string} key - The plain key.
+   * @returns {Promise<import('./index').ApiKey>}
+   * @throws {ApiKeyError} If the key is unknown, revoked or expired.
+   */
+  async verify(key) {
+    const match = this.pattern.exec(key || '');
+    const record = match ? await this.store.findById(match[1]) : null;
+    const matches =
+      record &&
+      crypto.timingSafeEqual(Buffer.from(record.hash, 'hex'), Buffer.from(hashKey(key), 'hex'));
+    if (!matches) throw new ApiKeyError('Invalid API key');
+    if (record.revokedAt) {
+      throw new ApiKeyError('API key has been revoked', { code: ApiKeyError.CODES.REVOKED });
+    }
+    const now = new Date();
+    if (record.expiresAt && record.expiresAt <= now) {
+      throw new ApiKeyError('API key has expired', { code: ApiKeyError.CODES.EXPIRED });
+    }
+    if (!record.lastUsedAt || now - record.lastUsedAt >= this.touchInterval) {
+      await this.store.touch(record.id, now);
+      record.lastUsedAt = now;
+    }
+    return toApiKey(record);
+  }
+
+  /**
+   * Lists keys, newest first.
+   * @param {object} [filter]
+   * @param {string} [filter.ownerId] - Only the keys of this owner.
+   * @returns {Promise<import('./index').ApiKey[]>}
+   */
+  async list({ ownerId } = {}) {
+    const records = await this.store.list(
+      ownerId === undefined ? {} : { ownerId: String(ownerId) }
+    );
+    return records.map(toApiKey);
+  }
+
+  /**
+   * Revokes a key.
+   * @param {string} id - Key id.
+   * @param {object} [options]
+   * @param {string} [options.ownerId] - Only revoke the key if it belongs to this owner.
+   * @returns {Promise<boolean>} False if no such (owned, unrevoked) key exists.
+   */
+  async revoke(id, { ownerId } = {}) {
+    if (ownerId !== undefined) {
+      const record = await this.store.findById(id);
+      if (!record || record.ownerId !== String(ownerId)) return false;
+    }
+    return this.store.revoke(id, new Date());
+  }
+}
+
+module.exports = ApiKeyManager;
@@ -0,0 +1,66 @@
+/**
+ * In-memory API key store. Keys are lost on restart and not shared between processes.
+ * @class
+ */
+class MemoryApiKeyStore {
+  constructor() {
+    this.keys = new Map();
+  }
+
+  /**
+   * Stores a new key record.
+   * @param {import('./index').ApiKeyRecord} record
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    this.keys.set(record.id, { ...record, scopes: [...record.scopes] });
+  }
+
+  /**
+   * @param {string} id - Key id.
+   * @returns {Promise<import('./index').ApiKeyRecord|null>}
+   */
+  async findById(id) {
+    const record = this.keys.get(id);
+    return record ? { ...record, scopes: [...record.scopes] } : null;
+  }
+
+  /**
+   * Lists key records, newest first.
+   * @param {object} [filter]
+   * @param {string} [filter.ownerId] - Only the keys of this owner.
+   * @returns {Promise<import('./index').ApiKeyRecord[]>}
+   */
+  async list({ ownerId } = {}) {
+    return [...this.keys.values()]
+      .filter((record) => ownerId === undefined || record.ownerId === ownerId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map((record) => ({ ...record, scopes: [...record.scopes] }));
+  }
+
+  /**
+   * Marks a key as revoked.
+   * @param {string} id - Key id.
+   * @param {Date} revokedAt
+   * @returns {Promise<boolean>} False if the key does not exist or was already revoked.
+   */
+  async revoke(id, revokedAt) {
+    const record = this.keys.get(id);
+    if (!record || record.revokedAt) return false;
+    record.revokedAt = revokedAt;
+    return true;
+  }
+
+  /**
+   * Records when a key was last used.
+   * @param {string} id - Key id.
+   * @param {Date} lastUsedAt
+   * @returns {Promise<void>}
+   */
+  async touch(id, lastUsedAt) {
+    const record = this.keys.get(id);
+    if (record) record.lastUsedAt = lastUsedAt;
+  }
+}
+
+module.exports = MemoryApiKeyStore;
@@ -0,0 +1,26 @@
+const SQLApiKeyStore = require('./SQLApiKeyStore');
+
+/**
+ * API key store backed by MySQLClient.
+ * @class
+ */
+class MySQLApiKeyStore extends SQLApiKeyStore {
+  tableDefinitions() {
+    return [
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        id VARCHAR(32) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        key_hash CHAR(64) NOT NULL,
+        scopes TEXT NOT NULL,
+        owner_id VARCHAR(64) NULL,
+        created_at DATETIME(3) NOT NULL,
+        expires_at DATETIME(3) NULL,
+        last_used_at DATETIME(3) NULL,
+        revoked_at DATETIME(3) NULL,
+        INDEX (owner_id)
+      )`,
+    ];
+  }
+}
+
+module.exports = MySQLApiKeyStore;
@@ -0,0 +1,26 @@
+const SQLApiKeyStore = require('./SQLApiKeyStore');
+
+/**
+ * API key store backed by PgSQLClient.
+ * @class
+ */
+class PgSQLApiKeyStore extends SQLApiKeyStore {
+  tableDefinitions() {
+    return [
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        id VARCHAR(32) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        key_hash CHAR(64) NOT NULL,
+        scopes TEXT NOT NULL,
+        owner_id VARCHAR(64) NULL,
+        created_at TIMESTAMPTZ NOT NULL,
+        expires_at TIMESTAMPTZ NULL,
+        last_used_at TIMESTAMPTZ NULL,
+        revoked_at TIMESTAMPTZ NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS ${this.table}_owner_id_idx ON ${this.table} (owner_id)`,
+    ];
+  }
+}
+
+module.exports = PgSQLApiKeyStore;
@@ -0,0 +1,114 @@
+const { runStatements } = require('../schema');
+
+/**
+ * Converts a row into a key record.
+ * @param {object} row
+ * @returns {import('./index').ApiKeyRecord}
+ * @private
+ */
+function toRecord(row) {
+  const date = (value) => (value ? new Date(value) : null);
+  return {
+    id: row.id,
+    name: row.name,
+    hash: row.key_hash,
+    scopes: JSON.parse(row.scopes),
+    ownerId: row.owner_id,
+    createdAt: new Date(row.created_at),
+    expiresAt: date(row.expires_at),
+    lastUsedAt: date(row.last_used_at),
+    revokedAt: date(row.revoked_at),
+  };
+}
+
+/**
+ * Base class for SQL-backed API key stores. Works with any DatabaseClient (or transaction)
+ * exposing `query(sql, params)` / `execute(sql, params)` with `:key` named parameters.
+ * @class
+ */
+class SQLApiKeyStore {
+  /**
+   * @param {import('../databaseClient')} client - Database client.
+   * @param {object} [options]
+   * @param {string} [options.table='api_keys'] - Keys table.
+   */
+  constructor(client, { table = 'api_keys' } = {}) {
+    this.client = client;
+    this.table = table;
+  }
+
+  /**
+   * SQL statements creating the keys table.
+   * @returns {string[]}
+   * @abstract
+   */
+  // eslint-disable-next-line class-methods-use-this
+  tableDefinitions() {
+    throw new Error('tableDefinitions() must be implemented by a subclass.');
+  }
+
+  /**
+   * Creates the keys table if it does not exist, e.g. in tests. Applications create it with a
+   * migration instead.
+   * @returns {Promise<void>}
+   */
+  async createTables() {
+    await runStatements(this.client, this.tableDefinitions());
+  }
+
+  /**
+   * @see MemoryApiKeyStore#save
+   */
+  async save({ id, name, hash, scopes, ownerId, createdAt, expiresAt }) {
+    await this.client.query(
+      `INSERT INTO ${this.table} (id, name, key_hash, scopes, owner_id, created_at, expires_at)
+        VALUES (:id, :name, :hash, :scopes, :ownerId, :createdAt, :expiresAt)`,
+      { id, name, hash, scopes: JSON.stringify(scopes), ownerId, createdAt, expiresAt }
+    );
+  }
+
+  /**
+   * @see MemoryApiKeyStore#findById
+   */
+  async findById(id) {
+    const [row] = await this.client.query(`SELECT * FROM ${this.table} WHERE id = :id`, { id });
+    return row ? toRecord(row) : null;
+  }
+
+  /**
+   * @see MemoryApiKeyStore#list
+   */
+  async list({ ownerId } = {}) {
+    const rows =
+      ownerId === undefined
+        ? await this.client.query(`SELECT * FROM ${this.table} ORDER BY created_at DESC`)
+        : await this.client.query(
+            `SELECT * FROM ${this.table} WHERE owner_id = :ownerId ORDER BY created_at DESC`,
+            { ownerId }
+          );
+    return rows.map(toRecord);
+  }
+
+  /**
+   * @see MemoryApiKeyStore#revoke
+   */
+  async revoke(id, revokedAt) {
+    const { affectedRows } = await this.client.execute(
+      `UPDATE ${this.table} SET revoked_at = :revokedAt WHERE id = :id AND revoked_at IS NULL`,
+      { id, revokedAt }
+    );
+    return affectedRows === 1;
+  }
+
+  /**
+   * @see MemoryApiKeyStore#touch
+   */
+  async touch(id, lastUsedAt) {
+    await this.client.query(`UPDATE ${this.table} SET last_used_at = :lastUsedAt WHERE id = :id`, {
+      id,
+      lastUsedAt,
+    });
+  }
+}
+
+module.exports = SQLApiKeyStore;
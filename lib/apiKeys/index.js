@@ -0,0 +1,52 @@
+/**
+ * @module lib/apiKeys
+ * @description API keys for service-to-service calls: `ApiKeyManager` issues and verifies them,
+ * a key store persists their records.
+ *
+ * A key store must implement the following async methods:
+ * - `save(record)` – stores a new {@link ApiKeyRecord}.
+ * - `findById(id)` – resolves the record or `null`.
+ * - `list({ ownerId })` – resolves the records (of an owner, if given), newest first.
+ * - `revoke(id, revokedAt)` – resolves `true` if the key existed and was not revoked yet.
+ * - `touch(id, lastUsedAt)` – records when the key was last used.
+ *
+ * @example <caption>In-memory (single instance, tests)</caption>
+ * const { ApiKeyManager } = require('./lib/apiKeys');
+ * const apiKeys = new ApiKeyManager();
+ *
+ * @example <caption>MySQL (shared across instances)</caption>
+ * const { ApiKeyManager, MySQLApiKeyStore } = require('./lib/apiKeys');
+ * const store = new MySQLApiKeyStore(new MySQLClient(dbOptions, true));
+ * await store.createTables();
+ * const apiKeys = new ApiKeyManager({ store });
+ */
+
+/**
+ * @typedef {object} ApiKey
+ * @property {string} id - Public key id, also embedded in the key.
+ * @property {string} name
+ * @property {string[]} scopes - Permissions granted to the key.
+ * @property {string|null} ownerId - User the key belongs to.
+ * @property {Date} createdAt
+ * @property {Date|null} expiresAt
+ * @property {Date|null} lastUsedAt
+ * @property {Date|null} revokedAt
+ */
+
+/**
+ * @typedef {ApiKey & { hash: string }} ApiKeyRecord - A key as stored, with its SHA-256 hash.
+ */
+
+const ApiKeyManager = require('./ApiKeyManager');
+const MemoryApiKeyStore = require('./MemoryApiKeyStore');
+const SQLApiKeyStore = require('./SQLApiKeyStore');
+const MySQLApiKeyStore = require('./MySQLApiKeyStore');
+const PgSQLApiKeyStore = require('./PgSQLApiKeyStore');
+
+module.exports = {
+  ApiKeyManager,
+  MemoryApiKeyStore,
+  SQLApiKeyStore,
+  MySQLApiKeyStore,
+  PgSQLApiKeyStore,
+};
@@ -0,0 +1,155 @@
+/**
+ * @module lib/config
+ * @description Environment configuration: reads the dotenv files of the current environment,
+ * validates the variables against a JSON Schema, coercing types and applying defaults, and
+ * reports every problem at once. Properties marked `secret: true` in the schema are listed, so
+ * the config built from them can mask those keys when it is serialized or inspected.
+ *
+ * Variables set in the process environment win over `.env.<environment>.local`, then
+ * `.env.<environment>`, then `.env`. Empty values count as unset.
+ *
+ * @example
+ * const { loadEnv, freezeConfig } = require('./lib/config');
+ * const { values, secrets } = loadEnv({
+ *   type: 'object',
+ *   required: ['DB_PASSWORD'],
+ *   properties: {
+ *     PORT: { type: 'integer', default: 3000 },
+ *     DB_PASSWORD: { type: 'string', secret: true },
+ *   },
+ * });
+ * // secrets: ['DB_PASSWORD']
+ * const config = freezeConfig(
+ *   { port: values.PORT, db: { password: values.DB_PASSWORD } },
+ *   ['db.password']
+ * );
+ * JSON.stringify(config); // {"port":3000,"db":{"password":"[REDACTED]"}}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { inspect } = require('util');
+const dotenv = require('dotenv');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const ConfigError = require('./ConfigError');
+
+/**
+ * Replacement of secret values.
+ * @type {string}
+ */
+const MASK = '[REDACTED]';
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
+addFormats(ajv);
+
+/**
+ * Reads the dotenv files of an environment. Missing files are skipped.
+ * @param {object} [options]
+ * @param {string} [options.environment='development'] - E.g. `test` or `production`.
+ * @param {string} [options.directory=process.cwd()] - Directory holding the files.
+ * @returns {Object<string, string>} The variables; earlier files in the precedence order win.
+ */
+function loadEnvFiles({ environment = 'development', directory = process.cwd() } = {}) {
+  return [`.env.${environment}.local`, `.env.${environment}`, '.env']
+    .map((file) => path.join(directory, file))
+    .filter((file) => fs.existsSync(file))
+    .reduce((values, file) => ({ ...dotenv.parse(fs.readFileSync(file)), ...values }), {});
+}
+
+/**
+ * Converts Ajv errors into `{ key, message }` problems.
+ * @param {import('ajv').ErrorObject[]} errors
+ * @param {object} schema
+ * @returns {{ key: string, message: string }[]}
+ * @private
+ */
+function toProblems(errors, schema) {
+  return errors
+    .filter((err) => err.keyword !== 'if')
+    .map((err) => {
+      const key =
+        err.keyword === 'required' ? err.params.missingProperty : err.instancePath.slice(1);
+      const { description } = schema.properties[key] || {};
+      let message = err.keyword === 'required' ? 'is required' : err.message;
+      if (err.keyword === 'enum') message += `: ${err.params.allowedValues.join(', ')}`;
+      return { key, message: description ? `${message} (${description})` : message };
+    });
+}
+
+/**
+ * Loads and validates the variables declared by a schema.
+ * @param {object} schema - JSON Schema of an object whose properties are variable names.
+ * @param {object} [options]
+ * @param {Object<string, string|undefined>} [options.env=process.env] - Variables that win over
+ *   the files.
+ * @param {string} [options.environment] - Environment whose files are read; defaults to
+ *   `NODE_ENV`, then `development`.
+ * @param {string} [options.directory=process.cwd()] - Directory holding the dotenv files.
+ * @returns {{ values: Object<string, any>, secrets: string[] }} The coerced variables, and the
+ *   names of the secret ones.
+ * @throws {ConfigError} If variables are missing or invalid.
+ */
+function loadEnv(
+  schema,
+  { env = process.env, environment = env.NODE_ENV || 'development', directory } = {}
+) {
+  const merged = { ...loadEnvFiles({ environment, directory }), ...env };
+  const values = Object.keys(schema.properties).reduce(
+    (result, key) =>
+      merged[key] === undefined || merged[key] === '' ? result : { ...result, [key]: merged[key] },
+    {}
+  );
+
+  const validate = ajv.compile(schema);
+  if (!validate(values)) throw new ConfigError(toProblems(validate.errors, schema));
+
+  const secrets = Object.keys(schema.properties).filter((key) => schema.properties[key].secret);
+  return { values, secrets };
+}
+
+/**
+ * Copies a value, replacing the values at secret paths that are set.
+ * @param {any} value
+ * @param {Set<string>} secrets - Dotted paths, e.g. `db.password`.
+ * @param {string} [prefix=''] - Path of `value`.
+ * @returns {any}
+ * @private
+ */
+function mask(value, secrets, prefix = '') {
+  if (secrets.has(prefix)) return value === undefined || value === null ? value : MASK;
+  const at = (key) => (prefix ? `${prefix}.${key}` : String(key));
+  if (Array.isArray(value)) return value.map((item, i) => mask(item, secrets, at(i)));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mask(v, secrets, at(k))]));
+  }
+  return value;
+}
+
+/**
+ * Deep-freezes a config object and makes `JSON.stringify` and `util.inspect` (and therefore
+ * `console.log`) show secrets masked. Secrets are masked by key, whatever their value.
+ * @template T
+ * @param {T} config
+ * @param {string[]} [secrets=[]] - Dotted paths of the keys to mask, e.g. `db.password`.
+ * @returns {Readonly<T>} The same object.
+ */
+function freezeConfig(config, secrets = []) {
+  const secretValues = new Set(secrets);
+  const masked = () => mask(config, secretValues);
+  Object.defineProperties(config, {
+    toJSON: { value: masked },
+    [inspect.custom]: { value: (depth, options) => inspect(masked(), options) },
+  });
+
+  const freeze = (value) => {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+      Object.values(value).forEach(freeze);
+      Object.freeze(value);
+    }
+    return value;
+  };
+  return freeze(config);
+}
+
+module.exports = { loadEnv, loadEnvFiles, freezeConfig, ConfigError, MASK };
@@ -0,0 +1,47 @@
+/**
+ * @module lib/database
+ * @description Creates a DatabaseClient for the configured engine, so app code can switch
+ * between MySQL, PostgreSQL and SQLite without changing queries that stick to portable SQL.
+ *
+ * @example
+ * const { createDatabaseClient } = require('./lib/database');
+ * const db = createDatabaseClient({ driver: 'postgres', pool: true, host: 'localhost', database: 'app' });
+ * const rows = await db.query('SELECT * FROM users WHERE id = :id', { id: 1 });
+ */
+
+const MySQLClient = require('./mysql');
+const PgSQLClient = require('./pgsql');
+const SQLiteClient = require('./sqlite');
+
+/**
+ * Client class for each driver name.
+ * @type {Object<string, typeof import('./databaseClient')>}
+ */
+const DRIVERS = {
+  mysql: MySQLClient,
+  postgres: PgSQLClient,
+  sqlite: SQLiteClient,
+};
+
+/**
+ * Creates a database client.
+ * @param {object} config
+ * @param {'mysql'|'postgres'|'sqlite'} config.driver - Database engine.
+ * @param {boolean} [config.pool=false] - Use a connection pool (ignored by SQLite).
+ * @param {...any} [config.options] - Remaining keys are passed to the driver, e.g. `host`,
+ *   `user`, `password`, `database`, or `filename` for SQLite. `slowQueryThreshold` and `logger`
+ *   configure instrumentation, see `lib/databaseClient`.
+ * @returns {import('./databaseClient')} The client; it connects on the first query.
+ * @throws {Error} If the driver is not supported.
+ */
+function createDatabaseClient({ driver, pool = false, ...options }) {
+  const Client = DRIVERS[driver];
+  if (!Client) {
+    throw new Error(
+      `Unsupported database driver "${driver}". Use one of: ${Object.keys(DRIVERS)}.`
+    );
+  }
+  return new Client(options, pool);
+}
+
+module.exports = { createDatabaseClient, DRIVERS };
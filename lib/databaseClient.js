@@ -0,0 +1,553 @@
+/**
+ * @module lib/databaseClient
+ * @description Base class for the database clients (MySQLClient, PgSQLClient, SQLiteClient).
+ * It owns the parts every engine shares: statement validation, `:name` parameter handling,
+ * lazy connection, the `{ rows, affectedRows, insertId }` result shape, transactions, sessions
+ * and instrumentation. Adapters only implement the driver calls.
+ * @requires sqlstring
+ *
+ * Instrumentation:
+ *   - Every statement (including `BEGIN`/`COMMIT` and those run in transactions) emits
+ *     `beforeQuery`, then `afterQuery` or `queryError`, with a {@link QueryEvent}. Listeners run
+ *     synchronously; an exception in one fails the query.
+ *   - Statements slower than the `slowQueryThreshold` option (ms) are logged with `logger.warn`,
+ *     parameters redacted.
+ *   - `queryDurations` is a {@link Histogram} of durations in seconds by `operation` and `status`;
+ *     `poolStats()` reports total, idle and waiting connections.
+ *   - Errors get `queryId` and `sql` (the statement as written, without values) properties, and
+ *     events and errors get the `requestId` of the request they run for (`lib/requestContext`).
+ *   - {@link DatabaseClient.isClientError} tells errors of the database (failed statements,
+ *     connections and checkouts) from others with the same codes, e.g. `ECONNREFUSED`.
+ *
+ * Adapter contract (all `@protected`):
+ *   - `static dialect` – `'mysql' | 'postgres' | 'sqlite'`.
+ *   - `openConnection()` – creates and verifies the driver connection or pool.
+ *   - `closeConnection(conn)` – closes it.
+ *   - `placeholder(position)` – positional placeholder for the 1-based `position`; defaults to `?`.
+ *   - `run(handle, text, values)` – runs one statement, resolves with a {@link QueryResult}.
+ *   - `acquire()` – checks out a `{ handle, release }` for a statement, transaction or session;
+ *     clients
+ *     without a pool use {@link DatabaseClient#acquireConnection}.
+ *   - `rowsOf(result)` – what `query()` resolves with; the rows by default.
+ *   - `beginStatements(isolationLevel)` – statements starting a transaction.
+ *   - `connectionStats(conn)` – `{ total, idle, waiting }` for the open connection or pool.
+ *
+ * Without a pool there is one connection, so statements, transactions and sessions take turns
+ * on it: a statement never runs inside another caller's transaction. Inside a transaction or
+ * session callback, use `tx` / `session` rather than the client, which waits for the callback.
+ */
+
+const EventEmitter = require('events');
+const SqlString = require('sqlstring');
+const uuid = require('uuid').v7;
+const Histogram = require('./histogram');
+const Logger = require('./logger');
+const requestContext = require('./requestContext');
+const { runTransaction } = require('./transaction');
+
+/**
+ * Marks errors raised by the database, see {@link DatabaseClient.isClientError}.
+ * @type {symbol}
+ * @private
+ */
+const CLIENT_ERROR = Symbol('databaseClientError');
+
+/**
+ * Logger of clients created without one.
+ * @type {Logger}
+ * @private
+ */
+const defaultLogger = new Logger({ bindings: { component: 'database' } });
+
+/**
+ * Marks an error as raised by the database.
+ * @param {any} err
+ * @returns {any} The error.
+ * @private
+ */
+function markClientError(err) {
+  if (err !== null && typeof err === 'object') {
+    Object.defineProperty(err, CLIENT_ERROR, { value: true });
+  }
+  return err;
+}
+
+/**
+ * Replaces parameter values for logging. Keys are kept so the statement stays readable.
+ * @param {object|any[]} [params]
+ * @returns {object|any[]|undefined}
+ * @private
+ */
+function redactParams(params) {
+  if (!params) return params;
+  if (Array.isArray(params)) return params.map(() => '[REDACTED]');
+  return Object.keys(params).reduce((redacted, key) => ({ ...redacted, [key]: '[REDACTED]' }), {});
+}
+
+/**
+ * @typedef {object} QueryResult
+ * @property {object[]} rows - Selected or `RETURNING` rows.
+ * @property {number} affectedRows - Rows changed by an INSERT/UPDATE/DELETE.
+ * @property {number|null} insertId - Auto-increment id of the inserted row, when the engine reports one.
+ */
+
+/**
+ * @typedef {object} QueryEvent
+ * @property {string} id - Query id, also set as `queryId` on errors.
+ * @property {string} [requestId] - Id of the request the statement runs for.
+ * @property {string} sql - The statement with `:name` parameters.
+ * @property {object|any[]} [params] - The parameters, not redacted.
+ * @property {string} dialect - SQL dialect of the client.
+ * @property {string} operation - First keyword of the statement, e.g. `SELECT`.
+ * @property {number} [durationMs] - Duration, on `afterQuery` and `queryError`.
+ * @property {number} [rowCount] - Rows returned, on `afterQuery`.
+ * @property {number} [affectedRows] - Rows changed, on `afterQuery`.
+ * @property {Error} [error] - The error, on `queryError`.
+ */
+
+/**
+ * Common database client.
+ * @class
+ * @abstract
+ * @extends EventEmitter
+ * @example
+ * const db = new SQLiteClient({ slowQueryThreshold: 200 });
+ * db.on('afterQuery', ({ id, operation, durationMs }) => console.log(id, operation, durationMs));
+ * db.poolStats(); // { total: 1, idle: 1, waiting: 0 }
+ */
+class DatabaseClient extends EventEmitter {
+  /**
+   * @param {object} [options={}] - Driver connection or pool options, plus:
+   * @param {number} [options.slowQueryThreshold] - Log statements taking at least this many ms.
+   * @param {{ warn: Function }} [options.logger] - Logger for slow queries; a `lib/logger`
+   *   writing to stdout by default.
+   * @param {boolean} [usePool=false] - Whether to use a connection pool.
+   */
+  constructor(options = {}, usePool = false) {
+    super();
+    const { slowQueryThreshold = null, logger = defaultLogger, ...driverOptions } = options;
+    this.options = driverOptions;
+    this.usePool = usePool;
+    this.slowQueryThreshold = slowQueryThreshold;
+    this.logger = logger;
+    this.conn = null;
+    this.connecting = null;
+    this.queue = Promise.resolve();
+    this.holders = 0;
+    this.queryDurations = new Histogram();
+  }
+
+  /**
+   * SQL dialect of the client, e.g. for `lib/pagination`.
+   * @type {'mysql'|'postgres'|'sqlite'}
+   */
+  get dialect() {
+    return this.constructor.dialect;
+  }
+
+  /**
+   * Whether the connection (or pool) is open.
+   * @type {boolean}
+   */
+  get connected() {
+    return this.conn !== null;
+  }
+
+  /**
+   * Whether an error was raised by the database through a client: a failed statement,
+   * connection or connection checkout.
+   * @param {any} err
+   * @returns {boolean}
+   */
+  static isClientError(err) {
+    return Boolean(err && err[CLIENT_ERROR]);
+  }
+
+  /**
+   * Validates a SQL statement for safety and warns about potential SQL injection risks.
+   * @param {string} statement - The SQL statement to validate.
+   * @param {{ warn: Function }} [logger] - Where warnings go; the default client logger if omitted.
+   * @throws {Error} If the statement is not a string or is malformed.
+   * @private
+   */
+  static validateStatements(statement, logger = defaultLogger) {
+    if (typeof statement !== 'string') {
+      throw new Error('All statements must be strings.');
+    }
+    try {
+      SqlString.format(statement);
+    } catch (e) {
+      throw new Error(`Invalid SQL statement: ${e.message}`);
+    }
+    if (statement.includes('${')) {
+      logger.warn('Potential SQL injection risk detected (template literal) in statement.', {
+        sql: statement,
+      });
+    }
+    if (statement.match(/['"`][^'"`]*\+[^\n]*\w/)) {
+      logger.warn('Potential SQL injection risk detected (string concatenation) in statement.', {
+        sql: statement,
+      });
+    }
+  }
+
+  /**
+   * Replaces :key in SQL with the driver's positional placeholders.
+   * Keys missing from `params` and PostgreSQL `::casts` are left untouched; an array of
+   * `params` is passed through for drivers' own positional `?` syntax.
+   * @param {string} query - The SQL query string.
+   * @param {object|any[]} [params] - The values to replace in the query.
+   * @returns {{ text: string, values: any[] }} The formatted query and values.
+   */
+  formatQuery(query, params) {
+    if (!params) return { text: query, values: [] };
+    if (Array.isArray(params)) return { text: query, values: params };
+    const values = [];
+    const text = query.replace(/(?<!:):(\w+)/g, (txt, key) => {
+      if (!Object.prototype.hasOwnProperty.call(params, key)) return txt;
+      values.push(params[key]);
+      return this.placeholder(values.length);
+    });
+    return { text, values };
+  }
+
+  /**
+   * Opens the connection (or pool) if needed and checks it works.
+   * Queries connect lazily, so calling this is only needed to fail fast.
+   * @returns {Promise<this>}
+   * @example
+   * await client.connect();
+   */
+  async connect() {
+    if (!this.connecting) {
+      this.connecting = this.openConnection().then(
+        (conn) => {
+          this.conn = conn;
+          return conn;
+        },
+        (err) => {
+          this.connecting = null;
+          throw markClientError(err);
+        }
+      );
+    }
+    await this.connecting;
+    return this;
+  }
+
+  /**
+   * Executes a SQL statement and returns the full result.
+   * @param {string} sql - The SQL statement. Supports :key named parameters.
+   * @param {object|any[]} [params] - The query parameters.
+   * @returns {Promise<QueryResult>} Rows, affected rows and insert id.
+   * @example
+   * const { affectedRows } = await client.execute('DELETE FROM users WHERE id = :id', { id: 1 });
+   */
+  async execute(sql, params) {
+    const { handle, release } = await this.checkout();
+    try {
+      return await this.runOn(handle, sql, params);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Executes a SQL query and returns its rows.
+   * @param {string} sql - The SQL query string. Supports :key named parameters.
+   * @param {object|any[]} [params] - The query parameters.
+   * @returns {Promise<object[]>} The result rows (empty for statements returning none).
+   * @example
+   * const rows = await client.query('SELECT * FROM users WHERE id = :id', { id: 1 });
+   */
+  async query(sql, params) {
+    return this.rowsOf(await this.execute(sql, params));
+  }
+
+  /**
+   * Runs `fn` in a transaction on one connection. Commits when `fn` resolves and
+   * rolls back when it throws. See `lib/transaction`.
+   * @template T
+   * @param {(tx: import('./transaction').Transaction) => Promise<T>} fn - Callback receiving the
+   *   transaction; `tx.query` / `tx.execute` accept the same :key named parameters.
+   * @param {object} [options]
+   * @param {string} [options.isolationLevel] - E.g. `'SERIALIZABLE'`.
+   * @param {number} [options.retries=0] - Extra attempts after a deadlock or serialization failure.
+   * @param {number} [options.retryDelay=50] - Delay in ms before the first retry; doubles each time.
+   * @returns {Promise<T>} What `fn` resolved with.
+   * @example
+   * const id = await client.transaction(async (tx) => {
+   *   const { insertId } = await tx.execute('INSERT INTO users (name) VALUES (:name)', { name: 'Ada' });
+   *   await tx.transaction((sp) => sp.query('INSERT INTO audit (user_id) VALUES (:id)', { id: insertId }));
+   *   return insertId;
+   * }, { isolationLevel: 'REPEATABLE READ', retries: 3 });
+   */
+  async transaction(fn, options) {
+    return runTransaction(
+      {
+        acquire: async () => {
+          const { handle, release } = await this.checkout();
+          return { execute: (sql, params) => this.runOn(handle, sql, params), release };
+        },
+        begin: (isolationLevel) => this.beginStatements(isolationLevel),
+        dialect: this.dialect,
+        rowsOf: (result) => this.rowsOf(result),
+      },
+      fn,
+      options
+    );
+  }
+
+  /**
+   * Runs `fn` with one connection checked out for its whole duration, without a
+   * transaction. Needed for connection-scoped state such as advisory locks or session
+   * variables. The session has `query()`, `execute()` and `transaction()` like the client.
+   * @template T
+   * @param {(session: { dialect: string, query: Function, execute: Function, transaction: Function }) => Promise<T>} fn
+   * @returns {Promise<T>} What `fn` resolved with.
+   * @example
+   * await client.session(async (session) => {
+   *   await session.query("SET time_zone = '+00:00'");
+   *   return session.query('SELECT NOW() AS now');
+   * });
+   */
+  async session(fn) {
+    const { handle, release } = await this.checkout();
+    const execute = (sql, params) => this.runOn(handle, sql, params);
+    const session = {
+      dialect: this.dialect,
+      execute,
+      query: async (sql, params) => this.rowsOf(await execute(sql, params)),
+      transaction: (txFn, options) =>
+        runTransaction(
+          {
+            acquire: async () => ({ execute, release: () => {} }),
+            begin: (isolationLevel) => this.beginStatements(isolationLevel),
+            dialect: this.dialect,
+            rowsOf: (result) => this.rowsOf(result),
+          },
+          txFn,
+          options
+        ),
+    };
+    try {
+      return await fn(session);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Validates, formats, runs and instruments a statement on a checked-out connection.
+   * @param {any} handle - Connection from {@link DatabaseClient#acquire}.
+   * @param {string} sql - The SQL statement. Supports :key named parameters.
+   * @param {object|any[]} [params] - The query parameters.
+   * @returns {Promise<QueryResult>}
+   * @private
+   */
+  async runOn(handle, sql, params) {
+    this.constructor.validateStatements(sql, this.logger);
+    const { text, values } = this.formatQuery(sql, params);
+    const operation = ((sql.match(/^\s*(\w+)/) || [])[1] || 'UNKNOWN').toUpperCase();
+    const { requestId } = requestContext.get() || {};
+    const event = { id: uuid(), requestId, sql, params, dialect: this.dialect, operation };
+    this.emit('beforeQuery', event);
+    const start = process.hrtime.bigint();
+    try {
+      const result = await this.run(handle, text, values);
+      const durationMs = this.observe(event, start, 'ok');
+      this.emit('afterQuery', {
+        ...event,
+        durationMs,
+        rowCount: result.rows.length,
+        affectedRows: result.affectedRows,
+      });
+      return result;
+    } catch (err) {
+      const durationMs = this.observe(event, start, 'error');
+      Object.assign(markClientError(err), {
+        queryId: event.id,
+        sql,
+        ...(requestId && { requestId }),
+      });
+      this.emit('queryError', { ...event, durationMs, error: err });
+      throw err;
+    }
+  }
+
+  /**
+   * Connects if needed and checks out a connection with {@link DatabaseClient#acquire}.
+   * @returns {Promise<{ handle: any, release: Function }>}
+   * @private
+   */
+  async checkout() {
+    await this.connect();
+    try {
+      return await this.acquire();
+    } catch (err) {
+      throw markClientError(err);
+    }
+  }
+
+  /**
+   * Records the duration of a statement and logs it when slow.
+   * @param {QueryEvent} event
+   * @param {bigint} start - `process.hrtime.bigint()` when the statement started.
+   * @param {'ok'|'error'} status
+   * @returns {number} The duration in ms.
+   * @private
+   */
+  observe(event, start, status) {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    this.queryDurations.observe({ operation: event.operation, status }, durationMs / 1000);
+    if (this.slowQueryThreshold !== null && durationMs >= this.slowQueryThreshold) {
+      this.logger.warn(`Slow query (${durationMs.toFixed(1)} ms): ${event.sql}`, {
+        queryId: event.id,
+        durationMs,
+        params: redactParams(event.params),
+      });
+    }
+    return durationMs;
+  }
+
+  /**
+   * Connection counts of the pool, or of the single connection (`total` is 0 or 1).
+   * All zero while disconnected.
+   * @returns {{ total: number, idle: number, waiting: number }}
+   * @example
+   * const { idle, waiting } = db.poolStats();
+   */
+  poolStats() {
+    if (!this.conn) return { total: 0, idle: 0, waiting: 0 };
+    return this.connectionStats(this.conn);
+  }
+
+  /**
+   * Closes the connection or pool. The client reconnects on the next query.
+   * @returns {Promise<void>}
+   * @example
+   * await client.close();
+   */
+  async close() {
+    if (!this.connecting) return;
+    const conn = await this.connecting.catch(() => null);
+    this.connecting = null;
+    this.conn = null;
+    if (conn) await this.closeConnection(conn);
+  }
+
+  /**
+   * Positional placeholder for the 1-based `position`.
+   * @param {number} position
+   * @returns {string}
+   * @protected
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  placeholder(position) {
+    return '?';
+  }
+
+  /**
+   * Statements starting a transaction.
+   * @param {string} [isolationLevel]
+   * @returns {string[]}
+   * @protected
+   */
+  // eslint-disable-next-line class-methods-use-this
+  beginStatements(isolationLevel) {
+    return isolationLevel ? [`BEGIN ISOLATION LEVEL ${isolationLevel}`] : ['BEGIN'];
+  }
+
+  /**
+   * What `query()` resolves with for a statement's result.
+   * @param {QueryResult} result
+   * @returns {any} The rows.
+   * @protected
+   */
+  // eslint-disable-next-line class-methods-use-this
+  rowsOf(result) {
+    return result.rows;
+  }
+
+  /**
+   * Checks out the single connection: callers take turns, each waiting for the previous one to
+   * release it. Used by `execute()` and by adapters' `acquire()` when there is no pool.
+   * @returns {Promise<{ handle: any, release: Function }>}
+   * @protected
+   */
+  async acquireConnection() {
+    let release;
+    const turn = this.queue;
+    this.holders += 1;
+    this.queue = new Promise((resolve) => {
+      release = () => {
+        this.holders -= 1;
+        resolve();
+      };
+    });
+    await turn;
+    return { handle: this.conn, release };
+  }
+
+  /**
+   * Counts for a single connection, busy while a statement, transaction or session holds it;
+   * pooling adapters override this.
+   * @param {any} conn - The driver connection or pool.
+   * @returns {{ total: number, idle: number, waiting: number }}
+   * @protected
+   */
+  // eslint-disable-next-line no-unused-vars
+  connectionStats(conn) {
+    return {
+      total: 1,
+      idle: this.holders ? 0 : 1,
+      waiting: Math.max(this.holders - 1, 0),
+    };
+  }
+
+  /**
+   * @returns {Promise<any>} The driver connection or pool.
+   * @abstract
+   * @protected
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async openConnection() {
+    throw new Error('openConnection() must be implemented by a subclass.');
+  }
+
+  /**
+   * @param {any} conn - The driver connection or pool.
+   * @returns {Promise<void>}
+   * @abstract
+   * @protected
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async closeConnection(conn) {
+    throw new Error('closeConnection() must be implemented by a subclass.');
+  }
+
+  /**
+   * @param {any} handle - Connection to run the statement on.
+   * @param {string} text - SQL with positional placeholders.
+   * @param {any[]} values - Placeholder values.
+   * @returns {Promise<QueryResult>}
+   * @abstract
+   * @protected
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async run(handle, text, values) {
+    throw new Error('run() must be implemented by a subclass.');
+  }
+
+  /**
+   * @returns {Promise<{ handle: any, release: Function }>} A connection for a transaction.
+   * @abstract
+   * @protected
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async acquire() {
+    throw new Error('acquire() must be implemented by a subclass.');
+  }
+}
+
+module.exports = DatabaseClient;
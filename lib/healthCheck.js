@@ -0,0 +1,189 @@
+/**
+ * @module lib/healthCheck
+ * @description Runs named health checks concurrently, each bounded by a timeout, and reports
+ * per-check status and latency. Includes checks for database connectivity, event-loop lag and
+ * memory use.
+ *
+ * A check is an async function: it passes when it resolves (optionally with details) and fails
+ * when it throws or times out. Errors may carry a `details` object, which is reported too.
+ *
+ * @example
+ * const { HealthCheck, databaseCheck } = require('./lib/healthCheck');
+ * const readiness = new HealthCheck().register('database', databaseCheck(db), { timeout: 1000 });
+ * const { status, checks } = await readiness.run();
+ * // { status: 'pass', checks: { database: { status: 'pass', latencyMs: 1.2, details: {...} } } }
+ */
+
+const v8 = require('v8');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const withTimeout = require('./withTimeout');
+
+/**
+ * @typedef {object} CheckResult
+ * @property {'pass'|'warn'|'fail'} status - `warn` is a failing non-critical check.
+ * @property {number} latencyMs - Time the check took.
+ * @property {object} [details] - What the check resolved with, or the error's `details`.
+ * @property {string} [error] - Error message of a failing check.
+ */
+
+/**
+ * Set of health checks reported together, e.g. for a liveness or readiness probe.
+ * @class
+ */
+class HealthCheck {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeout=2000] - Default time in ms a check may take.
+   */
+  constructor({ timeout = 2000 } = {}) {
+    this.timeout = timeout;
+    this.checks = [];
+    this.shuttingDown = false;
+  }
+
+  /**
+   * Adds a check.
+   * @param {string} name - Unique name, the key in the report.
+   * @param {() => Promise<object|void>} check - Resolves when healthy, throws otherwise.
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Time in ms the check may take; defaults to the set's.
+   * @param {boolean} [options.critical=true] - Whether a failure fails the whole set.
+   * @returns {this}
+   * @throws {Error} If the name is already registered.
+   */
+  register(name, check, { timeout = this.timeout, critical = true } = {}) {
+    if (this.checks.some((entry) => entry.name === name)) {
+      throw new Error(`Health check "${name}" is already registered.`);
+    }
+    this.checks.push({ name, check, timeout, critical });
+    return this;
+  }
+
+  /**
+   * Makes every later run fail, so load balancers stop routing traffic while the server drains.
+   */
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+
+  /**
+   * Runs every check concurrently.
+   * @returns {Promise<{ status: 'pass'|'fail', checks: Object<string, CheckResult> }>}
+   */
+  async run() {
+    if (this.shuttingDown) {
+      return {
+        status: 'fail',
+        checks: { shutdown: { status: 'fail', latencyMs: 0, error: 'Server is shutting down.' } },
+      };
+    }
+
+    const results = await Promise.all(
+      this.checks.map(async ({ name, check, timeout, critical }) => {
+        const start = process.hrtime.bigint();
+        const latencyMs = () => Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+        try {
+          const details = await withTimeout(
+            Promise.resolve().then(check),
+            timeout,
+            `Health check "${name}" timed out after ${timeout} ms.`
+          );
+          return [name, { status: 'pass', latencyMs: latencyMs(), ...(details && { details }) }];
+        } catch (err) {
+          const result = {
+            status: critical ? 'fail' : 'warn',
+            latencyMs: latencyMs(),
+            error: err.message,
+            ...(err.details && { details: err.details }),
+          };
+          return [name, result];
+        }
+      })
+    );
+
+    return {
+      status: results.some(([, result]) => result.status === 'fail') ? 'fail' : 'pass',
+      checks: Object.fromEntries(results),
+    };
+  }
+}
+
+/**
+ * Creates an error carrying check details.
+ * @param {string} message
+ * @param {object} details
+ * @returns {Error}
+ * @private
+ */
+function checkError(message, details) {
+  return Object.assign(new Error(message), { details });
+}
+
+/**
+ * Checks that a DatabaseClient can run a query, and reports its pool stats.
+ * @param {import('./databaseClient')} client - MySQLClient, PgSQLClient or SQLiteClient.
+ * @returns {() => Promise<{ total: number, idle: number, waiting: number }>}
+ */
+function databaseCheck(client) {
+  return async () => {
+    await client.query('SELECT 1');
+    return client.poolStats();
+  };
+}
+
+/**
+ * Checks the event-loop delay measured since the previous run. The delay is only sampled between
+ * `start()` and `stop()`, e.g. while the server runs:
+ *   registry.register('eventLoopMonitor', { start: check.start, stop: check.stop });
+ * @param {object} [options]
+ * @param {number} [options.maxLag=200] - Highest acceptable p99 delay in ms.
+ * @returns {(() => Promise<{ p99: number, max: number }>) & {
+ *   start: () => Promise<void>, stop: () => Promise<void> }} Reports delays in ms.
+ */
+function eventLoopCheck({ maxLag = 200 } = {}) {
+  const monitor = monitorEventLoopDelay({ resolution: 20 });
+  const check = async () => {
+    const details = {
+      p99: Math.round(monitor.percentile(99) / 1e4) / 100,
+      max: Math.round(monitor.max / 1e4) / 100,
+    };
+    monitor.reset();
+    if (details.p99 > maxLag) {
+      throw checkError(`Event loop lag of ${details.p99} ms exceeds ${maxLag} ms.`, details);
+    }
+    return details;
+  };
+  return Object.assign(check, {
+    start: async () => {
+      monitor.reset();
+      monitor.enable();
+    },
+    stop: async () => {
+      monitor.disable();
+    },
+  });
+}
+
+/**
+ * Checks heap use against the V8 heap limit, and optionally the resident set size.
+ * @param {object} [options]
+ * @param {number} [options.maxHeapRatio=0.9] - Highest acceptable share of the heap limit in use.
+ * @param {number} [options.maxRss] - Highest acceptable resident set size in bytes.
+ * @returns {() => Promise<{ rss: number, heapUsed: number, heapLimit: number }>} Sizes in bytes.
+ */
+function memoryCheck({ maxHeapRatio = 0.9, maxRss } = {}) {
+  return async () => {
+    const { rss, heapUsed } = process.memoryUsage();
+    const heapLimit = v8.getHeapStatistics().heap_size_limit;
+    const details = { rss, heapUsed, heapLimit };
+    if (heapUsed / heapLimit > maxHeapRatio) {
+      throw checkError(`Heap use exceeds ${maxHeapRatio * 100}% of the limit.`, details);
+    }
+    if (maxRss && rss > maxRss) {
+      throw checkError(`Resident set size exceeds ${maxRss} bytes.`, details);
+    }
+    return details;
+  };
+}
+
+module.exports = { HealthCheck, databaseCheck, eventLoopCheck, memoryCheck };
@@ -0,0 +1,84 @@
+/**
+ * @module lib/histogram
+ * @description Cumulative histogram with labels, in the shape Prometheus expects
+ * (`le` buckets, `sum` and `count` per label set).
+ *
+ * @example
+ * const Histogram = require('./lib/histogram');
+ * const durations = new Histogram({ buckets: [0.01, 0.1, 1] });
+ * durations.observe({ operation: 'SELECT' }, 0.042);
+ * durations.get();
+ * // [{ labels: { operation: 'SELECT' }, buckets: [{ le: 0.01, count: 0 }, { le: 0.1, count: 1 },
+ * //   { le: 1, count: 1 }, { le: Infinity, count: 1 }], sum: 0.042, count: 1 }]
+ */
+
+/**
+ * Default bucket bounds in seconds, suited to request and query durations.
+ * @type {number[]}
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Histogram of observed values per label set.
+ * @class
+ */
+class Histogram {
+  /**
+   * @param {object} [options]
+   * @param {number[]} [options.buckets=DEFAULT_BUCKETS] - Upper bounds, in ascending order.
+   *   A `+Inf` bucket is always added.
+   * @throws {Error} If the buckets are not ascending numbers.
+   */
+  constructor({ buckets = DEFAULT_BUCKETS } = {}) {
+    if (
+      !buckets.every((bound, i) => Number.isFinite(bound) && (i === 0 || bound > buckets[i - 1]))
+    ) {
+      throw new Error('Histogram buckets must be finite numbers in ascending order.');
+    }
+    this.buckets = [...buckets, Infinity];
+    this.series = new Map();
+  }
+
+  /**
+   * Records a value.
+   * @param {Object<string, string>} labels - Label values, e.g. `{ operation: 'SELECT' }`.
+   * @param {number} value - The observed value.
+   */
+  observe(labels, value) {
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: { ...labels }, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Returns a snapshot of every label set with cumulative bucket counts.
+   * @returns {{ labels: object, buckets: { le: number, count: number }[], sum: number, count: number }[]}
+   */
+  get() {
+    return [...this.series.values()].map(({ labels, counts, sum, count }) => ({
+      labels: { ...labels },
+      buckets: this.buckets.map((le, i) => ({ le, count: counts[i] })),
+      sum,
+      count,
+    }));
+  }
+
+  /**
+   * Drops all recorded values.
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+Histogram.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = Histogram;
@@ -1,11 +1,24 @@
 /**
  * @module lib/jwt
  * @description JWTClient class for generating and verifying JSON Web Tokens (JWTs) with configurable options.
- * @requires jsonwebtoken
+ * @requires crypto
+ * @requires jose
  * @requires moment
  * @requires ms
  * @requires uuid
  *
+ * Refresh tokens belong to a token family (`fam` claim). Each rotation consumes the presented
+ * refresh token and issues a new pair in the same family; presenting a consumed token again is
+ * treated as theft and revokes the whole family.
+ *
+ * Access tokens are signed with HS256 and `accessSecret`, or with the active key of a KeyStore
+ * (RS256, ES256 or EdDSA) so other services can verify them from the published JWKS without
+ * sharing a secret. Refresh tokens are only ever verified by the issuer and stay HS256.
+ *
+ * Verification enforces the signature, `exp`/`nbf` (with `clockTolerance`), `iss`, `aud`, `sub`,
+ * the optional `maxAge` and the token `type`. Each failure rejects with a JWTError carrying a
+ * specific code (see {@link JWT_ERROR_CODES}).
+ *
  * @example <caption>Usage</caption>
  * const JWTClient = require('./lib/jwt');
  * const jwtClient = new JWTClient({
@@ -25,13 +38,142 @@
  * // Verify tokens
  * const accessPayload = await jwtClient.verifyAccessToken(accessToken);
  * const refreshPayload = await jwtClient.verifyRefreshToken(refreshToken);
+ *
+ * // Rotate a refresh token into a new access/refresh pair
+ * const { accessToken: newAccess, refreshToken: newRefresh } = await jwtClient.rotateRefreshToken(refreshToken);
+ *
+ * // Logout
+ * await jwtClient.revokeRefreshToken(newRefresh);
+ *
+ * @example <caption>Asymmetric access tokens</caption>
+ * const KeyStore = require('./lib/keyStore');
+ * const keyStore = new KeyStore([KeyStore.generateKey('2024-01', 'EdDSA')]);
+ * const jwtClient = new JWTClient({ ...options, keyStore });
+ * app.get('/.well-known/jwks.json', (req, res) => res.json(keyStore.toJWKS()));
  */
 
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { SignJWT, jwtVerify, errors: joseErrors } = require('jose');
 const moment = require('moment');
 const ms = require('ms');
 const uuid = require('uuid').v7;
 const JWTError = require('./JWTError');
+const { MemoryTokenStore } = require('./tokenStore');
+const KeyStore = require('./keyStore');
+
+/**
+ * JWTError codes raised by verification, and `ER_JWT_NOT_CONFIGURED` when a secret is missing.
+ * @readonly
+ * @enum {string}
+ */
+const JWT_ERROR_CODES = {
+  TOKEN_EXPIRED: 'ER_TOKEN_EXPIRED',
+  TOKEN_NOT_YET_VALID: 'ER_TOKEN_NOT_YET_VALID',
+  ISSUER_MISMATCH: 'ER_ISSUER_MISMATCH',
+  AUDIENCE_MISMATCH: 'ER_AUDIENCE_MISMATCH',
+  SUBJECT_MISMATCH: 'ER_SUBJECT_MISMATCH',
+  MISSING_CLAIM: 'ER_MISSING_CLAIM',
+  INVALID_CLAIM: 'ER_INVALID_CLAIM',
+  WRONG_TOKEN_TYPE: 'ER_WRONG_TOKEN_TYPE',
+  INVALID_SIGNATURE: 'ER_INVALID_SIGNATURE',
+  MALFORMED_TOKEN: 'ER_MALFORMED_TOKEN',
+  ALGORITHM_NOT_ALLOWED: 'ER_ALGORITHM_NOT_ALLOWED',
+  UNKNOWN_KEY_ID: 'ER_UNKNOWN_KEY_ID',
+  TOKEN_REVOKED: 'ER_TOKEN_REVOKED',
+  REFRESH_TOKEN_REUSED: 'ER_REFRESH_TOKEN_REUSED',
+  REFRESH_TOKEN_UNKNOWN: 'ER_REFRESH_TOKEN_UNKNOWN',
+  NOT_CONFIGURED: 'ER_JWT_NOT_CONFIGURED',
+};
+
+/**
+ * JWTError codes for failed `iss`, `aud`, `sub` and `nbf` claim checks.
+ * @private
+ */
+const CLAIM_ERROR_CODES = {
+  iss: JWT_ERROR_CODES.ISSUER_MISMATCH,
+  aud: JWT_ERROR_CODES.AUDIENCE_MISMATCH,
+  sub: JWT_ERROR_CODES.SUBJECT_MISMATCH,
+  nbf: JWT_ERROR_CODES.TOKEN_NOT_YET_VALID,
+};
+
+/**
+ * Decoded JWT payload.
+ * @typedef {object} TokenPayload
+ * @property {string} iss - Issuer.
+ * @property {string} aud - Audience.
+ * @property {string} sub - Subject.
+ * @property {number} iat - Issued at (seconds since epoch).
+ * @property {number} nbf - Not before (seconds since epoch).
+ * @property {number} exp - Expiry (seconds since epoch).
+ * @property {string} jti - Token id.
+ * @property {'access'|'refresh'} type - Token type.
+ * @property {string} [fam] - Refresh token family.
+ * @property {any} data - Application data.
+ */
+
+/**
+ * Result of a successful verification.
+ * @typedef {object} VerifyResult
+ * @property {null} err - Always null on success.
+ * @property {TokenPayload} data - The decoded token payload.
+ * @property {'OK'} code - Always 'OK' on success.
+ * @property {'access'|'refresh'} type - The verified token type.
+ */
+
+/**
+ * Converts a jose verification error into a JWTError with a specific code.
+ * @param {Error} err - The error thrown during verification.
+ * @param {string} type - The expected token type.
+ * @returns {JWTError} The mapped error.
+ * @private
+ */
+function toJWTError(err, type) {
+  if (err instanceof JWTError) return err;
+  const fail = (message, code) => new JWTError(message, { err, data: null, code });
+
+  if (err instanceof joseErrors.JWTExpired) {
+    return fail(`The ${type} token has expired`, JWT_ERROR_CODES.TOKEN_EXPIRED);
+  }
+  if (err instanceof joseErrors.JWTClaimValidationFailed) {
+    if (err.reason === 'missing') {
+      return fail(
+        `The ${type} token is missing the "${err.claim}" claim`,
+        JWT_ERROR_CODES.MISSING_CLAIM
+      );
+    }
+    const code = CLAIM_ERROR_CODES[err.claim] || JWT_ERROR_CODES.INVALID_CLAIM;
+    return fail(`The ${type} token "${err.claim}" claim is invalid`, code);
+  }
+  if (err instanceof joseErrors.JWSSignatureVerificationFailed) {
+    return fail(`The ${type} token signature is invalid`, JWT_ERROR_CODES.INVALID_SIGNATURE);
+  }
+  if (err instanceof joseErrors.JOSEAlgNotAllowed) {
+    return fail(
+      `The ${type} token algorithm is not allowed`,
+      JWT_ERROR_CODES.ALGORITHM_NOT_ALLOWED
+    );
+  }
+  if (err instanceof joseErrors.JWSInvalid || err instanceof joseErrors.JWTInvalid) {
+    return fail(`The ${type} token is malformed`, JWT_ERROR_CODES.MALFORMED_TOKEN);
+  }
+  return fail(`Invalid or expired ${type} token`, `ER_INVALID_${type.toUpperCase()}_TOKEN`);
+}
+
+/**
+ * Creates an HMAC key from a secret string.
+ * @param {string} secret - The shared secret.
+ * @returns {crypto.KeyObject} The secret key.
+ * @throws {JWTError} With code `ER_JWT_NOT_CONFIGURED` if the secret is not configured.
+ * @private
+ */
+function createSecretKey(secret) {
+  if (!secret) {
+    throw new JWTError('JWT secret is not configured.', {
+      code: JWT_ERROR_CODES.NOT_CONFIGURED,
+    });
+  }
+  return crypto.createSecretKey(Buffer.from(secret));
+}
 
 /**
  * JWTClient class for managing JWT creation and verification.
@@ -43,10 +185,14 @@ class JWTClient {
    * @param {string} options.issuer - JWT issuer.
    * @param {string} options.audience - JWT audience.
    * @param {string} options.subject - JWT subject.
-   * @param {string} options.accessSecret - Secret for signing access tokens.
+   * @param {string} [options.accessSecret] - Secret for signing access tokens. Not needed with a keyStore.
    * @param {string} options.refreshSecret - Secret for signing refresh tokens.
    * @param {string|number} options.accessExpiresIn - Access token expiration (e.g., "15m").
    * @param {string|number} options.refreshExpiresIn - Refresh token expiration (e.g., "7d").
+   * @param {object} [options.tokenStore] - Revocation/token-family store (see lib/tokenStore). Defaults to an in-memory store.
+   * @param {KeyStore|object[]} [options.keyStore] - Asymmetric keys for access tokens (see lib/keyStore).
+   * @param {string|number} [options.clockTolerance=0] - Allowed clock skew for `exp`/`nbf` checks (e.g., "30s" or seconds).
+   * @param {string|number} [options.maxAge] - Reject tokens issued longer ago than this (e.g., "1d" or seconds).
    * @example
    * const jwtClient = new JWTClient({
    *   issuer: 'my-app',
@@ -66,6 +212,10 @@ class JWTClient {
     refreshSecret,
     accessExpiresIn,
     refreshExpiresIn,
+    tokenStore = new MemoryTokenStore(),
+    keyStore = null,
+    clockTolerance = 0,
+    maxAge,
   }) {
     this.issuer = issuer;
     this.audience = audience;
@@ -74,6 +224,10 @@ class JWTClient {
     this.refreshSecret = refreshSecret;
     this.accessExpiresIn = accessExpiresIn;
     this.refreshExpiresIn = refreshExpiresIn;
+    this.tokenStore = tokenStore;
+    this.keyStore = Array.isArray(keyStore) ? new KeyStore(keyStore) : keyStore;
+    this.clockTolerance = clockTolerance;
+    this.maxAge = maxAge;
   }
 
   /**
@@ -93,93 +247,231 @@ class JWTClient {
     };
   }
 
+  /**
+   * Signs a payload with the active KeyStore key, or with an HMAC secret.
+   * @param {object} payload - The JWT payload.
+   * @param {string} secret - HMAC secret used when no key store applies.
+   * @param {boolean} useKeyStore - Whether the key store applies to this token type.
+   * @returns {Promise<string>} The signed JWT.
+   * @private
+   */
+  async sign(payload, secret, useKeyStore) {
+    const jwt = new SignJWT(payload);
+    if (useKeyStore && this.keyStore) {
+      const { kid, algorithm, privateKey } = this.keyStore.getSigningKey();
+      return jwt.setProtectedHeader({ alg: algorithm, kid, typ: 'JWT' }).sign(privateKey);
+    }
+    return jwt.setProtectedHeader({ alg: 'HS256', typ: 'JWT' }).sign(createSecretKey(secret));
+  }
+
+  /**
+   * Verifies a JWT's signature and claims, then checks the token store denylists.
+   * @param {string} token - The JWT to verify.
+   * @param {'access'|'refresh'} type - The expected token type.
+   * @param {string} secret - HMAC secret used when no key store applies.
+   * @param {boolean} useKeyStore - Whether the key store applies to this token type.
+   * @returns {Promise<VerifyResult>} The verification result.
+   * @throws {JWTError} If any check fails.
+   * @private
+   */
+  async verify(token, type, secret, useKeyStore) {
+    const keyStore = useKeyStore ? this.keyStore : null;
+    const getKey = (header) => {
+      if (!keyStore) return createSecretKey(secret);
+      const key = keyStore.getVerificationKey(header.kid);
+      if (!key || key.algorithm !== header.alg) {
+        throw new JWTError(`No ${header.alg} key found for kid "${header.kid}"`, {
+          data: null,
+          code: JWT_ERROR_CODES.UNKNOWN_KEY_ID,
+        });
+      }
+      return key.publicKey;
+    };
+
+    let data;
+    try {
+      ({ payload: data } = await jwtVerify(token, getKey, {
+        algorithms: keyStore ? KeyStore.SUPPORTED_ALGORITHMS : ['HS256'],
+        issuer: this.issuer,
+        audience: this.audience,
+        subject: this.subject,
+        clockTolerance: this.clockTolerance,
+        maxTokenAge: this.maxAge,
+        requiredClaims: ['exp', 'jti', 'type'],
+      }));
+    } catch (err) {
+      throw toJWTError(err, type);
+    }
+
+    if (data.type !== type) {
+      throw new JWTError(`Expected a ${type} token but got a ${data.type} token`, {
+        data: null,
+        code: JWT_ERROR_CODES.WRONG_TOKEN_TYPE,
+      });
+    }
+    await this.assertNotRevoked(data);
+    return {
+      err: null,
+      data,
+      code: 'OK',
+      type,
+    };
+  }
+
   /**
    * Generates a signed JWT access token.
    * @param {object} payload
    * @param {any} payload.data - The data to include in the token payload.
+   * @param {string} [payload.familyId] - Refresh token family the access token belongs to.
+   * Revoking the family also revokes the access token.
    * @returns {Promise<string>} The signed JWT access token.
    * @example
    * const token = await jwtClient.generateAccessToken({ data: 123 });
    */
-  async generateAccessToken({ data }) {
+  async generateAccessToken({ data, familyId }) {
     const base = this.createBasePayload();
     const exp = moment().add(ms(this.accessExpiresIn), 'milliseconds').utc().unix();
     const payload = { ...base, exp, type: 'access', data };
-    return jwt.sign(payload, this.accessSecret);
+    if (familyId) payload.fam = familyId;
+    return this.sign(payload, this.accessSecret, true);
   }
 
   /**
-   * Generates a signed JWT refresh token.
+   * Generates a signed JWT refresh token and records it in the token store.
    * @param {object} payload
    * @param {any} payload.data - The data to include in the token payload.
+   * @param {string} [payload.familyId] - Token family to join. A new family is started if omitted.
    * @returns {Promise<string>} The signed JWT refresh token.
    * @example
    * const token = await jwtClient.generateRefreshToken({ data: 123 });
    */
-  async generateRefreshToken({ data }) {
+  async generateRefreshToken({ data, familyId }) {
     const base = this.createBasePayload();
     const exp = moment().add(ms(this.refreshExpiresIn), 'milliseconds').utc().unix();
-    const payload = { ...base, exp, type: 'refresh', data };
-    return jwt.sign(payload, this.refreshSecret);
+    const payload = { ...base, exp, type: 'refresh', fam: familyId || uuid(), data };
+    const token = await this.sign(payload, this.refreshSecret, false);
+    await this.tokenStore.saveRefreshToken({
+      jti: payload.jti,
+      familyId: payload.fam,
+      expiresAt: moment.unix(exp).toDate(),
+    });
+    return token;
   }
 
   /**
    * Verifies a JWT access token.
    * @param {string} token - The JWT access token to verify.
-   * @returns {Promise<Object>} The decoded token payload if valid.
-   * @throws {JWTError} If the token is invalid or expired.
+   * @returns {Promise<VerifyResult>} The verification result; `data` holds the decoded payload.
+   * @throws {JWTError} If the signature, a claim or the token type is invalid, or the token is revoked.
    * @example
-   * const payload = await jwtClient.verifyAccessToken(token);
+   * const { data: payload } = await jwtClient.verifyAccessToken(token);
    */
   async verifyAccessToken(token) {
-    return new Promise((resolve, reject) => {
-      jwt.verify(token, this.accessSecret, (err, data) => {
-        if (err) {
-          return reject(
-            new JWTError('Invalid or expired access token', {
-              err,
-              data: null, // always null on error
-              code: 'ER_INVALID_ACCESS_TOKEN',
-            })
-          );
-        }
-        return resolve({
-          err: null,
-          data,
-          code: 'OK',
-        });
-      });
-    });
+    return this.verify(token, 'access', this.accessSecret, true);
   }
 
   /**
    * Verifies a JWT refresh token.
    * @param {string} token - The JWT refresh token to verify.
-   * @returns {Promise<Object>} The decoded token payload if valid.
-   * @throws {JWTError} If the token is invalid or expired.
+   * @returns {Promise<VerifyResult>} The verification result; `data` holds the decoded payload.
+   * @throws {JWTError} If the signature, a claim or the token type is invalid, or the token is revoked.
    * @example
-   * const payload = await jwtClient.verifyRefreshToken(token);
+   * const { data: payload } = await jwtClient.verifyRefreshToken(token);
    */
   async verifyRefreshToken(token) {
-    return new Promise((resolve, reject) => {
-      jwt.verify(token, this.refreshSecret, (err, data) => {
-        if (err) {
-          return reject(
-            new JWTError('Invalid or expired refresh token', {
-              err,
-              data: null, // always null on error
-              code: 'ER_INVALID_REFRESH_TOKEN',
-            })
-          );
-        }
-        return resolve({
-          err: null,
-          data,
-          code: 'OK',
-        });
+    return this.verify(token, 'refresh', this.refreshSecret, false);
+  }
+
+  /**
+   * Checks the token store denylists for a decoded payload.
+   * @param {object} payload - The decoded token payload.
+   * @returns {Promise<void>}
+   * @throws {JWTError} If the token or its family has been revoked.
+   * @private
+   */
+  async assertNotRevoked(payload) {
+    const [tokenRevoked, familyRevoked] = await Promise.all([
+      this.tokenStore.isTokenRevoked(payload.jti),
+      payload.fam ? this.tokenStore.isFamilyRevoked(payload.fam) : false,
+    ]);
+    if (tokenRevoked || familyRevoked) {
+      throw new JWTError('Token has been revoked', {
+        data: null,
+        code: JWT_ERROR_CODES.TOKEN_REVOKED,
       });
-    });
+    }
+  }
+
+  /**
+   * Exchanges a refresh token for a new access/refresh token pair in the same family.
+   * The presented refresh token is consumed; presenting it again revokes the whole family. A token
+   * the store never recorded (e.g. issued with another store) is rejected, but its family is kept.
+   * @param {string} token - The JWT refresh token to rotate.
+   * @returns {Promise<{ accessToken: string, refreshToken: string, data: any }>} The new token pair.
+   * @throws {JWTError} If the token is invalid, revoked, unknown to the store or already used.
+   * @example
+   * const { accessToken, refreshToken } = await jwtClient.rotateRefreshToken(oldRefreshToken);
+   */
+  async rotateRefreshToken(token) {
+    const { data: payload } = await this.verifyRefreshToken(token);
+    const result = await this.tokenStore.consumeRefreshToken(payload.jti);
+    if (result === 'unknown') {
+      throw new JWTError('Refresh token is unknown to the token store', {
+        data: null,
+        code: JWT_ERROR_CODES.REFRESH_TOKEN_UNKNOWN,
+      });
+    }
+    if (result !== 'consumed') {
+      await this.tokenStore.revokeFamily(
+        payload.fam,
+        moment().add(ms(this.refreshExpiresIn), 'milliseconds').toDate()
+      );
+      throw new JWTError('Refresh token reuse detected', {
+        data: null,
+        code: JWT_ERROR_CODES.REFRESH_TOKEN_REUSED,
+      });
+    }
+    const [accessToken, refreshToken] = await Promise.all([
+      this.generateAccessToken({ data: payload.data, familyId: payload.fam }),
+      this.generateRefreshToken({ data: payload.data, familyId: payload.fam }),
+    ]);
+    return { accessToken, refreshToken, data: payload.data };
+  }
+
+  /**
+   * Revokes an access token until it expires.
+   * @param {string} token - The JWT access token to revoke.
+   * @returns {Promise<void>}
+   * @throws {JWTError} If the token is invalid.
+   * @example
+   * await jwtClient.revokeAccessToken(token);
+   */
+  async revokeAccessToken(token) {
+    const { data: payload } = await this.verifyAccessToken(token);
+    await this.tokenStore.revokeToken(payload.jti, moment.unix(payload.exp).toDate());
+  }
+
+  /**
+   * Revokes a refresh token and every other token of its family (logout).
+   * @param {string} token - The JWT refresh token to revoke.
+   * @returns {Promise<void>}
+   * @throws {JWTError} If the token is invalid.
+   * @example
+   * await jwtClient.revokeRefreshToken(token);
+   */
+  async revokeRefreshToken(token) {
+    const { data: payload } = await this.verifyRefreshToken(token);
+    const expiresAt = moment.unix(payload.exp).toDate();
+    await Promise.all([
+      this.tokenStore.revokeToken(payload.jti, expiresAt),
+      this.tokenStore.revokeFamily(
+        payload.fam,
+        moment().add(ms(this.refreshExpiresIn), 'milliseconds').toDate()
+      ),
+    ]);
   }
 }
 
+JWTClient.ERROR_CODES = JWT_ERROR_CODES;
+
 module.exports = JWTClient;
@@ -0,0 +1,216 @@
+/**
+ * @module lib/keyStore
+ * @description KeyStore class holding asymmetric JWT signing keys by `kid`, for key rotation and JWKS publishing.
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ *
+ * One key is active and used for signing. Retired keys are kept for verification until every
+ * token they signed has expired, then removed.
+ *
+ * @example <caption>Rotation</caption>
+ * const KeyStore = require('./lib/keyStore');
+ * const keyStore = new KeyStore();
+ * keyStore.addKey({ kid: '2024-01', privateKey: fs.readFileSync('2024-01.pem') });
+ * keyStore.addKey({ kid: '2024-02', privateKey: fs.readFileSync('2024-02.pem'), active: true });
+ * // '2024-02' now signs, '2024-01' still verifies
+ * keyStore.removeKey('2024-01');
+ *
+ * @example <caption>JWKS</caption>
+ * res.json(keyStore.toJWKS());
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Signing algorithms supported by the KeyStore.
+ * @type {string[]}
+ */
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256', 'EdDSA'];
+
+/**
+ * Infers the JWS algorithm from a key's type.
+ * @param {crypto.KeyObject} key - Public or private key.
+ * @returns {string} The JWS algorithm.
+ * @throws {Error} If the key type is not supported.
+ * @private
+ */
+function inferAlgorithm(key) {
+  const { asymmetricKeyType, asymmetricKeyDetails } = key;
+  if (asymmetricKeyType === 'rsa') return 'RS256';
+  if (asymmetricKeyType === 'ec' && asymmetricKeyDetails.namedCurve === 'prime256v1')
+    return 'ES256';
+  if (asymmetricKeyType === 'ed25519') return 'EdDSA';
+  throw new Error(`Unsupported key type: ${asymmetricKeyType}`);
+}
+
+/**
+ * KeyStore class for managing JWT signing and verification keys.
+ * @class
+ */
+class KeyStore {
+  /**
+   * Create a KeyStore instance.
+   * @param {object[]} [keys=[]] - Keys to add, see {@link KeyStore#addKey}.
+   */
+  constructor(keys = []) {
+    this.keys = new Map();
+    this.activeKid = null;
+    keys.forEach((key) => this.addKey(key));
+  }
+
+  /**
+   * Adds a key. The first key with a private key becomes active unless another one is marked active.
+   * @param {object} key
+   * @param {string} key.kid - Key id, published in the token header.
+   * @param {string|Buffer|crypto.KeyObject} [key.privateKey] - PEM private key. Omit for verify-only keys.
+   * @param {string|Buffer|crypto.KeyObject} [key.publicKey] - PEM public key. Derived from the private key if omitted.
+   * @param {string} [key.algorithm] - RS256, ES256 or EdDSA. Inferred from the key type if omitted,
+   *   and must match it if given.
+   * @param {boolean} [key.active=false] - Use this key for signing.
+   * @returns {KeyStore} This instance.
+   * @throws {Error} If the key is invalid, the private and public keys do not match, or the
+   *   algorithm is not supported or does not match the key type.
+   */
+  addKey({ kid, privateKey, publicKey, algorithm, active = false }) {
+    if (!kid) throw new Error('A key id (kid) is required.');
+    if (!privateKey && !publicKey) throw new Error(`Key "${kid}" needs a private or public key.`);
+
+    const priv = privateKey ? crypto.createPrivateKey(privateKey) : null;
+    const pub = publicKey ? crypto.createPublicKey(publicKey) : crypto.createPublicKey(priv);
+    if (priv && publicKey) {
+      const spki = (key) => key.export({ type: 'spki', format: 'der' });
+      if (!spki(crypto.createPublicKey(priv)).equals(spki(pub))) {
+        throw new Error(`The public key of "${kid}" does not match its private key.`);
+      }
+    }
+    if (algorithm && !SUPPORTED_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unsupported algorithm "${algorithm}". Use one of: ${SUPPORTED_ALGORITHMS}.`);
+    }
+    const alg = inferAlgorithm(pub);
+    if (algorithm && algorithm !== alg) {
+      throw new Error(`Key "${kid}" is an ${alg} key and cannot be used with ${algorithm}.`);
+    }
+
+    this.keys.set(kid, { kid, algorithm: alg, privateKey: priv, publicKey: pub });
+    if (priv && (active || !this.activeKid)) this.activeKid = kid;
+    return this;
+  }
+
+  /**
+   * Makes a key the signing key.
+   * @param {string} kid - Key id.
+   * @returns {KeyStore} This instance.
+   * @throws {Error} If the key does not exist or has no private key.
+   */
+  setActiveKey(kid) {
+    const key = this.keys.get(kid);
+    if (!key || !key.privateKey) throw new Error(`Key "${kid}" cannot be used for signing.`);
+    this.activeKid = kid;
+    return this;
+  }
+
+  /**
+   * Removes a key. Tokens signed with it no longer verify.
+   * @param {string} kid - Key id.
+   * @returns {KeyStore} This instance.
+   * @throws {Error} If the key is the active signing key.
+   */
+  removeKey(kid) {
+    if (kid === this.activeKid) throw new Error(`Key "${kid}" is active and cannot be removed.`);
+    this.keys.delete(kid);
+    return this;
+  }
+
+  /**
+   * @returns {{ kid: string, algorithm: string, privateKey: crypto.KeyObject }} The active signing key.
+   * @throws {Error} If no signing key is configured.
+   */
+  getSigningKey() {
+    if (!this.activeKid) throw new Error('No active signing key configured.');
+    return this.keys.get(this.activeKid);
+  }
+
+  /**
+   * @param {string} kid - Key id.
+   * @returns {{ kid: string, algorithm: string, publicKey: crypto.KeyObject }|null} The verification key.
+   */
+  getVerificationKey(kid) {
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Exports every public key as a JSON Web Key Set.
+   * @returns {{ keys: object[] }} The JWKS document.
+   */
+  toJWKS() {
+    return {
+      keys: [...this.keys.values()].map(({ kid, algorithm, publicKey }) => ({
+        ...publicKey.export({ format: 'jwk' }),
+        kid,
+        alg: algorithm,
+        use: 'sig',
+      })),
+    };
+  }
+
+  /**
+   * Generates a new key pair.
+   * @param {string} kid - Key id.
+   * @param {string} [algorithm='RS256'] - RS256, ES256 or EdDSA.
+   * @returns {{ kid: string, algorithm: string, privateKey: string, publicKey: string }} PEM encoded key pair.
+   * @example
+   * keyStore.addKey({ ...KeyStore.generateKey('2024-03', 'EdDSA'), active: true });
+   */
+  static generateKey(kid, algorithm = 'RS256') {
+    const types = {
+      RS256: ['rsa', { modulusLength: 2048 }],
+      ES256: ['ec', { namedCurve: 'P-256' }],
+      EdDSA: ['ed25519', {}],
+    };
+    if (!types[algorithm]) throw new Error(`Unsupported algorithm "${algorithm}".`);
+    const [type, options] = types[algorithm];
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, {
+      ...options,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+    return { kid, algorithm, privateKey, publicKey };
+  }
+
+  /**
+   * Loads keys from a directory. Each `<kid>.pem` file holds a private key and each
+   * `<kid>.pub` file a public key: alongside a `.pem` of the same kid, or alone for a verify-only
+   * key. Other files are ignored.
+   * @param {string} dir - Directory to read.
+   * @param {string} [activeKid] - Key id to sign with. Defaults to the last private key in file name order.
+   * @returns {KeyStore} A new KeyStore.
+   * @throws {Error} If a key is invalid, or `activeKid` has no private key.
+   */
+  static fromDirectory(dir, activeKid) {
+    const files = { '.pem': 'privateKey', '.pub': 'publicKey' };
+    const keys = new Map();
+    fs.readdirSync(dir)
+      .sort()
+      .filter((file) => files[path.extname(file)])
+      .forEach((file) => {
+        const ext = path.extname(file);
+        const kid = path.basename(file, ext);
+        keys.set(kid, {
+          ...keys.get(kid),
+          kid,
+          [files[ext]]: fs.readFileSync(path.join(dir, file)),
+        });
+      });
+    const keyStore = new KeyStore();
+    keys.forEach((key) => keyStore.addKey({ ...key, active: Boolean(key.privateKey) }));
+    if (activeKid) keyStore.setActiveKey(activeKid);
+    return keyStore;
+  }
+}
+
+KeyStore.SUPPORTED_ALGORITHMS = SUPPORTED_ALGORITHMS;
+
+module.exports = KeyStore;
@@ -0,0 +1,207 @@
+/**
+ * @module lib/logger
+ * @description Leveled logger writing one JSON object per line. Each entry holds `level`,
+ * `time`, `msg`, the logger's bindings, the current request context (see `lib/requestContext`)
+ * and the given fields. Errors are serialized with their stack, and sensitive keys
+ * (authorization headers, cookies, passwords, tokens, secrets) are redacted at any depth.
+ *
+ * The `(message, fields)` signature also works with `console`, so modules taking a `logger`
+ * option accept either.
+ *
+ * @example
+ * const Logger = require('./lib/logger');
+ * const logger = new Logger({ level: 'debug', bindings: { service: 'api' } });
+ * logger.info('Server started', { port: 3000 });
+ * // {"level":"info","time":"2025-01-01T00:00:00.000Z","msg":"Server started","service":"api","port":3000}
+ * const dbLogger = logger.child({ component: 'database' });
+ * dbLogger.error('Query failed', { err, headers: { authorization: 'Bearer x' } });
+ * // ... "err":{"name":"Error","message":"...","stack":"..."},"headers":{"authorization":"[REDACTED]"}
+ */
+
+const { types } = require('util');
+const requestContext = require('./requestContext');
+
+/**
+ * Severity of each level; `silent` disables output.
+ * @type {Object<string, number>}
+ */
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+/**
+ * Keys whose values are never logged.
+ * @type {RegExp}
+ */
+const DEFAULT_REDACT =
+  /^(authorization|proxy-authorization|cookie|set-cookie)$|passw(or)?d|secret|token|api[-_]?key/i;
+
+/**
+ * Nesting below which values are replaced with `[Truncated]`.
+ * @type {number}
+ */
+const MAX_DEPTH = 8;
+
+/**
+ * Also recognizes errors created in another realm, e.g. by native modules.
+ * @param {any} value
+ * @returns {boolean}
+ * @private
+ */
+function isError(value) {
+  return value instanceof Error || types.isNativeError(value);
+}
+
+/**
+ * Leveled JSON logger.
+ * @class
+ */
+class Logger {
+  /**
+   * @param {object} [options]
+   * @param {'debug'|'info'|'warn'|'error'|'silent'} [options.level='info'] - Lowest level written.
+   * @param {object} [options.bindings={}] - Fields added to every entry.
+   * @param {{ write: (line: string) => void }} [options.destination=process.stdout] - Output stream.
+   * @param {RegExp} [options.redact=DEFAULT_REDACT] - Keys whose values are replaced.
+   * @param {() => object|undefined} [options.context] - Fields of the current request; defaults
+   *   to `lib/requestContext`.
+   * @throws {Error} If the level is unknown.
+   */
+  constructor({
+    level = 'info',
+    bindings = {},
+    destination = process.stdout,
+    redact = DEFAULT_REDACT,
+    context = requestContext.get,
+  } = {}) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LEVELS)}.`);
+    }
+    this.level = level;
+    this.bindings = bindings;
+    this.destination = destination;
+    this.redact = redact;
+    this.context = context;
+  }
+
+  /**
+   * Creates a logger with the same settings and extra bindings.
+   * @param {object} bindings - Fields added to every entry of the child.
+   * @returns {Logger}
+   * @example
+   * const log = logger.child({ component: 'migrator' });
+   */
+  child(bindings) {
+    return new Logger({
+      level: this.level,
+      bindings: { ...this.bindings, ...bindings },
+      destination: this.destination,
+      redact: this.redact,
+      context: this.context,
+    });
+  }
+
+  /**
+   * @param {string} level
+   * @returns {boolean} Whether entries of `level` are written.
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * @param {string} message
+   * @param {object|Error} [fields] - Extra fields; an Error is logged as `err`.
+   */
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {object|Error} [fields] - Extra fields; an Error is logged as `err`.
+   */
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {object|Error} [fields] - Extra fields; an Error is logged as `err`.
+   */
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {object|Error} [fields] - Extra fields; an Error is logged as `err`.
+   */
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * Builds and writes one entry.
+   * @param {string} level
+   * @param {string} message
+   * @param {object|Error} [fields]
+   * @private
+   */
+  write(level, message, fields) {
+    if (!this.isLevelEnabled(level)) return;
+    const entry = {
+      level,
+      time: new Date().toISOString(),
+      msg: String(message),
+      ...this.bindings,
+      ...this.context(),
+      ...(isError(fields) ? { err: fields } : fields),
+    };
+    this.destination.write(`${JSON.stringify(this.sanitize(entry, 0, new WeakSet()))}\n`);
+  }
+
+  /**
+   * Copies a value for logging: serializes errors, redacts sensitive keys and breaks cycles.
+   * @param {any} value
+   * @param {number} depth
+   * @param {WeakSet<object>} seen - Objects on the current path.
+   * @returns {any}
+   * @private
+   */
+  sanitize(value, depth, seen) {
+    if (typeof value === 'bigint') return value.toString();
+    if (!value || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+
+    seen.add(value);
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.map((item) => this.sanitize(item, depth + 1, seen));
+    } else {
+      const source = isError(value)
+        ? {
+            name: value.name,
+            message: value.message,
+            ...value,
+            ...(value.cause !== undefined && { cause: value.cause }),
+            stack: value.stack,
+          }
+        : value;
+      copy = Object.keys(source).reduce((result, key) => {
+        const field = this.redact.test(key)
+          ? '[REDACTED]'
+          : this.sanitize(source[key], depth + 1, seen);
+        return { ...result, [key]: field };
+      }, {});
+    }
+    seen.delete(value);
+    return copy;
+  }
+}
+
+Logger.LEVELS = LEVELS;
+Logger.DEFAULT_REDACT = DEFAULT_REDACT;
+
+module.exports = Logger;
@@ -0,0 +1,20 @@
+const Series = require('./Series');
+
+/**
+ * Monotonic counter, e.g. requests served.
+ * @class
+ * @extends Series
+ */
+class Counter extends Series {
+  /**
+   * @param {Object<string, string>} [labels={}]
+   * @param {number} [value=1] - Amount to add; must not be negative.
+   * @throws {Error} If `value` is negative.
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) throw new Error('Counters can only be increased.');
+    this.update(labels, (current) => current + value);
+  }
+}
+
+module.exports = Counter;
@@ -0,0 +1,61 @@
+const Series = require('./Series');
+
+/**
+ * Value that goes up and down, e.g. open connections. A `collect` callback can refresh it
+ * right before each scrape; it replaces every value, so label sets it no longer sets are dropped.
+ * @class
+ * @extends Series
+ */
+class Gauge extends Series {
+  /**
+   * @param {object} [options]
+   * @param {(gauge: Gauge) => void|Promise<void>} [options.collect] - Sets current values.
+   */
+  constructor({ collect } = {}) {
+    super();
+    this.collector = collect;
+  }
+
+  /**
+   * Runs the `collect` callback, if any, on a cleared gauge. Values set before a failed
+   * collection are kept.
+   * @returns {Promise<void>}
+   */
+  async collect() {
+    if (!this.collector) return;
+    const previous = this.values;
+    this.values = new Map();
+    try {
+      await this.collector(this);
+    } catch (err) {
+      this.values = previous;
+      throw err;
+    }
+  }
+
+  /**
+   * @param {Object<string, string>} labels
+   * @param {number} value
+   */
+  set(labels, value) {
+    this.update(labels, () => value);
+  }
+
+  /**
+   * @param {Object<string, string>} [labels={}]
+   * @param {number} [value=1]
+   */
+  inc(labels = {}, value = 1) {
+    this.update(labels, (current) => current + value);
+  }
+
+  /**
+   * @param {Object<string, string>} [labels={}]
+   * @param {number} [value=1]
+   */
+  dec(labels = {}, value = 1) {
+    this.update(labels, (current) => current - value);
+  }
+}
+
+module.exports = Gauge;
@@ -0,0 +1,118 @@
+const Histogram = require('../histogram');
+const Counter = require('./Counter');
+const Gauge = require('./Gauge');
+const { formatValue, formatLabels } = require('./format');
+
+/**
+ * Valid metric and label names.
+ * @type {RegExp}
+ */
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Named set of metrics rendered together.
+ * @class
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Content type of {@link MetricsRegistry#render}.
+   * @type {string}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  get contentType() {
+    return 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  /**
+   * Adds an existing metric, e.g. a client's `queryDurations` histogram.
+   * @template {Counter|Gauge|Histogram} M
+   * @param {string} name - Metric name, e.g. `http_requests_total`.
+   * @param {string} help - Description.
+   * @param {M} metric
+   * @returns {M} The metric.
+   * @throws {Error} If the name is invalid or taken, or the metric type is unknown.
+   */
+  register(name, help, metric) {
+    if (!NAME_PATTERN.test(name)) throw new Error(`Invalid metric name "${name}".`);
+    if (this.metrics.has(name)) throw new Error(`Metric "${name}" is already registered.`);
+    let type;
+    if (metric instanceof Counter) type = 'counter';
+    else if (metric instanceof Gauge) type = 'gauge';
+    else if (metric instanceof Histogram) type = 'histogram';
+    else throw new Error(`Metric "${name}" must be a Counter, Gauge or Histogram.`);
+    this.metrics.set(name, { name, help, type, metric });
+    return metric;
+  }
+
+  /**
+   * Creates and registers a counter.
+   * @param {string} name - Should end in `_total`.
+   * @param {string} help
+   * @returns {Counter}
+   */
+  counter(name, help) {
+    return this.register(name, help, new Counter());
+  }
+
+  /**
+   * Creates and registers a gauge.
+   * @param {string} name
+   * @param {string} help
+   * @param {object} [options] - See {@link Gauge}.
+   * @returns {Gauge}
+   */
+  gauge(name, help, options) {
+    return this.register(name, help, new Gauge(options));
+  }
+
+  /**
+   * Creates and registers a histogram.
+   * @param {string} name - Should end in the unit, e.g. `_seconds`.
+   * @param {string} help
+   * @param {object} [options] - See {@link Histogram}.
+   * @returns {Histogram}
+   */
+  histogram(name, help, options) {
+    return this.register(name, help, new Histogram(options));
+  }
+
+  /**
+   * Runs gauge collectors, then renders every metric.
+   * @returns {Promise<string>} Prometheus text exposition.
+   */
+  async render() {
+    const entries = [...this.metrics.values()];
+    await Promise.all(
+      entries.map(({ metric }) => (metric instanceof Gauge ? metric.collect() : undefined))
+    );
+
+    return entries
+      .map(({ name, help, type, metric }) => {
+        const lines = [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`];
+        lines.push(`# TYPE ${name} ${type}`);
+        if (type === 'histogram') {
+          metric.get().forEach(({ labels, buckets, sum, count }) => {
+            buckets.forEach(({ le, count: bucketCount }) => {
+              lines.push(
+                `${name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${bucketCount}`
+              );
+            });
+            lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+          });
+        } else {
+          metric.get().forEach(({ labels, value }) => {
+            lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+          });
+        }
+        return `${lines.join('\n')}\n`;
+      })
+      .join('');
+  }
+}
+
+module.exports = MetricsRegistry;
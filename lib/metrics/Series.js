@@ -0,0 +1,45 @@
+const { labelKey } = require('./format');
+
+/**
+ * Value per label set, shared by counters and gauges.
+ * @class
+ */
+class Series {
+  constructor() {
+    this.values = new Map();
+  }
+
+  /**
+   * @param {Object<string, string>} labels
+   * @param {(current: number) => number} update
+   */
+  update(labels, update) {
+    const key = labelKey(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels: { ...labels }, value: update(current ? current.value : 0) });
+  }
+
+  /**
+   * @returns {{ labels: object, value: number }[]}
+   */
+  get() {
+    return [...this.values.values()].map(({ labels, value }) => ({ labels: { ...labels }, value }));
+  }
+
+  /**
+   * Drops the value of a label set, e.g. of a queue that no longer exists.
+   * @param {Object<string, string>} labels
+   */
+  remove(labels) {
+    this.values.delete(labelKey(labels));
+  }
+
+  /**
+   * Drops all values.
+   */
+  reset() {
+    this.values.clear();
+  }
+}
+
+module.exports = Series;
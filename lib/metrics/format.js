@@ -0,0 +1,39 @@
+/**
+ * @module lib/metrics/format
+ * @description Label and value formatting of the Prometheus text exposition format.
+ */
+
+/**
+ * Identifies a label set regardless of key order.
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Formats a sample value.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Formats a label set as `{a="1",b="2"}`, escaping values.
+ * @param {Object<string, any>} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+  );
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+module.exports = { labelKey, formatValue, formatLabels };
@@ -0,0 +1,23 @@
+/**
+ * @module lib/metrics
+ * @description Counters, gauges and a registry rendering them, with {@link Histogram}s, in the
+ * Prometheus text exposition format (version 0.0.4).
+ *
+ * @example
+ * const { MetricsRegistry } = require('./lib/metrics');
+ * const registry = new MetricsRegistry();
+ * const signups = registry.counter('app_signups_total', 'Completed signups.');
+ * signups.inc({ plan: 'pro' });
+ * registry.gauge('app_queue_depth', 'Jobs waiting.', {
+ *   collect: (gauge) => queues.forEach((queue) => gauge.set({ queue: queue.name }, queue.length)),
+ * });
+ * registry.register('db_query_duration_seconds', 'Query durations.', db.queryDurations);
+ * res.type(registry.contentType).send(await registry.render());
+ */
+
+const MetricsRegistry = require('./MetricsRegistry');
+const Counter = require('./Counter');
+const Gauge = require('./Gauge');
+const Histogram = require('../histogram');
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram };
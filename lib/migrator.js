@@ -0,0 +1,448 @@
+/**
+ * @module lib/migrator
+ * @description Schema migrations and seeds for any DatabaseClient (MySQL, PostgreSQL, SQLite).
+ *
+ * Migrations live in one directory, named `<YYYYMMDDHHmmss>_<name>.sql` or `.js`:
+ * - SQL files hold an `-- migrate:up` section and an optional `-- migrate:down` section.
+ * - JS files export `{ up(db), down(db) }`, where `db` is the migration's transaction.
+ *
+ * Applied migrations are recorded with a SHA-256 checksum in a tracking table; editing an
+ * applied file is reported by `status()` and blocks `up()`. `up()`, `down()` and `seed()` hold
+ * an advisory lock (`GET_LOCK` on MySQL, `pg_advisory_lock` on PostgreSQL) so two instances
+ * cannot migrate at once. Each migration runs in its own transaction; note MySQL commits
+ * implicitly after DDL statements.
+ *
+ * Seeds are `.sql` or `.js` (`module.exports = async (db) => {}`) files run in name order
+ * from the seeds directory and then from its `<environment>/` subdirectory. They are not
+ * tracked, so write them to be re-runnable.
+ *
+ * @example
+ * const Migrator = require('./lib/migrator');
+ * const migrator = new Migrator(db, { directory: 'migrations' });
+ * await migrator.up();
+ * console.table(await migrator.status());
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+
+/**
+ * Migration file name pattern: version, name and extension.
+ * @type {RegExp}
+ */
+const MIGRATION_FILE = /^(\d{14})_(\w+)\.(sql|js)$/;
+
+/**
+ * Templates written by {@link Migrator#create}.
+ * @type {Object<string, string>}
+ */
+const TEMPLATES = {
+  sql: '-- migrate:up\n\n\n-- migrate:down\n\n',
+  js: [
+    '/** @param {import("../lib/transaction").Transaction} db */',
+    'exports.up = async (db) => {};',
+    '',
+    '/** @param {import("../lib/transaction").Transaction} db */',
+    'exports.down = async (db) => {};',
+    '',
+  ].join('\n'),
+};
+
+/**
+ * Splits a SQL script into statements on `;`, ignoring semicolons inside quotes,
+ * comments and PostgreSQL dollar-quoted bodies.
+ * @param {string} script - The SQL script.
+ * @returns {string[]} The non-empty statements.
+ */
+function splitStatements(script) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+  const { length } = script;
+  const copyUntil = (end, from) => {
+    const stop = script.indexOf(end, from);
+    const to = stop === -1 ? length : stop + end.length;
+    current += script.slice(i, to);
+    i = to;
+  };
+
+  while (i < length) {
+    const char = script[i];
+    const next = script.slice(i, i + 2);
+    const dollar = char === '$' && script.slice(i).match(/^\$\w*\$/);
+    if (next === '--') copyUntil('\n', i);
+    else if (next === '/*') copyUntil('*/', i + 2);
+    else if (dollar) copyUntil(dollar[0], i + dollar[0].length);
+    else if (char === "'" || char === '"' || char === '`') copyUntil(char, i + 1);
+    else if (char === ';') {
+      statements.push(current);
+      current = '';
+      i += 1;
+    } else {
+      current += char;
+      i += 1;
+    }
+  }
+  statements.push(current);
+
+  return statements
+    .map((statement) => statement.trim())
+    .filter((statement) => statement.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, '').trim());
+}
+
+/**
+ * Advisory lock statements for each dialect. SQLite databases are local files, so they are not locked.
+ * @type {Object<string, { acquire: string, release: string }>}
+ */
+const LOCKS = {
+  mysql: {
+    acquire: 'SELECT GET_LOCK(:name, :timeout) AS acquired',
+    release: 'SELECT RELEASE_LOCK(:name) AS released',
+  },
+  postgres: {
+    acquire: 'SELECT pg_try_advisory_lock(hashtext(:name)) AS acquired',
+    release: 'SELECT pg_advisory_unlock(hashtext(:name)) AS released',
+  },
+};
+
+/**
+ * Runs migrations and seeds against a DatabaseClient.
+ * @class
+ */
+class Migrator {
+  /**
+   * @param {import('./databaseClient')} client - Database client.
+   * @param {object} [options]
+   * @param {string} [options.directory='migrations'] - Migrations directory.
+   * @param {string} [options.seedsDirectory='seeds'] - Seeds directory.
+   * @param {string} [options.tableName='schema_migrations'] - Tracking table.
+   * @param {number} [options.lockTimeout=60] - Seconds to wait for another instance's lock.
+   */
+  constructor(
+    client,
+    {
+      directory = 'migrations',
+      seedsDirectory = 'seeds',
+      tableName = 'schema_migrations',
+      lockTimeout = 60,
+    } = {}
+  ) {
+    this.client = client;
+    this.directory = path.resolve(directory);
+    this.seedsDirectory = path.resolve(seedsDirectory);
+    this.tableName = tableName;
+    this.lockTimeout = lockTimeout;
+  }
+
+  /**
+   * Creates a migration file.
+   * @param {string} name - Migration name, e.g. `create_users`.
+   * @param {object} [options]
+   * @param {'sql'|'js'} [options.type='sql'] - File type.
+   * @returns {string} Path of the new file.
+   * @throws {Error} If the name or type is invalid.
+   */
+  create(name, { type = 'sql' } = {}) {
+    const slug = String(name || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_|_$/g, '');
+    if (!slug) throw new Error('Migration name is required.');
+    if (!TEMPLATES[type]) throw new Error(`Unsupported migration type "${type}". Use sql or js.`);
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const file = path.join(
+      this.directory,
+      `${moment().utc().format('YYYYMMDDHHmmss')}_${slug}.${type}`
+    );
+    fs.writeFileSync(file, TEMPLATES[type], { flag: 'wx' });
+    return file;
+  }
+
+  /**
+   * Lists migration files, oldest first.
+   * @returns {{ version: string, name: string, file: string, type: string, checksum: string }[]}
+   * @throws {Error} If two files share a version.
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.directory)) return [];
+    const migrations = fs
+      .readdirSync(this.directory)
+      .map((file) => file.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .map(([file, version, name, type]) => {
+        const fullPath = path.join(this.directory, file);
+        const checksum = crypto
+          .createHash('sha256')
+          .update(fs.readFileSync(fullPath))
+          .digest('hex');
+        return { version, name, file: fullPath, type, checksum };
+      })
+      .sort((a, b) => a.version.localeCompare(b.version));
+
+    migrations.forEach((migration, i) => {
+      if (i > 0 && migrations[i - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}.`);
+      }
+    });
+    return migrations;
+  }
+
+  /**
+   * Reports every migration and whether it is applied, pending, changed since it was
+   * applied, or applied but missing from the directory.
+   * @returns {Promise<{ version: string, name: string, state: 'applied'|'pending'|'changed'|'missing', appliedAt: Date|string|null }[]>}
+   */
+  async status() {
+    return this.client.session(async (db) => {
+      await this.ensureTable(db);
+      return this.compare(db);
+    });
+  }
+
+  /**
+   * Applies pending migrations.
+   * @param {object} [options]
+   * @param {string} [options.to] - Stop after this version.
+   * @returns {Promise<string[]>} Applied migration versions.
+   * @throws {Error} If an applied migration changed since it was applied.
+   */
+  async up({ to } = {}) {
+    return this.withLock(async (db) => {
+      const entries = await this.compare(db);
+      const changed = entries.filter((entry) => entry.state === 'changed');
+      if (changed.length) {
+        throw new Error(
+          `Applied migrations were modified: ${changed.map((e) => `${e.version}_${e.name}`)}.`
+        );
+      }
+
+      const pending = entries.filter(
+        (entry) => entry.state === 'pending' && (!to || entry.version <= to)
+      );
+      // eslint-disable-next-line no-restricted-syntax
+      for (const { migration } of pending) {
+        // eslint-disable-next-line no-await-in-loop
+        await db.transaction(async (tx) => {
+          await this.runMigration(tx, migration, 'up');
+          await tx.query(
+            `INSERT INTO ${this.tableName} (version, name, checksum, applied_at) VALUES (:version, :name, :checksum, :appliedAt)`,
+            { ...migration, appliedAt: moment().utc().toDate() }
+          );
+        });
+      }
+      return pending.map((entry) => entry.version);
+    });
+  }
+
+  /**
+   * Reverts the most recently applied migrations.
+   * @param {object} [options]
+   * @param {number} [options.steps=1] - Number of migrations to revert.
+   * @returns {Promise<string[]>} Reverted migration versions.
+   * @throws {Error} If a migration to revert is missing or has no down section.
+   */
+  async down({ steps = 1 } = {}) {
+    return this.withLock(async (db) => {
+      const applied = (await this.compare(db))
+        .filter((entry) => entry.state !== 'pending')
+        .reverse()
+        .slice(0, steps);
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const entry of applied) {
+        if (!entry.migration) {
+          throw new Error(`Migration ${entry.version}_${entry.name} is missing; cannot revert it.`);
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await db.transaction(async (tx) => {
+          await this.runMigration(tx, entry.migration, 'down');
+          await tx.query(`DELETE FROM ${this.tableName} WHERE version = :version`, entry);
+        });
+      }
+      return applied.map((entry) => entry.version);
+    });
+  }
+
+  /**
+   * Runs the seed files for an environment.
+   * @param {object} [options]
+   * @param {string} [options.environment=process.env.NODE_ENV||'development'] - Seeds subdirectory to run after the shared seeds.
+   * @returns {Promise<string[]>} Seed files run, relative to the seeds directory.
+   */
+  async seed({ environment = process.env.NODE_ENV || 'development' } = {}) {
+    const listSeeds = (dir) =>
+      fs.existsSync(dir)
+        ? fs
+            .readdirSync(dir)
+            .filter((file) => /\.(sql|js)$/.test(file))
+            .sort()
+            .map((file) => path.join(dir, file))
+        : [];
+    const files = [
+      ...listSeeds(this.seedsDirectory),
+      ...listSeeds(path.join(this.seedsDirectory, environment)),
+    ];
+
+    return this.withLock(async (db) => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const file of files) {
+        // eslint-disable-next-line no-await-in-loop
+        await db.transaction(async (tx) => {
+          if (file.endsWith('.sql')) {
+            await Migrator.runScript(tx, fs.readFileSync(file, 'utf8'));
+          } else {
+            // eslint-disable-next-line global-require, import/no-dynamic-require
+            const seed = require(file);
+            await (typeof seed === 'function' ? seed : seed.seed)(tx);
+          }
+        });
+      }
+      return files.map((file) => path.relative(this.seedsDirectory, file));
+    });
+  }
+
+  /**
+   * Creates the tracking table if needed.
+   * @param {{ query: Function }} db
+   * @returns {Promise<void>}
+   * @private
+   */
+  async ensureTable(db) {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS ${this.tableName} (
+        version VARCHAR(14) NOT NULL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP NOT NULL
+      )`
+    );
+  }
+
+  /**
+   * Joins migration files with the tracking table.
+   * @param {{ query: Function }} db
+   * @returns {Promise<object[]>}
+   * @private
+   */
+  async compare(db) {
+    const migrations = this.loadMigrations();
+    const rows = await db.query(
+      `SELECT version, name, checksum, applied_at FROM ${this.tableName} ORDER BY version`
+    );
+    const applied = new Map(rows.map((row) => [String(row.version), row]));
+
+    const entries = migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      applied.delete(migration.version);
+      let state = 'pending';
+      if (row) state = row.checksum === migration.checksum ? 'applied' : 'changed';
+      return {
+        version: migration.version,
+        name: migration.name,
+        state,
+        appliedAt: row ? row.applied_at : null,
+        migration,
+      };
+    });
+    applied.forEach((row) =>
+      entries.push({
+        version: String(row.version),
+        name: row.name,
+        state: 'missing',
+        appliedAt: row.applied_at,
+        migration: null,
+      })
+    );
+    return entries.sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  /**
+   * Runs one direction of a migration.
+   * @param {import('./transaction').Transaction} tx
+   * @param {object} migration
+   * @param {'up'|'down'} direction
+   * @returns {Promise<void>}
+   * @private
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async runMigration(tx, migration, direction) {
+    const label = `${migration.version}_${migration.name}`;
+    if (migration.type === 'js') {
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      const definition = require(migration.file);
+      if (typeof definition[direction] !== 'function') {
+        throw new Error(`Migration ${label} has no ${direction} function.`);
+      }
+      await definition[direction](tx);
+      return;
+    }
+
+    const source = fs.readFileSync(migration.file, 'utf8');
+    const sections = source.split(/^--\s*migrate:(up|down)\s*$/m);
+    const index = sections.indexOf(direction);
+    if (index === -1)
+      throw new Error(`Migration ${label} has no "-- migrate:${direction}" section.`);
+    await Migrator.runScript(tx, sections[index + 1]);
+  }
+
+  /**
+   * Runs a SQL script statement by statement.
+   * @param {{ query: Function }} db
+   * @param {string} script
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async runScript(db, script) {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const statement of splitStatements(script)) {
+      // eslint-disable-next-line no-await-in-loop
+      await db.query(statement);
+    }
+  }
+
+  /**
+   * Runs `fn` on one connection while holding the migration advisory lock.
+   * @template T
+   * @param {(db: object) => Promise<T>} fn
+   * @returns {Promise<T>}
+   * @throws {Error} If the lock is not acquired within `lockTimeout` seconds.
+   * @private
+   */
+  async withLock(fn) {
+    const lock = LOCKS[this.client.dialect];
+    const params = { name: `migrations:${this.tableName}`, timeout: this.lockTimeout };
+
+    return this.client.session(async (db) => {
+      if (lock) {
+        const deadline = Date.now() + this.lockTimeout * 1000;
+        // GET_LOCK waits by itself; pg_try_advisory_lock is polled
+        for (;;) {
+          // eslint-disable-next-line no-await-in-loop
+          const [{ acquired }] = await db.query(lock.acquire, params);
+          if (acquired === 1 || acquired === true) break;
+          if (Date.now() >= deadline) {
+            throw new Error('Timed out waiting for the migration lock held by another instance.');
+          }
+          // eslint-disable-next-line no-await-in-loop
+          await new Promise((resolve) => {
+            setTimeout(resolve, 500);
+          });
+        }
+      }
+      try {
+        await this.ensureTable(db);
+        return await fn(db);
+      } finally {
+        if (lock) await db.query(lock.release, params);
+      }
+    });
+  }
+}
+
+Migrator.splitStatements = splitStatements;
+
+module.exports = Migrator;
@@ -1,8 +1,7 @@
 /**
  * @module lib/mysql
- * @description MySQLClient class for managing MySQL connections, pools, and safe queries with named parameters.
+ * @description MySQLClient adapter for managing MySQL connections, pools, and safe queries with named parameters.
  * @requires mysql2
- * @requires sqlstring
  *
  * @example <caption>Single Connection</caption>
  * const MySQLClient = require('./lib/mysql');
@@ -15,112 +14,158 @@
  * const poolClient = new MySQLClient({ host: 'localhost', user: 'root', password: '', database: 'test', connectionLimit: 10 }, true);
  * const rows = await poolClient.query('SELECT * FROM users');
  * await poolClient.close();
+ *
+ * @example <caption>Transaction</caption>
+ * await poolClient.transaction(async (tx) => {
+ *   await tx.query('UPDATE accounts SET balance = balance - :amount WHERE id = :id', { amount, id });
+ *   await tx.query('INSERT INTO transfers (account_id, amount) VALUES (:id, :amount)', { amount, id });
+ * });
  */
 
-const mysql = require('mysql2');
-const SqlString = require('sqlstring');
+const mysql = require('mysql2/promise');
+const DatabaseClient = require('./databaseClient');
+
+/**
+ * @typedef {object} PoolState
+ * @property {Set<object>} all - Open connections.
+ * @property {Set<object>} idle - Connections released to the pool.
+ * @property {number} waiting - Checkouts queued for a connection.
+ * @property {boolean} enqueued - Whether the last checkout was queued.
+ * @private
+ */
+
+/**
+ * Follows the connections of a mysql2 pool through its events, as mysql2 has no public
+ * counters. A connection counts from its `connection` event until it ends or fails, and is idle
+ * from `release` to `acquire`. Queued checkouts are counted by `acquire()`, since mysql2 hands a
+ * released connection to the next one in the queue without an event.
+ * @param {import('mysql2/promise').Pool} pool
+ * @returns {PoolState}
+ * @private
+ */
+function trackPool(pool) {
+  const state = { all: new Set(), idle: new Set(), waiting: 0, enqueued: false };
+  pool.on('connection', (connection) => {
+    const remove = () => {
+      state.all.delete(connection);
+      state.idle.delete(connection);
+    };
+    state.all.add(connection);
+    connection.once('end', remove);
+    connection.once('error', remove);
+  });
+  pool.on('acquire', (connection) => state.idle.delete(connection));
+  pool.on('release', (connection) => state.idle.add(connection));
+  pool.on('enqueue', () => {
+    state.enqueued = true;
+  });
+  return state;
+}
 
 /**
  * MySQLClient class for managing a MySQL connection or pool.
+ * Takes mysql2 connection or pool options and a `usePool` flag; the connection is opened
+ * on the first query or `connect()`.
  * @class
+ * @extends DatabaseClient
  */
-class MySQLClient {
-  /**
-   * Create a MySQLClient instance.
-   * @param {object} options - mysql2 connection or pool options.
-   * @param {boolean} [usePool=false] - Whether to use a connection pool.
-   * @example
-   * // Single connection
-   * const client = new MySQLClient({ host: 'localhost', user: 'root', password: '', database: 'test' });
-   *
-   * // Connection pool
-   * const poolClient = new MySQLClient({ host: 'localhost', user: 'root', password: '', database: 'test', connectionLimit: 10 }, true);
-   */
-  constructor(options, usePool = false) {
-    this.usePool = usePool;
-    this.options = options;
-    this.conn = usePool ? mysql.createPool(options) : mysql.createConnection(options);
+class MySQLClient extends DatabaseClient {
+  constructor(options, usePool) {
+    super(options, usePool);
+    /**
+     * Connection counts of the pool, once open.
+     * @type {PoolState|null}
+     * @private
+     */
+    this.poolState = null;
+  }
 
-    // Set custom query format for named parameters
-    if (this.usePool) {
-      this.conn.config.connectionConfig.queryFormat = this.customQueryFormat.bind(this.conn);
-    } else {
-      this.conn.config.queryFormat = this.customQueryFormat.bind(this.conn);
+  /** @protected */
+  async openConnection() {
+    if (!this.usePool) return mysql.createConnection(this.options);
+    const pool = mysql.createPool(this.options);
+    this.poolState = trackPool(pool);
+    try {
+      const conn = await pool.getConnection();
+      conn.release();
+    } catch (err) {
+      await pool.end().catch(() => {});
+      throw err;
     }
+    return pool;
+  }
+
+  /** @protected */
+  // eslint-disable-next-line class-methods-use-this
+  async closeConnection(conn) {
+    await conn.end();
+  }
+
+  /** @protected */
+  // eslint-disable-next-line class-methods-use-this
+  async run(handle, text, values) {
+    const [result] = await handle.query(text, values);
+    if (Array.isArray(result)) return { rows: result, affectedRows: 0, insertId: null };
+    const queryResult = {
+      rows: [],
+      affectedRows: result.affectedRows,
+      insertId: result.insertId || null,
+    };
+    // Kept for rowsOf(), out of the common result shape
+    Object.defineProperty(queryResult, 'header', { value: result });
+    return queryResult;
   }
 
   /**
-   * Custom query formatter for :key replacements in SQL queries.
-   * @param {string} query - The SQL query string.
-   * @param {object} values - The values to replace in the query.
-   * @returns {string} The formatted SQL query.
-   * @this {import("mysql2").Connection|import("mysql2").Pool}
-   * @private
+   * Writes resolve with mysql2's `ResultSetHeader` (`insertId`, `affectedRows`, ...), as
+   * `query()` always has on MySQL; reads with the rows.
+   * @protected
    */
-  customQueryFormat(query, values) {
-    if (!values) return query;
-    return query.replace(/:(\w+)/g, (txt, key) => {
-      if (Object.prototype.hasOwnProperty.call(values, key)) {
-        return this.escape(values[key]);
-      }
-      return txt;
-    });
+  // eslint-disable-next-line class-methods-use-this
+  rowsOf(result) {
+    return result.header || result.rows;
   }
 
   /**
-   * Validates a SQL statement for safety and warns about potential SQL injection risks.
-   * @param {string} statement - The SQL statement to validate.
-   * @throws {Error} If the statement is not a string or is malformed.
-   * @private
+   * mysql2 emits `enqueue` while `getConnection()` runs, so a queued checkout counts as waiting
+   * until it gets its connection.
+   * @protected
    */
-  static validateStatements(statement) {
-    if (typeof statement !== 'string') {
-      throw new Error('All statements must be strings.');
-    }
+  async acquire() {
+    if (!this.usePool) return this.acquireConnection();
+    const state = this.poolState;
+    if (state) state.enqueued = false;
+    const checkout = this.conn.getConnection();
+    const queued = Boolean(state && state.enqueued);
+    if (queued) state.waiting += 1;
     try {
-      SqlString.format(statement);
-    } catch (e) {
-      throw new Error(`Invalid SQL statement: ${e.message}`);
-    }
-    if (statement.includes('${')) {
-      // eslint-disable-next-line no-console
-      console.warn(
-        'Warning: Potential SQL injection risk detected (template literal) in statement:',
-        statement
-      );
-    }
-    if (statement.match(/['"`][^'"`]*\+[^\n]*\w/)) {
-      // eslint-disable-next-line no-console
-      console.warn(
-        'Warning: Potential SQL injection risk detected (string concatenation) in statement:',
-        statement
-      );
+      const handle = await checkout;
+      return { handle, release: () => handle.release() };
+    } finally {
+      if (queued) state.waiting -= 1;
     }
   }
 
   /**
-   * Executes a SQL query using this connection or pool.
-   * @param {string} sql - The SQL query string. Supports :key named parameters.
-   * @param {object|array} [params] - The query parameters.
-   * @returns {Promise<any>} The result rows.
-   * @example
-   * const rows = await client.query("SELECT * FROM users WHERE id = :id", { id: 1 });
+   * Counts of the pool, followed through its events (see `trackPool`).
+   * @protected
    */
-  async query(sql, params) {
-    MySQLClient.validateStatements(sql);
-    const [rows] = await this.conn.promise().query(sql, params);
-    return rows;
+  connectionStats(conn) {
+    if (!this.usePool) return super.connectionStats(conn);
+    const state = this.poolState;
+    if (!state) return { total: 0, idle: 0, waiting: 0 };
+    return { total: state.all.size, idle: state.idle.size, waiting: state.waiting };
   }
 
-  /**
-   * Closes the connection or pool.
-   * @returns {Promise<void>}
-   * @example
-   * await client.close();
-   */
-  async close() {
-    await this.conn.promise().end();
+  /** @protected */
+  // eslint-disable-next-line class-methods-use-this
+  beginStatements(isolationLevel) {
+    return isolationLevel
+      ? [`SET TRANSACTION ISOLATION LEVEL ${isolationLevel}`, 'START TRANSACTION']
+      : ['START TRANSACTION'];
   }
 }
 
+MySQLClient.dialect = 'mysql';
+
 module.exports = MySQLClient;
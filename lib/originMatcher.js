@@ -0,0 +1,64 @@
+/**
+ * @module lib/originMatcher
+ * @description Matches request origins against an allowlist for CORS. Entries can be:
+ * - an exact origin: `https://app.example.com`
+ * - a wildcard subdomain: `https://*.example.com` (any depth of subdomain, not the apex)
+ * - a regular expression, as a RegExp or a `/pattern/flags` string: `/^https:\/\/pr-\d+\.example\.com$/`
+ *
+ * @example
+ * const createOriginMatcher = require('./lib/originMatcher');
+ * const isAllowed = createOriginMatcher(['https://example.com', 'https://*.example.com']);
+ * isAllowed('https://api.example.com'); // true
+ * isAllowed('https://example.com.evil.io'); // false
+ */
+
+/**
+ * Normalizes an origin for exact comparison: lower-case, without a trailing slash.
+ * @param {string} origin
+ * @returns {string}
+ * @private
+ */
+function normalize(origin) {
+  return origin.trim().toLowerCase().replace(/\/+$/, '');
+}
+
+/**
+ * Compiles one allowlist entry.
+ * @param {string|RegExp} entry
+ * @returns {(origin: string) => boolean}
+ * @throws {Error} If a regular expression entry does not compile.
+ * @private
+ */
+function compile(entry) {
+  if (entry instanceof RegExp) return (origin) => entry.test(origin);
+
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(entry);
+  if (regex) {
+    const pattern = new RegExp(regex[1], regex[2]);
+    return (origin) => pattern.test(origin);
+  }
+
+  const expected = normalize(entry);
+  if (expected.includes('*')) {
+    const source = expected
+      .split('*.')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('(?:[a-z0-9-]+\\.)+');
+    const pattern = new RegExp(`^${source}$`);
+    return (origin) => pattern.test(normalize(origin));
+  }
+  return (origin) => normalize(origin) === expected;
+}
+
+/**
+ * Creates a matcher for an origin allowlist.
+ * @param {(string|RegExp)[]} entries - Allowed origins.
+ * @returns {(origin: string|undefined) => boolean} Whether an origin is allowed; requests
+ *   without an Origin header never match.
+ */
+function createOriginMatcher(entries) {
+  const matchers = entries.map(compile);
+  return (origin) => Boolean(origin) && matchers.some((matches) => matches(origin));
+}
+
+module.exports = createOriginMatcher;
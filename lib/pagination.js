@@ -0,0 +1,219 @@
+/**
+ * @module lib/pagination
+ * @description Builds `WHERE` / `ORDER BY` / `LIMIT` SQL fragments with `:name` parameters for
+ * DatabaseClient (MySQL, PostgreSQL, SQLite) from a parsed list query, for offset and keyset (cursor) pagination.
+ *
+ * A list query (produced by the `queryParser` middleware) looks like:
+ * ```
+ * {
+ *   mode: 'offset' | 'cursor',
+ *   page: 2, limit: 20, offset: 20,               // offset mode
+ *   cursor: { values: [...], direction: 'next' },  // cursor mode, null on the first page
+ *   sort: [{ field: 'createdAt', column: 'created_at', direction: 'desc' }],
+ *   filters: [{ field: 'status', column: 'status', operator: 'eq', value: 'active' }],
+ * }
+ * ```
+ * Column names come from the whitelist given to the parser and are quoted for the dialect;
+ * every value is passed as a named parameter.
+ *
+ * @example <caption>Offset pagination</caption>
+ * const { buildListQuery } = require('./lib/pagination');
+ * const { where, orderBy, limit, params } = buildListQuery(req.listQuery, { dialect: db.dialect });
+ * const rows = await db.query(`SELECT * FROM users ${where} ${orderBy} ${limit}`, params);
+ * const [{ total }] = await db.query(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+ * return paginated(res, rows, { ...req.listQuery, total });
+ *
+ * @example <caption>Cursor pagination</caption>
+ * const { buildListQuery, paginateRows } = require('./lib/pagination');
+ * const { where, orderBy, limit, params } = buildListQuery(req.listQuery, { dialect: 'postgres' });
+ * const rows = await db.query(`SELECT * FROM users ${where} ${orderBy} ${limit}`, params);
+ * const page = paginateRows(rows, req.listQuery);
+ * return paginated(res, page.rows, page.meta);
+ */
+
+const { quoteIdentifier } = require('./queryBuilder');
+
+/**
+ * SQL for each filter operator. `in` and `like` are handled separately.
+ * @type {Object<string, string>}
+ */
+const COMPARISONS = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+/**
+ * Supported filter operators.
+ * @type {string[]}
+ */
+const OPERATORS = [...Object.keys(COMPARISONS), 'in', 'like'];
+
+/**
+ * Encodes keyset values into an opaque cursor.
+ * @param {any[]} values - Sort column values of the boundary row.
+ * @param {'next'|'prev'} [direction='next'] - Page the cursor points to.
+ * @returns {string} A base64url cursor.
+ */
+function encodeCursor(values, direction = 'next') {
+  return Buffer.from(JSON.stringify({ v: values, d: direction })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by {@link encodeCursor}.
+ * @param {string} cursor - The cursor.
+ * @returns {{ values: any[], direction: 'next'|'prev' }|null} The decoded cursor, or null if invalid.
+ */
+function decodeCursor(cursor) {
+  try {
+    const { v, d } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Array.isArray(v) || !['next', 'prev'].includes(d)) return null;
+    return { values: v, direction: d };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Builds the conditions for a list of filters.
+ * @param {object[]} filters - Parsed filters.
+ * @param {'mysql'|'postgres'|'sqlite'} dialect - SQL dialect.
+ * @returns {{ conditions: string[], params: object }} SQL conditions and their parameters.
+ */
+function buildFilterConditions(filters, dialect) {
+  const params = {};
+  const conditions = filters.map(({ column, operator, value }, i) => {
+    const col = quoteIdentifier(column, dialect);
+    if (operator === 'in') {
+      const names = value.map((item, j) => {
+        params[`f${i}_${j}`] = item;
+        return `:f${i}_${j}`;
+      });
+      return `${col} IN (${names.join(', ')})`;
+    }
+    if (operator === 'like') {
+      params[`f${i}`] = `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+      return `${col} LIKE :f${i}`;
+    }
+    params[`f${i}`] = value;
+    return `${col} ${COMPARISONS[operator]} :f${i}`;
+  });
+  return { conditions, params };
+}
+
+/**
+ * Builds the keyset condition selecting rows after (or before) the cursor row.
+ * For sort `(a ASC, b DESC)` and cursor `(x, y)` this is `(a > x) OR (a = x AND b < y)`.
+ * @param {object[]} sort - Parsed sort entries.
+ * @param {any[]} values - Cursor values, one per sort entry.
+ * @param {'mysql'|'postgres'|'sqlite'} dialect - SQL dialect.
+ * @param {boolean} [backwards=false] - Select rows before the cursor row.
+ * @returns {{ condition: string, params: object }} SQL condition and its parameters.
+ */
+function buildKeysetCondition(sort, values, dialect, backwards = false) {
+  const params = {};
+  sort.forEach((entry, i) => {
+    params[`c${i}`] = values[i];
+  });
+  const branches = sort.map((entry, i) => {
+    const ascending = (entry.direction === 'asc') !== backwards;
+    const equal = sort
+      .slice(0, i)
+      .map((prev, j) => `${quoteIdentifier(prev.column, dialect)} = :c${j}`);
+    const compare = `${quoteIdentifier(entry.column, dialect)} ${ascending ? '>' : '<'} :c${i}`;
+    return `(${[...equal, compare].join(' AND ')})`;
+  });
+  return { condition: `(${branches.join(' OR ')})`, params };
+}
+
+/**
+ * Builds an `ORDER BY` clause.
+ * @param {object[]} sort - Parsed sort entries.
+ * @param {'mysql'|'postgres'|'sqlite'} dialect - SQL dialect.
+ * @param {boolean} [reverse=false] - Reverse every direction.
+ * @returns {string} The clause, or an empty string without sort entries.
+ */
+function buildOrderBy(sort, dialect, reverse = false) {
+  if (!sort.length) return '';
+  const columns = sort.map(({ column, direction }) => {
+    const ascending = (direction === 'asc') !== reverse;
+    return `${quoteIdentifier(column, dialect)} ${ascending ? 'ASC' : 'DESC'}`;
+  });
+  return `ORDER BY ${columns.join(', ')}`;
+}
+
+/**
+ * Builds the `WHERE`, `ORDER BY` and `LIMIT` fragments of a list query.
+ * In cursor mode one extra row is requested so {@link paginateRows} can tell whether
+ * another page exists.
+ * @param {object} listQuery - Parsed list query.
+ * @param {object} options
+ * @param {'mysql'|'postgres'|'sqlite'} options.dialect - SQL dialect.
+ * @returns {{ where: string, orderBy: string, limit: string, params: object }} SQL fragments and parameters.
+ */
+function buildListQuery(listQuery, { dialect }) {
+  const { mode, sort = [], filters = [], limit, offset, cursor } = listQuery;
+  const { conditions, params } = buildFilterConditions(filters, dialect);
+  const backwards = Boolean(cursor && cursor.direction === 'prev');
+
+  if (mode === 'cursor' && cursor) {
+    const keyset = buildKeysetCondition(sort, cursor.values, dialect, backwards);
+    conditions.push(keyset.condition);
+    Object.assign(params, keyset.params);
+  }
+
+  let limitSql;
+  if (mode === 'cursor') {
+    params.limit = limit + 1;
+    limitSql = 'LIMIT :limit';
+  } else {
+    params.limit = limit;
+    params.offset = offset;
+    limitSql = 'LIMIT :limit OFFSET :offset';
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    orderBy: buildOrderBy(sort, dialect, backwards),
+    limit: limitSql,
+    params,
+  };
+}
+
+/**
+ * Trims the extra row fetched in cursor mode, restores the order of backwards pages and
+ * computes the cursors of the neighbouring pages.
+ * @param {object[]} rows - Rows returned by the query built with {@link buildListQuery}.
+ * @param {object} listQuery - Parsed list query.
+ * @returns {{ rows: object[], meta: { limit: number, nextCursor: string|null, prevCursor: string|null } }}
+ */
+function paginateRows(rows, listQuery) {
+  const { sort, limit, cursor } = listQuery;
+  const backwards = Boolean(cursor && cursor.direction === 'prev');
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const valuesOf = (row) =>
+    sort.map(({ field, column }) => (field in row ? row[field] : row[column]));
+  const hasNext = backwards ? Boolean(cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  return {
+    rows: page,
+    meta: {
+      limit,
+      nextCursor:
+        hasNext && page.length ? encodeCursor(valuesOf(page[page.length - 1]), 'next') : null,
+      prevCursor: hasPrev && page.length ? encodeCursor(valuesOf(page[0]), 'prev') : null,
+    },
+  };
+}
+
+module.exports = {
+  OPERATORS,
+  quoteIdentifier,
+  encodeCursor,
+  decodeCursor,
+  buildFilterConditions,
+  buildKeysetCondition,
+  buildOrderBy,
+  buildListQuery,
+  paginateRows,
+};
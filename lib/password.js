@@ -0,0 +1,110 @@
+/**
+ * @module lib/password
+ * @description Password hashing with Node's built-in scrypt.
+ *
+ * Hashes are PHC-formatted strings, `$scrypt$ln=15,r=8,p=1$<salt>$<hash>` (base64), so they carry
+ * their own parameters: raising the cost does not invalidate stored hashes, and `needsRehash`
+ * tells when a hash should be upgraded after a successful login.
+ *
+ * @example
+ * const { hashPassword, verifyPassword } = require('./lib/password');
+ * const hash = await hashPassword('correct horse battery staple', { cost: 15 });
+ * await verifyPassword('correct horse battery staple', hash); // true
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * @typedef {object} HashOptions
+ * @property {number} [cost=15] - log2 of the scrypt CPU/memory cost `N` (15 = 32768).
+ * @property {number} [blockSize=8] - scrypt `r`.
+ * @property {number} [parallelization=1] - scrypt `p`.
+ */
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+const HASH_PATTERN = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/;
+
+/**
+ * Derives a key with scrypt, allowing the memory the parameters need.
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {number} keyLength
+ * @param {{ cost: number, blockSize: number, parallelization: number }} params
+ * @returns {Promise<Buffer>}
+ * @private
+ */
+function derive(password, salt, keyLength, { cost, blockSize, parallelization }) {
+  const N = 2 ** cost;
+  return scrypt(password.normalize('NFKC'), salt, keyLength, {
+    N,
+    r: blockSize,
+    p: parallelization,
+    maxmem: 256 * N * blockSize,
+  });
+}
+
+/**
+ * Parses a PHC scrypt hash.
+ * @param {string} hash
+ * @returns {{ cost: number, blockSize: number, parallelization: number, salt: Buffer, key: Buffer }|null}
+ * @private
+ */
+function parse(hash) {
+  const match = HASH_PATTERN.exec(hash || '');
+  if (!match) return null;
+  return {
+    cost: Number(match[1]),
+    blockSize: Number(match[2]),
+    parallelization: Number(match[3]),
+    salt: Buffer.from(match[4], 'base64'),
+    key: Buffer.from(match[5], 'base64'),
+  };
+}
+
+/**
+ * Hashes a password with a random salt.
+ * @param {string} password
+ * @param {HashOptions} [options]
+ * @returns {Promise<string>} The PHC-formatted hash.
+ */
+async function hashPassword(password, { cost = 15, blockSize = 8, parallelization = 1 } = {}) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await derive(password, salt, KEY_BYTES, { cost, blockSize, parallelization });
+  const b64 = (buffer) => buffer.toString('base64').replace(/=+$/, '');
+  return `$scrypt$ln=${cost},r=${blockSize},p=${parallelization}$${b64(salt)}$${b64(key)}`;
+}
+
+/**
+ * Checks a password against a hash in constant time.
+ * @param {string} password
+ * @param {string} hash - A hash from {@link hashPassword}.
+ * @returns {Promise<boolean>} False for a wrong password or a malformed hash.
+ */
+async function verifyPassword(password, hash) {
+  const parsed = parse(hash);
+  if (!parsed) return false;
+  const key = await derive(password, parsed.salt, parsed.key.length, parsed);
+  return crypto.timingSafeEqual(key, parsed.key);
+}
+
+/**
+ * Tells whether a hash was made with other parameters than the current ones.
+ * @param {string} hash
+ * @param {HashOptions} [options] - The current parameters.
+ * @returns {boolean}
+ */
+function needsRehash(hash, { cost = 15, blockSize = 8, parallelization = 1 } = {}) {
+  const parsed = parse(hash);
+  return (
+    !parsed ||
+    parsed.cost !== cost ||
+    parsed.blockSize !== blockSize ||
+    parsed.parallelization !== parallelization
+  );
+}
+
+module.exports = { hashPassword, verifyPassword, needsRehash };
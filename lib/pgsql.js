@@ -1,8 +1,7 @@
 /**
  * @module lib/pgsql
- * @description PgSQLClient class for managing PostgreSQL connections, pools, and safe queries with named parameters.
+ * @description PgSQLClient adapter for managing PostgreSQL connections, pools, and safe queries with named parameters.
  * @requires pg
- * @requires sqlstring
  *
  * @example <caption>Single Client</caption>
  * const PgSQLClient = require('./lib/pgsql');
@@ -15,120 +14,86 @@
  * const poolClient = new PgSQLClient({ host: 'localhost', user: 'postgres', password: '', database: 'test', max: 10 }, true);
  * const rows = await poolClient.query('SELECT * FROM users');
  * await poolClient.close();
+ *
+ * @example <caption>Transaction</caption>
+ * await poolClient.transaction(async (tx) => {
+ *   await tx.query('UPDATE accounts SET balance = balance - :amount WHERE id = :id', { amount, id });
+ *   await tx.query('INSERT INTO transfers (account_id, amount) VALUES (:id, :amount)', { amount, id });
+ * });
  */
 
 const { Client, Pool } = require('pg');
-const SqlString = require('sqlstring');
+const DatabaseClient = require('./databaseClient');
+
+/**
+ * Commands whose row count is a number of changed rows.
+ * @type {string[]}
+ */
+const WRITE_COMMANDS = ['INSERT', 'UPDATE', 'DELETE', 'MERGE'];
 
 /**
  * PgSQLClient class for managing a PostgreSQL client or pool.
+ * Takes pg Client or Pool options and a `usePool` flag; the connection is opened
+ * on the first query or `connect()`. Use `RETURNING` to read generated ids.
  * @class
+ * @extends DatabaseClient
  */
-class PgSQLClient {
-  /**
-   * Create a PgSQLClient instance.
-   * @param {object} options - pg Client or Pool options.
-   * @param {boolean} [usePool=false] - Whether to use a connection pool.
-   * @example
-   * // Single client
-   * const client = new PgSQLClient({ host: 'localhost', user: 'postgres', password: '', database: 'test' });
-   *
-   * // Connection pool
-   * const poolClient = new PgSQLClient({ host: 'localhost', user: 'postgres', password: '', database: 'test', max: 10 }, true);
-   */
-  constructor(options, usePool = false) {
-    this.usePool = usePool;
-    this.options = options;
-    this.conn = usePool ? new Pool(options) : new Client(options);
-    this.connected = false;
-  }
-
-  /**
-   * Replaces :key in SQL with $1, $2, ... and returns { text, values } for pg.
-   * @param {string} query - The SQL query string.
-   * @param {object} values - The values to replace in the query.
-   * @returns {{ text: string, values: any[] }} The formatted query and values.
-   * @private
-   */
-  static formatQuery(query, values) {
-    if (!values) return { text: query, values: [] };
-    const keys = [];
-    const text = query.replace(/:(\w+)/g, (txt, key) => {
-      if (!(key in values)) return txt;
-      let idx = keys.indexOf(key);
-      if (idx === -1) {
-        keys.push(key);
-        idx = keys.length - 1;
+class PgSQLClient extends DatabaseClient {
+  /** @protected */
+  async openConnection() {
+    if (this.usePool) {
+      const pool = new Pool(this.options);
+      try {
+        const client = await pool.connect();
+        client.release();
+      } catch (err) {
+        await pool.end().catch(() => {});
+        throw err;
       }
-      return `$${idx + 1}`;
-    });
-    const vals = keys.map((k) => values[k]);
-    return { text, values: vals };
+      return pool;
+    }
+    const client = new Client(this.options);
+    await client.connect();
+    return client;
   }
 
-  /**
-   * Validates a SQL statement for safety and warns about potential SQL injection risks.
-   * @param {string} statement - The SQL statement to validate.
-   * @throws {Error} If the statement is not a string or is malformed.
-   * @private
-   */
-  static validateStatements(statement) {
-    if (typeof statement !== 'string') {
-      throw new Error('All statements must be strings.');
-    }
-    try {
-      SqlString.format(statement);
-    } catch (e) {
-      throw new Error(`Invalid SQL statement: ${e.message}`);
-    }
-    if (statement.includes('${')) {
-      // eslint-disable-next-line no-console
-      console.warn(
-        'Warning: Potential SQL injection risk detected (template literal) in statement:',
-        statement
-      );
-    }
-    if (statement.match(/['"`][^'"`]*\+[^\n]*\w/)) {
-      // eslint-disable-next-line no-console
-      console.warn(
-        'Warning: Potential SQL injection risk detected (string concatenation) in statement:',
-        statement
-      );
-    }
+  /** @protected */
+  // eslint-disable-next-line class-methods-use-this
+  async closeConnection(conn) {
+    await conn.end();
   }
 
-  /**
-   * Executes a SQL query using this client or pool.
-   * @param {string} sql - The SQL query string. Supports :key named parameters.
-   * @param {object} [params] - The query parameters.
-   * @returns {Promise<any[]>} The result rows.
-   * @example
-   * const rows = await client.query("SELECT * FROM users WHERE id = :id", { id: 1 });
-   */
-  async query(sql, params) {
-    PgSQLClient.validateStatements(sql);
-    const { text, values } = PgSQLClient.formatQuery(sql, params);
+  /** @protected */
+  // eslint-disable-next-line class-methods-use-this
+  placeholder(position) {
+    return `$${position}`;
+  }
 
-    // Connect if not using pool and not yet connected
-    if (!this.usePool && !this.connected) {
-      await this.conn.connect();
-      this.connected = true;
-    }
+  /** @protected */
+  // eslint-disable-next-line class-methods-use-this
+  async run(handle, text, values) {
+    const res = await handle.query(text, values);
+    return {
+      rows: res.rows || [],
+      affectedRows: WRITE_COMMANDS.includes(res.command) ? res.rowCount : 0,
+      insertId: null,
+    };
+  }
 
-    const res = await this.conn.query(text, values);
-    return res.rows;
+  /** @protected */
+  connectionStats(conn) {
+    if (!this.usePool) return super.connectionStats(conn);
+    return { total: conn.totalCount, idle: conn.idleCount, waiting: conn.waitingCount };
   }
 
-  /**
-   * Closes the client or pool.
-   * @returns {Promise<void>}
-   * @example
-   * await client.close();
-   */
-  async close() {
-    await this.conn.end();
-    this.connected = false;
+  /** @protected */
+  async acquire() {
+    if (!this.usePool) return this.acquireConnection();
+    const handle = await this.conn.connect();
+    return { handle, release: () => handle.release() };
   }
 }
 
+PgSQLClient.dialect = 'postgres';
+
 module.exports = PgSQLClient;
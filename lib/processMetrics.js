@@ -0,0 +1,80 @@
+/**
+ * @module lib/processMetrics
+ * @description Registers Node.js process metrics on a {@link MetricsRegistry}: memory, event-loop
+ * lag and garbage collection pauses. Names follow the Prometheus client conventions.
+ *
+ * @example
+ * const { MetricsRegistry } = require('./lib/metrics');
+ * const registerProcessMetrics = require('./lib/processMetrics');
+ * const registry = new MetricsRegistry();
+ * const stop = registerProcessMetrics(registry);
+ */
+
+const { monitorEventLoopDelay, PerformanceObserver, constants } = require('perf_hooks');
+
+/**
+ * GC kind label for each perf_hooks GC kind constant.
+ * @type {Object<number, string>}
+ */
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb',
+};
+
+/**
+ * Registers the process metrics.
+ * @param {import('./metrics').MetricsRegistry} registry
+ * @returns {() => void} Stops the event-loop and GC observers.
+ */
+function registerProcessMetrics(registry) {
+  registry.gauge('process_start_time_seconds', 'Start time of the process in Unix seconds.', {
+    collect: (gauge) => gauge.set({}, Math.round(Date.now() / 1000 - process.uptime())),
+  });
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', {
+    collect: (gauge) => gauge.set({}, process.memoryUsage().rss),
+  });
+  registry.gauge('nodejs_heap_size_total_bytes', 'V8 heap size in bytes.', {
+    collect: (gauge) => gauge.set({}, process.memoryUsage().heapTotal),
+  });
+  registry.gauge('nodejs_heap_size_used_bytes', 'V8 heap used in bytes.', {
+    collect: (gauge) => gauge.set({}, process.memoryUsage().heapUsed),
+  });
+
+  const monitor = monitorEventLoopDelay({ resolution: 10 });
+  monitor.enable();
+  registry.gauge(
+    'nodejs_eventloop_lag_seconds',
+    'Event-loop delay since the previous scrape, by quantile.',
+    {
+      collect: (gauge) => {
+        [0.5, 0.99].forEach((quantile) => {
+          gauge.set({ quantile: String(quantile) }, monitor.percentile(quantile * 100) / 1e9);
+        });
+        gauge.set({ quantile: '1' }, monitor.max / 1e9);
+        monitor.reset();
+      },
+    }
+  );
+
+  const gcDurations = registry.histogram(
+    'nodejs_gc_duration_seconds',
+    'Garbage collection pauses by kind.',
+    { buckets: [0.001, 0.01, 0.1, 1, 2, 5] }
+  );
+  const observer = new PerformanceObserver((list) => {
+    list.getEntries().forEach((entry) => {
+      const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'unknown';
+      gcDurations.observe({ kind }, entry.duration / 1000);
+    });
+  });
+  observer.observe({ entryTypes: ['gc'] });
+
+  return () => {
+    monitor.disable();
+    observer.disconnect();
+  };
+}
+
+module.exports = registerProcessMetrics;
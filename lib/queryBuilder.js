@@ -0,0 +1,593 @@
+/**
+ * @module lib/queryBuilder
+ * @description Fluent query builder producing SQL with `:name` parameters for DatabaseClient
+ * (`MySQLClient`, `PgSQLClient`, `SQLiteClient`) and transactions.
+ *
+ * Identifiers (tables, columns, aliases) are always quoted for the dialect, so column and
+ * sort names taken from requests cannot inject SQL; every value becomes a named parameter.
+ * Operators and sort directions are checked against allowlists. Use {@link raw} for
+ * expressions the builder does not cover.
+ *
+ * @example <caption>Build SQL</caption>
+ * const { QueryBuilder } = require('./lib/queryBuilder');
+ * const { sql, params } = new QueryBuilder('postgres')
+ *   .select('u.id', 'u.name', 'p.title AS post')
+ *   .from('users AS u')
+ *   .leftJoin('posts AS p', 'p.user_id', 'u.id')
+ *   .where('u.status', 'active')
+ *   .where('u.age', '>=', 18)
+ *   .whereIn('u.role', ['admin', 'editor'])
+ *   .orderBy(req.query.sortBy, 'desc')
+ *   .limit(20)
+ *   .toSQL();
+ * // SELECT "u"."id", "u"."name", "p"."title" AS "post" FROM "users" AS "u" LEFT JOIN ...
+ *
+ * @example <caption>Run on a client or transaction</caption>
+ * const [user] = await new QueryBuilder(db)
+ *   .insert({ name: 'Ada', email: 'ada@example.com' })
+ *   .into('users')
+ *   .returning('id', 'name')
+ *   .query();
+ * await db.transaction((tx) =>
+ *   new QueryBuilder(tx).update({ visits: raw('visits + 1') }).table('users').where('id', 1).execute()
+ * );
+ */
+
+/**
+ * Supported SQL dialects.
+ * @type {string[]}
+ */
+const DIALECTS = ['mysql', 'postgres', 'sqlite'];
+
+/**
+ * Comparison operators accepted by `where()`. `ILIKE` and `NOT ILIKE` are PostgreSQL only.
+ * @type {string[]}
+ */
+const OPERATORS = ['=', '<>', '!=', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE', 'ILIKE', 'NOT ILIKE'];
+
+/**
+ * Marks raw SQL fragments.
+ * @type {symbol}
+ */
+const RAW = Symbol('raw');
+
+/**
+ * Wraps a SQL fragment that is inserted as is. Never build it from user input; pass
+ * values through `params` instead.
+ * @param {string} sql - SQL fragment, may contain :name parameters.
+ * @param {object} [params={}] - Parameters used by the fragment.
+ * @returns {{ sql: string, params: object }} A raw fragment.
+ * @example
+ * builder.select('id', raw('COUNT(*) AS total')).where(raw('created_at > NOW() - :age::interval', { age: '1 day' }));
+ */
+function raw(sql, params = {}) {
+  return Object.freeze({ [RAW]: true, sql, params });
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} Whether `value` was created by {@link raw}.
+ * @private
+ */
+function isRaw(value) {
+  return Boolean(value && value[RAW]);
+}
+
+/**
+ * Quotes an identifier, optionally qualified (`table.column`), for the dialect.
+ * `*` is kept as is, so `users.*` works.
+ * @param {string} name - The identifier.
+ * @param {'mysql'|'postgres'|'sqlite'} dialect - SQL dialect.
+ * @returns {string} The quoted identifier.
+ * @throws {Error} If the dialect is not supported or the identifier is empty.
+ */
+function quoteIdentifier(name, dialect) {
+  if (!DIALECTS.includes(dialect)) {
+    throw new Error(`Unsupported dialect "${dialect}". Use one of: ${DIALECTS}.`);
+  }
+  if (typeof name !== 'string' || !name) throw new Error('Identifier must be a non-empty string.');
+  const quote = dialect === 'mysql' ? '`' : '"';
+  return name
+    .split('.')
+    .map((part) =>
+      part === '*' ? part : `${quote}${part.split(quote).join(quote + quote)}${quote}`
+    )
+    .join('.');
+}
+
+/**
+ * Builds one SQL statement.
+ * @class
+ */
+class QueryBuilder {
+  /**
+   * @param {string|{ dialect: string, query: Function, execute: Function }} [target='mysql'] -
+   *   A dialect name, or a client / transaction to run the statement on.
+   * @param {object} [parent] - Builder sharing its parameters, for grouped conditions.
+   */
+  constructor(target = 'mysql', parent = null) {
+    this.client = typeof target === 'string' ? null : target;
+    this.dialect = typeof target === 'string' ? target : target.dialect;
+    if (!DIALECTS.includes(this.dialect)) {
+      throw new Error(`Unsupported dialect "${this.dialect}". Use one of: ${DIALECTS}.`);
+    }
+    this.params = parent ? parent.params : {};
+    this.counter = parent ? parent.counter : { value: 0 };
+    this.type = 'select';
+    this.tableName = null;
+    this.columns = [];
+    this.isDistinct = false;
+    this.values = [];
+    this.joins = [];
+    this.conditions = [];
+    this.groups = [];
+    this.orders = [];
+    this.limitValue = null;
+    this.offsetValue = null;
+    this.returnColumns = [];
+  }
+
+  /**
+   * Starts a SELECT. Without columns, selects `*`.
+   * @param {...(string|object)} columns - Column names (`'name'`, `'u.name AS author'`) or {@link raw} fragments.
+   * @returns {this}
+   */
+  select(...columns) {
+    this.type = 'select';
+    this.columns = columns;
+    return this;
+  }
+
+  /**
+   * Selects distinct rows.
+   * @returns {this}
+   */
+  distinct() {
+    this.isDistinct = true;
+    return this;
+  }
+
+  /**
+   * Starts an INSERT of one row or several rows with the same columns.
+   * @param {object|object[]} rows - Column/value pairs.
+   * @returns {this}
+   * @throws {Error} If there are no rows or they have different columns.
+   */
+  insert(rows) {
+    const list = [].concat(rows);
+    if (!list.length) throw new Error('insert() needs at least one row.');
+    const keys = Object.keys(list[0]).sort().join();
+    if (list.some((row) => Object.keys(row).sort().join() !== keys)) {
+      throw new Error('All inserted rows must have the same columns.');
+    }
+    this.type = 'insert';
+    this.values = list;
+    return this;
+  }
+
+  /**
+   * Starts an UPDATE.
+   * @param {object} values - Column/value pairs; values may be {@link raw} fragments.
+   * @returns {this}
+   */
+  update(values) {
+    this.type = 'update';
+    this.values = [values];
+    return this;
+  }
+
+  /**
+   * Starts a DELETE.
+   * @returns {this}
+   */
+  delete() {
+    this.type = 'delete';
+    return this;
+  }
+
+  /**
+   * Sets the table. `into()` and `table()` are aliases that read better for INSERT and UPDATE.
+   * @param {string} table - Table name, optionally with an alias (`'users AS u'`).
+   * @returns {this}
+   */
+  from(table) {
+    this.tableName = table;
+    return this;
+  }
+
+  /** @see QueryBuilder#from */
+  into(table) {
+    return this.from(table);
+  }
+
+  /** @see QueryBuilder#from */
+  table(table) {
+    return this.from(table);
+  }
+
+  /**
+   * Adds an INNER JOIN on `left = right` (or `left <operator> right`).
+   * @param {string} table - Joined table, optionally aliased.
+   * @param {string} left - Column of one side.
+   * @param {string} operator - Comparison operator, or the right column when omitted.
+   * @param {string} [right] - Column of the other side.
+   * @returns {this}
+   */
+  join(table, left, operator, right) {
+    return this.addJoin('INNER', table, left, operator, right);
+  }
+
+  /** @see QueryBuilder#join */
+  leftJoin(table, left, operator, right) {
+    return this.addJoin('LEFT', table, left, operator, right);
+  }
+
+  /** @see QueryBuilder#join */
+  rightJoin(table, left, operator, right) {
+    return this.addJoin('RIGHT', table, left, operator, right);
+  }
+
+  /**
+   * Adds an AND condition:
+   * - `where('status', 'active')` – equality (`IS NULL` for null).
+   * - `where('age', '>=', 18)` – comparison with an allowed operator. Lists of values need
+   *   `whereIn()`.
+   * - `where({ status: 'active', role: 'admin' })` – several equalities.
+   * - `where((q) => q.where('a', 1).orWhere('b', 2))` – parenthesized group.
+   * - `where(raw('...', params))` – raw condition.
+   * @returns {this}
+   * @throws {Error} If the operator is not allowed, or not supported by the dialect, or the value
+   *   is an array.
+   */
+  where(...args) {
+    return this.addCondition('AND', args);
+  }
+
+  /** @see QueryBuilder#where */
+  orWhere(...args) {
+    return this.addCondition('OR', args);
+  }
+
+  /**
+   * Adds `column IN (...)`. An empty list matches nothing.
+   * @param {string} column
+   * @param {any[]} values
+   * @returns {this}
+   */
+  whereIn(column, values) {
+    return this.addIn('AND', column, values, false);
+  }
+
+  /**
+   * Adds `column NOT IN (...)`. An empty list matches everything.
+   * @param {string} column
+   * @param {any[]} values
+   * @returns {this}
+   */
+  whereNotIn(column, values) {
+    return this.addIn('AND', column, values, true);
+  }
+
+  /**
+   * Adds `column IS NULL`.
+   * @param {string} column
+   * @returns {this}
+   */
+  whereNull(column) {
+    return this.pushCondition('AND', `${this.quote(column)} IS NULL`);
+  }
+
+  /**
+   * Adds `column IS NOT NULL`.
+   * @param {string} column
+   * @returns {this}
+   */
+  whereNotNull(column) {
+    return this.pushCondition('AND', `${this.quote(column)} IS NOT NULL`);
+  }
+
+  /**
+   * Adds GROUP BY columns.
+   * @param {...string} columns
+   * @returns {this}
+   */
+  groupBy(...columns) {
+    this.groups.push(...columns);
+    return this;
+  }
+
+  /**
+   * Adds an ORDER BY column.
+   * @param {string} column - Column name, e.g. from a whitelisted sort parameter.
+   * @param {'asc'|'desc'} [direction='asc'] - Sort direction.
+   * @returns {this}
+   * @throws {Error} If the direction is not asc or desc.
+   */
+  orderBy(column, direction = 'asc') {
+    const dir = String(direction).toUpperCase();
+    if (!['ASC', 'DESC'].includes(dir)) {
+      throw new Error(`Invalid sort direction "${direction}". Use asc or desc.`);
+    }
+    this.orders.push(`${this.quote(column)} ${dir}`);
+    return this;
+  }
+
+  /**
+   * Limits the number of rows.
+   * @param {number} count - A non-negative integer.
+   * @returns {this}
+   */
+  limit(count) {
+    this.limitValue = QueryBuilder.toCount(count, 'limit');
+    return this;
+  }
+
+  /**
+   * Skips rows.
+   * @param {number} count - A non-negative integer.
+   * @returns {this}
+   */
+  offset(count) {
+    this.offsetValue = QueryBuilder.toCount(count, 'offset');
+    return this;
+  }
+
+  /**
+   * Returns columns of the inserted, updated or deleted rows (PostgreSQL and SQLite).
+   * @param {...string} columns - Columns, `*` by default.
+   * @returns {this}
+   */
+  returning(...columns) {
+    this.returnColumns = columns.length ? columns : ['*'];
+    return this;
+  }
+
+  /**
+   * Builds the statement.
+   * @returns {{ sql: string, params: object }} SQL with :name parameters and their values.
+   * @throws {Error} If the statement is incomplete or uses features the dialect lacks.
+   */
+  toSQL() {
+    if (!this.tableName) throw new Error(`${this.type}() needs a table.`);
+    // Values, limits and offsets get their parameters while rendering; drop them afterwards
+    // so toSQL() can be called again
+    const counter = this.counter.value;
+    const params = { ...this.params };
+    try {
+      return this.render();
+    } finally {
+      this.counter.value = counter;
+      Object.keys(this.params).forEach((key) => {
+        if (!(key in params)) delete this.params[key];
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  render() {
+    const table = this.quoteAliased(this.tableName);
+    const parts = [];
+
+    if (this.type === 'select') {
+      const columns = this.columns.length ? this.columns.map((c) => this.quoteAliased(c)) : ['*'];
+      parts.push(`SELECT${this.isDistinct ? ' DISTINCT' : ''} ${columns.join(', ')} FROM ${table}`);
+      parts.push(...this.joins);
+    } else if (this.type === 'insert') {
+      const keys = Object.keys(this.values[0]);
+      const rows = this.values.map(
+        (row) => `(${keys.map((key) => this.value(row[key])).join(', ')})`
+      );
+      parts.push(
+        `INSERT INTO ${table} (${keys.map((k) => this.quote(k)).join(', ')}) VALUES ${rows.join(', ')}`
+      );
+    } else if (this.type === 'update') {
+      const sets = Object.entries(this.values[0]).map(
+        ([key, value]) => `${this.quote(key)} = ${this.value(value)}`
+      );
+      if (!sets.length) throw new Error('update() needs at least one column.');
+      parts.push(`UPDATE ${table} SET ${sets.join(', ')}`);
+    } else {
+      parts.push(`DELETE FROM ${table}`);
+    }
+
+    const where = this.renderConditions();
+    if (where && this.type !== 'insert') parts.push(`WHERE ${where}`);
+    if (this.type === 'select') {
+      if (this.groups.length)
+        parts.push(`GROUP BY ${this.groups.map((g) => this.quote(g)).join(', ')}`);
+      if (this.orders.length) parts.push(`ORDER BY ${this.orders.join(', ')}`);
+      if (this.limitValue !== null) parts.push(`LIMIT ${this.param(this.limitValue)}`);
+      if (this.offsetValue !== null) {
+        if (this.limitValue === null && this.dialect !== 'postgres') {
+          // MySQL and SQLite only accept OFFSET after LIMIT
+          parts.push(this.dialect === 'mysql' ? 'LIMIT 18446744073709551615' : 'LIMIT -1');
+        }
+        parts.push(`OFFSET ${this.param(this.offsetValue)}`);
+      }
+    }
+    if (this.returnColumns.length) {
+      if (this.dialect === 'mysql') throw new Error('RETURNING is not supported by MySQL.');
+      parts.push(`RETURNING ${this.returnColumns.map((c) => this.quoteAliased(c)).join(', ')}`);
+    }
+
+    return { sql: parts.join(' '), params: { ...this.params } };
+  }
+
+  /**
+   * Runs the statement on the client and resolves with its rows.
+   * @returns {Promise<object[]>}
+   * @throws {Error} If the builder was created without a client.
+   */
+  async query() {
+    const { sql, params } = this.toSQL();
+    return this.requireClient().query(sql, params);
+  }
+
+  /**
+   * Runs the statement on the client and resolves with `{ rows, affectedRows, insertId }`.
+   * @returns {Promise<import('./databaseClient').QueryResult>}
+   * @throws {Error} If the builder was created without a client.
+   */
+  async execute() {
+    const { sql, params } = this.toSQL();
+    return this.requireClient().execute(sql, params);
+  }
+
+  /**
+   * @private
+   */
+  requireClient() {
+    if (!this.client) throw new Error('QueryBuilder was created without a client.');
+    return this.client;
+  }
+
+  /**
+   * @private
+   */
+  addJoin(type, table, left, operator, right) {
+    const [op, other] = right === undefined ? ['=', operator] : [operator, right];
+    this.checkOperator(op);
+    this.joins.push(
+      `${type} JOIN ${this.quoteAliased(table)} ON ${this.quote(left)} ${op.toUpperCase()} ${this.quote(other)}`
+    );
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  addCondition(boolean, args) {
+    const [first] = args;
+    if (isRaw(first)) {
+      Object.assign(this.params, first.params);
+      return this.pushCondition(boolean, `(${first.sql})`);
+    }
+    if (typeof first === 'function') {
+      const group = new QueryBuilder(this.dialect, this);
+      first(group);
+      const sql = group.renderConditions();
+      return sql ? this.pushCondition(boolean, `(${sql})`) : this;
+    }
+    if (first && typeof first === 'object') {
+      Object.entries(first).forEach(([column, value]) =>
+        this.addCondition(boolean, [column, value])
+      );
+      return this;
+    }
+
+    const [column, operator, value] = args.length === 2 ? [first, '=', args[1]] : args;
+    const op = this.checkOperator(operator);
+    if (Array.isArray(value)) {
+      throw new Error(`Use whereIn() to compare "${column}" with a list of values.`);
+    }
+    if (value === null && ['=', '<>', '!='].includes(op)) {
+      return this.pushCondition(
+        boolean,
+        `${this.quote(column)} IS ${op === '=' ? '' : 'NOT '}NULL`
+      );
+    }
+    return this.pushCondition(boolean, `${this.quote(column)} ${op} ${this.value(value)}`);
+  }
+
+  /**
+   * @private
+   */
+  addIn(boolean, column, values, negate) {
+    if (!Array.isArray(values)) throw new Error('whereIn() needs an array of values.');
+    if (!values.length) return this.pushCondition(boolean, negate ? '1 = 1' : '1 = 0');
+    const list = values.map((value) => this.value(value)).join(', ');
+    return this.pushCondition(
+      boolean,
+      `${this.quote(column)} ${negate ? 'NOT IN' : 'IN'} (${list})`
+    );
+  }
+
+  /**
+   * @private
+   */
+  pushCondition(boolean, sql) {
+    this.conditions.push({ boolean, sql });
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  renderConditions() {
+    return this.conditions
+      .map(({ boolean, sql }, i) => (i === 0 ? sql : `${boolean} ${sql}`))
+      .join(' ');
+  }
+
+  /**
+   * Adds a parameter and returns its placeholder.
+   * @private
+   */
+  param(value) {
+    this.counter.value += 1;
+    const name = `p${this.counter.value}`;
+    this.params[name] = value;
+    return `:${name}`;
+  }
+
+  /**
+   * Placeholder for a value, or the SQL of a raw fragment.
+   * @private
+   */
+  value(value) {
+    if (isRaw(value)) {
+      Object.assign(this.params, value.params);
+      return value.sql;
+    }
+    return this.param(value === undefined ? null : value);
+  }
+
+  /**
+   * Quotes a column, or renders a raw fragment.
+   * @private
+   */
+  quote(column) {
+    if (isRaw(column)) return this.value(column);
+    return quoteIdentifier(column, this.dialect);
+  }
+
+  /**
+   * Quotes `name` or `name AS alias`.
+   * @private
+   */
+  quoteAliased(name) {
+    if (isRaw(name)) return this.value(name);
+    const match = String(name).match(/^(.+?)\s+as\s+(.+)$/i);
+    if (!match) return this.quote(name);
+    return `${this.quote(match[1].trim())} AS ${this.quote(match[2].trim())}`;
+  }
+
+  /**
+   * @private
+   */
+  checkOperator(operator) {
+    const op = String(operator).toUpperCase();
+    if (!OPERATORS.includes(op)) {
+      throw new Error(`Unsupported operator "${operator}". Use one of: ${OPERATORS.join(', ')}.`);
+    }
+    if (op.endsWith('ILIKE') && this.dialect !== 'postgres') {
+      throw new Error(`${op} is only supported by PostgreSQL; use LIKE on ${this.dialect}.`);
+    }
+    return op;
+  }
+
+  /**
+   * @private
+   */
+  static toCount(count, name) {
+    const number = Number(count);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${name}() needs a non-negative integer.`);
+    }
+    return number;
+  }
+}
+
+module.exports = { QueryBuilder, raw, quoteIdentifier, DIALECTS, OPERATORS };
@@ -0,0 +1,61 @@
+/**
+ * In-memory rate limit store. State is lost on restart and not shared between processes, so
+ * each instance enforces its own limits.
+ * @class
+ */
+class MemoryRateLimitStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.pruneInterval=60000] - Minimum time in ms between sweeps of
+   *   expired keys.
+   */
+  constructor({ pruneInterval = 60000 } = {}) {
+    this.entries = new Map();
+    this.pruneInterval = pruneInterval;
+    this.prunedAt = Date.now();
+  }
+
+  /**
+   * Removes expired keys, at most once per `pruneInterval`.
+   * @param {number} now - Epoch ms.
+   * @private
+   */
+  prune(now) {
+    if (now - this.prunedAt < this.pruneInterval) return;
+    this.prunedAt = now;
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    });
+  }
+
+  /**
+   * Atomically reads, updates and stores the state of a key.
+   * @template R
+   * @param {string} key
+   * @param {(state: object|null, now: number) => { state: object, expiresAt: number, result: R }} fn -
+   *   Receives the current state, or null when there is none or it expired.
+   * @returns {Promise<R>} The result returned by `fn`.
+   */
+  async update(key, fn) {
+    const now = Date.now();
+    this.prune(now);
+    const entry = this.entries.get(key);
+    const { state, expiresAt, result } = fn(
+      entry && entry.expiresAt > now ? entry.state : null,
+      now
+    );
+    this.entries.set(key, { state, expiresAt });
+    return result;
+  }
+
+  /**
+   * Forgets a key, e.g. after a successful login.
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = MemoryRateLimitStore;
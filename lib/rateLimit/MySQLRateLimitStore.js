@@ -0,0 +1,24 @@
+const SQLRateLimitStore = require('./SQLRateLimitStore');
+
+/**
+ * Rate limit store backed by MySQLClient.
+ * @class
+ */
+class MySQLRateLimitStore extends SQLRateLimitStore {
+  tableDefinitions() {
+    return [
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        id VARCHAR(255) PRIMARY KEY,
+        state TEXT NULL,
+        expires_at BIGINT NOT NULL,
+        INDEX (expires_at)
+      )`,
+    ];
+  }
+
+  insertIgnoreStatement() {
+    return `INSERT IGNORE INTO ${this.table} (id, expires_at) VALUES (:id, 0)`;
+  }
+}
+
+module.exports = MySQLRateLimitStore;
@@ -0,0 +1,24 @@
+const SQLRateLimitStore = require('./SQLRateLimitStore');
+
+/**
+ * Rate limit store backed by PgSQLClient.
+ * @class
+ */
+class PgSQLRateLimitStore extends SQLRateLimitStore {
+  tableDefinitions() {
+    return [
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        id VARCHAR(255) PRIMARY KEY,
+        state TEXT NULL,
+        expires_at BIGINT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS ${this.table}_expires_at_idx ON ${this.table} (expires_at)`,
+    ];
+  }
+
+  insertIgnoreStatement() {
+    return `INSERT INTO ${this.table} (id, expires_at) VALUES (:id, 0) ON CONFLICT DO NOTHING`;
+  }
+}
+
+module.exports = PgSQLRateLimitStore;
@@ -0,0 +1,71 @@
+const { ALGORITHMS } = require('./algorithms');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+
+/**
+ * Applies one rate limit policy to keys, keeping state in a store.
+ * @class
+ */
+class RateLimiter {
+  /**
+   * @param {object} options
+   * @param {number} options.limit - Requests allowed per window (bucket capacity for
+   *   `token-bucket`).
+   * @param {number} options.windowMs - Window length in ms (time to refill the bucket for
+   *   `token-bucket`).
+   * @param {'fixed-window'|'sliding-window'|'token-bucket'} [options.algorithm='fixed-window']
+   * @param {object} [options.store] - MemoryRateLimitStore or a SQL store; defaults to a new
+   *   in-memory store.
+   * @param {string} [options.prefix='rl'] - Prefix of the stored keys, so limiters can share a store.
+   * @throws {Error} If the algorithm is unknown or the limit or window is not positive.
+   */
+  constructor({
+    limit,
+    windowMs,
+    algorithm = 'fixed-window',
+    store = new MemoryRateLimitStore(),
+    prefix = 'rl',
+  }) {
+    if (!ALGORITHMS[algorithm]) {
+      throw new Error(
+        `Unknown rate limit algorithm "${algorithm}". Use one of: ${Object.keys(ALGORITHMS)}.`
+      );
+    }
+    if (!(limit > 0) || !(windowMs > 0)) {
+      throw new Error('Rate limit "limit" and "windowMs" must be positive numbers.');
+    }
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.algorithm = algorithm;
+    this.store = store;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Counts a request against a key.
+   * @param {string} key - E.g. `ip:203.0.113.7`.
+   * @param {number} [cost=1] - Weight of the request.
+   * @returns {Promise<import('./algorithms').RateLimitResult & { limit: number }>}
+   * @throws {Error} If the cost exceeds the limit, so the request could never pass.
+   */
+  async consume(key, cost = 1) {
+    if (cost > this.limit) {
+      throw new Error(`Rate limit cost ${cost} exceeds the limit of ${this.limit}.`);
+    }
+    const step = ALGORITHMS[this.algorithm];
+    const result = await this.store.update(`${this.prefix}:${key}`, (state, now) =>
+      step(state, { now, limit: this.limit, windowMs: this.windowMs, cost })
+    );
+    return { limit: this.limit, ...result };
+  }
+
+  /**
+   * Clears the state of a key.
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  reset(key) {
+    return this.store.reset(`${this.prefix}:${key}`);
+  }
+}
+
+module.exports = RateLimiter;
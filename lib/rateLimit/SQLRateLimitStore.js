@@ -0,0 +1,101 @@
+const { runStatements } = require('../schema');
+
+/**
+ * Base class for SQL-backed rate limit stores, so limits hold across instances. Works with any
+ * DatabaseClient exposing `transaction()`; each update locks the key's row for its duration.
+ * @class
+ */
+class SQLRateLimitStore {
+  /**
+   * @param {import('../databaseClient')} client - Database client.
+   * @param {object} [options]
+   * @param {string} [options.table='rate_limits'] - Name of the store table.
+   * @param {number} [options.retries=3] - Extra attempts after a deadlock.
+   */
+  constructor(client, { table = 'rate_limits', retries = 3 } = {}) {
+    this.client = client;
+    this.table = table;
+    this.retries = retries;
+  }
+
+  /**
+   * SQL statements creating the store table.
+   * @returns {string[]}
+   * @abstract
+   */
+  // eslint-disable-next-line class-methods-use-this
+  tableDefinitions() {
+    throw new Error('tableDefinitions() must be implemented by a subclass.');
+  }
+
+  /**
+   * Statement inserting an empty row for `:id` unless it exists.
+   * @returns {string}
+   * @abstract
+   */
+  // eslint-disable-next-line class-methods-use-this
+  insertIgnoreStatement() {
+    throw new Error('insertIgnoreStatement() must be implemented by a subclass.');
+  }
+
+  /**
+   * Clause appended to the SELECT to lock the row until the transaction ends.
+   * @type {string}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  get lockClause() {
+    return ' FOR UPDATE';
+  }
+
+  /**
+   * Creates the store table if it does not exist, e.g. in tests. Applications create it with a
+   * migration instead.
+   * @returns {Promise<void>}
+   */
+  async createTables() {
+    await runStatements(this.client, this.tableDefinitions());
+  }
+
+  /**
+   * Deletes expired rows.
+   * @returns {Promise<void>}
+   */
+  async purgeExpired() {
+    await this.client.query(`DELETE FROM ${this.table} WHERE expires_at <= :now`, {
+      now: Date.now(),
+    });
+  }
+
+  /**
+   * @see MemoryRateLimitStore#update
+   */
+  async update(key, fn) {
+    return this.client.transaction(
+      async (tx) => {
+        await tx.query(this.insertIgnoreStatement(), { id: key });
+        const [row] = await tx.query(
+          `SELECT state, expires_at FROM ${this.table} WHERE id = :id${this.lockClause}`,
+          { id: key }
+        );
+        const now = Date.now();
+        const current = row.state && Number(row.expires_at) > now ? JSON.parse(row.state) : null;
+        const { state, expiresAt, result } = fn(current, now);
+        await tx.query(
+          `UPDATE ${this.table} SET state = :state, expires_at = :expiresAt WHERE id = :id`,
+          { id: key, state: JSON.stringify(state), expiresAt: Math.ceil(expiresAt) }
+        );
+        return result;
+      },
+      { retries: this.retries }
+    );
+  }
+
+  /**
+   * @see MemoryRateLimitStore#reset
+   */
+  async reset(key) {
+    await this.client.query(`DELETE FROM ${this.table} WHERE id = :id`, { id: key });
+  }
+}
+
+module.exports = SQLRateLimitStore;
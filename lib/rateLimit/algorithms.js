@@ -0,0 +1,118 @@
+/**
+ * @module lib/rateLimit/algorithms
+ * @description Rate limiting algorithms. Each is a pure function taking the stored state of a key
+ * (`null` when there is none or it expired) and returning the next state, when it expires and the
+ * decision, so stores only need to persist state atomically.
+ */
+
+/**
+ * @typedef {object} RateLimitResult
+ * @property {boolean} allowed - Whether the request may proceed.
+ * @property {number} remaining - Requests left before the limit is reached.
+ * @property {number} resetMs - Time in ms until the quota is fully available again.
+ * @property {number} retryAfterMs - Time in ms until a rejected request may be retried; 0 when allowed.
+ */
+
+/**
+ * @typedef {object} RateLimitStep
+ * @property {object} state - State to store for the key.
+ * @property {number} expiresAt - Epoch ms after which the state can be forgotten.
+ * @property {RateLimitResult} result
+ */
+
+/**
+ * Counts requests in windows of `windowMs` starting at the first request. Cheap and exact, but
+ * allows up to twice the limit around a window boundary.
+ * @param {{ count: number, resetAt: number }|null} state
+ * @param {{ now: number, limit: number, windowMs: number, cost: number }} options
+ * @returns {RateLimitStep}
+ */
+function fixedWindow(state, { now, limit, windowMs, cost }) {
+  const window = state && state.resetAt > now ? state : { count: 0, resetAt: now + windowMs };
+  const allowed = window.count + cost <= limit;
+  const count = allowed ? window.count + cost : window.count;
+  const resetMs = window.resetAt - now;
+  return {
+    state: { count, resetAt: window.resetAt },
+    expiresAt: window.resetAt,
+    result: { allowed, remaining: limit - count, resetMs, retryAfterMs: allowed ? 0 : resetMs },
+  };
+}
+
+/**
+ * Estimates the requests of the last `windowMs` from the counts of the current and previous
+ * aligned windows, weighting the previous one by how much of it still overlaps. Smooths out the
+ * boundary bursts of the fixed window at the cost of a small approximation.
+ * @param {{ start: number, current: number, previous: number }|null} state
+ * @param {{ now: number, limit: number, windowMs: number, cost: number }} options
+ * @returns {RateLimitStep}
+ */
+function slidingWindow(state, { now, limit, windowMs, cost }) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  let current = 0;
+  let previous = 0;
+  if (state && state.start === start) ({ current, previous } = state);
+  else if (state && state.start === start - windowMs) previous = state.current;
+
+  const estimate = () => previous * (1 - (now - start) / windowMs) + current;
+  const allowed = estimate() + cost <= limit;
+  if (allowed) current += cost;
+
+  let retryAfterMs = 0;
+  if (!allowed) {
+    // When the previous window's share has decayed enough, or else once the next window's has
+    const retryAt =
+      current + cost <= limit
+        ? start + windowMs * (1 - (limit - current - cost) / previous)
+        : start + windowMs * (2 - (limit - cost) / current);
+    retryAfterMs = Math.max(1, Math.ceil(retryAt - now));
+  }
+
+  return {
+    state: { start, current, previous },
+    expiresAt: start + 2 * windowMs,
+    result: {
+      allowed,
+      remaining: Math.max(0, Math.floor(limit - estimate())),
+      resetMs: start + windowMs - now,
+      retryAfterMs,
+    },
+  };
+}
+
+/**
+ * Holds up to `limit` tokens, refilled continuously at `limit` per `windowMs`; each request takes
+ * `cost` tokens. Allows short bursts up to the limit while bounding the average rate.
+ * @param {{ tokens: number, updatedAt: number }|null} state
+ * @param {{ now: number, limit: number, windowMs: number, cost: number }} options
+ * @returns {RateLimitStep}
+ */
+function tokenBucket(state, { now, limit, windowMs, cost }) {
+  const rate = limit / windowMs;
+  let tokens = state ? Math.min(limit, state.tokens + (now - state.updatedAt) * rate) : limit;
+  const allowed = tokens >= cost;
+  if (allowed) tokens -= cost;
+  const resetMs = Math.ceil((limit - tokens) / rate);
+  return {
+    state: { tokens, updatedAt: now },
+    expiresAt: now + resetMs,
+    result: {
+      allowed,
+      remaining: Math.floor(tokens),
+      resetMs,
+      retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / rate),
+    },
+  };
+}
+
+/**
+ * Algorithms by name.
+ * @type {Object<string, Function>}
+ */
+const ALGORITHMS = {
+  'fixed-window': fixedWindow,
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket,
+};
+
+module.exports = { ALGORITHMS, fixedWindow, slidingWindow, tokenBucket };
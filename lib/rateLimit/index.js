@@ -0,0 +1,37 @@
+/**
+ * @module lib/rateLimit
+ * @description Rate limiting with fixed-window, sliding-window and token-bucket algorithms and
+ * pluggable stores.
+ *
+ * A store must implement the following async methods:
+ * - `update(key, fn)` – atomically passes the key's unexpired state (or `null`) and the current
+ *   time to `fn`, stores the `state` it returns until `expiresAt`, and resolves its `result`.
+ * - `reset(key)` – forgets the key.
+ *
+ * @example <caption>In-memory (single instance, tests)</caption>
+ * const { RateLimiter } = require('./lib/rateLimit');
+ * const limiter = new RateLimiter({ limit: 5, windowMs: 60000, algorithm: 'sliding-window' });
+ * const { allowed, remaining, retryAfterMs } = await limiter.consume(`ip:${req.ip}`);
+ *
+ * @example <caption>PostgreSQL (shared across instances)</caption>
+ * const { RateLimiter, PgSQLRateLimitStore } = require('./lib/rateLimit');
+ * const store = new PgSQLRateLimitStore(new PgSQLClient(dbOptions, true));
+ * await store.createTables();
+ * const limiter = new RateLimiter({ limit: 100, windowMs: 60000, algorithm: 'token-bucket', store });
+ */
+
+const RateLimiter = require('./RateLimiter');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const SQLRateLimitStore = require('./SQLRateLimitStore');
+const MySQLRateLimitStore = require('./MySQLRateLimitStore');
+const PgSQLRateLimitStore = require('./PgSQLRateLimitStore');
+const { ALGORITHMS } = require('./algorithms');
+
+module.exports = {
+  RateLimiter,
+  MemoryRateLimitStore,
+  SQLRateLimitStore,
+  MySQLRateLimitStore,
+  PgSQLRateLimitStore,
+  ALGORITHMS,
+};
@@ -0,0 +1,40 @@
+/**
+ * @module lib/requestContext
+ * @description Per-request context (such as the request id) kept in AsyncLocalStorage, so code
+ * running on behalf of a request can read it without passing `req` around. The logger and the
+ * database clients use it to tag their output.
+ *
+ * @example
+ * const requestContext = require('./lib/requestContext');
+ * requestContext.run({ requestId: req.id }, next);
+ * // later, in any callback or promise started from that request:
+ * requestContext.get(); // { requestId: '0190...' }
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * @type {AsyncLocalStorage<object>}
+ * @private
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `context` as the current request context.
+ * @template T
+ * @param {object} context - E.g. `{ requestId }`.
+ * @param {() => T} fn
+ * @returns {T} What `fn` returned.
+ */
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * @returns {object|undefined} The current request context, if any.
+ */
+function get() {
+  return storage.getStore();
+}
+
+module.exports = { run, get };
@@ -0,0 +1,175 @@
+/**
+ * @module lib/resourceRegistry
+ * @description Starts and stops the resources a server depends on (database clients, caches,
+ * queues, ...). Resources start in registration order, retrying with exponential backoff, and
+ * stop in reverse order, each bounded by its own timeout.
+ *
+ * @example
+ * const ResourceRegistry = require('./lib/resourceRegistry');
+ * const registry = new ResourceRegistry();
+ * registry.register('database', { start: () => db.connect(), stop: () => db.close(), retries: 5 });
+ * await registry.startAll(); // before server.listen()
+ * // ...
+ * await registry.stopAll(); // after server.close()
+ */
+
+const withTimeout = require('./withTimeout');
+
+/**
+ * @typedef {object} Resource
+ * @property {string} name - Unique name, used in logs.
+ * @property {() => Promise<void>} start - Connects the resource; rejects on failure.
+ * @property {() => Promise<void>} stop - Releases the resource.
+ * @property {number} retries - Extra start attempts after a failure.
+ * @property {number} retryDelay - Delay in ms before the first retry; doubles each time.
+ * @property {number} maxRetryDelay - Upper bound of the retry delay in ms.
+ * @property {number} stopTimeout - Time in ms `stop` may take.
+ * @property {'registered'|'starting'|'started'|'failed'|'stopping'|'stopped'} state
+ */
+
+/**
+ * Ordered registry of startable and stoppable resources.
+ * @class
+ */
+class ResourceRegistry {
+  /**
+   * @param {object} [options]
+   * @param {{ info: Function, warn: Function, error: Function }} [options.logger=console]
+   */
+  constructor({ logger = console } = {}) {
+    this.logger = logger;
+    this.resources = [];
+  }
+
+  /**
+   * Registers a resource. Resources start in registration order and stop in reverse.
+   * @param {string} name - Unique name.
+   * @param {object} options
+   * @param {() => Promise<void>} [options.start] - Connects the resource; rejects on failure.
+   * @param {() => Promise<void>} [options.stop] - Releases the resource.
+   * @param {number} [options.retries=0] - Extra start attempts after a failure.
+   * @param {number} [options.retryDelay=500] - Delay in ms before the first retry; doubles each time.
+   * @param {number} [options.maxRetryDelay=10000] - Upper bound of the retry delay in ms.
+   * @param {number} [options.stopTimeout=5000] - Time in ms `stop` may take.
+   * @returns {this}
+   * @throws {Error} If the name is already registered.
+   */
+  register(
+    name,
+    {
+      start = async () => {},
+      stop = async () => {},
+      retries = 0,
+      retryDelay = 500,
+      maxRetryDelay = 10000,
+      stopTimeout = 5000,
+    } = {}
+  ) {
+    if (this.get(name)) throw new Error(`Resource "${name}" is already registered.`);
+    this.resources.push({
+      name,
+      start,
+      stop,
+      retries,
+      retryDelay,
+      maxRetryDelay,
+      stopTimeout,
+      state: 'registered',
+    });
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Resource|undefined} The registered resource.
+   */
+  get(name) {
+    return this.resources.find((resource) => resource.name === name);
+  }
+
+  /**
+   * Starts every resource in order. When one still fails after its retries, the resources
+   * already started are stopped again and the error is rethrown.
+   * @returns {Promise<void>}
+   * @throws {Error} The last start error of the failing resource.
+   */
+  async startAll() {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const resource of this.resources) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await this.startResource(resource.name);
+      } catch (err) {
+        // eslint-disable-next-line no-await-in-loop
+        await this.stopAll();
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Stops every started resource in reverse order. A failing or timed out `stop` is logged
+   * and does not keep the others from stopping.
+   * @returns {Promise<{ name: string, error: Error }[]>} The resources that failed to stop.
+   */
+  async stopAll() {
+    const failures = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const resource of [...this.resources].reverse()) {
+      if (resource.state === 'started' || resource.state === 'failed') {
+        resource.state = 'stopping';
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await withTimeout(
+            Promise.resolve().then(resource.stop),
+            resource.stopTimeout,
+            `Resource "${resource.name}" did not stop within ${resource.stopTimeout} ms.`
+          );
+          this.logger.info(`Stopped ${resource.name}.`);
+        } catch (error) {
+          this.logger.error(`Failed to stop ${resource.name}: ${error.message}`);
+          failures.push({ name: resource.name, error });
+        }
+        resource.state = 'stopped';
+      }
+    }
+    return failures;
+  }
+
+  /**
+   * Starts one resource, retrying with exponential backoff.
+   * @param {string} name
+   * @returns {Promise<void>}
+   * @private
+   */
+  async startResource(name) {
+    const resource = this.get(name);
+    for (let attempt = 0; ; attempt += 1) {
+      resource.state = 'starting';
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await resource.start();
+        resource.state = 'started';
+        this.logger.info(`Started ${resource.name}.`);
+        return;
+      } catch (err) {
+        resource.state = 'failed';
+        if (attempt >= resource.retries) {
+          this.logger.error(`Failed to start ${resource.name}: ${err.message}`);
+          throw err;
+        }
+        const delay = Math.min(resource.retryDelay * 2 ** attempt, resource.maxRetryDelay);
+        this.logger.warn(
+          `Failed to start ${resource.name} (attempt ${attempt + 1}/${resource.retries + 1}): ` +
+            `${err.message}. Retrying in ${delay} ms.`
+        );
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((resolve) => {
+          setTimeout(resolve, delay);
+        });
+      }
+    }
+  }
+}
+
+module.exports = ResourceRegistry;
@@ -0,0 +1,223 @@
+/**
+ * Convention-based route loading.
+ *
+ * Scans directories for `<name>.routes.js` modules and mounts each at `/<name>`
+ * (`index.routes.js` at `/`). A module exports an Express router, or a definition declaring its
+ * base path, the middleware run before its routes, and whether it is mounted at all:
+ *
+ *   module.exports = {
+ *     basePath: '/api-keys',
+ *     middleware: [authenticate(), requirePermission('apiKeys:manage')],
+ *     router,
+ *   };
+ *
+ * The routes declared on each module's router are collected, so conflicts (the same method and
+ * path in two places) fail at boot and the routes can be printed as a table. Routers mounted
+ * with a path inside a module are mounted too, but their routes are not collected.
+ *
+ * A middleware can describe the authentication or authorization it enforces with an `auth`
+ * property, e.g. `middleware.auth = 'role: admin'`, shown in the table, and describe it for API
+ * docs with an `authorization` property, e.g. "one of the roles `admin`".
+ *
+ * Usage:
+ *   const { loadRoutes, formatRouteTable } = require('../lib/routeLoader');
+ *
+ *   const router = loadRoutes([path.join(__dirname, 'routes'), path.join(__dirname, 'users')]);
+ *   app.use('/api', router);
+ *   logger.info(formatRouteTable(router.routes, { prefix: '/api' }));
+ *
+ * @module routeLoader
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Suffix of route module files.
+ * @type {string}
+ */
+const ROUTES_SUFFIX = '.routes.js';
+
+/**
+ * @typedef {object} RouteModule
+ * @property {import('express').Router} router
+ * @property {string} [basePath] - Mount path; `/<name>` of the `<name>.routes.js` file by default.
+ * @property {import('express').RequestHandler[]} [middleware] - Run before the module's routes.
+ * @property {boolean} [enabled=true] - Set to false to skip the module, e.g. behind a feature flag.
+ */
+
+/**
+ * @typedef {object} RouteInfo
+ * @property {string} method - HTTP method, upper case (`ALL` for `router.all`).
+ * @property {string} path - Full path below the loader's mount point.
+ * @property {string[]} middleware - Names of the handlers run, in order.
+ * @property {string[]} auth - Authentication and authorization requirements, in order.
+ * @property {string[]} authorization - Descriptions of the authorization requirements, in order.
+ * @property {string} file - Route module file, relative to the working directory.
+ */
+
+/**
+ * Joins a base path and a route path.
+ * @param {string} basePath
+ * @param {string} routePath
+ * @returns {string}
+ */
+function joinPaths(basePath, routePath) {
+  const joined = `${basePath}/${routePath}`.replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+/**
+ * Returns the display name of a handler.
+ * @param {Function} handler
+ * @returns {string}
+ */
+function handlerName(handler) {
+  return (handler.name || '<anonymous>').replace(/Middleware$/, '') || '<anonymous>';
+}
+
+/**
+ * Lists the routes declared on a router, with the router-level middleware run before each.
+ * @param {import('express').Router} router
+ * @param {import('express').RequestHandler[]} middleware - Module middleware, run first.
+ * @returns {{ method: string, path: string, handlers: Function[] }[]}
+ */
+function collectRoutes(router, middleware) {
+  const before = [...middleware];
+  const routes = [];
+  router.stack.forEach((layer) => {
+    if (!layer.route) {
+      // Middleware mounted without a path runs before every later route
+      if (layer.slash) before.push(layer.handle);
+      return;
+    }
+    const handlers = [...before, ...layer.route.stack.map(({ handle }) => handle)];
+    Object.keys(layer.route.methods)
+      .filter((method) => layer.route.methods[method])
+      .forEach((method) => {
+        routes.push({
+          method: method === '_all' ? 'ALL' : method.toUpperCase(),
+          path: String(layer.route.path),
+          handlers,
+        });
+      });
+  });
+  return routes;
+}
+
+/**
+ * Lists the route modules of a directory, sorted by file name.
+ * @param {string} directory
+ * @param {string[]} exclude - File names to skip.
+ * @returns {{ file: string, basePath: string }[]}
+ */
+function findRouteModules(directory, exclude) {
+  return fs
+    .readdirSync(directory)
+    .filter((file) => file.endsWith(ROUTES_SUFFIX) && !exclude.includes(file))
+    .sort()
+    .map((file) => {
+      const name = file.slice(0, -ROUTES_SUFFIX.length);
+      return { file: path.join(directory, file), basePath: name === 'index' ? '/' : `/${name}` };
+    });
+}
+
+/**
+ * Normalizes the export of a route module.
+ * @param {import('express').Router|RouteModule} exported
+ * @param {string} file - Module file, for error messages.
+ * @returns {RouteModule}
+ * @throws {Error} If the module exports no router.
+ */
+function toRouteModule(exported, file) {
+  const definition = typeof exported === 'function' ? { router: exported } : exported;
+  if (!definition || typeof definition.router !== 'function') {
+    throw new Error(`Route module ${file} must export a router or { router, basePath }.`);
+  }
+  if (definition.basePath !== undefined && !String(definition.basePath).startsWith('/')) {
+    throw new Error(`Base path "${definition.basePath}" of ${file} must start with "/".`);
+  }
+  return { enabled: true, middleware: [], ...definition };
+}
+
+/**
+ * Mounts the route modules of one or more directories on a new router.
+ * @param {string|string[]} directories - Directories holding `*.routes.js` modules, e.g. the
+ *   routes directory and feature folders.
+ * @param {object} [options]
+ * @param {string[]} [options.exclude=[]] - File names to skip, such as routers the app mounts
+ *   elsewhere.
+ * @returns {import('express').Router & { routes: RouteInfo[] }} The router; `routes` lists the
+ *   collected routes.
+ * @throws {Error} If a module is invalid, or two routes have the same method and path.
+ */
+function loadRoutes(directories, { exclude = [] } = {}) {
+  const router = express.Router();
+  const routes = [];
+  const owners = new Map();
+
+  [].concat(directories).forEach((directory) => {
+    findRouteModules(directory, exclude).forEach(({ file, basePath: defaultPath }) => {
+      const relative = path.relative(process.cwd(), file);
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      const definition = toRouteModule(require(file), relative);
+      if (!definition.enabled) return;
+      const basePath = definition.basePath || defaultPath;
+
+      collectRoutes(definition.router, definition.middleware).forEach((route) => {
+        const fullPath = joinPaths(basePath, route.path);
+        // Parameter names do not matter: /users/:id and /users/:userId conflict
+        const key = `${route.method} ${fullPath.replace(/:\w+/g, ':')}`;
+        if (owners.has(key)) {
+          throw new Error(
+            `Route conflict: ${route.method} ${fullPath} is defined in ${owners.get(key)} and ${relative}.`
+          );
+        }
+        owners.set(key, relative);
+        routes.push({
+          method: route.method,
+          path: fullPath,
+          middleware: route.handlers.map(handlerName),
+          auth: route.handlers.map((handler) => handler.auth).filter(Boolean),
+          authorization: route.handlers.map((handler) => handler.authorization).filter(Boolean),
+          file: relative,
+        });
+      });
+
+      router.use(basePath, ...definition.middleware, definition.router);
+    });
+  });
+
+  router.routes = routes;
+  return router;
+}
+
+/**
+ * Formats routes as a text table of method, path, auth requirement and middleware chain.
+ * @param {RouteInfo[]} routes
+ * @param {object} [options]
+ * @param {string} [options.prefix=''] - Path the routes are mounted at.
+ * @returns {string}
+ */
+function formatRouteTable(routes, { prefix = '' } = {}) {
+  const rows = [
+    ['METHOD', 'PATH', 'AUTH', 'MIDDLEWARE'],
+    ...routes.map(({ method, path: routePath, auth, middleware }) => [
+      method,
+      joinPaths(prefix || '/', routePath),
+      auth.join(', ') || 'public',
+      middleware.join(' > '),
+    ]),
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => (column < row.length - 1 ? cell.padEnd(widths[column]) : cell))
+        .join('  ')
+    )
+    .join('\n');
+}
+
+module.exports = { loadRoutes, formatRouteTable };
@@ -0,0 +1,41 @@
+/**
+ * @module lib/schema
+ * @description Creates the tables of the SQL-backed stores. Each store declares its tables once,
+ * in `tableDefinitions()`; its `createTables()` and the migrations in `migrations/` both run
+ * them through these helpers.
+ *
+ * @example <caption>Migration</caption>
+ * const { MySQLRateLimitStore, PgSQLRateLimitStore } = require('../lib/rateLimit');
+ * const { createStoreTables } = require('../lib/schema');
+ *
+ * exports.up = (db) =>
+ *   createStoreTables(db, { mysql: MySQLRateLimitStore, postgres: PgSQLRateLimitStore });
+ */
+
+/**
+ * Runs SQL statements one after the other.
+ * @param {{ query: (sql: string) => Promise<any> }} db - DatabaseClient or transaction.
+ * @param {string[]} statements
+ * @returns {Promise<void>}
+ */
+function runStatements(db, statements) {
+  return statements.reduce(
+    (previous, statement) => previous.then(() => db.query(statement)),
+    Promise.resolve()
+  );
+}
+
+/**
+ * Creates the tables of the store class matching the database's dialect. SQLite accepts the
+ * PostgreSQL definitions.
+ * @param {{ dialect: string, query: Function }} db - DatabaseClient or transaction.
+ * @param {{ mysql: Function, postgres: Function }} stores - Store class of each dialect.
+ * @param {object} [options] - Store options, e.g. `{ table }`.
+ * @returns {Promise<void>}
+ */
+function createStoreTables(db, { mysql, postgres }, options) {
+  const Store = db.dialect === 'mysql' ? mysql : postgres;
+  return new Store(db, options).createTables();
+}
+
+module.exports = { runStatements, createStoreTables };
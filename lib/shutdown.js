@@ -1,31 +1,99 @@
 /**
- * Closes the server gracefully.
- * If an error occurs, it logs the error and exits the process.
- * @param {import("http").Server} server - HTTP server instance to be closed.
- * @param {Error} [err] Optional error object that triggered shutdown.
+ * Shutdowns in progress, so repeated signals reuse the first one.
+ * @type {WeakMap<object, Promise<number>>}
+ * @private
+ */
+const pending = new WeakMap();
+
+/**
+ * Stops accepting connections and waits for in-flight requests, closing idle keep-alive
+ * sockets right away and the remaining ones after `timeout`.
+ * @param {import("http").Server} server
+ * @param {number} timeout - Time in ms to wait for in-flight requests.
+ * @returns {Promise<boolean>} Whether all requests finished in time.
+ * @private
  */
-function shutdown(server, err) {
-  if (!server) return;
-  if (err) {
-    // eslint-disable-next-line no-console
-    console.error('Error:', err);
-  }
-  // eslint-disable-next-line no-console
-  console.log('Shutting down gracefully...');
-  server.close(() => {
-    // eslint-disable-next-line no-console
-    console.log('Closed out remaining connections.');
-    // eslint-disable-next-line no-console
-    console.log('Exiting process...');
-    process.exit(err ? 1 : 0);
+function closeServer(server, timeout) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      server.closeAllConnections();
+      resolve(false);
+    }, timeout);
+    server.close(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+    server.closeIdleConnections();
   });
-  // Force exit if not closed in 10s
-  setTimeout(() => {
-    // eslint-disable-next-line no-console
-    console.error('Forcing shutdown...');
-    process.exit(1);
-    // .unref() allows the process to exit naturally if this is the only active timer
-  }, 10000).unref();
+}
+
+/**
+ * Closes the server gracefully: calls `onShutdown` (e.g. to fail readiness), waits `drainDelay`
+ * for load balancers to notice, drains HTTP, then stops the registered resources in
+ * reverse order, then exits with 0, or 1 when shutting down because of an error or when
+ * something did not close cleanly. Calling it again while a shutdown runs returns the same promise.
+ * @param {import("http").Server} [server] - HTTP server instance to be closed.
+ * @param {Error} [err] Optional error object that triggered shutdown.
+ * @param {object} [options]
+ * @param {import('./resourceRegistry')} [options.registry] - Resources to stop after the server.
+ * @param {number} [options.timeout=10000] - Time in ms to wait for in-flight requests.
+ * @param {() => void} [options.onShutdown] - Called as soon as shutdown starts.
+ * @param {number} [options.drainDelay=0] - Time in ms to keep serving before closing the server.
+ * @param {(code: number) => void} [options.exit=process.exit] - Called with the exit code.
+ * @param {{ info: Function, error: Function }} [options.logger=console]
+ * @returns {Promise<number>} The exit code.
+ * @example
+ * process.on('SIGTERM', () =>
+ *   shutdown(server, undefined, { registry, onShutdown: () => readiness.markShuttingDown() })
+ * );
+ */
+function shutdown(
+  server,
+  err,
+  {
+    registry,
+    timeout = 10000,
+    onShutdown = () => {},
+    drainDelay = 0,
+    exit = process.exit,
+    logger = console,
+  } = {}
+) {
+  const key = server || registry;
+  if (key && pending.has(key)) return pending.get(key);
+
+  const run = async () => {
+    if (err) logger.error('Shutting down after an error.', err);
+    logger.info('Shutting down gracefully...');
+    let code = err ? 1 : 0;
+    onShutdown();
+
+    if (server && server.listening) {
+      if (drainDelay) {
+        await new Promise((resolve) => {
+          setTimeout(resolve, drainDelay);
+        });
+      }
+      if (await closeServer(server, timeout)) {
+        logger.info('Closed out remaining connections.');
+      } else {
+        logger.error(`Forced remaining connections closed after ${timeout} ms.`);
+        code = 1;
+      }
+    }
+    if (registry) {
+      const failures = await registry.stopAll();
+      if (failures.length) code = 1;
+    }
+
+    logger.info('Exiting process...');
+    exit(code);
+    return code;
+  };
+
+  const promise = run();
+  if (key) pending.set(key, promise);
+  return promise;
 }
 
 module.exports = {
@@ -0,0 +1,121 @@
+/**
+ * @module lib/sqlite
+ * @description SQLiteClient adapter for file or in-memory SQLite databases with named parameters.
+ * Handy for tests and local development, no database server needed.
+ * @requires better-sqlite3
+ *
+ * @example
+ * const SQLiteClient = require('./lib/sqlite');
+ * const client = new SQLiteClient({ filename: ':memory:' });
+ * await client.query('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)');
+ * const { insertId } = await client.execute('INSERT INTO users (name) VALUES (:name)', { name: 'Ada' });
+ * const rows = await client.query('SELECT * FROM users WHERE id = :id', { id: insertId });
+ * await client.close();
+ */
+
+const Database = require('better-sqlite3');
+const DatabaseClient = require('./databaseClient');
+
+/**
+ * Commands whose `RETURNING` rows are the changed rows.
+ * @type {string[]}
+ */
+const WRITE_COMMANDS = ['INSERT', 'UPDATE', 'DELETE', 'REPLACE'];
+
+/**
+ * Converts values better-sqlite3 cannot bind.
+ * @param {any} value
+ * @returns {any}
+ * @private
+ */
+function toSQLiteValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+}
+
+/**
+ * Returns a driver error as an error of this realm. better-sqlite3 binds its error class once per
+ * process, so where the module is loaded again in another realm (e.g. Jest runs each test file in
+ * its own), its errors are not `instanceof Error`.
+ * @param {Error} err
+ * @returns {Error}
+ * @private
+ */
+function toError(err) {
+  if (err instanceof Error) return err;
+  const error = new Error(err.message, { cause: err });
+  return Object.assign(error, { name: err.name, code: err.code, stack: err.stack });
+}
+
+/**
+ * SQLiteClient class for managing a single SQLite connection.
+ * Options are `{ filename = ':memory:', ...better-sqlite3 options }`; `usePool` is ignored.
+ * Statements, transactions and sessions are queued, since they all share the one connection.
+ * @class
+ * @extends DatabaseClient
+ */
+class SQLiteClient extends DatabaseClient {
+  constructor(options = {}) {
+    super(options, false);
+  }
+
+  /** @protected */
+  async openConnection() {
+    const { filename = ':memory:', ...options } = this.options;
+    return new Database(filename, options);
+  }
+
+  /** @protected */
+  // eslint-disable-next-line class-methods-use-this
+  async closeConnection(conn) {
+    conn.close();
+  }
+
+  /** @protected */
+  // eslint-disable-next-line class-methods-use-this
+  async run(handle, text, values) {
+    try {
+      const statement = handle.prepare(text);
+      const bound = values.map(toSQLiteValue);
+      const command = (text.match(/^\s*(\w+)/) || [])[1];
+      const verb = command ? command.toUpperCase() : '';
+      if (statement.reader) {
+        const rows = statement.all(bound);
+        return {
+          rows,
+          affectedRows: WRITE_COMMANDS.includes(verb) ? rows.length : 0,
+          insertId: null,
+        };
+      }
+      const info = statement.run(bound);
+      const inserted = ['INSERT', 'REPLACE'].includes(verb) && info.changes > 0;
+      return {
+        rows: [],
+        affectedRows: info.changes,
+        insertId: inserted ? Number(info.lastInsertRowid) : null,
+      };
+    } catch (err) {
+      throw toError(err);
+    }
+  }
+
+  /** @protected */
+  async acquire() {
+    return this.acquireConnection();
+  }
+
+  /**
+   * SQLite transactions are always serializable, so the isolation level is ignored.
+   * @protected
+   */
+  // eslint-disable-next-line class-methods-use-this
+  beginStatements() {
+    return ['BEGIN'];
+  }
+}
+
+SQLiteClient.dialect = 'sqlite';
+
+module.exports = SQLiteClient;
@@ -0,0 +1,104 @@
+/**
+ * In-memory token store. State is lost on restart and not shared between processes.
+ * @class
+ */
+class MemoryTokenStore {
+  constructor() {
+    this.refreshTokens = new Map();
+    this.revokedTokens = new Map();
+    this.revokedFamilies = new Map();
+  }
+
+  /**
+   * Removes entries whose expiry has passed.
+   * @private
+   */
+  prune() {
+    const now = Date.now();
+    [this.refreshTokens, this.revokedTokens, this.revokedFamilies].forEach((map) => {
+      map.forEach((entry, key) => {
+        if (entry.expiresAt.getTime() <= now) map.delete(key);
+      });
+    });
+  }
+
+  /**
+   * Whether a map holds an unexpired entry for a key. Pruning only runs on writes, so reads check
+   * the expiry themselves.
+   * @param {Map<string, { expiresAt: Date }>} map
+   * @param {string} key
+   * @returns {boolean}
+   * @private
+   */
+  static hasLive(map, key) {
+    const entry = map.get(key);
+    return Boolean(entry) && entry.expiresAt.getTime() > Date.now();
+  }
+
+  /**
+   * Records an issued refresh token.
+   * @param {object} token
+   * @param {string} token.jti - Token id.
+   * @param {string} token.familyId - Token family id.
+   * @param {Date} token.expiresAt - Token expiry.
+   * @returns {Promise<void>}
+   */
+  async saveRefreshToken({ jti, familyId, expiresAt }) {
+    this.prune();
+    this.refreshTokens.set(jti, { familyId, expiresAt, usedAt: null });
+  }
+
+  /**
+   * Marks a refresh token as used.
+   * @param {string} jti - Token id.
+   * @returns {Promise<'consumed'|'reused'|'unknown'>} `consumed` if the token was issued and unused,
+   *   `reused` if it was used before, `unknown` if it was never recorded (or has expired).
+   */
+  async consumeRefreshToken(jti) {
+    if (!MemoryTokenStore.hasLive(this.refreshTokens, jti)) return 'unknown';
+    const entry = this.refreshTokens.get(jti);
+    if (entry.usedAt) return 'reused';
+    entry.usedAt = new Date();
+    return 'consumed';
+  }
+
+  /**
+   * Adds a token to the denylist until it expires.
+   * @param {string} jti - Token id.
+   * @param {Date} expiresAt - Token expiry.
+   * @returns {Promise<void>}
+   */
+  async revokeToken(jti, expiresAt) {
+    this.prune();
+    this.revokedTokens.set(jti, { expiresAt });
+  }
+
+  /**
+   * @param {string} jti - Token id.
+   * @returns {Promise<boolean>} True if the token is denylisted.
+   */
+  async isTokenRevoked(jti) {
+    return MemoryTokenStore.hasLive(this.revokedTokens, jti);
+  }
+
+  /**
+   * Revokes every refresh token of a family.
+   * @param {string} familyId - Token family id.
+   * @param {Date} expiresAt - When the revocation entry can be forgotten.
+   * @returns {Promise<void>}
+   */
+  async revokeFamily(familyId, expiresAt) {
+    this.prune();
+    this.revokedFamilies.set(familyId, { expiresAt });
+  }
+
+  /**
+   * @param {string} familyId - Token family id.
+   * @returns {Promise<boolean>} True if the family is revoked.
+   */
+  async isFamilyRevoked(familyId) {
+    return MemoryTokenStore.hasLive(this.revokedFamilies, familyId);
+  }
+}
+
+module.exports = MemoryTokenStore;
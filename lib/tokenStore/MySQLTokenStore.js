@@ -0,0 +1,49 @@
+const SQLTokenStore = require('./SQLTokenStore');
+
+/**
+ * Token store backed by MySQLClient.
+ * @class
+ */
+class MySQLTokenStore extends SQLTokenStore {
+  tableDefinitions() {
+    return [
+      `CREATE TABLE IF NOT EXISTS ${this.tables.refreshTokens} (
+        jti VARCHAR(64) PRIMARY KEY,
+        family_id VARCHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        INDEX (family_id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${this.tables.revokedTokens} (
+        jti VARCHAR(64) PRIMARY KEY,
+        expires_at DATETIME NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${this.tables.revokedFamilies} (
+        family_id VARCHAR(64) PRIMARY KEY,
+        expires_at DATETIME NOT NULL
+      )`,
+    ];
+  }
+
+  /**
+   * @see MemoryTokenStore#revokeToken
+   */
+  async revokeToken(jti, expiresAt) {
+    await this.client.query(
+      `INSERT IGNORE INTO ${this.tables.revokedTokens} (jti, expires_at) VALUES (:jti, :expiresAt)`,
+      { jti, expiresAt }
+    );
+  }
+
+  /**
+   * @see MemoryTokenStore#revokeFamily
+   */
+  async revokeFamily(familyId, expiresAt) {
+    await this.client.query(
+      `INSERT IGNORE INTO ${this.tables.revokedFamilies} (family_id, expires_at) VALUES (:familyId, :expiresAt)`,
+      { familyId, expiresAt }
+    );
+  }
+}
+
+module.exports = MySQLTokenStore;
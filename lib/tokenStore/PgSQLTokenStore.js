@@ -0,0 +1,50 @@
+const SQLTokenStore = require('./SQLTokenStore');
+
+/**
+ * Token store backed by PgSQLClient.
+ * @class
+ */
+class PgSQLTokenStore extends SQLTokenStore {
+  tableDefinitions() {
+    return [
+      `CREATE TABLE IF NOT EXISTS ${this.tables.refreshTokens} (
+        jti VARCHAR(64) PRIMARY KEY,
+        family_id VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS ${this.tables.refreshTokens}_family_id_idx
+        ON ${this.tables.refreshTokens} (family_id)`,
+      `CREATE TABLE IF NOT EXISTS ${this.tables.revokedTokens} (
+        jti VARCHAR(64) PRIMARY KEY,
+        expires_at TIMESTAMPTZ NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS ${this.tables.revokedFamilies} (
+        family_id VARCHAR(64) PRIMARY KEY,
+        expires_at TIMESTAMPTZ NOT NULL
+      )`,
+    ];
+  }
+
+  /**
+   * @see MemoryTokenStore#revokeToken
+   */
+  async revokeToken(jti, expiresAt) {
+    await this.client.query(
+      `INSERT INTO ${this.tables.revokedTokens} (jti, expires_at) VALUES (:jti, :expiresAt) ON CONFLICT DO NOTHING`,
+      { jti, expiresAt }
+    );
+  }
+
+  /**
+   * @see MemoryTokenStore#revokeFamily
+   */
+  async revokeFamily(familyId, expiresAt) {
+    await this.client.query(
+      `INSERT INTO ${this.tables.revokedFamilies} (family_id, expires_at) VALUES (:familyId, :expiresAt) ON CONFLICT DO NOTHING`,
+      { familyId, expiresAt }
+    );
+  }
+}
+
+module.exports = PgSQLTokenStore;
@@ -0,0 +1,104 @@
+const moment = require('moment');
+const { runStatements } = require('../schema');
+
+/**
+ * Base class for SQL-backed token stores. Works with any DatabaseClient (or transaction)
+ * exposing `query(sql, params)` / `execute(sql, params)` with `:key` named parameters.
+ * @class
+ */
+class SQLTokenStore {
+  /**
+   * @param {import('../databaseClient')} client - Database client.
+   * @param {object} [options]
+   * @param {string} [options.tablePrefix='jwt_'] - Prefix for the store tables.
+   */
+  constructor(client, { tablePrefix = 'jwt_' } = {}) {
+    this.client = client;
+    this.tables = {
+      refreshTokens: `${tablePrefix}refresh_tokens`,
+      revokedTokens: `${tablePrefix}revoked_tokens`,
+      revokedFamilies: `${tablePrefix}revoked_families`,
+    };
+  }
+
+  /**
+   * SQL statements creating the store tables.
+   * @returns {string[]}
+   * @abstract
+   */
+  // eslint-disable-next-line class-methods-use-this
+  tableDefinitions() {
+    throw new Error('tableDefinitions() must be implemented by a subclass.');
+  }
+
+  /**
+   * Creates the store tables if they do not exist.
+   * @returns {Promise<void>}
+   */
+  async createTables() {
+    await runStatements(this.client, this.tableDefinitions());
+  }
+
+  /**
+   * Deletes expired rows from every store table.
+   * @returns {Promise<void>}
+   */
+  async purgeExpired() {
+    const now = moment().utc().toDate();
+    await Promise.all(
+      Object.values(this.tables).map((table) =>
+        this.client.query(`DELETE FROM ${table} WHERE expires_at <= :now`, { now })
+      )
+    );
+  }
+
+  /**
+   * @see MemoryTokenStore#saveRefreshToken
+   */
+  async saveRefreshToken({ jti, familyId, expiresAt }) {
+    await this.client.query(
+      `INSERT INTO ${this.tables.refreshTokens} (jti, family_id, expires_at) VALUES (:jti, :familyId, :expiresAt)`,
+      { jti, familyId, expiresAt }
+    );
+  }
+
+  /**
+   * @see MemoryTokenStore#consumeRefreshToken
+   */
+  async consumeRefreshToken(jti) {
+    const { affectedRows } = await this.client.execute(
+      `UPDATE ${this.tables.refreshTokens} SET used_at = :usedAt WHERE jti = :jti AND used_at IS NULL`,
+      { jti, usedAt: moment().utc().toDate() }
+    );
+    if (affectedRows === 1) return 'consumed';
+    const rows = await this.client.query(
+      `SELECT jti FROM ${this.tables.refreshTokens} WHERE jti = :jti`,
+      { jti }
+    );
+    return rows.length > 0 ? 'reused' : 'unknown';
+  }
+
+  /**
+   * @see MemoryTokenStore#isTokenRevoked
+   */
+  async isTokenRevoked(jti) {
+    const rows = await this.client.query(
+      `SELECT jti FROM ${this.tables.revokedTokens} WHERE jti = :jti`,
+      { jti }
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * @see MemoryTokenStore#isFamilyRevoked
+   */
+  async isFamilyRevoked(familyId) {
+    const rows = await this.client.query(
+      `SELECT family_id FROM ${this.tables.revokedFamilies} WHERE family_id = :familyId`,
+      { familyId }
+    );
+    return rows.length > 0;
+  }
+}
+
+module.exports = SQLTokenStore;
@@ -0,0 +1,34 @@
+/**
+ * @module lib/tokenStore
+ * @description Revocation and refresh-token family stores used by JWTClient for rotation, reuse detection and logout.
+ *
+ * A token store must implement the following async methods:
+ * - `saveRefreshToken({ jti, familyId, expiresAt })` – records an issued refresh token.
+ * - `consumeRefreshToken(jti)` – atomically marks a refresh token as used. Resolves `'consumed'` if
+ *   it was issued and not used before, `'reused'` if it was used before (a replay), and `'unknown'`
+ *   if the store never recorded it.
+ * - `revokeToken(jti, expiresAt)` / `isTokenRevoked(jti)` – per-token denylist.
+ * - `revokeFamily(familyId, expiresAt)` / `isFamilyRevoked(familyId)` – per-family denylist.
+ *
+ * @example <caption>In-memory (single instance, tests)</caption>
+ * const { MemoryTokenStore } = require('./lib/tokenStore');
+ * const jwtClient = new JWTClient({ ...options, tokenStore: new MemoryTokenStore() });
+ *
+ * @example <caption>MySQL (shared across instances)</caption>
+ * const { MySQLTokenStore } = require('./lib/tokenStore');
+ * const store = new MySQLTokenStore(new MySQLClient(dbOptions, true));
+ * await store.createTables();
+ * const jwtClient = new JWTClient({ ...options, tokenStore: store });
+ */
+
+const MemoryTokenStore = require('./MemoryTokenStore');
+const SQLTokenStore = require('./SQLTokenStore');
+const MySQLTokenStore = require('./MySQLTokenStore');
+const PgSQLTokenStore = require('./PgSQLTokenStore');
+
+module.exports = {
+  MemoryTokenStore,
+  SQLTokenStore,
+  MySQLTokenStore,
+  PgSQLTokenStore,
+};
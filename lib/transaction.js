@@ -0,0 +1,166 @@
+/**
+ * @module lib/transaction
+ * @description Transaction handle and runner used by DatabaseClient.
+ * A transaction runs on a single checked-out connection: BEGIN before the callback,
+ * COMMIT when it resolves, ROLLBACK when it throws. Nested `tx.transaction()` calls use
+ * savepoints, and deadlocks / serialization failures can be retried.
+ *
+ * A `Transaction` exposes `query()`, `execute()` and `transaction()` like the clients do,
+ * so code that takes a client also accepts a `tx`.
+ *
+ * @example
+ * const total = await client.transaction(
+ *   async (tx) => {
+ *     await tx.query('UPDATE accounts SET balance = balance - :amount WHERE id = :from', { amount, from });
+ *     await tx.query('UPDATE accounts SET balance = balance + :amount WHERE id = :to', { amount, to });
+ *     await tx.transaction(async (sp) => sp.query('INSERT INTO audit (note) VALUES (:note)', { note }));
+ *     return amount;
+ *   },
+ *   { isolationLevel: 'SERIALIZABLE', retries: 3 }
+ * );
+ */
+
+/**
+ * Isolation levels accepted by `transaction()`.
+ * @type {string[]}
+ */
+const ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+/**
+ * Error codes worth retrying the whole transaction for: MySQL deadlocks, PostgreSQL
+ * serialization failures / deadlocks and SQLite busy databases.
+ * @type {string[]}
+ */
+const RETRYABLE_ERRORS = ['ER_LOCK_DEADLOCK', '40001', '40P01', 'SQLITE_BUSY'];
+
+/**
+ * @typedef {import('./databaseClient').QueryResult} QueryResult
+ */
+
+/**
+ * A transaction bound to one connection.
+ * @class
+ */
+class Transaction {
+  /**
+   * @param {(sql: string, params?: object) => Promise<QueryResult>} execute - Runs a statement
+   *   on the transaction's connection.
+   * @param {string} [dialect] - SQL dialect of the client that started the transaction.
+   * @param {(result: QueryResult) => any} [rowsOf] - What `query()` resolves with; the rows by
+   *   default.
+   */
+  constructor(execute, dialect, rowsOf = ({ rows }) => rows) {
+    this.runStatement = execute;
+    this.dialect = dialect;
+    this.rowsOf = rowsOf;
+    this.savepoints = 0;
+    this.active = true;
+  }
+
+  /**
+   * Executes a SQL statement inside the transaction.
+   * @param {string} sql - The SQL statement. Supports :key named parameters.
+   * @param {object} [params] - The query parameters.
+   * @returns {Promise<QueryResult>} Rows, affected rows and insert id.
+   * @throws {Error} If the transaction has already finished.
+   */
+  async execute(sql, params) {
+    if (!this.active) {
+      throw new Error('Transaction has already been committed or rolled back.');
+    }
+    return this.runStatement(sql, params);
+  }
+
+  /**
+   * Executes a SQL query inside the transaction.
+   * @param {string} sql - The SQL query string. Supports :key named parameters.
+   * @param {object} [params] - The query parameters.
+   * @returns {Promise<object[]>} The result rows, or what the client's `query()` returns for writes.
+   * @throws {Error} If the transaction has already finished.
+   */
+  async query(sql, params) {
+    return this.rowsOf(await this.execute(sql, params));
+  }
+
+  /**
+   * Runs `fn` inside a savepoint. The savepoint is released when `fn` resolves and
+   * rolled back when it throws, leaving the outer transaction usable.
+   * @template T
+   * @param {(tx: Transaction) => Promise<T>} fn - Callback receiving this transaction.
+   * @returns {Promise<T>} What `fn` resolved with.
+   */
+  async transaction(fn) {
+    this.savepoints += 1;
+    const savepoint = `sp_${this.savepoints}`;
+    await this.query(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await fn(this);
+      await this.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (err) {
+      await this.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw err;
+    }
+  }
+}
+
+/**
+ * Runs `fn` in a transaction on a freshly acquired connection, retrying retryable failures
+ * with exponential backoff.
+ * @template T
+ * @param {object} driver
+ * @param {() => Promise<{ execute: Function, release: Function }>} driver.acquire - Checks out a
+ *   connection exposing `execute(sql, params)` and `release()`.
+ * @param {(isolationLevel?: string) => string[]} driver.begin - Statements starting a transaction.
+ * @param {string} [driver.dialect] - SQL dialect, exposed as `tx.dialect`.
+ * @param {(result: object) => any} [driver.rowsOf] - What `tx.query()` resolves with.
+ * @param {(tx: Transaction) => Promise<T>} fn - Callback receiving the transaction.
+ * @param {object} [options]
+ * @param {string} [options.isolationLevel] - One of {@link ISOLATION_LEVELS}.
+ * @param {number} [options.retries=0] - Extra attempts after a retryable failure.
+ * @param {number} [options.retryDelay=50] - Delay in ms before the first retry; doubles each time.
+ * @returns {Promise<T>} What `fn` resolved with.
+ * @throws {Error} If the isolation level is not supported, or the last attempt's error.
+ */
+async function runTransaction(
+  { acquire, begin, dialect, rowsOf },
+  fn,
+  { isolationLevel, retries = 0, retryDelay = 50 } = {}
+) {
+  if (isolationLevel && !ISOLATION_LEVELS.includes(isolationLevel)) {
+    throw new Error(
+      `Unsupported isolation level "${isolationLevel}". Use one of: ${ISOLATION_LEVELS}.`
+    );
+  }
+
+  for (let attempt = 0; ; attempt += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const conn = await acquire();
+    const tx = new Transaction(conn.execute, dialect, rowsOf);
+    try {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const statement of begin(isolationLevel)) {
+        // eslint-disable-next-line no-await-in-loop
+        await conn.execute(statement);
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const result = await fn(tx);
+      // eslint-disable-next-line no-await-in-loop
+      await conn.execute('COMMIT');
+      return result;
+    } catch (err) {
+      // eslint-disable-next-line no-await-in-loop
+      await conn.execute('ROLLBACK').catch(() => {});
+      if (attempt >= retries || !RETRYABLE_ERRORS.includes(err && err.code)) throw err;
+    } finally {
+      tx.active = false;
+      conn.release();
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => {
+      setTimeout(resolve, retryDelay * 2 ** attempt);
+    });
+  }
+}
+
+module.exports = { Transaction, runTransaction, ISOLATION_LEVELS, RETRYABLE_ERRORS };
@@ -0,0 +1,104 @@
+const { randomUUID } = require('crypto');
+
+/**
+ * In-memory user repository. Users are lost on restart and not shared between processes.
+ * @class
+ */
+class MemoryUserRepository {
+  constructor() {
+    this.users = new Map();
+    this.idsByEmail = new Map();
+  }
+
+  /**
+   * @param {string} id - User id.
+   * @returns {Promise<import('./index').User|null>}
+   */
+  async findById(id) {
+    const user = this.users.get(String(id));
+    return user ? { ...user } : null;
+  }
+
+  /**
+   * @param {string} email - Normalized email address.
+   * @returns {Promise<import('./index').User|null>}
+   */
+  async findByEmail(email) {
+    const id = this.idsByEmail.get(email);
+    return id ? this.findById(id) : null;
+  }
+
+  /**
+   * Creates a user.
+   * @param {object} user
+   * @param {string} user.email - Normalized email address.
+   * @param {string} user.passwordHash - Hash from `lib/password`.
+   * @param {string[]} [user.roles=[]]
+   * @returns {Promise<import('./index').User>}
+   * @throws {Error} With code `ER_DUP_ENTRY`, like a unique index would, if the email is taken.
+   */
+  async create({ email, passwordHash, roles = [] }) {
+    if (this.idsByEmail.has(email)) {
+      throw Object.assign(new Error(`Duplicate entry '${email}' for key 'email'`), {
+        code: 'ER_DUP_ENTRY',
+      });
+    }
+    const now = new Date();
+    const user = {
+      id: randomUUID(),
+      email,
+      passwordHash,
+      roles: [...roles],
+      failedLogins: 0,
+      lockedUntil: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.users.set(user.id, user);
+    this.idsByEmail.set(email, user.id);
+    return { ...user };
+  }
+
+  /**
+   * Replaces a user's password hash.
+   * @param {string} id - User id.
+   * @param {string} passwordHash
+   * @returns {Promise<void>}
+   */
+  async updatePasswordHash(id, passwordHash) {
+    const user = this.users.get(String(id));
+    if (user) Object.assign(user, { passwordHash, updatedAt: new Date() });
+  }
+
+  /**
+   * Counts a failed login. Reaching `maxAttempts` locks the user until `lockedUntil` and resets
+   * the count.
+   * @param {string} id - User id.
+   * @param {object} options
+   * @param {number} options.maxAttempts - Failures allowed before locking.
+   * @param {Date} options.lockedUntil - End of the lock if this failure triggers it.
+   * @returns {Promise<void>}
+   */
+  async recordFailedLogin(id, { maxAttempts, lockedUntil }) {
+    const user = this.users.get(String(id));
+    if (!user) return;
+    const failedLogins = user.failedLogins + 1;
+    Object.assign(
+      user,
+      failedLogins >= maxAttempts ? { failedLogins: 0, lockedUntil } : { failedLogins },
+      { updatedAt: new Date() }
+    );
+  }
+
+  /**
+   * Clears a user's failed login count and lock.
+   * @param {string} id - User id.
+   * @returns {Promise<void>}
+   */
+  async resetFailedLogins(id) {
+    const user = this.users.get(String(id));
+    if (user) Object.assign(user, { failedLogins: 0, lockedUntil: null, updatedAt: new Date() });
+  }
+}
+
+module.exports = MemoryUserRepository;
@@ -0,0 +1,24 @@
+const SQLUserRepository = require('./SQLUserRepository');
+
+/**
+ * User repository backed by MySQLClient.
+ * @class
+ */
+class MySQLUserRepository extends SQLUserRepository {
+  tableDefinitions() {
+    return [
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        id VARCHAR(36) PRIMARY KEY,
+        email VARCHAR(254) NOT NULL UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        roles TEXT NOT NULL,
+        failed_logins INT NOT NULL DEFAULT 0,
+        locked_until DATETIME(3) NULL,
+        created_at DATETIME(3) NOT NULL,
+        updated_at DATETIME(3) NOT NULL
+      )`,
+    ];
+  }
+}
+
+module.exports = MySQLUserRepository;
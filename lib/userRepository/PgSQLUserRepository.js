@@ -0,0 +1,24 @@
+const SQLUserRepository = require('./SQLUserRepository');
+
+/**
+ * User repository backed by PgSQLClient.
+ * @class
+ */
+class PgSQLUserRepository extends SQLUserRepository {
+  tableDefinitions() {
+    return [
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        id VARCHAR(36) PRIMARY KEY,
+        email VARCHAR(254) NOT NULL UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        roles TEXT NOT NULL,
+        failed_logins INTEGER NOT NULL DEFAULT 0,
+        locked_until TIMESTAMPTZ NULL,
+        created_at TIMESTAMPTZ NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL
+      )`,
+    ];
+  }
+}
+
+module.exports = PgSQLUserRepository;
@@ -0,0 +1,137 @@
+const { randomUUID } = require('crypto');
+const { runStatements } = require('../schema');
+
+/**
+ * Converts a row into a user.
+ * @param {object} row
+ * @returns {import('./index').User}
+ * @private
+ */
+function toUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    passwordHash: row.password_hash,
+    roles: JSON.parse(row.roles),
+    failedLogins: Number(row.failed_logins),
+    lockedUntil: row.locked_until ? new Date(row.locked_until) : null,
+    createdAt: new Date(row.created_at),
+    updatedAt: new Date(row.updated_at),
+  };
+}
+
+/**
+ * Base class for SQL-backed user repositories. Works with any DatabaseClient (or transaction)
+ * exposing `query(sql, params)` with `:key` named parameters.
+ * @class
+ */
+class SQLUserRepository {
+  /**
+   * @param {import('../databaseClient')} client - Database client.
+   * @param {object} [options]
+   * @param {string} [options.table='users'] - Users table.
+   */
+  constructor(client, { table = 'users' } = {}) {
+    this.client = client;
+    this.table = table;
+  }
+
+  /**
+   * SQL statements creating the users table.
+   * @returns {string[]}
+   * @abstract
+   */
+  // eslint-disable-next-line class-methods-use-this
+  tableDefinitions() {
+    throw new Error('tableDefinitions() must be implemented by a subclass.');
+  }
+
+  /**
+   * Creates the users table if it does not exist, e.g. in tests. Applications create it with a
+   * migration instead.
+   * @returns {Promise<void>}
+   */
+  async createTables() {
+    await runStatements(this.client, this.tableDefinitions());
+  }
+
+  /**
+   * @see MemoryUserRepository#findById
+   */
+  async findById(id) {
+    const [row] = await this.client.query(`SELECT * FROM ${this.table} WHERE id = :id`, {
+      id: String(id),
+    });
+    return row ? toUser(row) : null;
+  }
+
+  /**
+   * @see MemoryUserRepository#findByEmail
+   */
+  async findByEmail(email) {
+    const [row] = await this.client.query(`SELECT * FROM ${this.table} WHERE email = :email`, {
+      email,
+    });
+    return row ? toUser(row) : null;
+  }
+
+  /**
+   * @see MemoryUserRepository#create
+   */
+  async create({ email, passwordHash, roles = [] }) {
+    const now = new Date();
+    const user = {
+      id: randomUUID(),
+      email,
+      passwordHash,
+      roles: [...roles],
+      failedLogins: 0,
+      lockedUntil: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this.client.query(
+      `INSERT INTO ${this.table} (id, email, password_hash, roles, failed_logins, created_at, updated_at)
+        VALUES (:id, :email, :passwordHash, :roles, 0, :now, :now)`,
+      { id: user.id, email, passwordHash, roles: JSON.stringify(user.roles), now }
+    );
+    return user;
+  }
+
+  /**
+   * @see MemoryUserRepository#updatePasswordHash
+   */
+  async updatePasswordHash(id, passwordHash) {
+    await this.client.query(
+      `UPDATE ${this.table} SET password_hash = :passwordHash, updated_at = :now WHERE id = :id`,
+      { id: String(id), passwordHash, now: new Date() }
+    );
+  }
+
+  /**
+   * @see MemoryUserRepository#recordFailedLogin
+   */
+  async recordFailedLogin(id, { maxAttempts, lockedUntil }) {
+    // locked_until is assigned first: MySQL evaluates assignments left to right
+    await this.client.query(
+      `UPDATE ${this.table} SET
+        locked_until = CASE WHEN failed_logins + 1 >= :maxAttempts THEN :lockedUntil ELSE locked_until END,
+        failed_logins = CASE WHEN failed_logins + 1 >= :maxAttempts THEN 0 ELSE failed_logins + 1 END,
+        updated_at = :now
+      WHERE id = :id`,
+      { id: String(id), maxAttempts, lockedUntil, now: new Date() }
+    );
+  }
+
+  /**
+   * @see MemoryUserRepository#resetFailedLogins
+   */
+  async resetFailedLogins(id) {
+    await this.client.query(
+      `UPDATE ${this.table} SET failed_logins = 0, locked_until = NULL, updated_at = :now WHERE id = :id`,
+      { id: String(id), now: new Date() }
+    );
+  }
+}
+
+module.exports = SQLUserRepository;
@@ -0,0 +1,46 @@
+/**
+ * @module lib/userRepository
+ * @description User repositories used by the auth routes.
+ *
+ * A user repository must implement the following async methods:
+ * - `findById(id)` / `findByEmail(email)` – resolve a {@link User} or `null`.
+ * - `create({ email, passwordHash, roles })` – stores a new user; rejects a taken email with the
+ *   unique constraint error of the database (`ER_DUP_ENTRY` in memory).
+ * - `updatePasswordHash(id, passwordHash)` – replaces a hash, e.g. after raising the cost.
+ * - `recordFailedLogin(id, { maxAttempts, lockedUntil })` – counts a failure and locks the user
+ *   when the count reaches `maxAttempts`.
+ * - `resetFailedLogins(id)` – clears the count and lock after a successful login.
+ *
+ * @example <caption>In-memory (single instance, tests)</caption>
+ * const { MemoryUserRepository } = require('./lib/userRepository');
+ * const users = new MemoryUserRepository();
+ *
+ * @example <caption>PostgreSQL</caption>
+ * const { PgSQLUserRepository } = require('./lib/userRepository');
+ * const users = new PgSQLUserRepository(new PgSQLClient(dbOptions, true));
+ * await users.createTables();
+ */
+
+/**
+ * @typedef {object} User
+ * @property {string} id
+ * @property {string} email
+ * @property {string} passwordHash
+ * @property {string[]} roles
+ * @property {number} failedLogins - Failed logins since the last success or lock.
+ * @property {Date|null} lockedUntil
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+
+const MemoryUserRepository = require('./MemoryUserRepository');
+const SQLUserRepository = require('./SQLUserRepository');
+const MySQLUserRepository = require('./MySQLUserRepository');
+const PgSQLUserRepository = require('./PgSQLUserRepository');
+
+module.exports = {
+  MemoryUserRepository,
+  SQLUserRepository,
+  MySQLUserRepository,
+  PgSQLUserRepository,
+};
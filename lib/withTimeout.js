@@ -0,0 +1,27 @@
+/**
+ * @module lib/withTimeout
+ * @description Bounds the time a promise may take.
+ *
+ * @example
+ * const withTimeout = require('./lib/withTimeout');
+ * await withTimeout(db.close(), 5000, 'Database did not close within 5000 ms.');
+ */
+
+/**
+ * Rejects with an error if `promise` does not settle within `ms`. The timer is cleared once
+ * the promise settles, so it never keeps the process alive.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} ms
+ * @param {string} message - Error message on timeout.
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = withTimeout;
@@ -0,0 +1,17 @@
+/**
+ * Table of the SQL rate limit store (`RATE_LIMIT_STORE=database`), as its `tableDefinitions()`
+ * declare it.
+ */
+
+const { MySQLRateLimitStore, PgSQLRateLimitStore } = require('../lib/rateLimit');
+const { createStoreTables } = require('../lib/schema');
+
+/** @param {import("../lib/transaction").Transaction} db */
+exports.up = async (db) => {
+  await createStoreTables(db, { mysql: MySQLRateLimitStore, postgres: PgSQLRateLimitStore });
+};
+
+/** @param {import("../lib/transaction").Transaction} db */
+exports.down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS rate_limits');
+};
@@ -0,0 +1,16 @@
+/**
+ * Table of the SQL user repository (`AUTH_USER_STORE=database`), as its `tableDefinitions()` declare it.
+ */
+
+const { MySQLUserRepository, PgSQLUserRepository } = require('../lib/userRepository');
+const { createStoreTables } = require('../lib/schema');
+
+/** @param {import("../lib/transaction").Transaction} db */
+exports.up = async (db) => {
+  await createStoreTables(db, { mysql: MySQLUserRepository, postgres: PgSQLUserRepository });
+};
+
+/** @param {import("../lib/transaction").Transaction} db */
+exports.down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS users');
+};
@@ -0,0 +1,16 @@
+/**
+ * Table of the SQL API key store (`API_KEY_STORE=database`), as its `tableDefinitions()` declare it.
+ */
+
+const { MySQLApiKeyStore, PgSQLApiKeyStore } = require('../lib/apiKeys');
+const { createStoreTables } = require('../lib/schema');
+
+/** @param {import("../lib/transaction").Transaction} db */
+exports.up = async (db) => {
+  await createStoreTables(db, { mysql: MySQLApiKeyStore, postgres: PgSQLApiKeyStore });
+};
+
+/** @param {import("../lib/transaction").Transaction} db */
+exports.down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS api_keys');
+};
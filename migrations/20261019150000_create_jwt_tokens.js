@@ -0,0 +1,19 @@
+/**
+ * Tables of the SQL token store (`JWT_TOKEN_STORE=database`), as its `tableDefinitions()` declare
+ * them.
+ */
+
+const { MySQLTokenStore, PgSQLTokenStore } = require('../lib/tokenStore');
+const { createStoreTables } = require('../lib/schema');
+
+/** @param {import("../lib/transaction").Transaction} db */
+exports.up = async (db) => {
+  await createStoreTables(db, { mysql: MySQLTokenStore, postgres: PgSQLTokenStore });
+};
+
+/** @param {import("../lib/transaction").Transaction} db */
+exports.down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS jwt_revoked_families');
+  await db.query('DROP TABLE IF EXISTS jwt_revoked_tokens');
+  await db.query('DROP TABLE IF EXISTS jwt_refresh_tokens');
+};
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI for the shared database client (`src/utils/database`).
+ *
+ * Usage:
+ *   npm run migrate:up [-- --to <version>]
+ *   npm run migrate:down [-- --steps <n>]
+ *   npm run migrate:status
+ *   npm run migrate:create -- <name> [--js]
+ *   npm run seed [-- --env <environment>]
+ *
+ * `DB_MIGRATIONS_DIR` (default `migrations`) and `DB_SEEDS_DIR` (default `seeds`) set the
+ * directories, relative to the working directory.
+ *
+ * @module scripts/migrate
+ */
+
+const Migrator = require('../lib/migrator');
+const config = require('../src/config');
+const db = require('../src/utils/database');
+
+/**
+ * Reads `--flag value` and `--flag` options.
+ * @param {string[]} args
+ * @returns {{ positional: string[], flags: Object<string, string|boolean> }}
+ * @private
+ */
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i].startsWith('--')) {
+      const hasValue = i + 1 < args.length && !args[i + 1].startsWith('--');
+      flags[args[i].slice(2)] = hasValue ? args[i + 1] : true;
+      if (hasValue) i += 1;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+/**
+ * Creates a Migrator on the shared client with the configured directories.
+ * @returns {Migrator}
+ * @private
+ */
+function createMigrator() {
+  return new Migrator(db, {
+    directory: config.db.migrationsDir,
+    seedsDirectory: config.db.seedsDir,
+  });
+}
+
+/**
+ * Runs a migration command.
+ * @param {string[]} argv - Command line arguments after the script name.
+ * @param {object} [deps]
+ * @param {Migrator} [deps.migrator] - Migrator to use; defaults to one on the shared client.
+ * @param {(line: string) => void} [deps.print=console.log] - Output function.
+ * @returns {Promise<void>}
+ * @throws {Error} On an unknown command or a failed migration.
+ */
+// eslint-disable-next-line no-console
+async function run(argv, { migrator = createMigrator(), print = console.log } = {}) {
+  const {
+    positional: [command, ...rest],
+    flags,
+  } = parseArgs(argv);
+
+  switch (command) {
+    case 'create': {
+      const file = migrator.create(rest.join('_'), { type: flags.js ? 'js' : 'sql' });
+      print(`Created ${file}`);
+      break;
+    }
+    case 'up': {
+      const versions = await migrator.up({ to: flags.to });
+      print(versions.length ? `Applied: ${versions.join(', ')}` : 'Already up to date.');
+      break;
+    }
+    case 'down': {
+      const versions = await migrator.down({ steps: Number(flags.steps) || 1 });
+      print(versions.length ? `Reverted: ${versions.join(', ')}` : 'Nothing to revert.');
+      break;
+    }
+    case 'status': {
+      const entries = await migrator.status();
+      if (!entries.length) print('No migrations.');
+      entries.forEach(({ version, name, state }) => print(`${state.padEnd(8)} ${version}_${name}`));
+      break;
+    }
+    case 'seed': {
+      const files = await migrator.seed({ environment: flags.env || config.env });
+      print(files.length ? `Seeded: ${files.join(', ')}` : 'No seed files.');
+      break;
+    }
+    default:
+      throw new Error(
+        `Unknown command "${command || ''}". Use one of: up, down, status, create, seed.`
+      );
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = { run, parseArgs };
@@ -0,0 +1,30 @@
+/**
+ * API versions, oldest first.
+ *
+ * Version `v1` is served by the routers in `src/routes`; each later version only adds the routers
+ * it changes, in `src/routes/<version>/`, and falls back to earlier versions for everything else.
+ * Clients pick a version with a URL prefix (`/api/v2/...`) or an `Accept-Version: v2` header on
+ * unprefixed URLs, which default to the first version so existing clients keep working.
+ *
+ * Mark a version deprecated to send `Deprecation` (and optionally `Sunset` and a `Link` to
+ * migration docs) on its responses, and to flag its operations in Swagger:
+ *
+ *   v1: { deprecated: '2026-01-01', sunset: '2026-07-01', link: 'https://example.com/docs/v2' },
+ */
+
+/**
+ * @typedef {object} ApiVersionOptions
+ * @property {string|Date} [deprecated] - When the version was deprecated.
+ * @property {string|Date} [sunset] - When the version stops being served.
+ * @property {string} [link] - Migration docs, sent as `Link: <...>; rel="deprecation"`.
+ */
+
+/**
+ * @type {Object<string, ApiVersionOptions>}
+ */
+const apiVersions = {
+  v1: {},
+  v2: {},
+};
+
+module.exports = apiVersions;
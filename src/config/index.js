@@ -0,0 +1,209 @@
+/**
+ * Application configuration, loaded once at startup.
+ *
+ * Reads `.env.<NODE_ENV>.local`, `.env.<NODE_ENV>` and `.env` (process variables win), validates
+ * the variables against `config/schema` and fails fast with a `ConfigError` listing every missing
+ * or invalid one. The result is a frozen, typed object; the keys holding secrets (`DB_PASSWORD`,
+ * `JWT_*_SECRET`, `METRICS_TOKEN`) are masked when it is logged or serialized.
+ *
+ * Usage:
+ *   const config = require('../config');
+ *   server.listen(config.port);
+ *   const pool = config.db.poolSize;
+ *
+ * @module config
+ */
+
+const { loadEnv, freezeConfig, ConfigError } = require('../../lib/config');
+const schema = require('./schema');
+const { PROFILES } = require('./security');
+
+/**
+ * Config path of each secret variable (`secret: true` in `config/schema`), masked by key.
+ * @type {Object<string, string>}
+ */
+const SECRET_PATHS = {
+  DB_PASSWORD: 'db.password',
+  JWT_ACCESS_SECRET: 'jwt.accessSecret',
+  JWT_REFRESH_SECRET: 'jwt.refreshSecret',
+  METRICS_TOKEN: 'metrics.token',
+};
+
+/**
+ * @typedef {object} AppConfig
+ * @property {'development'|'test'|'staging'|'production'} env
+ * @property {boolean} isProduction
+ * @property {boolean} isDevelopment
+ * @property {boolean} isTest
+ * @property {number} port
+ * @property {{ level: 'debug'|'info'|'warn'|'error'|'silent' }} log
+ * @property {boolean|number|string} trustProxy - Express `trust proxy` setting.
+ * @property {object} security - Security profile (see `config/security`) with overrides applied.
+ * @property {{ timeout: number, drainDelay: number }} shutdown
+ * @property {{ timeout: number, maxEventLoopLag: number, maxHeapRatio: number }} health
+ * @property {{ token: string|null }} metrics
+ * @property {{ max: number, windowMs: number, algorithm: string, store: 'memory'|'database' }} rateLimit
+ * @property {{ errorFormat: 'envelope'|'problem'|'negotiate', problemTypeBase: string|null }} api
+ * @property {object} jwt - JWTClient options; `keysDir`/`activeKid` select asymmetric keys and
+ *   `tokenStore` the refresh token and revocation store (`memory` or `database`).
+ * @property {object} auth - Auth routes: `enabled`, `userStore`, `passwordCost`, lockout and
+ *   refresh cookie settings.
+ * @property {{ store: 'memory'|'database', prefix: string }} apiKeys
+ * @property {object} db - Shared database client settings.
+ */
+
+/**
+ * Reads a duration variable: a number of seconds, or a string such as `15m`.
+ * @param {number|string|undefined} value
+ * @returns {number|string|undefined}
+ * @private
+ */
+function duration(value) {
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Reads `TRUST_PROXY`: a boolean, a hop count, or addresses and subnets.
+ * @param {string} value
+ * @returns {boolean|number|string}
+ * @private
+ */
+function trustProxy(value) {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Applies the `CORS_*`, `HSTS_*`, `CSP_*` and `BODY_LIMIT` overrides to the selected profile.
+ * @param {object} env - Validated variables.
+ * @returns {object}
+ * @throws {ConfigError} If credentials are allowed for any origin.
+ * @private
+ */
+function securityProfile(env) {
+  const name =
+    env.SECURITY_PROFILE ||
+    (['staging', 'production'].includes(env.NODE_ENV) ? 'strict' : 'relaxed');
+  const profile = PROFILES[name];
+
+  let { origins } = profile.cors;
+  if (env.CORS_ORIGINS) {
+    origins =
+      env.CORS_ORIGINS.trim() === '*'
+        ? '*'
+        : env.CORS_ORIGINS.split(',')
+            .map((origin) => origin.trim())
+            .filter(Boolean);
+  }
+  const credentials =
+    env.CORS_CREDENTIALS === undefined ? profile.cors.credentials : env.CORS_CREDENTIALS;
+  if (credentials && origins === '*') {
+    throw new ConfigError([
+      { key: 'CORS_ORIGINS', message: 'must list origins when CORS_CREDENTIALS is true' },
+    ]);
+  }
+
+  let { hsts } = profile;
+  if (env.HSTS_MAX_AGE !== undefined) {
+    hsts = env.HSTS_MAX_AGE === 0 ? false : { ...(hsts || {}), maxAge: env.HSTS_MAX_AGE };
+  }
+
+  return {
+    profile: name,
+    cors: { ...profile.cors, origins, credentials },
+    hsts,
+    csp: {
+      reportOnly: env.CSP_REPORT_ONLY === undefined ? profile.csp.reportOnly : env.CSP_REPORT_ONLY,
+      directives: {
+        ...profile.csp.directives,
+        ...(env.CSP_REPORT_URI && { reportUri: [env.CSP_REPORT_URI] }),
+      },
+    },
+    body: { ...profile.body, limit: env.BODY_LIMIT || profile.body.limit },
+  };
+}
+
+const { values: env, secrets } = loadEnv(schema);
+secrets.forEach((key) => {
+  if (!SECRET_PATHS[key]) throw new Error(`Secret variable ${key} has no config path to mask.`);
+});
+
+/**
+ * The application configuration.
+ * @type {Readonly<AppConfig>}
+ */
+const config = freezeConfig(
+  {
+    env: env.NODE_ENV,
+    isProduction: env.NODE_ENV === 'production',
+    isDevelopment: env.NODE_ENV === 'development',
+    isTest: env.NODE_ENV === 'test',
+    port: env.PORT,
+    log: { level: env.LOG_LEVEL || (env.NODE_ENV === 'test' ? 'silent' : 'info') },
+    trustProxy: trustProxy(env.TRUST_PROXY),
+    security: securityProfile(env),
+    shutdown: { timeout: env.SHUTDOWN_TIMEOUT_MS, drainDelay: env.SHUTDOWN_DRAIN_DELAY_MS },
+    health: {
+      timeout: env.HEALTH_CHECK_TIMEOUT_MS,
+      maxEventLoopLag: env.HEALTH_MAX_EVENT_LOOP_LAG_MS,
+      maxHeapRatio: env.HEALTH_MAX_HEAP_RATIO,
+    },
+    metrics: { token: env.METRICS_TOKEN || null },
+    rateLimit: {
+      max: env.RATE_LIMIT_MAX,
+      windowMs: env.RATE_LIMIT_WINDOW_MS,
+      algorithm: env.RATE_LIMIT_ALGORITHM,
+      store: env.RATE_LIMIT_STORE,
+    },
+    api: {
+      errorFormat: env.API_ERROR_FORMAT,
+      problemTypeBase: env.API_PROBLEM_TYPE_BASE || null,
+    },
+    jwt: {
+      issuer: env.JWT_ISSUER,
+      audience: env.JWT_AUDIENCE,
+      subject: env.JWT_SUBJECT,
+      accessSecret: env.JWT_ACCESS_SECRET,
+      refreshSecret: env.JWT_REFRESH_SECRET,
+      accessExpiresIn: duration(env.JWT_ACCESS_EXPIRES_IN),
+      refreshExpiresIn: duration(env.JWT_REFRESH_EXPIRES_IN),
+      clockTolerance: duration(env.JWT_CLOCK_TOLERANCE),
+      maxAge: duration(env.JWT_MAX_AGE),
+      keysDir: env.JWT_KEYS_DIR || null,
+      activeKid: env.JWT_ACTIVE_KID,
+      tokenStore: env.JWT_TOKEN_STORE,
+    },
+    auth: {
+      enabled: env.AUTH_ROUTES,
+      userStore: env.AUTH_USER_STORE,
+      passwordCost: env.AUTH_PASSWORD_COST,
+      maxFailedLogins: env.AUTH_MAX_FAILED_LOGINS,
+      lockoutMs: env.AUTH_LOCKOUT_MS,
+      refreshCookie: {
+        name: 'refresh_token',
+        // The auth routes are served under every API version (/api/auth, /api/v1/auth, ...)
+        path: '/api',
+        secure: !['development', 'test'].includes(env.NODE_ENV),
+      },
+    },
+    apiKeys: { store: env.API_KEY_STORE, prefix: env.API_KEY_PREFIX },
+    db: {
+      driver: env.DB_DRIVER,
+      host: env.DB_HOST,
+      port: env.DB_PORT,
+      user: env.DB_USER,
+      password: env.DB_PASSWORD,
+      name: env.DB_NAME,
+      filename: env.DB_FILENAME,
+      poolSize: env.DB_POOL_SIZE,
+      slowQueryThreshold: env.DB_SLOW_QUERY_MS === undefined ? null : env.DB_SLOW_QUERY_MS,
+      connectRetries: env.DB_CONNECT_RETRIES,
+      connectRetryDelay: env.DB_CONNECT_RETRY_DELAY_MS,
+      migrationsDir: env.DB_MIGRATIONS_DIR,
+      seedsDir: env.DB_SEEDS_DIR,
+    },
+  },
+  secrets.map((key) => SECRET_PATHS[key])
+);
+
+module.exports = config;
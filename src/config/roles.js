@@ -0,0 +1,17 @@
+/**
+ * Role definitions used by the `authorize` middleware (see `lib/accessControl`).
+ *
+ * Tokens carry roles in their `data` claim (`roles: ['editor']` or `role: 'editor'`). Each role
+ * lists its permissions and the roles it inherits; edit this file to fit the application.
+ */
+
+/**
+ * @type {Object<string, import('../../lib/accessControl').RoleDefinition>}
+ */
+const roles = {
+  user: { permissions: ['profile:read', 'profile:update'] },
+  editor: { inherits: ['user'], permissions: ['content:*'] },
+  admin: { inherits: ['editor'], permissions: ['users:*', 'apiKeys:*'] },
+};
+
+module.exports = roles;
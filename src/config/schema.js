@@ -0,0 +1,165 @@
+/**
+ * JSON Schema of the environment variables read by the app (see `config/index`).
+ *
+ * Each property is one variable, with its type, default and a description shown in validation
+ * reports. `secret: true` marks variables whose config key is masked when the config is logged
+ * (see `SECRET_PATHS` in `config/index`). In production, and when
+ * the auth routes are enabled, the JWT secrets are required; MySQL/PostgreSQL always need a
+ * database name and user.
+ */
+
+const production = { required: ['NODE_ENV'], properties: { NODE_ENV: { const: 'production' } } };
+const authRoutes = {
+  required: ['AUTH_ROUTES'],
+  properties: { AUTH_ROUTES: { enum: [true, 'true'] } },
+};
+const needsSecrets = { anyOf: [production, authRoutes] };
+
+/**
+ * @type {object}
+ */
+const schema = {
+  type: 'object',
+  properties: {
+    NODE_ENV: {
+      type: 'string',
+      enum: ['development', 'test', 'staging', 'production'],
+      default: 'development',
+      description: 'Runtime environment',
+    },
+    PORT: { type: 'integer', minimum: 0, maximum: 65535, default: 3000, description: 'HTTP port' },
+    LOG_LEVEL: {
+      type: 'string',
+      enum: ['debug', 'info', 'warn', 'error', 'silent'],
+      description: 'Lowest level logged; defaults to silent in test, info otherwise',
+    },
+    TRUST_PROXY: {
+      type: 'string',
+      default: 'false',
+      description: 'Express trust proxy: true, false, a hop count or comma-separated addresses',
+    },
+
+    SECURITY_PROFILE: {
+      type: 'string',
+      enum: ['relaxed', 'strict'],
+      description: 'Defaults to strict in staging and production, relaxed otherwise',
+    },
+    CORS_ORIGINS: {
+      type: 'string',
+      description:
+        'Allowed origins, comma-separated: exact, https://*.example.com or /regex/; * for any',
+    },
+    CORS_CREDENTIALS: { type: 'boolean', description: 'Allow cookies on cross-origin requests' },
+    HSTS_MAX_AGE: { type: 'integer', minimum: 0, description: 'Seconds; 0 disables HSTS' },
+    CSP_REPORT_ONLY: { type: 'boolean' },
+    CSP_REPORT_URI: { type: 'string', format: 'uri-reference' },
+    BODY_LIMIT: {
+      type: 'string',
+      pattern: '^\\d+(b|kb|mb)?$',
+      description: 'Default request body limit, e.g. 100kb',
+    },
+
+    SHUTDOWN_TIMEOUT_MS: { type: 'integer', minimum: 0, default: 10000 },
+    SHUTDOWN_DRAIN_DELAY_MS: { type: 'integer', minimum: 0, default: 0 },
+    HEALTH_CHECK_TIMEOUT_MS: { type: 'integer', minimum: 1, default: 2000 },
+    HEALTH_MAX_EVENT_LOOP_LAG_MS: { type: 'number', exclusiveMinimum: 0, default: 500 },
+    HEALTH_MAX_HEAP_RATIO: { type: 'number', exclusiveMinimum: 0, maximum: 1, default: 0.9 },
+    METRICS_TOKEN: {
+      type: 'string',
+      secret: true,
+      description: 'Bearer token required to scrape /metrics',
+    },
+
+    RATE_LIMIT_MAX: { type: 'integer', minimum: 1, default: 100 },
+    RATE_LIMIT_WINDOW_MS: { type: 'integer', minimum: 1, default: 60000 },
+    RATE_LIMIT_ALGORITHM: {
+      type: 'string',
+      enum: ['fixed-window', 'sliding-window', 'token-bucket'],
+      default: 'fixed-window',
+    },
+    RATE_LIMIT_STORE: { type: 'string', enum: ['memory', 'database'], default: 'memory' },
+
+    API_ERROR_FORMAT: {
+      type: 'string',
+      enum: ['envelope', 'problem', 'negotiate'],
+      default: 'envelope',
+    },
+    API_PROBLEM_TYPE_BASE: { type: 'string', format: 'uri-reference' },
+
+    JWT_ISSUER: { type: 'string' },
+    JWT_AUDIENCE: { type: 'string' },
+    JWT_SUBJECT: { type: 'string' },
+    JWT_ACCESS_SECRET: {
+      type: 'string',
+      minLength: 32,
+      secret: true,
+      description: 'HS256 access token secret, at least 32 characters',
+    },
+    JWT_REFRESH_SECRET: {
+      type: 'string',
+      minLength: 32,
+      secret: true,
+      description: 'Refresh token secret, at least 32 characters',
+    },
+    JWT_ACCESS_EXPIRES_IN: { type: ['integer', 'string'], default: '15m' },
+    JWT_REFRESH_EXPIRES_IN: { type: ['integer', 'string'], default: '7d' },
+    JWT_CLOCK_TOLERANCE: { type: ['integer', 'string'], default: 0 },
+    JWT_MAX_AGE: { type: ['integer', 'string'] },
+    JWT_KEYS_DIR: { type: 'string', description: 'Directory of <kid>.pem / <kid>.pub keys' },
+    JWT_ACTIVE_KID: { type: 'string' },
+    JWT_TOKEN_STORE: {
+      type: 'string',
+      enum: ['memory', 'database'],
+      default: 'memory',
+      description: 'Where issued refresh tokens and revocations are kept',
+    },
+
+    AUTH_ROUTES: { type: 'boolean', default: false, description: 'Mount the /api/auth routes' },
+    AUTH_USER_STORE: { type: 'string', enum: ['memory', 'database'], default: 'memory' },
+    AUTH_PASSWORD_COST: {
+      type: 'integer',
+      minimum: 10,
+      // Each hash takes 128 * 2^cost * 8 bytes: 64 MiB at 16, per concurrent login
+      maximum: 16,
+      default: 15,
+      description: 'log2 of the scrypt cost of password hashes',
+    },
+    AUTH_MAX_FAILED_LOGINS: { type: 'integer', minimum: 1, default: 5 },
+    AUTH_LOCKOUT_MS: { type: 'integer', minimum: 1, default: 900000 },
+
+    API_KEY_STORE: { type: 'string', enum: ['memory', 'database'], default: 'memory' },
+    API_KEY_PREFIX: {
+      type: 'string',
+      pattern: '^[A-Za-z][A-Za-z0-9]*$',
+      default: 'ak',
+      description: 'Letters and digits starting every issued API key',
+    },
+
+    DB_DRIVER: { type: 'string', enum: ['sqlite', 'mysql', 'postgres'], default: 'sqlite' },
+    DB_HOST: { type: 'string', default: 'localhost' },
+    DB_PORT: { type: 'integer', minimum: 1, maximum: 65535 },
+    DB_USER: { type: 'string', description: 'Database user' },
+    DB_PASSWORD: { type: 'string', secret: true },
+    DB_NAME: { type: 'string', description: 'Database name' },
+    DB_POOL_SIZE: { type: 'integer', minimum: 1, default: 10 },
+    DB_SLOW_QUERY_MS: { type: 'number', minimum: 0 },
+    DB_CONNECT_RETRIES: { type: 'integer', minimum: 0, default: 5 },
+    DB_CONNECT_RETRY_DELAY_MS: { type: 'integer', minimum: 0, default: 500 },
+    DB_FILENAME: { type: 'string', default: ':memory:' },
+    DB_MIGRATIONS_DIR: { type: 'string', default: 'migrations' },
+    DB_SEEDS_DIR: { type: 'string', default: 'seeds' },
+  },
+  allOf: [
+    { if: needsSecrets, then: { required: ['JWT_REFRESH_SECRET'] } },
+    {
+      if: { ...needsSecrets, not: { required: ['JWT_KEYS_DIR'] } },
+      then: { required: ['JWT_ACCESS_SECRET'] },
+    },
+    {
+      if: { required: ['DB_DRIVER'], properties: { DB_DRIVER: { enum: ['mysql', 'postgres'] } } },
+      then: { required: ['DB_NAME', 'DB_USER'] },
+    },
+  ],
+};
+
+module.exports = schema;
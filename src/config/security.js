@@ -0,0 +1,55 @@
+/**
+ * Security profiles: HTTP header, CORS and request body settings applied by `src/index.js`.
+ *
+ * `SECURITY_PROFILE` picks one; it defaults to `strict` in staging and production and `relaxed`
+ * elsewhere. Variables such as `CORS_ORIGINS`, `HSTS_MAX_AGE` and `BODY_LIMIT` override a
+ * profile's values (see `config/index`).
+ */
+
+/**
+ * Headers browsers may read from cross-origin responses.
+ * @type {string[]}
+ */
+const EXPOSED_HEADERS = [
+  'X-Request-Id',
+  'RateLimit-Policy',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'Retry-After',
+  'API-Version',
+  'Deprecation',
+  'Sunset',
+  'Link',
+];
+
+/**
+ * @type {Object<string, object>}
+ */
+const PROFILES = {
+  // Local development and tests: any origin, no HSTS, CSP violations only reported
+  relaxed: {
+    cors: { origins: '*', credentials: false, maxAge: 600, exposedHeaders: EXPOSED_HEADERS },
+    hsts: false,
+    csp: { reportOnly: true, directives: { upgradeInsecureRequests: null } },
+    body: {
+      limit: '1mb',
+      types: ['application/json', 'application/x-www-form-urlencoded'],
+      routes: {},
+    },
+  },
+  // Deployments: only listed origins, HSTS for a year, enforced CSP
+  strict: {
+    cors: { origins: [], credentials: false, maxAge: 600, exposedHeaders: EXPOSED_HEADERS },
+    hsts: { maxAge: 31536000, includeSubDomains: true, preload: false },
+    csp: { reportOnly: false, directives: {} },
+    body: {
+      limit: '100kb',
+      types: ['application/json', 'application/x-www-form-urlencoded'],
+      // Per-route overrides by path prefix, e.g. '/api/imports': { limit: '5mb' }
+      routes: {},
+    },
+  },
+};
+
+module.exports = { PROFILES, EXPOSED_HEADERS };
@@ -0,0 +1,60 @@
+const apiKeys = require('../utils/apiKeys');
+const accessControl = require('../utils/accessControl');
+const { success } = require('../utils/apiResponse');
+const { ForbiddenError, NotFoundError, ValidationError } = require('../utils/httpErrors');
+
+/**
+ * Controller for the API key management routes. Users manage their own keys.
+ */
+class ApiKeyController {
+  /**
+   * POST /api/api-keys
+   * Issues a key owned by the caller, with scopes the caller holds. The key is only returned here.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async create(req, res) {
+    const { name, scopes } = req.body;
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new ValidationError([
+        { location: 'body', field: 'expiresAt', message: 'must be in the future' },
+      ]);
+    }
+    const { roles, permissions } = req.principal;
+    const notHeld = scopes.filter((scope) => !accessControl.can(roles, scope, permissions));
+    if (notHeld.length > 0) {
+      throw new ForbiddenError('You cannot grant scopes you do not hold.', {
+        details: { scopes: notHeld },
+      });
+    }
+
+    const created = await apiKeys.create({ name, scopes, expiresAt, ownerId: req.principal.id });
+    return success(res, created, 'API key created. Store it now; it cannot be shown again.', 201);
+  }
+
+  /**
+   * GET /api/api-keys
+   * Lists the caller's keys, revoked ones included.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async list(req, res) {
+    return success(res, await apiKeys.list({ ownerId: req.principal.id }));
+  }
+
+  /**
+   * DELETE /api/api-keys/:id
+   * Revokes one of the caller's keys.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async revoke(req, res) {
+    if (!(await apiKeys.revoke(req.params.id, { ownerId: req.principal.id }))) {
+      throw new NotFoundError('API key not found.');
+    }
+    return success(res, null, 'API key revoked.');
+  }
+}
+
+module.exports = ApiKeyController;
@@ -0,0 +1,197 @@
+const { randomUUID } = require('crypto');
+const { decodeJwt } = require('jose');
+const JWTError = require('../../lib/JWTError');
+const { hashPassword, verifyPassword, needsRehash } = require('../../lib/password');
+const config = require('../config');
+const jwtClient = require('../utils/jwtClient');
+const users = require('../utils/userRepository');
+const { success } = require('../utils/apiResponse');
+const { ConflictError, UnauthorizedError } = require('../utils/httpErrors');
+
+/**
+ * Roles given to newly registered users (see `config/roles`).
+ * @type {string[]}
+ */
+const DEFAULT_ROLES = ['user'];
+
+/**
+ * Error codes of unique constraint violations (MySQL, PostgreSQL, SQLite).
+ * @type {string[]}
+ */
+const UNIQUE_VIOLATIONS = ['ER_DUP_ENTRY', '23505', 'SQLITE_CONSTRAINT_UNIQUE'];
+
+const { passwordCost, maxFailedLogins, lockoutMs, refreshCookie } = config.auth;
+
+/**
+ * Hash checked when the email is unknown, so those logins take as long as known ones.
+ * @type {Promise<string>|null}
+ */
+let dummyHash = null;
+
+/**
+ * @returns {Promise<string>} A hash no password matches, made with the configured cost.
+ */
+function getDummyHash() {
+  dummyHash = dummyHash || hashPassword(randomUUID(), { cost: passwordCost });
+  return dummyHash;
+}
+
+/**
+ * @param {string} email
+ * @returns {string} The email trimmed and lowercased.
+ */
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+/**
+ * @param {import('../../lib/userRepository').User} user
+ * @returns {object} The user fields safe to send to clients.
+ */
+function toPublicUser({ id, email, roles, createdAt }) {
+  return { id, email, roles, createdAt };
+}
+
+/**
+ * Sets the httpOnly refresh token cookie, scoped to the API.
+ * @param {import('express').Response} res
+ * @param {string} refreshToken
+ */
+function setRefreshCookie(res, refreshToken) {
+  res.cookie(refreshCookie.name, refreshToken, {
+    httpOnly: true,
+    secure: refreshCookie.secure,
+    sameSite: 'strict',
+    path: refreshCookie.path,
+    expires: new Date(decodeJwt(refreshToken).exp * 1000),
+  });
+}
+
+/**
+ * @param {import('express').Response} res
+ */
+function clearRefreshCookie(res) {
+  res.clearCookie(refreshCookie.name, {
+    httpOnly: true,
+    secure: refreshCookie.secure,
+    sameSite: 'strict',
+    path: refreshCookie.path,
+  });
+}
+
+/**
+ * Starts a token family for a user: the access token is returned, the refresh token set as a
+ * cookie. Revoking the family on logout also revokes the access token.
+ * @param {import('express').Response} res
+ * @param {import('../../lib/userRepository').User} user
+ * @returns {Promise<{ accessToken: string, tokenType: 'Bearer' }>}
+ */
+async function issueTokens(res, user) {
+  const familyId = randomUUID();
+  const data = { id: user.id, roles: user.roles };
+  const [accessToken, refreshToken] = await Promise.all([
+    jwtClient.generateAccessToken({ data, familyId }),
+    jwtClient.generateRefreshToken({ data, familyId }),
+  ]);
+  setRefreshCookie(res, refreshToken);
+  return { accessToken, tokenType: 'Bearer' };
+}
+
+/**
+ * Controller for the auth routes.
+ */
+class AuthController {
+  /**
+   * POST /api/auth/register
+   * Creates a user with the default roles. Taken emails are caught by the repository's unique
+   * constraint, so concurrent registrations cannot both succeed.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async register(req, res) {
+    const email = normalizeEmail(req.body.email);
+    const passwordHash = await hashPassword(req.body.password, { cost: passwordCost });
+    let user;
+    try {
+      user = await users.create({ email, passwordHash, roles: DEFAULT_ROLES });
+    } catch (err) {
+      if (!UNIQUE_VIOLATIONS.includes(String(err.code))) throw err;
+      throw new ConflictError('Email already registered.', { code: 'EMAIL_TAKEN', cause: err });
+    }
+    return success(res, { user: toPublicUser(user) }, 'Registered.', 201);
+  }
+
+  /**
+   * POST /api/auth/login
+   * Checks the credentials, counting failures towards the account lock, and issues tokens.
+   * Unknown emails, wrong passwords and locked accounts get the same response after the same
+   * password work, so it does not tell which accounts exist or are locked.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async login(req, res) {
+    const { password } = req.body;
+    const invalid = new UnauthorizedError('Invalid email or password.', {
+      code: 'INVALID_CREDENTIALS',
+    });
+    const user = await users.findByEmail(normalizeEmail(req.body.email));
+    const valid = await verifyPassword(password, user ? user.passwordHash : await getDummyHash());
+    if (!user || (user.lockedUntil && user.lockedUntil.getTime() > Date.now())) throw invalid;
+    if (!valid) {
+      await users.recordFailedLogin(user.id, {
+        maxAttempts: maxFailedLogins,
+        lockedUntil: new Date(Date.now() + lockoutMs),
+      });
+      throw invalid;
+    }
+
+    if (user.failedLogins > 0 || user.lockedUntil) await users.resetFailedLogins(user.id);
+    if (needsRehash(user.passwordHash, { cost: passwordCost })) {
+      await users.updatePasswordHash(user.id, await hashPassword(password, { cost: passwordCost }));
+    }
+    const tokens = await issueTokens(res, user);
+    return success(res, { ...tokens, user: toPublicUser(user) }, 'Logged in.');
+  }
+
+  /**
+   * POST /api/auth/refresh
+   * Rotates the refresh token cookie and returns a new access token. A replayed refresh token
+   * revokes its whole family.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async refresh(req, res) {
+    const token = req.cookies[refreshCookie.name];
+    if (!token) throw new JWTError('Missing refresh token', { code: 'ER_INVALID_REFRESH_TOKEN' });
+    try {
+      const { accessToken, refreshToken } = await jwtClient.rotateRefreshToken(token);
+      setRefreshCookie(res, refreshToken);
+      return success(res, { accessToken, tokenType: 'Bearer' }, 'Token refreshed.');
+    } catch (err) {
+      clearRefreshCookie(res);
+      throw err;
+    }
+  }
+
+  /**
+   * POST /api/auth/logout
+   * Revokes the refresh token family, and with it the access tokens issued alongside, then
+   * clears the cookie. Missing or already invalid tokens still log out.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async logout(req, res) {
+    const token = req.cookies[refreshCookie.name];
+    if (token) {
+      try {
+        await jwtClient.revokeRefreshToken(token);
+      } catch (err) {
+        if (!(err instanceof JWTError)) throw err;
+      }
+    }
+    clearRefreshCookie(res);
+    return success(res, null, 'Logged out.');
+  }
+}
+
+module.exports = AuthController;
@@ -1,4 +1,5 @@
 const { success } = require('../utils/apiResponse');
+const { BadRequestError } = require('../utils/httpErrors');
 
 /**
  * ExampleController class for handling example routes.
@@ -23,6 +24,17 @@ class ExampleController {
     return success(res, null, `Hello, ${name}!`);
   }
 
+  /**
+   * GET /api/v2/example/greet/:name
+   * Returns the greeting as data rather than as the message.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async greeting(req, res) {
+    const { name } = req.params;
+    return success(res, { greeting: `Hello, ${name}!` }, 'Greeting.');
+  }
+
   /**
    * GET /api/error-if-true
    * Throws an error if the 'fail' query param is true.
@@ -31,16 +43,56 @@ class ExampleController {
    * @param {import('express').NextFunction} next
    */
   static async errorIfTrue(req, res) {
-    const { fail } = req.query;
-    if (fail === 'true') {
-      const error = new Error("Intentional error triggered by 'fail' query param.");
-      error.status = 400; // Bad Request
-      error.code = 'INTENTIONAL_ERROR';
-      throw error; // This will be caught by asyncHandler and passed to the error handler
+    const { fail } = req.query; // coerced to a boolean by the validate middleware
+    if (fail) {
+      // This will be caught by asyncHandler and passed to the error handler
+      throw new BadRequestError("Intentional error triggered by 'fail' query param.", {
+        code: 'INTENTIONAL_ERROR',
+      });
     }
 
     return success(res, null, 'No error thrown.');
   }
+
+  /**
+   * GET /api/example/me
+   * Returns the authenticated user attached by the authenticate middleware.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async me(req, res) {
+    return success(res, req.user, 'Authenticated user.');
+  }
+
+  /**
+   * GET /api/example/admin
+   * Reachable by users holding the admin role.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async admin(req, res) {
+    return success(res, { roles: req.principal.roles }, 'Welcome, administrator.');
+  }
+
+  /**
+   * GET /api/example/users/:userId
+   * Reachable by the user themselves or users allowed to read any user.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async userProfile(req, res) {
+    return success(res, { id: req.params.userId }, 'User profile.');
+  }
+
+  /**
+   * GET /api/example/service
+   * Returns the principal attached by the apiKeyAuth middleware.
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   */
+  static async service(req, res) {
+    return success(res, req.principal, `Hello, ${req.apiKey.name}!`);
+  }
 }
 
 module.exports = ExampleController;
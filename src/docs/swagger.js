@@ -2,33 +2,392 @@
  * Swagger specification generator using swagger-jsdoc.
  *
  * Loads API documentation from JSDoc comments in route files and external YAML components.
+ * Operations declaring `x-validate: <file>.<name>` get their parameters, request body and 422
+ * response generated from the matching request schema in `src/schemas/<file>.schemas.js`, the
+ * same schema the `validate` middleware enforces at runtime.
+ *
+ * Operations of routes guarded by `authorize()` middlewares (see `middlewares/authorize`) are
+ * documented as requiring a bearer token, with the requirement appended to their description and
+ * 401/403 responses added. The requirement is read from the mounted routes, so the docs cannot
+ * drift from the policies enforced at runtime.
+ *
+ * Error responses documented with the `ApiResponseError` / `ApiResponseValidationError` schemas
+ * follow the configured error format (see `utils/apiResponse`): they are documented as
+ * `application/problem+json` problem details in `problem` mode, and as both in `negotiate` mode.
+ *
+ * One document is generated per API version (`config/apiVersions`), with paths under
+ * `/api/<version>/`. Routes documented as `/api/...` in `src/routes/*.js` make up the first
+ * version; each later version overlays the operations documented in `src/routes/<version>/*.js`.
+ * Operations of deprecated versions are marked `deprecated`.
  *
  * @module swaggerSpec
  */
 
+const fs = require('fs');
+const path = require('path');
 const swaggerJSDoc = require('swagger-jsdoc');
 const pkg = require('../../package.json');
+const { getErrorFormat } = require('../utils/apiResponse');
+const apiVersions = require('../config/apiVersions');
+const { routes: apiRoutes } = require('../routes/api.routes');
+
+/**
+ * Directory holding the `*.schemas.js` request schema modules.
+ * @type {string}
+ */
+const SCHEMAS_DIR = path.join(__dirname, '../schemas');
+
+/**
+ * OpenAPI parameter location for each validated request location.
+ * @type {Object<string, string>}
+ */
+const PARAMETER_LOCATIONS = { params: 'path', query: 'query', headers: 'header' };
+
+/**
+ * Problem details schema replacing each envelope error schema.
+ * @type {Object<string, string>}
+ */
+const PROBLEM_SCHEMAS = {
+  '#/components/schemas/ApiResponseError': '#/components/schemas/ProblemDetails',
+  '#/components/schemas/ApiResponseValidationError':
+    '#/components/schemas/ValidationProblemDetails',
+};
+
+/**
+ * Swagger-jsdoc definition shared by every version.
+ * @type {object}
+ */
+const definition = {
+  openapi: '3.0.0',
+  info: {
+    title: pkg.name || 'Express API',
+    version: pkg.version || '1.0.0',
+    description: pkg.description || 'API documentation',
+  },
+};
 
 /**
- * Swagger-jsdoc options.
+ * Swagger-jsdoc options of the first version.
  * @type {import('swagger-jsdoc').Options}
  */
 const options = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: pkg.name || 'Express API',
-      version: pkg.version || '1.0.0',
-      description: pkg.description || 'API documentation',
-    },
-  },
+  definition,
   apis: ['./src/routes/*.js', './src/docs/components.yml'],
 };
 
 /**
- * The generated Swagger specification.
- * @type {object}
+ * Loads every request schema module, keyed by `<file>.<name>`.
+ * @returns {Object<string, import('../middlewares/validate').ValidationSchemas>}
+ */
+function loadRequestSchemas() {
+  const schemas = {};
+  fs.readdirSync(SCHEMAS_DIR)
+    .filter((file) => file.endsWith('.schemas.js'))
+    .forEach((file) => {
+      const namespace = path.basename(file, '.schemas.js');
+      // eslint-disable-next-line global-require, import/no-dynamic-require
+      Object.entries(require(path.join(SCHEMAS_DIR, file))).forEach(([name, schema]) => {
+        schemas[`${namespace}.${name}`] = schema;
+      });
+    });
+  return schemas;
+}
+
+/**
+ * Returns a copy of a spec with every operation replaced by `fn(operation, method, route)`.
+ * @param {object} spec - The OpenAPI document.
+ * @param {(operation: object, method: string, route: string) => object} fn - Operation
+ *   transform, given the lower case method and the documented path.
+ * @returns {object} The new spec.
  */
-const swaggerSpec = swaggerJSDoc(options);
+function mapOperations(spec, fn) {
+  const paths = Object.fromEntries(
+    Object.entries(spec.paths || {}).map(([route, pathItem]) => [
+      route,
+      Object.fromEntries(
+        Object.entries(pathItem).map(([method, operation]) => [
+          method,
+          fn(operation, method, route),
+        ])
+      ),
+    ])
+  );
+  return { ...spec, paths };
+}
+
+/**
+ * Converts an object schema into OpenAPI parameters.
+ * @param {object} schema - JSON Schema of type object.
+ * @param {string} location - OpenAPI parameter location (path, query or header).
+ * @returns {object[]} OpenAPI parameter objects.
+ */
+function toParameters(schema, location) {
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    return {
+      in: location,
+      name,
+      required: location === 'path' || required.includes(name),
+      ...(description && { description }),
+      schema: propertySchema,
+    };
+  });
+}
+
+/**
+ * Replaces an operation's `x-validate` extension with parameters, a request body and a 422
+ * response generated from the referenced request schema.
+ * @param {object} operation - OpenAPI operation object.
+ * @param {Object<string, object>} requestSchemas - Request schemas keyed by `<file>.<name>`.
+ * @returns {object} The operation with generated docs.
+ * @throws {Error} If the operation references an unknown schema.
+ */
+function withRequestSchemas(operation, requestSchemas) {
+  const { 'x-validate': ref, ...rest } = operation;
+  if (!ref) return operation;
+  const schemas = requestSchemas[ref];
+  if (!schemas) throw new Error(`Unknown request schema "${ref}" referenced in Swagger docs.`);
+
+  const generated = Object.entries(PARAMETER_LOCATIONS)
+    .filter(([location]) => schemas[location])
+    .flatMap(([location, openApiLocation]) => toParameters(schemas[location], openApiLocation));
+  const manual = (rest.parameters || []).filter(
+    (param) => !generated.some((gen) => gen.in === param.in && gen.name === param.name)
+  );
+
+  return {
+    ...rest,
+    ...(generated.length + manual.length > 0 && { parameters: [...generated, ...manual] }),
+    ...(schemas.body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: schemas.body } },
+      },
+    }),
+    responses: {
+      ...rest.responses,
+      422: {
+        description: 'Validation failed',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/ApiResponseValidationError' },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Applies {@link withRequestSchemas} to every operation of a spec.
+ * @param {object} spec - The generated OpenAPI document.
+ * @param {Object<string, object>} requestSchemas - Request schemas keyed by `<file>.<name>`.
+ * @returns {object} A new spec with generated docs.
+ */
+function applyRequestSchemas(spec, requestSchemas) {
+  return mapOperations(spec, (operation) => withRequestSchemas(operation, requestSchemas));
+}
+
+/**
+ * An error response referencing the `ApiResponseError` schema.
+ * @param {string} description
+ * @returns {object} OpenAPI response object.
+ */
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/ApiResponseError' } } },
+  };
+}
+
+/**
+ * Returns the key of an operation: its method and path, without parameter names.
+ * @param {string} method
+ * @param {string} route - Path below `/api/<version>`, with `:name` or `{name}` parameters.
+ * @returns {string}
+ */
+function operationKey(method, route) {
+  return `${method.toUpperCase()} ${route.replace(/:\w+|\{\w+\}/g, '{}')}`;
+}
+
+/**
+ * Indexes the authorization requirements of the mounted API routes by version and operation.
+ * @param {Array<import('../../lib/routeLoader').RouteInfo & { version: string }>} routes
+ * @returns {Object<string, Map<string, string[]>>}
+ */
+function indexAuthorization(routes) {
+  const index = Object.fromEntries(Object.keys(apiVersions).map((name) => [name, new Map()]));
+  routes.forEach(({ method, path: routePath, version, authorization }) => {
+    const route = routePath.slice(version.length + 1);
+    index[version].set(operationKey(method, route), authorization);
+  });
+  return index;
+}
+
+/**
+ * Returns the authorization requirements of the route serving an operation in a version. Routes a
+ * version does not declare are served by earlier versions.
+ * @param {Object<string, Map<string, string[]>>} index - See {@link indexAuthorization}.
+ * @param {string} name - Version name.
+ * @param {string} method - Lower case method.
+ * @param {string} route - Documented path, under `/api`.
+ * @returns {string[]} The requirements; empty when the route is not guarded, or not mounted
+ *   under `/api`.
+ */
+function findAuthorization(index, name, method, route) {
+  if (!/^\/api(\/|$)/.test(route)) return [];
+  const apiPath = route.slice('/api'.length);
+  const names = Object.keys(apiVersions);
+  const served = names
+    .slice(0, names.indexOf(name) + 1)
+    .reverse()
+    .map((version) => index[version])
+    .find(
+      (operations) =>
+        operations.has(operationKey(method, apiPath)) ||
+        operations.has(operationKey('all', apiPath))
+    );
+  if (!served) return [];
+  return served.get(operationKey(method, apiPath)) || served.get(operationKey('all', apiPath));
+}
+
+/**
+ * Documents an operation as requiring a bearer token, adding 401/403 responses and a description
+ * of the authorization requirements.
+ * @param {object} operation - OpenAPI operation object.
+ * @param {string[]} authorization - Requirements of the route, in order.
+ * @returns {object} The operation with generated docs.
+ */
+function withAuthorization(operation, authorization) {
+  if (authorization.length === 0) return operation;
+  const note = `**Requires** ${authorization.join(' and ')}.`;
+
+  return {
+    ...operation,
+    description: operation.description ? `${operation.description}\n\n${note}` : note,
+    security: operation.security || [{ bearerAuth: [] }],
+    responses: {
+      401: errorResponse('Missing, invalid or expired access token'),
+      403: errorResponse('Insufficient role or permissions'),
+      ...operation.responses,
+    },
+  };
+}
+
+/**
+ * Applies {@link withAuthorization} to every operation of a spec, with the requirements of the
+ * routes mounted for the version.
+ * @param {object} spec - The OpenAPI document.
+ * @param {Object<string, Map<string, string[]>>} index - See {@link indexAuthorization}.
+ * @param {string} name - Version name.
+ * @returns {object} A new spec with generated docs.
+ */
+function applyAuthorization(spec, index, name) {
+  return mapOperations(spec, (operation, method, route) =>
+    withAuthorization(operation, findAuthorization(index, name, method, route))
+  );
+}
+
+/**
+ * Documents error responses in the given error format.
+ * @param {object} responses - OpenAPI responses object.
+ * @param {'envelope'|'problem'|'negotiate'} format - The error format.
+ * @returns {object} The responses with problem details content where applicable.
+ */
+function withErrorFormat(responses, format) {
+  return Object.fromEntries(
+    Object.entries(responses || {}).map(([status, response]) => {
+      const json = response.content && response.content['application/json'];
+      const problemRef = json && json.schema && PROBLEM_SCHEMAS[json.schema.$ref];
+      if (!problemRef) return [status, response];
+
+      const problemContent = { 'application/problem+json': { schema: { $ref: problemRef } } };
+      const content =
+        format === 'problem' ? problemContent : { ...response.content, ...problemContent };
+      return [status, { ...response, content }];
+    })
+  );
+}
+
+/**
+ * Applies {@link withErrorFormat} to every operation of a spec.
+ * @param {object} spec - The OpenAPI document.
+ * @param {'envelope'|'problem'|'negotiate'} format - The error format.
+ * @returns {object} A new spec, or the same one in `envelope` mode.
+ */
+function applyErrorFormat(spec, format) {
+  if (format === 'envelope') return spec;
+  return mapOperations(spec, (operation) => ({
+    ...operation,
+    responses: withErrorFormat(operation.responses, format),
+  }));
+}
+
+/**
+ * Returns a copy of a spec with the operations and tags of another spec added or replaced.
+ * @param {object} spec - The OpenAPI document.
+ * @param {object} overlay - The operations a later version changes.
+ * @returns {object} The new spec.
+ */
+function applyOverlay(spec, overlay) {
+  const paths = { ...spec.paths };
+  Object.entries(overlay.paths || {}).forEach(([route, pathItem]) => {
+    paths[route] = { ...paths[route], ...pathItem };
+  });
+  const tags = spec.tags || [];
+  const newTags = (overlay.tags || []).filter((tag) => !tags.some(({ name }) => name === tag.name));
+  return { ...spec, paths, ...(newTags.length > 0 && { tags: [...tags, ...newTags] }) };
+}
+
+/**
+ * Moves the `/api` paths of a spec under `/api/<version>` and titles it with the version;
+ * operations of deprecated versions are marked `deprecated`.
+ * @param {object} spec - The OpenAPI document.
+ * @param {string} name - Version name.
+ * @param {import('../config/apiVersions').ApiVersionOptions} version
+ * @returns {object} The new spec.
+ */
+function applyVersion(spec, name, version) {
+  const paths = Object.fromEntries(
+    Object.entries(spec.paths || {}).map(([route, pathItem]) => [
+      route.replace(/^\/api(?=\/|$)/, `/api/${name}`),
+      pathItem,
+    ])
+  );
+  const info = { ...spec.info, title: `${spec.info.title} (${name})` };
+  if (version.deprecated) {
+    const sunset = version.sunset && ` and removed after ${new Date(version.sunset).toUTCString()}`;
+    info.description = `${info.description}\n\n**Deprecated**${sunset || ''}: use a later version.`;
+  }
+  const versioned = { ...spec, info, paths };
+  if (!version.deprecated) return versioned;
+  return mapOperations(versioned, (operation) => ({ ...operation, deprecated: true }));
+}
+
+const requestSchemas = loadRequestSchemas();
+const errorFormat = getErrorFormat();
+const authorizationIndex = indexAuthorization(apiRoutes);
+
+/**
+ * The generated Swagger specification of each API version, oldest first.
+ * @type {Object<string, object>}
+ */
+const swaggerSpecs = {};
+
+let spec;
+Object.entries(apiVersions).forEach(([name, version]) => {
+  spec = spec
+    ? applyOverlay(spec, swaggerJSDoc({ definition, apis: [`./src/routes/${name}/*.js`] }))
+    : swaggerJSDoc(options);
+  swaggerSpecs[name] = applyVersion(
+    applyErrorFormat(
+      applyAuthorization(applyRequestSchemas(spec, requestSchemas), authorizationIndex, name),
+      errorFormat
+    ),
+    name,
+    version
+  );
+});
 
-module.exports = swaggerSpec;
+module.exports = swaggerSpecs;
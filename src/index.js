@@ -2,24 +2,44 @@
  * Express application instance.
  *
  * Features:
- * - Helmet for security headers
+ * - Request ids (X-Request-Id) for correlating responses and logs
+ * - JSON request logging
+ * - Security profile (SECURITY_PROFILE): helmet CSP and HSTS, CORS origin allowlist, body size
+ *   limits and content types per route
+ * - Trusted proxies (TRUST_PROXY), so req.ip and req.protocol reflect the client
  * - Compression for responses
- * - CORS enabled
- * - JSON and URL-encoded body parsing
- * - Swagger UI for API documentation
+ * - Cookie parsing (used for cookie-based JWT authentication)
+ * - Rate limiting of /api (RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_MS per IP)
+ * - API versions by URL prefix (/api/v2) or Accept-Version header, with Deprecation and Sunset
+ *   headers for deprecated versions
+ * - Swagger UI for API documentation, one document per API version
+ * - JSON Web Key Set at /.well-known/jwks.json
+ * - Liveness and readiness probes at /health/live and /health/ready
+ * - Prometheus metrics at /metrics (bearer token when METRICS_TOKEN is set; production needs one)
  * - Centralized error and 404 handling
  *
  * @module app
  */
 
 const express = require('express');
-const helmet = require('helmet');
 const compression = require('compression');
-const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const swaggerUi = require('swagger-ui-express');
-const router = require('./routes/index.routes');
-const swaggerSpec = require('./docs/swagger');
+const config = require('./config');
+const requestId = require('./middlewares/requestId');
+const requestLogger = require('./middlewares/requestLogger');
+const httpMetrics = require('./middlewares/httpMetrics');
+const { securityHeaders, corsPolicy } = require('./middlewares/security');
+const bodyPolicy = require('./middlewares/bodyPolicy');
+const rateLimit = require('./middlewares/rateLimit');
+const rateLimitStore = require('./utils/rateLimitStore');
+const apiRouter = require('./routes/api.routes');
+const jwksRouter = require('./routes/jwks.routes');
+const healthRouter = require('./routes/health.routes');
+const metricsRouter = require('./routes/metrics.routes');
+const swaggerSpecs = require('./docs/swagger');
 const { notFoundHandler, errorHandler } = require('./middlewares/errorHandlers');
+const { NotFoundError } = require('./utils/httpErrors');
 
 /**
  * The Express application.
@@ -27,34 +47,88 @@ const { notFoundHandler, errorHandler } = require('./middlewares/errorHandlers')
  */
 const app = express();
 
+// Client address and protocol from X-Forwarded-* headers set by trusted proxies
+app.set('trust proxy', config.trustProxy);
+
+// Assign a request id
+app.use(requestId);
+
+// Log each request once it completes
+app.use(requestLogger());
+
+// Count requests and record their durations by route
+app.use(httpMetrics());
+
 // Security headers
-app.use(helmet());
+app.use(securityHeaders(config.security));
 
 // Enable gzip compression
 app.use(compression());
 
-// Enable CORS
-app.use(cors());
+// Enable CORS for the allowed origins
+app.use(corsPolicy(config.security.cors));
 
-// Parse JSON bodies
-app.use(express.json());
+// Enforce body content types and size limits, and parse JSON and URL-encoded bodies
+app.use(bodyPolicy(config.security.body));
 
-// Parse URL-encoded bodies
-app.use(express.urlencoded({ extended: true }));
+// Parse cookies
+app.use(cookieParser());
 
 /**
- * Serve Swagger UI with dynamic server URL.
- * @name /api-docs
+ * Serve the OpenAPI document of each API version with dynamic server URL.
+ * @name /api-docs/:version.json
  * @function
  */
-app.use('/api-docs', swaggerUi.serve, (req, res, next) => {
-  const spec = JSON.parse(JSON.stringify(swaggerSpec));
-  spec.servers = [{ url: `${req.protocol}://${req.get('host')}` }];
-  swaggerUi.setup(spec)(req, res, next);
+app.get('/api-docs/:version.json', (req, res, next) => {
+  if (!Object.prototype.hasOwnProperty.call(swaggerSpecs, req.params.version)) {
+    return next(new NotFoundError(`Unknown API version "${req.params.version}".`));
+  }
+  const spec = JSON.parse(JSON.stringify(swaggerSpecs[req.params.version]));
+  spec.servers = [{ url: `${req.protocol}://${req.host}` }];
+  return res.json(spec);
 });
 
-// API routes
-app.use('/api', router);
+/**
+ * Serve Swagger UI with a switcher between the API versions, latest selected.
+ * @name /api-docs
+ * @function
+ */
+const versionNames = Object.keys(swaggerSpecs);
+app.use(
+  '/api-docs',
+  swaggerUi.serve,
+  swaggerUi.setup(null, {
+    explorer: true,
+    swaggerOptions: {
+      urls: versionNames.map((name) => ({ url: `/api-docs/${name}.json`, name })),
+      'urls.primaryName': versionNames[versionNames.length - 1],
+    },
+  })
+);
+
+// Public signing keys
+app.use('/.well-known', jwksRouter);
+
+// Health probes
+app.use('/health', healthRouter);
+
+// Prometheus metrics
+app.use('/metrics', metricsRouter);
+
+// Throttle API clients
+app.use(
+  '/api',
+  rateLimit({
+    name: 'api',
+    limit: config.rateLimit.max,
+    windowMs: config.rateLimit.windowMs,
+    algorithm: config.rateLimit.algorithm,
+    store: rateLimitStore,
+  })
+);
+
+// API routes, by version
+app.use('/api', apiRouter);
 
 // 404 handler
 app.use(notFoundHandler);
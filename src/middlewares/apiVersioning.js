@@ -0,0 +1,180 @@
+/**
+ * API versioning router.
+ *
+ * Mounts one router per version. A request picks its version with a URL prefix (`/v2/...`) or,
+ * on unprefixed URLs, an `Accept-Version` header (`v2` or `2`), defaulting to the first version.
+ * A version's router only needs the routes that changed: requests it does not handle fall back to
+ * the previous versions, newest first. To retire a route in a version, answer it there (e.g. 410).
+ *
+ * A request only enters the routers of versions with a route matching its method and path, so
+ * the middleware of a version (`router.use(authenticate())`) runs for its own routes and not for
+ * those it falls back to. Middleware alone, such as `express.static`, does not make a version
+ * handle a path: serve it from a route, or outside the versioned router.
+ *
+ * Responses carry `API-Version`, plus `Deprecation` / `Sunset` / `Link` headers (RFC 9745,
+ * RFC 8594) when the version is deprecated. Unknown versions get a 404 (prefix) or 400 (header).
+ *
+ * Usage:
+ *   const apiVersioning = require('../middlewares/apiVersioning');
+ *
+ *   app.use('/api', apiVersioning({
+ *     v1: { router: v1Router, deprecated: '2026-01-01', sunset: '2026-07-01' },
+ *     v2: { router: v2Router },
+ *   }));
+ */
+
+const express = require('express');
+const { BadRequestError, NotFoundError } = require('../utils/httpErrors');
+
+/**
+ * @typedef {import('../config/apiVersions').ApiVersionOptions & {
+ *   router: import('express').RequestHandler
+ * }} ApiVersion
+ */
+
+/**
+ * Key of `router.all()` routes in `route.methods`.
+ * @type {string}
+ */
+const ALL_METHODS = '_all';
+
+/**
+ * Formats a date as an RFC 9651 structured field date (`@<unix seconds>`).
+ * @param {string|Date} date
+ * @returns {string}
+ */
+function structuredDate(date) {
+  return `@${Math.floor(new Date(date).getTime() / 1000)}`;
+}
+
+/**
+ * Sets the version headers of a response.
+ * @param {import('express').Response} res
+ * @param {string} name - Version name.
+ * @param {ApiVersion} version
+ */
+function setVersionHeaders(res, name, { deprecated, sunset, link }) {
+  res.set('API-Version', name);
+  if (deprecated) res.set('Deprecation', structuredDate(deprecated));
+  if (sunset) res.set('Sunset', new Date(sunset).toUTCString());
+  if (deprecated && link) res.append('Link', `<${link}>; rel="deprecation"`);
+}
+
+/**
+ * Whether a router has a route for a method and path, in itself or in the routers mounted on it.
+ * @param {import('express').Router} router
+ * @param {string} method - Request method.
+ * @param {string} path - Request path, relative to the router.
+ * @returns {boolean}
+ */
+function hasRoute(router, method, path) {
+  const name = method.toLowerCase();
+  return router.stack.some((layer) => {
+    if (!layer.match(path)) return false;
+    if (layer.route) {
+      const { methods } = layer.route;
+      // Express answers HEAD with GET routes, and OPTIONS for every route of a path
+      return Boolean(
+        methods[ALL_METHODS] ||
+          methods[name] ||
+          (name === 'head' && methods.get) ||
+          name === 'options'
+      );
+    }
+    return (
+      Array.isArray(layer.handle.stack) &&
+      hasRoute(layer.handle, method, path.slice(layer.path.length) || '/')
+    );
+  });
+}
+
+/**
+ * Runs a version's router only for requests one of its routes matches.
+ * @param {import('express').RequestHandler} router - The version's router; plain handlers always run.
+ * @returns {import('express').RequestHandler}
+ */
+function ownRoutes(router) {
+  if (!Array.isArray(router.stack)) return router;
+  return (req, res, next) =>
+    hasRoute(router, req.method, req.path) ? router(req, res, next) : next();
+}
+
+/**
+ * Creates the versioning router.
+ * @param {Object<string, ApiVersion>} versions - Versions named `v<number>`, oldest first.
+ * @param {object} [options]
+ * @param {string} [options.header='Accept-Version'] - Header selecting the version of
+ *   unprefixed URLs.
+ * @param {string} [options.defaultVersion] - Version of unprefixed URLs without the header;
+ *   the first version by default.
+ * @returns {import('express').Router}
+ * @throws {Error} If a version name or the default version is invalid.
+ */
+function apiVersioning(versions, { header = 'Accept-Version', defaultVersion } = {}) {
+  const names = Object.keys(versions);
+  names.forEach((name) => {
+    if (!/^v\d+$/.test(name)) throw new Error(`Invalid API version "${name}": use v<number>.`);
+  });
+  const fallback = defaultVersion || names[0];
+  if (!versions[fallback]) throw new Error(`Unknown default API version "${fallback}".`);
+
+  // Each version's routes, then those of earlier versions, newest first
+  const routers = Object.fromEntries(names.map((name) => [name, ownRoutes(versions[name].router)]));
+  const chains = Object.fromEntries(
+    names.map((name, index) => {
+      const chain = express.Router();
+      names
+        .slice(0, index + 1)
+        .reverse()
+        .forEach((previous) => chain.use(routers[previous]));
+      return [name, chain];
+    })
+  );
+
+  const router = express.Router();
+
+  names.forEach((name) => {
+    router.use(
+      `/${name}`,
+      (req, res, next) => {
+        req.apiVersion = name;
+        setVersionHeaders(res, name, versions[name]);
+        next();
+      },
+      chains[name],
+      (req, res, next) => next(new NotFoundError())
+    );
+  });
+
+  router.use((req, res, next) => {
+    const prefix = /^\/(v\d+)(?:\/|$)/.exec(req.path);
+    if (prefix) {
+      return next(
+        new NotFoundError(`Unknown API version "${prefix[1]}".`, {
+          code: 'UNKNOWN_API_VERSION',
+          details: { versions: names },
+        })
+      );
+    }
+
+    res.vary(header);
+    const requested = req.get(header);
+    const name = requested ? `v${requested.trim().replace(/^v/i, '')}` : fallback;
+    if (!versions[name]) {
+      return next(
+        new BadRequestError(`Unsupported API version "${requested}".`, {
+          code: 'UNSUPPORTED_API_VERSION',
+          details: { versions: names },
+        })
+      );
+    }
+    req.apiVersion = name;
+    setVersionHeaders(res, name, versions[name]);
+    return chains[name](req, res, next);
+  });
+
+  router.versions = names;
+  return router;
+}
+
+module.exports = apiVersioning;
@@ -0,0 +1,115 @@
+/**
+ * JWT authentication middleware built on JWTClient.
+ *
+ * Reads the access token from the `Authorization: Bearer <token>` header or from a cookie,
+ * verifies it and attaches the decoded `data` claim to `req.user`, and the caller's identity to
+ * `req.principal` (see {@link userPrincipal}). Verification failures are forwarded as JWTErrors
+ * to the error handler, which maps each code to its HTTP status.
+ *
+ * Usage:
+ *   const { authenticate, optionalAuthenticate } = require('../middlewares/auth');
+ *
+ *   // Guard a single route
+ *   router.get('/me', authenticate(), asyncHandler(Controller.me));
+ *
+ *   // Guard every route of a router
+ *   router.use(authenticate());
+ *
+ *   // Attach the user when a token is present, but let anonymous requests through
+ *   router.get('/feed', optionalAuthenticate(), asyncHandler(Controller.feed));
+ */
+
+const JWTError = require('../../lib/JWTError');
+const defaultJwtClient = require('../utils/jwtClient');
+
+/**
+ * Extracts the access token from the Authorization header or the given cookie.
+ * @param {import('express').Request} req
+ * @param {string} cookieName - Name of the cookie holding the access token.
+ * @returns {string|null} The raw token, or null if none was sent.
+ * @private
+ */
+function extractToken(req, cookieName) {
+  const header = req.get('authorization');
+  if (header) {
+    const [scheme, token] = header.split(' ');
+    if (/^Bearer$/i.test(scheme) && token) return token;
+  }
+  if (cookieName && req.cookies && req.cookies[cookieName]) {
+    return req.cookies[cookieName];
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} Principal - Who is calling, whatever the credentials. `authorize` checks it.
+ * @property {'user'|'apiKey'} type
+ * @property {string|number} id - User id, or API key id.
+ * @property {string[]} roles - Roles held (see `config/roles`).
+ * @property {string[]} permissions - Permissions granted directly, or API key scopes.
+ */
+
+/**
+ * Builds the principal of a user from a token's `data` claim: `{ id, roles | role, permissions }`.
+ * @param {any} data - The `data` claim.
+ * @returns {Principal}
+ */
+function userPrincipal(data) {
+  const user = data !== null && typeof data === 'object' ? data : { id: data };
+  return {
+    type: 'user',
+    id: user.id,
+    roles: [].concat(user.roles || user.role || []),
+    permissions: [].concat(user.permissions || []),
+  };
+}
+
+/**
+ * Creates an authentication middleware.
+ * @param {object} [options]
+ * @param {import('../../lib/jwt')} [options.jwtClient] - JWTClient used to verify tokens.
+ * @param {boolean} [options.optional=false] - Let requests without a token through.
+ * @param {string} [options.cookieName='access_token'] - Cookie to read the token from.
+ * @returns {import('express').RequestHandler} Express middleware.
+ * @example
+ * router.get('/me', authenticate(), asyncHandler(Controller.me));
+ */
+function authenticate({
+  jwtClient = defaultJwtClient,
+  optional = false,
+  cookieName = 'access_token',
+} = {}) {
+  const middleware = async function authenticateMiddleware(req, res, next) {
+    const token = extractToken(req, cookieName);
+
+    if (!token) {
+      if (optional) return next();
+      return next(new JWTError('Missing access token', { code: 'ER_INVALID_ACCESS_TOKEN' }));
+    }
+
+    try {
+      const { data: payload } = await jwtClient.verifyAccessToken(token);
+      req.user = payload.data;
+      req.auth = payload;
+      req.principal = userPrincipal(payload.data);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+  // Shown in the route table
+  middleware.auth = optional ? 'JWT (optional)' : 'JWT';
+  return middleware;
+}
+
+/**
+ * Creates an authentication middleware that does not reject anonymous requests.
+ * Requests with an invalid token are still rejected.
+ * @param {object} [options] - Same options as {@link authenticate}.
+ * @returns {import('express').RequestHandler} Express middleware.
+ */
+function optionalAuthenticate(options = {}) {
+  return authenticate({ ...options, optional: true });
+}
+
+module.exports = { authenticate, optionalAuthenticate, userPrincipal };
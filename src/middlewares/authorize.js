@@ -0,0 +1,233 @@
+/**
+ * Authorization middleware for authenticated requests.
+ *
+ * A policy is a function `(req) => boolean | Promise<boolean>` deciding whether `req.principal`
+ * may proceed. `authorize(policy)` runs one after `authenticate()` or `apiKeyAuth()`, which set
+ * the principal: anonymous requests get a 401, denied ones a 403 ForbiddenError, both rendered
+ * through `apiResponse.error`.
+ *
+ * The principal's roles resolve through `config/roles`, including inherited roles and
+ * permissions; its `permissions` add direct grants (the scopes, for API keys).
+ *
+ * Usage:
+ *   const { requireRole, requirePermission, authorize, isOwner, hasPermission, anyOf } =
+ *     require('../middlewares/authorize');
+ *
+ *   router.get('/admin/stats', authenticate(), requireRole('admin'), ...);
+ *   router.delete('/posts/:id', authenticate(), requirePermission('content:delete'), ...);
+ *
+ *   // Users may update themselves; admins may update anyone
+ *   router.patch(
+ *     '/users/:userId',
+ *     authenticate(),
+ *     authorize(anyOf(isOwner((req) => req.params.userId), hasPermission('users:update'))),
+ *     ...
+ *   );
+ *
+ * The policies built here describe themselves (`label` for the route table, `description` for
+ * the API docs), so `authorize()` middlewares document the routes they guard (see
+ * `docs/swagger`). Describe custom policies with the `label` and `description` options.
+ */
+
+const defaultAccessControl = require('../utils/accessControl');
+const { UnauthorizedError, ForbiddenError } = require('../utils/httpErrors');
+
+/**
+ * @typedef {((req: import('express').Request) => boolean|Promise<boolean>) & {
+ *   label?: string, description?: string }} Policy
+ *   `label` describes the requirement in the route table, e.g. `role: admin`; `description` in
+ *   the API docs, e.g. "one of the roles `admin`".
+ */
+
+/**
+ * Attaches the label and description of a policy.
+ * @param {Function} policy
+ * @param {string} label
+ * @param {string} description
+ * @returns {Policy}
+ * @private
+ */
+function describePolicy(policy, label, description) {
+  return Object.assign(policy, { label, description });
+}
+
+/**
+ * @param {string[]} names
+ * @returns {string} The names as Markdown code, comma separated.
+ * @private
+ */
+function codeList(names) {
+  return names.map((name) => `\`${name}\``).join(', ');
+}
+
+/**
+ * Roles held by a principal.
+ * @param {object} principal - `req.principal`.
+ * @returns {string[]}
+ */
+function rolesOf(principal) {
+  return [].concat(principal.roles || principal.role || []);
+}
+
+/**
+ * Policy: the principal has, or inherits, any of the roles.
+ * @param {...string} roles
+ * @returns {Policy}
+ */
+function hasRole(...roles) {
+  return describePolicy(
+    (req) => roles.some((role) => defaultAccessControl.hasRole(rolesOf(req.principal), role)),
+    `role: ${roles.join(' | ')}`,
+    `one of the roles ${codeList(roles)}`
+  );
+}
+
+/**
+ * Policy: the principal has every permission, through roles or direct grants.
+ * @param {...string} permissions - E.g. `users:delete`.
+ * @returns {Policy}
+ */
+function hasPermission(...permissions) {
+  return describePolicy(
+    (req) =>
+      permissions.every((permission) =>
+        defaultAccessControl.can(rolesOf(req.principal), permission, req.principal.permissions)
+      ),
+    `permission: ${permissions.join(' & ')}`,
+    `the permissions ${codeList(permissions)}`
+  );
+}
+
+/**
+ * Policy: the principal is the user owning the resource. API keys never own resources; they are
+ * limited to their scopes.
+ * @param {(req: import('express').Request) => any|Promise<any>} getOwnerId - Returns the owner's
+ *   id, e.g. `(req) => req.params.userId`, or looks it up:
+ *   `async (req) => (await Post.find(req.params.id)).authorId`.
+ * @param {string} [userIdField='id'] - Field of `req.principal` holding the user's id.
+ * @returns {Policy}
+ */
+function isOwner(getOwnerId, userIdField = 'id') {
+  return describePolicy(
+    async (req) => {
+      if (req.principal.type !== 'user') return false;
+      const ownerId = await getOwnerId(req);
+      const userId = req.principal[userIdField];
+      return ownerId != null && userId != null && String(ownerId) === String(userId);
+    },
+    'owner',
+    'owning the resource'
+  );
+}
+
+/**
+ * Policy: any of the policies allows the request. They run in order until one does.
+ * @param {...Policy} policies
+ * @returns {Policy}
+ */
+function anyOf(...policies) {
+  return describePolicy(
+    async (req) => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const policy of policies) {
+        // eslint-disable-next-line no-await-in-loop
+        if (await policy(req)) return true;
+      }
+      return false;
+    },
+    policies.map((policy) => policy.label || 'policy').join(' or '),
+    policies.map((policy) => policy.description || 'a custom policy').join(' or ')
+  );
+}
+
+/**
+ * Policy: every policy allows the request.
+ * @param {...Policy} policies
+ * @returns {Policy}
+ */
+function allOf(...policies) {
+  return describePolicy(
+    async (req) => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const policy of policies) {
+        // eslint-disable-next-line no-await-in-loop
+        if (!(await policy(req))) return false;
+      }
+      return true;
+    },
+    policies.map((policy) => policy.label || 'policy').join(' and '),
+    policies.map((policy) => policy.description || 'a custom policy').join(' and ')
+  );
+}
+
+/**
+ * Creates a middleware enforcing a policy. Its `auth` and `authorization` properties describe the
+ * requirement in the route table and the API docs.
+ * @param {Policy} policy
+ * @param {object} [options]
+ * @param {string} [options.message='You do not have permission to perform this action.']
+ * @param {object} [options.details] - Sent with the 403, e.g. the required permissions.
+ * @param {string} [options.label] - Describes the requirement in the route table; the policy's
+ *   label by default.
+ * @param {string} [options.description] - Describes the requirement in the API docs; the
+ *   policy's description, or the label, by default.
+ * @returns {import('express').RequestHandler}
+ */
+function authorize(
+  policy,
+  {
+    message = 'You do not have permission to perform this action.',
+    details,
+    label = policy.label || 'policy',
+    description = policy.description || label,
+  } = {}
+) {
+  const middleware = async function authorizeMiddleware(req, res, next) {
+    if (!req.principal) return next(new UnauthorizedError('Authentication required.'));
+    try {
+      if (await policy(req)) return next();
+      return next(new ForbiddenError(message, { details }));
+    } catch (err) {
+      return next(err);
+    }
+  };
+  middleware.auth = label;
+  middleware.authorization = description;
+  return middleware;
+}
+
+/**
+ * Allows principals having, or inheriting, any of the roles.
+ * @param {...string} roles
+ * @returns {import('express').RequestHandler}
+ * @throws {Error} If a role is not defined in `config/roles`.
+ */
+function requireRole(...roles) {
+  roles.forEach((role) => {
+    if (!defaultAccessControl.hasDefinition(role)) throw new Error(`Unknown role "${role}".`);
+  });
+  return authorize(hasRole(...roles), { details: { requiredRoles: roles } });
+}
+
+/**
+ * Allows principals having every permission.
+ * @param {...string} permissions
+ * @returns {import('express').RequestHandler}
+ */
+function requirePermission(...permissions) {
+  return authorize(hasPermission(...permissions), {
+    details: { requiredPermissions: permissions },
+  });
+}
+
+module.exports = {
+  authorize,
+  requireRole,
+  requirePermission,
+  hasRole,
+  hasPermission,
+  isOwner,
+  anyOf,
+  allOf,
+  rolesOf,
+};
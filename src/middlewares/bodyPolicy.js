@@ -0,0 +1,83 @@
+/**
+ * Request body policy: size limits and allowed content types, per route prefix.
+ *
+ * Requests carrying a body must declare one of the allowed content types, or they are rejected
+ * with a 415 UnsupportedMediaTypeError. JSON and URL-encoded bodies are then parsed up to the
+ * limit; larger ones are rejected with a 413. Routes needing other limits or types (uploads,
+ * webhooks) get their own rule, matched by the longest path prefix.
+ *
+ * Usage:
+ *   app.use(bodyPolicy({
+ *     limit: '100kb',
+ *     types: ['application/json', 'application/x-www-form-urlencoded'],
+ *     routes: {
+ *       '/api/imports': { limit: '5mb' },
+ *       '/api/uploads': { types: ['multipart/form-data'] },
+ *     },
+ *   }));
+ */
+
+const express = require('express');
+const { UnsupportedMediaTypeError } = require('../utils/httpErrors');
+
+/**
+ * @typedef {object} BodyRule
+ * @property {string|number} [limit] - Maximum body size, e.g. `'100kb'`.
+ * @property {string[]} [types] - Allowed content types; `type/*` wildcards are supported.
+ */
+
+/**
+ * Builds the checks and parsers of one rule.
+ * @param {string|number} limit
+ * @param {string[]} types
+ * @returns {{ types: string[], parse: import('express').RequestHandler }}
+ * @private
+ */
+function createRule(limit, types) {
+  const json = express.json({ limit });
+  const urlencoded = express.urlencoded({ extended: true, limit });
+  return {
+    types,
+    parse: (req, res, next) =>
+      json(req, res, (err) => (err ? next(err) : urlencoded(req, res, next))),
+  };
+}
+
+/**
+ * Creates the body policy middleware.
+ * @param {BodyRule & { routes?: Object<string, BodyRule> }} [options] - Default rule, and rules
+ *   for path prefixes such as `/api/uploads`, which inherit what they do not set.
+ * @returns {import('express').RequestHandler}
+ */
+function bodyPolicy({
+  limit = '100kb',
+  types = ['application/json', 'application/x-www-form-urlencoded'],
+  routes = {},
+} = {}) {
+  const fallback = createRule(limit, types);
+  const rules = Object.entries(routes)
+    .map(([prefix, rule]) => ({
+      prefix: prefix.replace(/\/+$/, ''),
+      ...createRule(rule.limit || limit, rule.types || types),
+    }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  return function bodyPolicyMiddleware(req, res, next) {
+    const rule =
+      rules.find(({ prefix }) => req.path === prefix || req.path.startsWith(`${prefix}/`)) ||
+      fallback;
+    // `req.is()` is null when the request has no body
+    if (req.is(rule.types) === false && req.get('content-length') !== '0') {
+      const type = req.get('content-type');
+      return next(
+        new UnsupportedMediaTypeError(
+          type ? `Unsupported content type "${type}".` : 'Missing Content-Type header.',
+          { details: { allowed: rule.types } }
+        )
+      );
+    }
+    return rule.parse(req, res, next);
+  };
+}
+
+module.exports = bodyPolicy;
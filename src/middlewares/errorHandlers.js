@@ -1,15 +1,165 @@
+const JWTError = require('../../lib/JWTError');
+const ApiKeyError = require('../../lib/ApiKeyError');
+const DatabaseClient = require('../../lib/databaseClient');
+const config = require('../config');
 const { error: apiError } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  InternalServerError,
+  ServiceUnavailableError,
+} = require('../utils/httpErrors');
 
-function notFoundHandler(req, res) {
-  return apiError(res, 'Not found', 404);
+/**
+ * HTTP status for each JWTError code. Codes not listed here map to 401.
+ * @type {Object<string, number>}
+ */
+const JWT_ERROR_STATUS = {
+  ER_INVALID_ACCESS_TOKEN: 401,
+  ER_INVALID_REFRESH_TOKEN: 401,
+  ER_TOKEN_EXPIRED: 401,
+  ER_TOKEN_NOT_YET_VALID: 401,
+  ER_ISSUER_MISMATCH: 401,
+  ER_AUDIENCE_MISMATCH: 401,
+  ER_SUBJECT_MISMATCH: 401,
+  ER_MISSING_CLAIM: 401,
+  ER_INVALID_CLAIM: 401,
+  ER_WRONG_TOKEN_TYPE: 401,
+  ER_INVALID_SIGNATURE: 401,
+  ER_MALFORMED_TOKEN: 401,
+  ER_ALGORITHM_NOT_ALLOWED: 401,
+  ER_UNKNOWN_KEY_ID: 401,
+  ER_TOKEN_REVOKED: 401,
+  ER_REFRESH_TOKEN_REUSED: 401,
+  ER_REFRESH_TOKEN_UNKNOWN: 401,
+  ER_JWT_NOT_CONFIGURED: 500,
+  JWT_ERROR: 500,
+};
+
+/**
+ * HTTP error for each MySQL error code / PostgreSQL SQLSTATE / connection error code.
+ * Each entry is `[ErrorClass, code, public message]`.
+ * @type {Object<string, [Function, string, string]>}
+ */
+const DATABASE_ERRORS = {
+  // MySQL
+  ER_DUP_ENTRY: [ConflictError, 'DUPLICATE_ENTRY', 'Resource already exists'],
+  ER_NO_REFERENCED_ROW: [ConflictError, 'FOREIGN_KEY_VIOLATION', 'Referenced resource not found'],
+  ER_NO_REFERENCED_ROW_2: [ConflictError, 'FOREIGN_KEY_VIOLATION', 'Referenced resource not found'],
+  ER_ROW_IS_REFERENCED: [ConflictError, 'FOREIGN_KEY_VIOLATION', 'Resource is still referenced'],
+  ER_ROW_IS_REFERENCED_2: [ConflictError, 'FOREIGN_KEY_VIOLATION', 'Resource is still referenced'],
+  ER_BAD_NULL_ERROR: [BadRequestError, 'NOT_NULL_VIOLATION', 'A required value is missing'],
+  ER_CON_COUNT_ERROR: [ServiceUnavailableError, 'DATABASE_UNAVAILABLE', 'Database unavailable'],
+  PROTOCOL_CONNECTION_LOST: [
+    ServiceUnavailableError,
+    'DATABASE_UNAVAILABLE',
+    'Database unavailable',
+  ],
+  // PostgreSQL
+  23505: [ConflictError, 'DUPLICATE_ENTRY', 'Resource already exists'],
+  23503: [ConflictError, 'FOREIGN_KEY_VIOLATION', 'Referenced resource not found'],
+  23502: [BadRequestError, 'NOT_NULL_VIOLATION', 'A required value is missing'],
+  23514: [BadRequestError, 'CHECK_VIOLATION', 'A value is out of range'],
+  '22P02': [BadRequestError, 'INVALID_INPUT', 'A value has an invalid format'],
+  '08001': [ServiceUnavailableError, 'DATABASE_UNAVAILABLE', 'Database unavailable'],
+  '08006': [ServiceUnavailableError, 'DATABASE_UNAVAILABLE', 'Database unavailable'],
+  '57P01': [ServiceUnavailableError, 'DATABASE_UNAVAILABLE', 'Database unavailable'],
+  53300: [ServiceUnavailableError, 'DATABASE_UNAVAILABLE', 'Database unavailable'],
+  // Network, see CONNECTION_ERRORS
+  ECONNREFUSED: [ServiceUnavailableError, 'DATABASE_UNAVAILABLE', 'Database unavailable'],
+  ETIMEDOUT: [ServiceUnavailableError, 'DATABASE_UNAVAILABLE', 'Database unavailable'],
+};
+
+/**
+ * Codes of DATABASE_ERRORS that any network client raises (HTTP calls, caches, ...), so they
+ * are only mapped for errors raised by a DatabaseClient.
+ * @type {string[]}
+ */
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ETIMEDOUT'];
+
+/**
+ * Converts any thrown value into an HttpError.
+ * @param {any} err - The error passed to the error handler.
+ * @returns {HttpError} The matching HttpError.
+ */
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+
+  if (err instanceof JWTError) {
+    const status = JWT_ERROR_STATUS[err.code] || 401;
+    if (status !== 401) return new HttpError(status, err.message, { code: err.code, cause: err });
+    const description = err.message.replace(/"/g, "'");
+    // `data.code` predates the top-level `errorCode` and is kept for existing clients
+    return new UnauthorizedError(err.message, {
+      code: err.code,
+      details: { code: err.code },
+      cause: err,
+      headers: {
+        'WWW-Authenticate': `Bearer error="invalid_token", error_description="${description}"`,
+      },
+    });
+  }
+
+  if (err instanceof ApiKeyError) {
+    return new UnauthorizedError(err.message, { code: err.code, cause: err });
+  }
+
+  if (
+    err &&
+    DATABASE_ERRORS[err.code] &&
+    (!CONNECTION_ERRORS.includes(err.code) || DatabaseClient.isClientError(err))
+  ) {
+    const [ErrorClass, code, message] = DATABASE_ERRORS[err.code];
+    return new ErrorClass(message, { code, cause: err });
+  }
+
+  // body-parser and other http-errors compatible errors
+  if (err && err.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed request body', { code: 'INVALID_BODY', cause: err });
+  }
+  if (err && err.type === 'entity.too.large') {
+    return new PayloadTooLargeError(undefined, { cause: err });
+  }
+  const status = err && (err.status || err.statusCode);
+  if (Number.isInteger(status) && status >= 400 && status < 600) {
+    return new HttpError(status, err.message, {
+      code: typeof err.code === 'string' ? err.code : undefined,
+      cause: err,
+      expose: status < 500,
+    });
+  }
+
+  return new InternalServerError(undefined, { cause: err instanceof Error ? err : undefined });
+}
+
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError());
 }
 
 // eslint-disable-next-line no-unused-vars
 function errorHandler(err, req, res, next) {
-  // eslint-disable-next-line no-console
-  console.error('Unhandled error:', err);
-  const status = err.status || err.code || 500;
-  return apiError(res, 'Internal server error', status);
+  const httpError = toHttpError(err);
+  if (httpError.status >= 500) {
+    logger.error('Unhandled error', {
+      err,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      headers: req.headers,
+      body: req.body,
+    });
+  }
+
+  res.set(httpError.headers);
+  const message = httpError.expose ? httpError.message : 'Internal server error';
+  const meta = { errorCode: httpError.code, requestId: req.id };
+  if (config.isDevelopment) meta.stack = (err && err.stack) || httpError.stack;
+
+  return apiError(res, message, httpError.status, httpError.details, meta);
 }
 
-module.exports = { notFoundHandler, errorHandler };
+module.exports = { notFoundHandler, errorHandler, toHttpError, JWT_ERROR_STATUS };
@@ -0,0 +1,46 @@
+/**
+ * HTTP metrics middleware.
+ *
+ * Counts requests (`http_requests_total`) and records their durations
+ * (`http_request_duration_seconds`), labelled by method, route pattern and status. Requests that
+ * match no route are labelled `route="unmatched"`, so raw URLs never become label values.
+ */
+
+const defaultRegistry = require('../utils/metrics');
+const { trackRoute } = require('../utils/matchedRoute');
+
+/**
+ * Creates the middleware and registers its metrics. Call it once per registry.
+ * @param {object} [options]
+ * @param {import('../../lib/metrics').MetricsRegistry} [options.registry] - Defaults to the
+ *   shared registry.
+ * @returns {import('express').RequestHandler}
+ * @throws {Error} If the registry already has the HTTP metrics.
+ */
+function httpMetrics({ registry = defaultRegistry } = {}) {
+  const requests = registry.counter(
+    'http_requests_total',
+    'HTTP requests by method, route and status.'
+  );
+  const durations = registry.histogram(
+    'http_request_duration_seconds',
+    'HTTP request durations by method, route and status.'
+  );
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const route = trackRoute(req);
+    res.on('finish', () => {
+      const labels = {
+        method: req.method,
+        route: route() || 'unmatched',
+        status: String(res.statusCode),
+      };
+      requests.inc(labels);
+      durations.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+    next();
+  };
+}
+
+module.exports = httpMetrics;
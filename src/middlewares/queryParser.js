@@ -0,0 +1,184 @@
+/**
+ * List query parser middleware.
+ *
+ * Turns `?page=&limit=&sort=&filter[...]=&cursor=` into a whitelisted `req.listQuery`
+ * (see `lib/pagination`) ready for `buildListQuery` and `apiResponse.paginated`.
+ *
+ * Query syntax:
+ *   - `page=2&limit=20` – offset pagination.
+ *   - `cursor=<opaque>&limit=20` – cursor pagination (cursor mode only).
+ *   - `sort=-createdAt,name` – comma-separated fields, `-` for descending.
+ *   - `filter[status]=active` – equality.
+ *   - `filter[age][gte]=18` – operators: eq, ne, gt, gte, lt, lte, in (comma-separated), like.
+ *
+ * Usage:
+ *   const parseListQuery = require('../middlewares/queryParser');
+ *   router.get('/users', parseListQuery({
+ *     sortable: { createdAt: 'created_at', name: 'name' },
+ *     filterable: { status: ['eq', 'in'], createdAt: { column: 'created_at', operators: ['gte', 'lte'] } },
+ *     defaultSort: '-createdAt',
+ *   }), asyncHandler(UserController.list));
+ */
+
+const { OPERATORS, decodeCursor } = require('../../lib/pagination');
+const { ValidationError } = require('../utils/httpErrors');
+
+/**
+ * Normalizes a whitelist given as an array of field names or as a `{ field: column }` map.
+ * A `Map` is returned so that client-supplied names never match prototype keys such as
+ * `constructor`.
+ * @param {string[]|Object<string, string>} sortable
+ * @returns {Map<string, string>} Field to column map.
+ * @private
+ */
+function normalizeSortable(sortable) {
+  if (Array.isArray(sortable)) return new Map(sortable.map((f) => [f, f]));
+  return new Map(Object.entries(sortable));
+}
+
+/**
+ * Normalizes filterable fields to `{ field: { column, operators } }`.
+ * Accepts an array of field names (all operators), `{ field: operators[] }` or
+ * `{ field: { column, operators } }`.
+ * @param {string[]|object} filterable
+ * @returns {Map<string, { column: string, operators: string[] }>}
+ * @private
+ */
+function normalizeFilterable(filterable) {
+  if (Array.isArray(filterable)) {
+    return new Map(filterable.map((f) => [f, { column: f, operators: OPERATORS }]));
+  }
+  return new Map(
+    Object.entries(filterable).map(([field, spec]) => {
+      if (Array.isArray(spec)) return [field, { column: field, operators: spec }];
+      return [field, { column: spec.column || field, operators: spec.operators || OPERATORS }];
+    })
+  );
+}
+
+/**
+ * Collects `filter[field]` / `filter[field][op]` entries from both the simple query parser
+ * (flat bracketed keys) and the extended one (nested objects).
+ * @param {object} query - `req.query`.
+ * @returns {{ field: string, operator: string, value: any }[]}
+ * @private
+ */
+function collectFilters(query) {
+  const raw = [];
+  Object.entries(query).forEach(([key, value]) => {
+    const match = key.match(/^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/);
+    if (match) raw.push({ field: match[1], operator: match[2] || 'eq', value });
+  });
+  if (query.filter && typeof query.filter === 'object') {
+    Object.entries(query.filter).forEach(([field, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([operator, v]) => raw.push({ field, operator, value: v }));
+      } else {
+        raw.push({ field, operator: 'eq', value });
+      }
+    });
+  }
+  return raw;
+}
+
+/**
+ * Tells whether a value is a string or an array of strings, as accepted by the `in` operator.
+ * @param {any} value
+ * @returns {boolean}
+ * @private
+ */
+function isList(value) {
+  return [].concat(value).every((item) => typeof item === 'string');
+}
+
+/**
+ * Parses a positive integer query value.
+ * @private
+ */
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return /^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : NaN;
+}
+
+/**
+ * Creates a list query parser middleware.
+ * @param {object} [options]
+ * @param {string[]|Object<string, string>} [options.sortable={}] - Sortable fields, optionally mapped to columns.
+ * @param {string[]|object} [options.filterable={}] - Filterable fields and their allowed operators.
+ * @param {string} [options.defaultSort] - Sort applied when none is requested, e.g. `-createdAt`.
+ * @param {number} [options.defaultLimit=20] - Page size when none is requested.
+ * @param {number} [options.maxLimit=100] - Largest accepted page size; bigger values are clamped.
+ * @param {'offset'|'cursor'} [options.mode='offset'] - Pagination mode.
+ * @param {string} [options.cursorKey='id'] - Unique column appended to the sort in cursor mode
+ *   so the keyset is stable.
+ * @returns {import('express').RequestHandler} Express middleware setting `req.listQuery`.
+ */
+function parseListQuery({
+  sortable = {},
+  filterable = {},
+  defaultSort,
+  defaultLimit = 20,
+  maxLimit = 100,
+  mode = 'offset',
+  cursorKey = 'id',
+} = {}) {
+  const sortColumns = normalizeSortable(sortable);
+  const filterSpecs = normalizeFilterable(filterable);
+
+  return function queryParserMiddleware(req, res, next) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ location: 'query', field, message });
+    const { query } = req;
+
+    const limit = parsePositiveInt(query.limit, defaultLimit);
+    if (Number.isNaN(limit)) fail('limit', 'must be a positive integer');
+    const page = parsePositiveInt(query.page, 1);
+    if (Number.isNaN(page)) fail('page', 'must be a positive integer');
+
+    const sort = String(query.sort || defaultSort || '')
+      .split(',')
+      .filter(Boolean)
+      .map((token) => {
+        const field = token.replace(/^[-+]/, '');
+        if (!sortColumns.has(field)) fail('sort', `cannot sort by "${field}"`);
+        return {
+          field,
+          column: sortColumns.get(field),
+          direction: token.startsWith('-') ? 'desc' : 'asc',
+        };
+      });
+    if (mode === 'cursor' && !sort.some((entry) => entry.column === cursorKey)) {
+      sort.push({ field: cursorKey, column: cursorKey, direction: 'asc' });
+    }
+
+    const filters = collectFilters(query).map(({ field, operator, value }) => {
+      const spec = filterSpecs.get(field);
+      if (!spec) fail(`filter.${field}`, `cannot filter by "${field}"`);
+      else if (!spec.operators.includes(operator)) {
+        fail(`filter.${field}`, `operator "${operator}" is not allowed`);
+      } else if (operator === 'in' ? !isList(value) : typeof value !== 'string') {
+        const expected = operator === 'in' ? 'a list of values' : 'a single value';
+        fail(`filter.${field}`, `operator "${operator}" takes ${expected}`);
+      }
+      const parsed = operator === 'in' ? [].concat(value).join(',').split(',') : value;
+      return { field, column: spec && spec.column, operator, value: parsed };
+    });
+
+    let cursor = null;
+    if (mode === 'cursor' && query.cursor) {
+      cursor = decodeCursor(query.cursor);
+      if (!cursor || cursor.values.length !== sort.length) fail('cursor', 'is invalid');
+    }
+
+    if (errors.length) return next(new ValidationError(errors));
+
+    const size = Math.min(limit, maxLimit);
+    req.listQuery =
+      mode === 'cursor'
+        ? { mode, limit: size, cursor, sort, filters }
+        : { mode, page, limit: size, offset: (page - 1) * size, sort, filters };
+    return next();
+  };
+}
+
+module.exports = parseListQuery;
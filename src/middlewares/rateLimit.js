@@ -0,0 +1,93 @@
+/**
+ * Rate limiting middleware built on `lib/rateLimit`.
+ *
+ * Counts each request against a key (the client IP, the authenticated user id or a custom
+ * function) and sets the `RateLimit-Policy`, `RateLimit-Limit`, `RateLimit-Remaining` and
+ * `RateLimit-Reset` headers. Over the limit, it forwards a TooManyRequestsError with
+ * `Retry-After`, which the error handler renders as a 429 `apiResponse.error`.
+ *
+ * Usage:
+ *   const rateLimit = require('../middlewares/rateLimit');
+ *
+ *   // 5 login attempts per 15 minutes per IP
+ *   router.post('/login', rateLimit({ name: 'login', limit: 5, windowMs: 15 * 60 * 1000 }), ...);
+ *
+ *   // Per user, after authenticate(), shared across instances
+ *   router.use(authenticate(), rateLimit({ name: 'api', keyBy: 'user', store: rateLimitStore }));
+ *
+ * Behind a reverse proxy, set Express's `trust proxy` so `req.ip` is the client's address.
+ */
+
+const { RateLimiter } = require('../../lib/rateLimit');
+const { TooManyRequestsError } = require('../utils/httpErrors');
+
+/**
+ * Built-in key functions.
+ * @type {Object<string, (req: import('express').Request) => string>}
+ */
+const KEYS = {
+  ip: (req) => `ip:${req.ip}`,
+  // Anonymous requests fall back to the IP
+  user: (req) => (req.user && req.user.id !== undefined ? `user:${req.user.id}` : KEYS.ip(req)),
+};
+
+/**
+ * Creates a rate limiting middleware.
+ * @param {object} [options]
+ * @param {string} [options.name='global'] - Policy name; limiters sharing a store need distinct names.
+ * @param {number} [options.limit=100] - Requests allowed per window.
+ * @param {number} [options.windowMs=60000] - Window length in ms.
+ * @param {'fixed-window'|'sliding-window'|'token-bucket'} [options.algorithm='fixed-window']
+ * @param {object} [options.store] - Rate limit store; defaults to a new in-memory store.
+ * @param {'ip'|'user'|((req: import('express').Request) => string)} [options.keyBy='ip'] - What
+ *   requests are counted against.
+ * @param {(req: import('express').Request) => number} [options.cost] - Weight of a request; 1 by default.
+ * @param {(req: import('express').Request) => boolean} [options.skip] - Exempts requests.
+ * @param {string} [options.message='Too many requests, please try again later.']
+ * @returns {import('express').RequestHandler} Express middleware, with the `limiter` attached.
+ * @throws {Error} If `keyBy` or the limiter options are invalid.
+ */
+function rateLimit({
+  name = 'global',
+  limit = 100,
+  windowMs = 60000,
+  algorithm = 'fixed-window',
+  store,
+  keyBy = 'ip',
+  cost = () => 1,
+  skip = () => false,
+  message = 'Too many requests, please try again later.',
+} = {}) {
+  const key = typeof keyBy === 'function' ? keyBy : KEYS[keyBy];
+  if (!key) throw new Error(`Unknown rate limit key "${keyBy}". Use "ip", "user" or a function.`);
+  const limiter = new RateLimiter({ limit, windowMs, algorithm, store, prefix: `rl:${name}` });
+  const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+  async function rateLimitMiddleware(req, res, next) {
+    if (skip(req)) return next();
+    try {
+      const result = await limiter.consume(key(req), cost(req));
+      res.set({
+        'RateLimit-Policy': policy,
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+      });
+      if (result.allowed) return next();
+
+      const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+      return next(
+        new TooManyRequestsError(message, {
+          details: { retryAfter },
+          headers: { 'Retry-After': String(retryAfter) },
+        })
+      );
+    } catch (err) {
+      return next(err);
+    }
+  }
+  rateLimitMiddleware.limiter = limiter;
+  return rateLimitMiddleware;
+}
+
+module.exports = rateLimit;
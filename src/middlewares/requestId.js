@@ -0,0 +1,32 @@
+/**
+ * Request id middleware.
+ *
+ * Reuses the incoming `X-Request-Id` header when it looks safe, otherwise generates a new id.
+ * The id is exposed as `req.id` and echoed in the `X-Request-Id` response header so clients can
+ * quote it when reporting errors. The rest of the request runs with `{ requestId }` as its
+ * request context (`lib/requestContext`), so logs and database errors carry the id.
+ */
+
+const uuid = require('uuid').v7;
+const requestContext = require('../../lib/requestContext');
+
+/**
+ * Accepted format for incoming request ids.
+ * @type {RegExp}
+ */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assigns `req.id`, sets the `X-Request-Id` response header and the request context.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuid();
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+}
+
+module.exports = requestId;
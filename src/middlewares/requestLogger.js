@@ -0,0 +1,56 @@
+/**
+ * Request logging middleware.
+ *
+ * Logs one entry per request once the response is sent: method, path, matched route, status,
+ * duration and response size. Server errors are logged at `error`, client errors at `warn` and
+ * the rest at `info`. Mount it after `requestId` so entries carry the request id.
+ */
+
+const defaultLogger = require('../utils/logger');
+const { trackRoute } = require('../utils/matchedRoute');
+
+/**
+ * Log level for a response status.
+ * @param {number} status
+ * @returns {'error'|'warn'|'info'}
+ * @private
+ */
+function levelFor(status) {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+}
+
+/**
+ * Creates the request logging middleware.
+ * @param {object} [options]
+ * @param {import('../../lib/logger')} [options.logger] - Defaults to the shared logger.
+ * @returns {import('express').RequestHandler}
+ * @example
+ * app.use(requestId);
+ * app.use(requestLogger());
+ */
+function requestLogger({ logger = defaultLogger } = {}) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const route = trackRoute(req);
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const contentLength = res.get('content-length');
+      const path = req.originalUrl.split('?')[0];
+      // 'finish' may fire outside the request's async context, so the id is passed explicitly
+      logger[levelFor(res.statusCode)](`${req.method} ${path}`, {
+        requestId: req.id,
+        method: req.method,
+        path,
+        route: route(),
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 100) / 100,
+        contentLength: contentLength ? Number(contentLength) : undefined,
+      });
+    });
+    next();
+  };
+}
+
+module.exports = requestLogger;
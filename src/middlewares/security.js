@@ -0,0 +1,56 @@
+/**
+ * Security header and CORS middlewares built from a security profile (see `config/security`).
+ *
+ * Usage:
+ *   const { securityHeaders, corsPolicy } = require('../middlewares/security');
+ *   app.use(securityHeaders(config.security));
+ *   app.use(corsPolicy(config.security.cors));
+ */
+
+const helmet = require('helmet');
+const cors = require('cors');
+const createOriginMatcher = require('../../lib/originMatcher');
+
+/**
+ * Creates the helmet middleware with the profile's CSP and HSTS settings.
+ * @param {object} profile
+ * @param {object|false} profile.hsts - helmet `strictTransportSecurity` options, or false.
+ * @param {{ reportOnly: boolean, directives: object }} profile.csp - Directives merged over
+ *   helmet's defaults.
+ * @returns {import('express').RequestHandler}
+ */
+function securityHeaders({ hsts, csp }) {
+  return helmet({
+    contentSecurityPolicy: {
+      useDefaults: true,
+      reportOnly: csp.reportOnly,
+      directives: { ...csp.directives },
+    },
+    strictTransportSecurity: hsts && { ...hsts },
+  });
+}
+
+/**
+ * Creates the CORS middleware. Disallowed origins get no CORS headers, so browsers block them.
+ * @param {object} options
+ * @param {'*'|string[]} options.origins - `*`, or an allowlist (see `lib/originMatcher`).
+ * @param {boolean} [options.credentials=false] - Allow cookies and Authorization headers.
+ * @param {number} [options.maxAge] - Seconds browsers may cache preflight responses.
+ * @param {string[]} [options.exposedHeaders] - Response headers readable by browsers.
+ * @returns {import('express').RequestHandler}
+ * @throws {Error} If credentials are allowed for any origin.
+ */
+function corsPolicy({ origins, credentials = false, maxAge, exposedHeaders }) {
+  if (origins === '*' && credentials) {
+    throw new Error('CORS credentials cannot be allowed for any origin; list the origins.');
+  }
+  const isAllowed = origins === '*' ? null : createOriginMatcher(origins);
+  return cors({
+    origin: isAllowed ? (origin, callback) => callback(null, isAllowed(origin)) : '*',
+    credentials,
+    maxAge,
+    exposedHeaders: exposedHeaders && [...exposedHeaders],
+  });
+}
+
+module.exports = { securityHeaders, corsPolicy };
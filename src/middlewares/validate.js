@@ -0,0 +1,136 @@
+/**
+ * Schema-driven request validation middleware.
+ *
+ * Validates `req.body`, `req.query`, `req.params` and `req.headers` against JSON Schema
+ * definitions (the OpenAPI 3.0 compatible subset, so the same schemas feed the Swagger spec).
+ * Inputs are coerced to the declared types, defaults are applied and properties that are not
+ * declared are removed from body, query and params. Failures are forwarded as a ValidationError
+ * (422) with a field-by-field error list.
+ *
+ * Usage:
+ *   const validate = require('../middlewares/validate');
+ *   const schemas = require('../schemas/example.schemas');
+ *   router.get('/greet/:name', validate(schemas.greet), asyncHandler(ExampleController.greet));
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('../utils/httpErrors');
+
+/**
+ * JSON Schemas for each request location.
+ * @typedef {object} ValidationSchemas
+ * @property {object} [body] - JSON Schema for `req.body`.
+ * @property {object} [query] - JSON Schema for `req.query`.
+ * @property {object} [params] - JSON Schema for `req.params`.
+ * @property {object} [headers] - JSON Schema for `req.headers` (use lower-case names).
+ */
+
+/**
+ * Request locations that can be validated, in reporting order.
+ * @type {string[]}
+ */
+const LOCATIONS = ['params', 'query', 'headers', 'body'];
+
+const ajv = new Ajv({
+  allErrors: true,
+  coerceTypes: true,
+  useDefaults: true,
+  removeAdditional: true,
+  strict: false,
+});
+addFormats(ajv);
+
+/**
+ * Makes object schemas reject (and therefore strip) undeclared properties unless they opt out.
+ * Headers are left open because clients always send headers the schema does not describe.
+ * @param {object} schema - JSON Schema for one request location.
+ * @param {string} location - The request location.
+ * @returns {object} The schema to compile.
+ * @private
+ */
+function withDefaults(schema, location) {
+  if (location === 'headers' || schema.type !== 'object' || 'additionalProperties' in schema) {
+    return schema;
+  }
+  return { ...schema, additionalProperties: false };
+}
+
+/**
+ * Converts Ajv errors into `{ location, field, message }` entries.
+ * @param {import('ajv').ErrorObject[]} errors - Ajv errors.
+ * @param {string} location - The request location.
+ * @returns {{ location: string, field: string, message: string }[]}
+ * @private
+ */
+function formatErrors(errors, location) {
+  return errors.map((err) => {
+    const segments = err.instancePath.split('/').filter(Boolean);
+    if (err.keyword === 'required') segments.push(err.params.missingProperty);
+    return {
+      location,
+      field: segments.join('.'),
+      message: err.message,
+    };
+  });
+}
+
+/**
+ * Replaces the validated value on the request. `req.query` is a getter in Express 5,
+ * so it is redefined as a plain property holding the coerced value.
+ * @param {import('express').Request} req
+ * @param {string} location - The request location.
+ * @param {any} value - The coerced value.
+ * @private
+ */
+function assign(req, location, value) {
+  if (location === 'query') {
+    Object.defineProperty(req, 'query', {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  } else {
+    req[location] = value;
+  }
+}
+
+/**
+ * Creates a validation middleware.
+ * @param {ValidationSchemas} schemas - Schemas for the request locations to validate.
+ * @returns {import('express').RequestHandler} Express middleware.
+ * @example
+ * router.post('/users', validate({
+ *   body: {
+ *     type: 'object',
+ *     required: ['email'],
+ *     properties: { email: { type: 'string', format: 'email' } },
+ *   },
+ * }), asyncHandler(UserController.create));
+ */
+function validate(schemas) {
+  const validators = LOCATIONS.filter((location) => schemas[location]).map((location) => ({
+    location,
+    check: ajv.compile(withDefaults(schemas[location], location)),
+  }));
+
+  function validateMiddleware(req, res, next) {
+    const errors = [];
+    validators.forEach(({ location, check }) => {
+      const value = location === 'query' ? { ...req.query } : req[location] || {};
+      if (check(value)) {
+        assign(req, location, value);
+      } else {
+        errors.push(...formatErrors(check.errors, location));
+      }
+    });
+
+    if (errors.length) return next(new ValidationError(errors));
+    return next();
+  }
+  validateMiddleware.schemas = schemas;
+  return validateMiddleware;
+}
+
+module.exports = validate;
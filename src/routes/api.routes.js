@@ -0,0 +1,45 @@
+/**
+ * Versioned API router, mounted at `/api`.
+ *
+ * Each version of `config/apiVersions` loads its `*.routes.js` modules by convention (see
+ * `lib/routeLoader`): `v1` from this directory, later versions from `<version>/`. See
+ * `middlewares/apiVersioning` for how requests pick a version and fall back to earlier ones.
+ */
+
+const path = require('path');
+const { loadRoutes } = require('../../lib/routeLoader');
+const apiVersioning = require('../middlewares/apiVersioning');
+const apiVersions = require('../config/apiVersions');
+
+/**
+ * Routers of this directory the app mounts outside `/api`, and this module.
+ * @type {string[]}
+ */
+const APP_ROUTES = ['api.routes.js', 'health.routes.js', 'jwks.routes.js', 'metrics.routes.js'];
+
+const names = Object.keys(apiVersions);
+
+/**
+ * Router of each version.
+ * @type {Object<string, ReturnType<typeof loadRoutes>>}
+ */
+const routers = Object.fromEntries(
+  names.map((name, index) => {
+    const directory = index === 0 ? __dirname : path.join(__dirname, name);
+    return [name, loadRoutes(directory, { exclude: APP_ROUTES })];
+  })
+);
+
+const router = apiVersioning(
+  Object.fromEntries(names.map((name) => [name, { ...apiVersions[name], router: routers[name] }]))
+);
+
+/**
+ * Routes declared by each version, with paths below `/api`.
+ * @type {Array<import('../../lib/routeLoader').RouteInfo & { version: string }>}
+ */
+router.routes = names.flatMap((name) =>
+  routers[name].routes.map((route) => ({ ...route, version: name, path: `/${name}${route.path}` }))
+);
+
+module.exports = router;
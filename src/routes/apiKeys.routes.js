@@ -0,0 +1,90 @@
+const router = require('express').Router();
+const asyncHandler = require('../utils/asyncHandler');
+const ApiKeyController = require('../controllers/apiKeyController');
+const { authenticate } = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
+const schemas = require('../schemas/apiKeys.schemas');
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Keys for service-to-service calls, sent in the X-API-Key header
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Creates an API key
+ *     description: The plain key is only returned in this response; only its hash is stored.
+ *     tags: [API Keys]
+ *     x-validate: apiKeys.create
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponseSuccess'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         key:
+ *                           type: string
+ *                           example: ak_1f2e3d4c5b6a7980_Wm9vYmFyYmF6cXV4cXV1eGNvcmdlZ3JhdWx0Z2FycA
+ *                         apiKey:
+ *                           $ref: '#/components/schemas/ApiKey'
+ *   get:
+ *     summary: Lists your API keys
+ *     tags: [API Keys]
+ *     responses:
+ *       200:
+ *         description: Your keys, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponseSuccess'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ApiKey'
+ */
+router.post('/', validate(schemas.create), asyncHandler(ApiKeyController.create));
+router.get('/', asyncHandler(ApiKeyController.list));
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revokes one of your API keys
+ *     tags: [API Keys]
+ *     x-validate: apiKeys.revoke
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseSuccess'
+ *       404:
+ *         description: No such key, or already revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseError'
+ */
+router.delete('/:id', validate(schemas.revoke), asyncHandler(ApiKeyController.revoke));
+
+module.exports = {
+  basePath: '/api-keys',
+  middleware: [authenticate(), requirePermission('apiKeys:manage')],
+  router,
+};
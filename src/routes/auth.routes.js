@@ -0,0 +1,139 @@
+const router = require('express').Router();
+const asyncHandler = require('../utils/asyncHandler');
+const AuthController = require('../controllers/authController');
+const validate = require('../middlewares/validate');
+const schemas = require('../schemas/auth.schemas');
+const config = require('../config');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Registration, login and token refresh (mounted when AUTH_ROUTES=true)
+ */
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Registers a user
+ *     tags: [Auth]
+ *     x-validate: auth.register
+ *     responses:
+ *       201:
+ *         description: User created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponseSuccess'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         user:
+ *                           $ref: '#/components/schemas/AuthUser'
+ *       409:
+ *         description: Email already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseError'
+ */
+router.post('/register', validate(schemas.register), asyncHandler(AuthController.register));
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Logs in with email and password
+ *     description: >
+ *       Returns an access token and sets the refresh token in the httpOnly `refresh_token`
+ *       cookie. Repeated failures lock the account for a while.
+ *     tags: [Auth]
+ *     x-validate: auth.login
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         headers:
+ *           Set-Cookie:
+ *             description: The `refresh_token` cookie
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponseSuccess'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/AuthTokens'
+ *                         - type: object
+ *                           properties:
+ *                             user:
+ *                               $ref: '#/components/schemas/AuthUser'
+ *       401:
+ *         description: Invalid email or password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseError'
+ */
+router.post('/login', validate(schemas.login), asyncHandler(AuthController.login));
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchanges the refresh token cookie for a new access token
+ *     description: >
+ *       Rotates the refresh token. Presenting an already used refresh token revokes every token
+ *       of its login session.
+ *     tags: [Auth]
+ *     security:
+ *       - refreshCookie: []
+ *     responses:
+ *       200:
+ *         description: New access token; the cookie holds a new refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponseSuccess'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Missing, invalid, expired, revoked or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseError'
+ */
+router.post('/refresh', asyncHandler(AuthController.refresh));
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logs out
+ *     description: Revokes the refresh token and the access tokens issued with it, and clears the cookie.
+ *     tags: [Auth]
+ *     security:
+ *       - refreshCookie: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseSuccess'
+ */
+router.post('/logout', asyncHandler(AuthController.logout));
+
+// Opt-in: AUTH_ROUTES=true
+module.exports = { enabled: config.auth.enabled, router };
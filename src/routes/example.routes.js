@@ -1,6 +1,17 @@
 const router = require('express').Router();
 const asyncHandler = require('../utils/asyncHandler');
 const ExampleController = require('../controllers/exampleController');
+const { authenticate } = require('../middlewares/auth');
+const apiKeyAuth = require('../middlewares/apiKeyAuth');
+const {
+  authorize,
+  requireRole,
+  anyOf,
+  isOwner,
+  hasPermission,
+} = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
+const schemas = require('../schemas/example.schemas');
 
 /**
  * @swagger
@@ -37,13 +48,7 @@ router.get('/hello', asyncHandler(ExampleController.sayHello));
  *   get:
  *     summary: Returns a personalized greeting
  *     tags: [Example]
- *     parameters:
- *       - in: path
- *         name: name
- *         schema:
- *           type: string
- *         required: true
- *         description: Name to greet
+ *     x-validate: example.greet
  *     responses:
  *       200:
  *         description: Greeting message
@@ -58,7 +63,7 @@ router.get('/hello', asyncHandler(ExampleController.sayHello));
  *             schema:
  *               $ref: '#/components/schemas/ApiResponseError'
  */
-router.get('/greet/:name', asyncHandler(ExampleController.greet));
+router.get('/greet/:name', validate(schemas.greet), asyncHandler(ExampleController.greet));
 
 /**
  * @swagger
@@ -66,13 +71,7 @@ router.get('/greet/:name', asyncHandler(ExampleController.greet));
  *   get:
  *     summary: Throws an error if 'fail' query param is true
  *     tags: [Example]
- *     parameters:
- *       - in: query
- *         name: fail
- *         schema:
- *           type: string
- *         required: false
- *         description: Set to 'true' to simulate an error
+ *     x-validate: example.simulateError
  *     responses:
  *       200:
  *         description: No error thrown
@@ -93,6 +92,106 @@ router.get('/greet/:name', asyncHandler(ExampleController.greet));
  *             schema:
  *               $ref: '#/components/schemas/ApiResponseError'
  */
-router.get('/simulate-error', asyncHandler(ExampleController.errorIfTrue));
+router.get(
+  '/simulate-error',
+  validate(schemas.simulateError),
+  asyncHandler(ExampleController.errorIfTrue)
+);
+
+/**
+ * @swagger
+ * /api/example/me:
+ *   get:
+ *     summary: Returns the authenticated user
+ *     tags: [Example]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Authenticated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseSuccess'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseError'
+ */
+router.get('/me', authenticate(), asyncHandler(ExampleController.me));
+
+/**
+ * @swagger
+ * /api/example/admin:
+ *   get:
+ *     summary: Returns a message for administrators
+ *     tags: [Example]
+ *     responses:
+ *       200:
+ *         description: Admin message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseSuccess'
+ */
+router.get('/admin', authenticate(), requireRole('admin'), asyncHandler(ExampleController.admin));
+
+/**
+ * @swagger
+ * /api/example/users/{userId}:
+ *   get:
+ *     summary: Returns a user's profile
+ *     tags: [Example]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseSuccess'
+ */
+router.get(
+  '/users/:userId',
+  authenticate(),
+  authorize(
+    anyOf(
+      isOwner((req) => req.params.userId),
+      hasPermission('users:read')
+    )
+  ),
+  asyncHandler(ExampleController.userProfile)
+);
+
+/**
+ * @swagger
+ * /api/example/service:
+ *   get:
+ *     summary: Returns the calling service, authenticated with an API key
+ *     tags: [Example]
+ *     security:
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: The API key principal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseSuccess'
+ *       401:
+ *         description: Missing, invalid, revoked or expired API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseError'
+ */
+router.get('/service', apiKeyAuth(), asyncHandler(ExampleController.service));
 
 module.exports = router;
@@ -0,0 +1,103 @@
+const router = require('express').Router();
+const config = require('../config');
+const asyncHandler = require('../utils/asyncHandler');
+const { liveness, readiness } = require('../utils/health');
+const { hasMetricsToken } = require('../utils/metricsToken');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Health
+ *   description: Liveness and readiness probes
+ */
+
+/**
+ * Whether a request may see check errors and details, such as database messages and pool stats.
+ * Like `/metrics`: callers with the metrics token, or anyone outside production when no token is
+ * set.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ * @private
+ */
+function canSeeDetails(req) {
+  const valid = hasMetricsToken(req);
+  return valid === null ? !config.isProduction : valid;
+}
+
+/**
+ * Responds with the report of a set of checks: 200 when it passes, 503 when it fails. Each check
+ * keeps its status and latency; errors and details are left out unless `canSeeDetails()`.
+ * @param {import('../../lib/healthCheck').HealthCheck} checks
+ * @returns {import('express').RequestHandler}
+ * @private
+ */
+function report(checks) {
+  return asyncHandler(async (req, res) => {
+    const result = await checks.run();
+    const body = canSeeDetails(req)
+      ? result
+      : {
+          status: result.status,
+          checks: Object.fromEntries(
+            Object.entries(result.checks).map(([name, { status, latencyMs }]) => [
+              name,
+              { status, latencyMs },
+            ])
+          ),
+        };
+    res.set('Cache-Control', 'no-store');
+    return res.status(result.status === 'pass' ? 200 : 503).json(body);
+  });
+}
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness probe (event-loop lag and memory)
+ *     description: >
+ *       Errors and details of the checks are only included with the metrics token, or outside
+ *       production when `METRICS_TOKEN` is not set.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: The process is healthy.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthReport'
+ *       503:
+ *         description: A check failed; the process should be restarted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthReport'
+ */
+router.get('/live', report(liveness));
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe (dependencies such as the database)
+ *     description: >
+ *       Errors and details of the checks, such as database errors and pool stats, are only
+ *       included with the metrics token, or outside production when `METRICS_TOKEN` is not set.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: The server can take traffic.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthReport'
+ *       503:
+ *         description: A dependency is unavailable or the server is shutting down.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthReport'
+ */
+router.get('/ready', report(readiness));
+
+module.exports = router;
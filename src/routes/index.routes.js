@@ -27,6 +27,4 @@ router.get(
   asyncHandler(async (req, res) => success(res, null, 'Welcome to the API!'))
 );
 
-router.use('/example', require('./example.routes'));
-
 module.exports = router;
@@ -0,0 +1,31 @@
+const router = require('express').Router();
+const jwtClient = require('../utils/jwtClient');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Authentication endpoints
+ */
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys used to verify access tokens (JSON Web Key Set)
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set. Empty when access tokens are signed with a shared secret.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JWKS'
+ */
+router.get('/jwks.json', (req, res) => {
+  const jwks = jwtClient.keyStore ? jwtClient.keyStore.toJWKS() : { keys: [] };
+  res.set('Cache-Control', 'public, max-age=300');
+  return res.json(jwks);
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const router = require('express').Router();
+const config = require('../config');
+const asyncHandler = require('../utils/asyncHandler');
+const metrics = require('../utils/metrics');
+const { hasMetricsToken } = require('../utils/metricsToken');
+const { NotFoundError, UnauthorizedError } = require('../utils/httpErrors');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Metrics
+ *   description: Prometheus metrics
+ */
+
+/**
+ * Requires `Authorization: Bearer <METRICS_TOKEN>` when `METRICS_TOKEN` is set. Without a token
+ * the metrics are public, except in production, where they are not served at all.
+ * @type {import('express').RequestHandler}
+ * @private
+ */
+function authorize(req, res, next) {
+  const valid = hasMetricsToken(req);
+  if (valid === null) return next(config.isProduction ? new NotFoundError() : undefined);
+  if (!valid) return next(new UnauthorizedError('A valid metrics token is required.'));
+  return next();
+}
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Metrics in the Prometheus text format
+ *     description: >
+ *       HTTP, process and database metrics. Requires a bearer token when `METRICS_TOKEN` is set;
+ *       not served in production without one.
+ *     tags: [Metrics]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Prometheus text exposition (version 0.0.4).
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing or invalid metrics token.
+ *       404:
+ *         description: Production without `METRICS_TOKEN`.
+ */
+router.get(
+  '/',
+  authorize,
+  asyncHandler(async (req, res) => {
+    const body = await metrics.render();
+    res.set('Cache-Control', 'no-store');
+    return res.type(metrics.contentType).send(body);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const router = require('express').Router();
+const asyncHandler = require('../../utils/asyncHandler');
+const ExampleController = require('../../controllers/exampleController');
+const validate = require('../../middlewares/validate');
+const schemas = require('../../schemas/example.schemas');
+
+/**
+ * @swagger
+ * /api/example/greet/{name}:
+ *   get:
+ *     summary: Returns a personalized greeting
+ *     description: Since v2 the greeting is returned in `data.greeting`.
+ *     tags: [Example]
+ *     x-validate: example.greet
+ *     responses:
+ *       200:
+ *         description: Greeting
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseSuccess'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseError'
+ */
+router.get('/greet/:name', validate(schemas.greet), asyncHandler(ExampleController.greeting));
+
+module.exports = router;
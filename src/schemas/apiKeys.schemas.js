@@ -0,0 +1,50 @@
+/**
+ * Request schemas for the API key management routes, referenced from their Swagger docs with
+ * `x-validate: apiKeys.<name>`.
+ */
+
+/**
+ * POST /api/api-keys
+ * @type {import('../middlewares/validate').ValidationSchemas}
+ */
+const create = {
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 100,
+        description: 'What the key is for, e.g. "nightly export"',
+      },
+      scopes: {
+        type: 'array',
+        items: { type: 'string', pattern: '^(\\*|[\\w-]+:(\\*|[\\w-]+))$' },
+        uniqueItems: true,
+        maxItems: 50,
+        default: [],
+        description: 'Permissions granted to the key; you must hold each of them',
+      },
+      expiresAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'Expiry; keys without one never expire',
+      },
+    },
+  },
+};
+
+/**
+ * DELETE /api/api-keys/:id
+ * @type {import('../middlewares/validate').ValidationSchemas}
+ */
+const revoke = {
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', pattern: '^[0-9a-f]{16}$', description: 'Key id' } },
+  },
+};
+
+module.exports = { create, revoke };
@@ -0,0 +1,44 @@
+/**
+ * Request schemas for the auth routes, referenced from their Swagger docs with
+ * `x-validate: auth.<name>`.
+ */
+
+/**
+ * Email and password sent to register and log in.
+ * @type {object}
+ */
+const credentials = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: {
+    email: { type: 'string', format: 'email', maxLength: 254, description: 'Email address' },
+    password: {
+      type: 'string',
+      minLength: 8,
+      maxLength: 128,
+      description: 'Password, 8 to 128 characters',
+    },
+  },
+};
+
+/**
+ * POST /api/auth/register
+ * @type {import('../middlewares/validate').ValidationSchemas}
+ */
+const register = { body: credentials };
+
+/**
+ * POST /api/auth/login
+ * @type {import('../middlewares/validate').ValidationSchemas}
+ */
+const login = {
+  body: {
+    ...credentials,
+    properties: {
+      ...credentials.properties,
+      password: { type: 'string', minLength: 1, maxLength: 128, description: 'Password' },
+    },
+  },
+};
+
+module.exports = { register, login };
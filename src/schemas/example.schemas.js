@@ -0,0 +1,45 @@
+/**
+ * Request schemas for the example routes.
+ *
+ * Each export is passed to the `validate` middleware and referenced from the route's Swagger
+ * docs with `x-validate: example.<name>`, so runtime validation and docs share one definition.
+ */
+
+/**
+ * GET /api/example/greet/:name
+ * @type {import('../middlewares/validate').ValidationSchemas}
+ */
+const greet = {
+  params: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 50,
+        pattern: "^[\\p{L} .'-]+$",
+        description: 'Name to greet',
+      },
+    },
+  },
+};
+
+/**
+ * GET /api/example/simulate-error
+ * @type {import('../middlewares/validate').ValidationSchemas}
+ */
+const simulateError = {
+  query: {
+    type: 'object',
+    properties: {
+      fail: {
+        type: 'boolean',
+        default: false,
+        description: "Set to 'true' to simulate an error",
+      },
+    },
+  },
+};
+
+module.exports = { greet, simulateError };
@@ -1,69 +1,134 @@
 /**
  * HTTP server bootstrap for the Express app.
  *
- * - Starts the HTTP server on the configured port.
- * - Handles graceful shutdown on process signals.
+ * - Exits with status 1 after printing the problems when the configuration is invalid.
+ * - Starts the registered resources (see `utils/resources`), then the HTTP server.
+ * - Handles graceful shutdown on process signals: fails readiness, drains HTTP, then stops
+ *   the resources.
  * - Handles uncaught exceptions and unhandled promise rejections.
+ * - Logs the API route table in development.
+ *
+ * `SHUTDOWN_DRAIN_DELAY_MS` (default 0) keeps serving after readiness fails, so load balancers
+ * can stop routing traffic first; `SHUTDOWN_TIMEOUT_MS` (default 10000) then bounds the wait for
+ * in-flight requests.
  *
  * @module server
  */
 
-require('dotenv').config();
-
 const http = require('http');
-const app = require('./index');
-const { shutdown } = require('../lib/shutdown');
-
-const PORT = process.env.PORT || 3000;
+const ConfigError = require('../lib/ConfigError');
 
 /**
- * The HTTP server instance.
- * @type {import('http').Server}
+ * Loads the configuration. When run as the entry point, an invalid configuration is reported on
+ * stderr and the process exits with status 1, since nothing (not even the logger) can start.
+ * @returns {import('./config')}
+ * @throws {ConfigError} If the configuration is invalid and the module was required.
  */
-const server = http.createServer(app);
+function loadConfig() {
+  try {
+    // eslint-disable-next-line global-require
+    return require('./config');
+  } catch (err) {
+    if (!(err instanceof ConfigError) || require.main !== module) throw err;
+    process.stderr.write(`${err.message}\n`);
+    return process.exit(1);
+  }
+}
 
-// Start server
-server.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`Server running on port ${PORT}`);
-});
+const config = loadConfig();
+const app = require('./index');
+const resources = require('./utils/resources');
+const { readiness } = require('./utils/health');
+const logger = require('./utils/logger');
+const { shutdown } = require('../lib/shutdown');
+const { formatRouteTable } = require('../lib/routeLoader');
+const apiRouter = require('./routes/api.routes');
 
 /**
- * Handle graceful shutdown on SIGINT.
- * @event SIGINT
+ * Starts the resources, then listens. If a resource cannot be started, nothing listens.
+ * @param {object} [options]
+ * @param {number|string} [options.port=config.port] - Port to listen on.
+ * @param {import('../lib/resourceRegistry')} [options.registry] - Resources to start first.
+ * @returns {Promise<import('http').Server>} The listening HTTP server.
+ * @throws {Error} The start error of a resource.
  */
-process.on('SIGINT', () => {
-  // eslint-disable-next-line no-console
-  console.log('Received SIGINT. Initiating shutdown...');
-  shutdown(server);
-});
+async function start({ port = config.port, registry = resources } = {}) {
+  await registry.startAll();
+  const server = http.createServer(app);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  return server;
+}
 
-/**
- * Handle graceful shutdown on SIGTERM.
- * @event SIGTERM
- */
-process.on('SIGTERM', () => {
-  // eslint-disable-next-line no-console
-  console.log('Received SIGTERM. Initiating shutdown...');
-  shutdown(server);
-});
+if (require.main === module) {
+  /**
+   * The HTTP server instance, once listening.
+   * @type {import('http').Server}
+   */
+  let server;
+  const stop = (err) =>
+    shutdown(server, err, {
+      registry: resources,
+      timeout: config.shutdown.timeout,
+      drainDelay: config.shutdown.drainDelay,
+      onShutdown: () => readiness.markShuttingDown(),
+      logger,
+    });
 
-/**
- * Handle uncaught exceptions.
- * @event uncaughtException
- */
-process.on('uncaughtException', (err) => {
-  // eslint-disable-next-line no-console
-  console.error('Uncaught Exception:', err);
-  shutdown(server, err);
-});
+  start()
+    .then((listening) => {
+      server = listening;
+      logger.info(`Server running on port ${server.address().port}`);
+      if (config.isDevelopment) {
+        // One line per row, so the columns stay aligned in the JSON entry
+        logger.info('API routes.', {
+          routes: formatRouteTable(apiRouter.routes, { prefix: '/api' }).split('\n'),
+        });
+      }
+    })
+    .catch((err) => {
+      logger.error('Startup failed.', err);
+      stop(err);
+    });
 
-/**
- * Handle unhandled promise rejections.
- * @event unhandledRejection
- */
-process.on('unhandledRejection', (reason) => {
-  // eslint-disable-next-line no-console
-  console.error('Unhandled Rejection:', reason);
-  shutdown(server, reason instanceof Error ? reason : new Error(String(reason)));
-});
+  /**
+   * Handle graceful shutdown on SIGINT.
+   * @event SIGINT
+   */
+  process.on('SIGINT', () => {
+    logger.info('Received SIGINT. Initiating shutdown...');
+    stop();
+  });
+
+  /**
+   * Handle graceful shutdown on SIGTERM.
+   * @event SIGTERM
+   */
+  process.on('SIGTERM', () => {
+    logger.info('Received SIGTERM. Initiating shutdown...');
+    stop();
+  });
+
+  /**
+   * Handle uncaught exceptions.
+   * @event uncaughtException
+   */
+  process.on('uncaughtException', (err) => {
+    logger.error('Uncaught exception.', err);
+    stop(err);
+  });
+
+  /**
+   * Handle unhandled promise rejections.
+   * @event unhandledRejection
+   */
+  process.on('unhandledRejection', (reason) => {
+    const err = reason instanceof Error ? reason : new Error(String(reason));
+    logger.error('Unhandled rejection.', err);
+    stop(err);
+  });
+}
+
+module.exports = { start };
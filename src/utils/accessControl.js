@@ -0,0 +1,20 @@
+/**
+ * Shared AccessControl instance built from `config/roles`.
+ *
+ * Usage:
+ *   const accessControl = require('../utils/accessControl');
+ *   accessControl.can(req.user.roles, 'users:delete');
+ *
+ * @module utils/accessControl
+ */
+
+const AccessControl = require('../../lib/accessControl');
+const roles = require('../config/roles');
+
+/**
+ * The application-wide role hierarchy.
+ * @type {AccessControl}
+ */
+const accessControl = new AccessControl(roles);
+
+module.exports = accessControl;
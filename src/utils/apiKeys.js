@@ -0,0 +1,45 @@
+/**
+ * Shared ApiKeyManager configured from environment variables.
+ *
+ * `API_KEY_STORE=memory` (default) keeps keys per process, which suits tests only.
+ * `API_KEY_STORE=database` keeps them in the `api_keys` table of the shared database client; it
+ * needs `DB_DRIVER=mysql` or `postgres`, and the table is created by the migrations
+ * (`npm run migrate:up`). `API_KEY_PREFIX` (default `ak`) starts every issued key.
+ *
+ * Usage:
+ *   const apiKeys = require('../utils/apiKeys');
+ *   const { key } = await apiKeys.create({ name: 'billing sync', scopes: ['invoices:read'] });
+ *
+ * @module utils/apiKeys
+ */
+
+const { ApiKeyManager, MySQLApiKeyStore, PgSQLApiKeyStore } = require('../../lib/apiKeys');
+const config = require('../config');
+const db = require('./database');
+
+/**
+ * SQL store class for each database dialect.
+ * @type {Object<string, typeof import('../../lib/apiKeys').SQLApiKeyStore>}
+ */
+const SQL_STORES = { mysql: MySQLApiKeyStore, postgres: PgSQLApiKeyStore };
+
+/**
+ * Creates the store selected by `API_KEY_STORE`; undefined lets the manager keep keys in memory.
+ * @returns {object|undefined}
+ * @throws {Error} If the database engine has no API key store.
+ * @private
+ */
+function createStore() {
+  if (config.apiKeys.store === 'memory') return undefined;
+  const Store = SQL_STORES[db.dialect];
+  if (!Store) throw new Error(`API_KEY_STORE=database does not support ${db.dialect}.`);
+  return new Store(db);
+}
+
+/**
+ * The application-wide ApiKeyManager.
+ * @type {ApiKeyManager}
+ */
+const apiKeys = new ApiKeyManager({ store: createStore(), prefix: config.apiKeys.prefix });
+
+module.exports = apiKeys;
@@ -4,8 +4,77 @@
  *   const { success, error } = require('../utils/apiResponse');
  *   return success(res, data, 'Message');
  *   return error(res, 'Error message', 400, errorData);
+ *   return error(res, 'Error message', 400, errorData, { errorCode: 'BAD_REQUEST' });
+ *   return paginated(res, rows, { page: 2, limit: 20, total: 135 });
+ *
+ * Error format:
+ *   Errors are rendered as the `{ success, error, code, data }` envelope or as RFC 7807
+ *   `application/problem+json` problem details, depending on the error format:
+ *   - `envelope` (default): always the envelope.
+ *   - `problem`: always problem details.
+ *   - `negotiate`: problem details when the Accept header prefers `application/problem+json`.
+ *   Set it with the `API_ERROR_FORMAT` environment variable or `configure({ errorFormat })`.
  */
 
+const { STATUS_CODES } = require('http');
+const config = require('../config');
+
+/**
+ * Supported error formats.
+ * @type {string[]}
+ */
+const ERROR_FORMATS = ['envelope', 'problem', 'negotiate'];
+
+/**
+ * Current response settings.
+ * @type {{ errorFormat: string, problemTypeBase: string|null }}
+ */
+const settings = {
+  errorFormat: config.api.errorFormat,
+  problemTypeBase: config.api.problemTypeBase,
+};
+
+/**
+ * Changes the response settings.
+ * @param {object} options
+ * @param {'envelope'|'problem'|'negotiate'} [options.errorFormat] - How errors are rendered.
+ * @param {string|null} [options.problemTypeBase] - Base URI for problem `type` members. When set,
+ *   `type` is the base followed by the kebab-cased error code; otherwise it is `about:blank`.
+ * @throws {Error} If the error format is not supported.
+ */
+function configure({
+  errorFormat = settings.errorFormat,
+  problemTypeBase = settings.problemTypeBase,
+}) {
+  if (!ERROR_FORMATS.includes(errorFormat)) {
+    throw new Error(`Unsupported error format "${errorFormat}". Use one of: ${ERROR_FORMATS}.`);
+  }
+  settings.errorFormat = errorFormat;
+  settings.problemTypeBase = problemTypeBase;
+}
+
+/**
+ * @returns {'envelope'|'problem'|'negotiate'} The configured error format.
+ */
+function getErrorFormat() {
+  return settings.errorFormat;
+}
+
+/**
+ * Decides whether an error response should be rendered as problem details.
+ * @param {import('express').Response} res
+ * @returns {boolean}
+ * @private
+ */
+function wantsProblem(res) {
+  if (settings.errorFormat === 'problem') return true;
+  if (settings.errorFormat !== 'negotiate' || !res.req) return false;
+  res.vary('Accept');
+  return (
+    res.req.accepts(['application/json', 'application/problem+json']) === 'application/problem+json'
+  );
+}
+
 /**
  * Send a standardized success response.
  * @param {import('express').Response} res
@@ -23,23 +92,141 @@ function success(res, data = null, message = 'OK', code = 200) {
 }
 
 /**
- * Send a standardized error response.
+ * Builds a link to the current request with some query parameters replaced.
+ * @param {import('express').Request} req
+ * @param {Object<string, any>} changes - Parameters to set; `null` removes the parameter.
+ * @returns {string} The relative link.
+ * @private
+ */
+function linkTo(req, changes) {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null) url.searchParams.delete(key);
+    else url.searchParams.set(key, value);
+  });
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Send a standardized paginated response: the success envelope plus `meta` and `links`.
+ * Pass `page`/`total` for offset pagination, or the `nextCursor`/`prevCursor` returned by
+ * `lib/pagination.paginateRows` for cursor pagination.
+ * @param {import('express').Response} res
+ * @param {any[]} rows - The page of items.
+ * @param {object} meta
+ * @param {number} meta.limit - Page size.
+ * @param {number} [meta.page] - Current page (offset pagination).
+ * @param {number} [meta.total] - Total number of items, if counted.
+ * @param {string|null} [meta.nextCursor] - Cursor of the next page (cursor pagination).
+ * @param {string|null} [meta.prevCursor] - Cursor of the previous page (cursor pagination).
+ * @param {string} [message='OK'] - Optional message.
+ * @returns {import('express').Response}
+ */
+function paginated(res, rows, meta, message = 'OK') {
+  const { limit, page, total = null, nextCursor, prevCursor } = meta;
+  const { req } = res;
+  const cursorMode = nextCursor !== undefined || prevCursor !== undefined;
+  const pageMeta = { total, limit };
+  const links = {};
+
+  if (cursorMode) {
+    Object.assign(pageMeta, {
+      hasNext: Boolean(nextCursor),
+      hasPrev: Boolean(prevCursor),
+      nextCursor: nextCursor || null,
+      prevCursor: prevCursor || null,
+    });
+    if (req) {
+      links.self = req.originalUrl;
+      links.first = linkTo(req, { cursor: null });
+      links.next = nextCursor ? linkTo(req, { cursor: nextCursor }) : null;
+      links.prev = prevCursor ? linkTo(req, { cursor: prevCursor }) : null;
+    }
+  } else {
+    const current = page || 1;
+    const totalPages = total === null ? null : Math.max(1, Math.ceil(total / limit));
+    const hasNext = totalPages === null ? rows.length === limit : current < totalPages;
+    Object.assign(pageMeta, { page: current, totalPages, hasNext, hasPrev: current > 1 });
+    if (req) {
+      links.self = req.originalUrl;
+      links.first = linkTo(req, { page: 1 });
+      links.prev = current > 1 ? linkTo(req, { page: current - 1 }) : null;
+      links.next = hasNext ? linkTo(req, { page: current + 1 }) : null;
+      links.last = totalPages === null ? null : linkTo(req, { page: totalPages });
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: rows,
+    message,
+    meta: pageMeta,
+    links,
+  });
+}
+
+/**
+ * Send an RFC 7807 problem details response.
+ * Object `data` members and `meta` fields become extension members; they cannot override the
+ * standard members (`type`, `title`, `status`, `detail`, `instance`).
+ * @param {import('express').Response} res
+ * @param {string} detail - Human-readable explanation.
+ * @param {number} [status=500] - HTTP status code.
+ * @param {any} [data=null] - Optional error data.
+ * @param {object} [meta={}] - Extra extension members, e.g. `{ errorCode, requestId }`.
+ * @returns {import('express').Response}
+ */
+function problem(res, detail, status = 500, data = null, meta = {}) {
+  const { errorCode } = meta;
+  const type =
+    settings.problemTypeBase && errorCode
+      ? `${settings.problemTypeBase}${errorCode.toLowerCase().replace(/_/g, '-')}`
+      : 'about:blank';
+  let extensions = {};
+  if (data !== null && typeof data === 'object' && !Array.isArray(data)) extensions = data;
+  else if (data !== null) extensions = { data };
+  const members = {
+    type,
+    title: STATUS_CODES[status] || 'Error',
+    status,
+    detail,
+    ...(res.req && { instance: res.req.originalUrl }),
+  };
+
+  // Standard members come first and win over extension members of the same name
+  return res
+    .status(status)
+    .type('application/problem+json')
+    .json({ ...members, ...extensions, ...meta, ...members });
+}
+
+/**
+ * Send a standardized error response, as an envelope or as problem details
+ * depending on the configured error format.
  * @param {import('express').Response} res
  * @param {string} errorMessage - Error message.
  * @param {number} [code=500] - HTTP status code.
  * @param {any} [data=null] - Optional error data.
+ * @param {object} [meta={}] - Extra top-level fields, e.g. `{ errorCode, requestId }`.
  * @returns {import('express').Response}
  */
-function error(res, errorMessage, code = 500, data = null) {
+function error(res, errorMessage, code = 500, data = null, meta = {}) {
+  if (wantsProblem(res)) return problem(res, errorMessage, code, data, meta);
   return res.status(code).json({
     success: false,
     error: errorMessage,
     code,
     data,
+    ...meta,
   });
 }
 
 module.exports = {
   success,
+  paginated,
   error,
+  problem,
+  configure,
+  getErrorFormat,
+  ERROR_FORMATS,
 };
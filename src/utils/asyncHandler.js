@@ -20,9 +20,12 @@
  * }));
  */
 function asyncHandler(fn) {
-  return function asyncHandlerMiddleware(req, res, next) {
+  const middleware = function asyncHandlerMiddleware(req, res, next) {
     Promise.resolve(fn(req, res, next)).catch(next);
   };
+  // Named after the handler, e.g. in the route table
+  if (fn.name) Object.defineProperty(middleware, 'name', { value: fn.name });
+  return middleware;
 }
 
 module.exports = asyncHandler;
@@ -0,0 +1,51 @@
+/**
+ * Shared database client configured from the `DB_*` variables (see `config`).
+ *
+ * `DB_DRIVER` picks the engine (`sqlite` by default, `mysql` or `postgres`). Server engines
+ * read `DB_HOST`, `DB_PORT`, `DB_USER`, `DB_PASSWORD`, `DB_NAME` and use a pool of
+ * `DB_POOL_SIZE` connections; SQLite reads `DB_FILENAME`. The client connects on the first query.
+ * Statements taking `DB_SLOW_QUERY_MS` or longer are logged as slow queries.
+ *
+ * Usage:
+ *   const db = require('../utils/database');
+ *   const rows = await db.query('SELECT * FROM users WHERE id = :id', { id: 1 });
+ *
+ * @module utils/database
+ */
+
+const { createDatabaseClient } = require('../../lib/database');
+const config = require('../config');
+const logger = require('./logger');
+
+const { driver, poolSize } = config.db;
+
+/**
+ * Driver options for each engine.
+ * @type {Object<string, object>}
+ */
+const DRIVER_OPTIONS = {
+  mysql: { connectionLimit: poolSize },
+  postgres: { max: poolSize },
+  sqlite: { filename: config.db.filename },
+};
+
+/**
+ * The application-wide database client.
+ * @type {import('../../lib/databaseClient')}
+ */
+const db = createDatabaseClient({
+  driver,
+  pool: driver !== 'sqlite',
+  slowQueryThreshold: config.db.slowQueryThreshold,
+  logger: logger.child({ component: 'database' }),
+  ...(driver !== 'sqlite' && {
+    host: config.db.host,
+    port: config.db.port,
+    user: config.db.user,
+    password: config.db.password,
+    database: config.db.name,
+  }),
+  ...DRIVER_OPTIONS[driver],
+});
+
+module.exports = db;
@@ -0,0 +1,47 @@
+/**
+ * Shared liveness and readiness checks, served by `routes/health.routes`.
+ *
+ * - Liveness (is the process healthy?): event-loop lag (`HEALTH_MAX_EVENT_LOOP_LAG_MS`,
+ *   default 500), sampled once the resources start, and heap use (`HEALTH_MAX_HEAP_RATIO`,
+ *   default 0.9).
+ * - Readiness (can it serve traffic?): database connectivity. It fails once shutdown starts.
+ *
+ * Each check may take `HEALTH_CHECK_TIMEOUT_MS` (default 2000). Add checks with `register()`:
+ *   const { readiness } = require('../utils/health');
+ *   readiness.register('cache', () => cache.ping(), { timeout: 500 });
+ *
+ * @module utils/health
+ */
+
+const {
+  HealthCheck,
+  databaseCheck,
+  eventLoopCheck,
+  memoryCheck,
+} = require('../../lib/healthCheck');
+const config = require('../config');
+const db = require('./database');
+
+const { timeout, maxEventLoopLag, maxHeapRatio } = config.health;
+
+/**
+ * Event-loop lag check; samples while started, as a resource of `utils/resources`.
+ * @type {ReturnType<typeof eventLoopCheck>}
+ */
+const eventLoopMonitor = eventLoopCheck({ maxLag: maxEventLoopLag });
+
+/**
+ * Checks for `/health/live`.
+ * @type {HealthCheck}
+ */
+const liveness = new HealthCheck({ timeout })
+  .register('eventLoop', eventLoopMonitor)
+  .register('memory', memoryCheck({ maxHeapRatio }));
+
+/**
+ * Checks for `/health/ready`.
+ * @type {HealthCheck}
+ */
+const readiness = new HealthCheck({ timeout }).register('database', databaseCheck(db));
+
+module.exports = { liveness, readiness, eventLoopMonitor };
@@ -0,0 +1,149 @@
+/* eslint-disable max-classes-per-file */
+/**
+ * HTTP error classes carrying a status, a machine-readable code and safe public details.
+ * Throw them from controllers and middlewares; the error handler turns them into
+ * `apiResponse.error` responses.
+ *
+ * Usage:
+ *   const { NotFoundError } = require('../utils/httpErrors');
+ *   throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND', details: { id } });
+ */
+
+/**
+ * Base class for HTTP errors.
+ * @property {number} status - HTTP status code.
+ * @property {string} code - Machine-readable error code.
+ * @property {any} details - Details safe to send to the client.
+ * @property {boolean} expose - Whether the message is safe to send to the client.
+ * @property {Object<string, string>} headers - Extra response headers.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code.
+   * @param {string} message - Error message.
+   * @param {object} [options]
+   * @param {string} [options.code='HTTP_ERROR'] - Machine-readable error code.
+   * @param {any} [options.details=null] - Details safe to send to the client.
+   * @param {Error} [options.cause] - The underlying error.
+   * @param {boolean} [options.expose] - Send the message to the client. Defaults to true below 500.
+   * @param {Object<string, string>} [options.headers={}] - Extra response headers.
+   */
+  constructor(
+    status,
+    message,
+    { code = 'HTTP_ERROR', details = null, cause, expose = status < 500, headers = {} } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.expose = expose;
+    this.headers = headers;
+  }
+}
+
+/** 400 Bad Request. */
+class BadRequestError extends HttpError {
+  constructor(message = 'Bad request', options = {}) {
+    super(400, message, { code: 'BAD_REQUEST', ...options });
+  }
+}
+
+/** 401 Unauthorized. */
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Unauthorized', options = {}) {
+    super(401, message, { code: 'UNAUTHORIZED', ...options });
+  }
+}
+
+/** 403 Forbidden. */
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden', options = {}) {
+    super(403, message, { code: 'FORBIDDEN', ...options });
+  }
+}
+
+/** 404 Not Found. */
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found', options = {}) {
+    super(404, message, { code: 'NOT_FOUND', ...options });
+  }
+}
+
+/** 409 Conflict. */
+class ConflictError extends HttpError {
+  constructor(message = 'Conflict', options = {}) {
+    super(409, message, { code: 'CONFLICT', ...options });
+  }
+}
+
+/** 413 Payload Too Large. */
+class PayloadTooLargeError extends HttpError {
+  constructor(message = 'Payload too large', options = {}) {
+    super(413, message, { code: 'PAYLOAD_TOO_LARGE', ...options });
+  }
+}
+
+/** 415 Unsupported Media Type. */
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message = 'Unsupported media type', options = {}) {
+    super(415, message, { code: 'UNSUPPORTED_MEDIA_TYPE', ...options });
+  }
+}
+
+/** 422 Unprocessable Entity, used for request validation failures. */
+class ValidationError extends HttpError {
+  /**
+   * @param {{ location: string, field: string, message: string }[]} errors - Field errors.
+   * @param {string} [message='Validation failed'] - Error message.
+   * @param {object} [options] - See {@link HttpError}.
+   */
+  constructor(errors = [], message = 'Validation failed', options = {}) {
+    super(422, message, { code: 'VALIDATION_FAILED', details: { errors }, ...options });
+  }
+}
+
+/** 423 Locked, e.g. an account locked after repeated failed logins. */
+class LockedError extends HttpError {
+  constructor(message = 'Locked', options = {}) {
+    super(423, message, { code: 'LOCKED', ...options });
+  }
+}
+
+/** 429 Too Many Requests. */
+class TooManyRequestsError extends HttpError {
+  constructor(message = 'Too many requests', options = {}) {
+    super(429, message, { code: 'TOO_MANY_REQUESTS', ...options });
+  }
+}
+
+/** 500 Internal Server Error. */
+class InternalServerError extends HttpError {
+  constructor(message = 'Internal server error', options = {}) {
+    super(500, message, { code: 'INTERNAL_SERVER_ERROR', ...options });
+  }
+}
+
+/** 503 Service Unavailable. The message is sent to the client, unlike other 5xx errors. */
+class ServiceUnavailableError extends HttpError {
+  constructor(message = 'Service unavailable', options = {}) {
+    super(503, message, { code: 'SERVICE_UNAVAILABLE', expose: true, ...options });
+  }
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+  LockedError,
+  TooManyRequestsError,
+  InternalServerError,
+  ServiceUnavailableError,
+};
@@ -0,0 +1,33 @@
+/**
+ * Shared JWTClient instance configured from the `JWT_*` variables (see `config`).
+ *
+ * Access tokens are signed with `JWT_ACCESS_SECRET`, or with asymmetric keys when `JWT_KEYS_DIR`
+ * points to a directory of `<kid>.pem` private keys and `<kid>.pub` verify-only public keys.
+ * `JWT_ACTIVE_KID` picks the signing key. Refresh tokens and revocations are kept in the store
+ * selected by `JWT_TOKEN_STORE` (see `utils/tokenStore`).
+ *
+ * Usage:
+ *   const jwtClient = require('../utils/jwtClient');
+ *   const token = await jwtClient.generateAccessToken({ data: { id: 1 } });
+ *
+ * @module utils/jwtClient
+ */
+
+const JWTClient = require('../../lib/jwt');
+const KeyStore = require('../../lib/keyStore');
+const config = require('../config');
+const tokenStore = require('./tokenStore');
+
+const { keysDir, activeKid, tokenStore: storeName, ...options } = config.jwt;
+
+/**
+ * The application-wide JWTClient.
+ * @type {JWTClient}
+ */
+const jwtClient = new JWTClient({
+  ...options,
+  tokenStore,
+  keyStore: keysDir ? KeyStore.fromDirectory(keysDir, activeKid) : null,
+});
+
+module.exports = jwtClient;
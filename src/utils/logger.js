@@ -0,0 +1,29 @@
+/**
+ * Shared application logger (see `lib/logger`).
+ *
+ * `LOG_LEVEL` sets the lowest level written (`debug`, `info`, `warn`, `error` or `silent`); it
+ * defaults to `info`, or `silent` when `NODE_ENV` is `test`. Entries written while handling a
+ * request carry its `requestId`.
+ *
+ * Usage:
+ *   const logger = require('../utils/logger');
+ *   logger.info('User created', { userId });
+ *   const log = logger.child({ component: 'mailer' });
+ *
+ * @module utils/logger
+ */
+
+const Logger = require('../../lib/logger');
+const config = require('../config');
+const pkg = require('../../package.json');
+
+/**
+ * The application-wide logger.
+ * @type {Logger}
+ */
+const logger = new Logger({
+  level: config.log.level,
+  bindings: { service: pkg.name },
+});
+
+module.exports = logger;
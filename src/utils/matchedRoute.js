@@ -0,0 +1,43 @@
+/**
+ * Records the full route pattern (e.g. `/api/users/:id`) a request matched, for logs and
+ * metrics labels that must not contain raw URLs.
+ *
+ * Express restores `req.baseUrl` when an error leaves a router, so the pattern is recorded when
+ * the route matches rather than read when the response finishes.
+ *
+ * Usage:
+ *   const route = trackRoute(req);
+ *   res.on('finish', () => console.log(route())); // '/api/users/:id', or undefined
+ *
+ * @module utils/matchedRoute
+ */
+
+/**
+ * Key of the recorded pattern on `req`.
+ * @type {symbol}
+ */
+const MATCHED_ROUTE = Symbol('matchedRoute');
+
+/**
+ * Starts recording the route pattern of `req`; safe to call from several middlewares.
+ * @param {import('express').Request} req
+ * @returns {() => string|undefined} Reads the pattern of the last matched route.
+ */
+function trackRoute(req) {
+  if (!Object.prototype.hasOwnProperty.call(req, MATCHED_ROUTE)) {
+    let route;
+    Object.defineProperty(req, MATCHED_ROUTE, { value: { pattern: undefined } });
+    Object.defineProperty(req, 'route', {
+      configurable: true,
+      enumerable: true,
+      get: () => route,
+      set: (value) => {
+        route = value;
+        req[MATCHED_ROUTE].pattern = value ? `${req.baseUrl}${value.path}` : undefined;
+      },
+    });
+  }
+  return () => req[MATCHED_ROUTE].pattern;
+}
+
+module.exports = { trackRoute };
@@ -0,0 +1,37 @@
+/**
+ * Shared metrics registry, served by `routes/metrics.routes` at `/metrics`.
+ *
+ * Includes process metrics (`lib/processMetrics`), the shared database client's pool gauges and
+ * query duration histogram, and the HTTP metrics of the `httpMetrics` middleware. Register
+ * custom metrics on it:
+ *   const metrics = require('../utils/metrics');
+ *   const signups = metrics.counter('app_signups_total', 'Completed signups.');
+ *   signups.inc({ plan: 'pro' });
+ *
+ * @module utils/metrics
+ */
+
+const { MetricsRegistry } = require('../../lib/metrics');
+const registerProcessMetrics = require('../../lib/processMetrics');
+const db = require('./database');
+
+/**
+ * The application-wide metrics registry.
+ * @type {MetricsRegistry}
+ */
+const metrics = new MetricsRegistry();
+
+registerProcessMetrics(metrics);
+
+metrics.gauge('db_pool_connections', 'Database connections by state (total, idle, waiting).', {
+  collect: (gauge) => {
+    Object.entries(db.poolStats()).forEach(([state, count]) => gauge.set({ state }, count));
+  },
+});
+metrics.register(
+  'db_query_duration_seconds',
+  'Database statement durations by operation and status.',
+  db.queryDurations
+);
+
+module.exports = metrics;
@@ -0,0 +1,39 @@
+/**
+ * Checks the `METRICS_TOKEN` bearer token that guards operational endpoints: `/metrics`, and the
+ * check details of `/health/*`.
+ *
+ * Usage:
+ *   const { hasMetricsToken } = require('../utils/metricsToken');
+ *   if (hasMetricsToken(req) === false) return next(new UnauthorizedError());
+ *
+ * @module utils/metricsToken
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ * @private
+ */
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Checks whether a request sends `Authorization: Bearer <METRICS_TOKEN>`.
+ * @param {import('express').Request} req
+ * @returns {boolean|null} Whether it does, or null when `METRICS_TOKEN` is not set.
+ */
+function hasMetricsToken(req) {
+  const { token } = config.metrics;
+  if (!token) return null;
+  const [scheme, credentials] = (req.get('authorization') || '').split(' ');
+  return scheme === 'Bearer' && Boolean(credentials) && safeEqual(credentials, token);
+}
+
+module.exports = { hasMetricsToken };
@@ -0,0 +1,49 @@
+/**
+ * Shared rate limit store configured from environment variables.
+ *
+ * `RATE_LIMIT_STORE=memory` (default) keeps counters per process. `RATE_LIMIT_STORE=database`
+ * keeps them in the `rate_limits` table of the shared database client, so limits hold across
+ * instances; it needs `DB_DRIVER=mysql` or `postgres`, and the table is created by the migrations
+ * (`npm run migrate:up`).
+ *
+ * Usage:
+ *   const rateLimitStore = require('../utils/rateLimitStore');
+ *   router.post('/login', rateLimit({ name: 'login', limit: 5, store: rateLimitStore }), ...);
+ *
+ * @module utils/rateLimitStore
+ */
+
+const {
+  MemoryRateLimitStore,
+  MySQLRateLimitStore,
+  PgSQLRateLimitStore,
+} = require('../../lib/rateLimit');
+const config = require('../config');
+const db = require('./database');
+
+/**
+ * SQL store class for each database dialect.
+ * @type {Object<string, typeof import('../../lib/rateLimit').SQLRateLimitStore>}
+ */
+const SQL_STORES = { mysql: MySQLRateLimitStore, postgres: PgSQLRateLimitStore };
+
+/**
+ * Creates the store selected by `RATE_LIMIT_STORE`.
+ * @returns {object}
+ * @throws {Error} If the database engine has no rate limit store.
+ * @private
+ */
+function createStore() {
+  if (config.rateLimit.store === 'memory') return new MemoryRateLimitStore();
+  const Store = SQL_STORES[db.dialect];
+  if (!Store) throw new Error(`RATE_LIMIT_STORE=database does not support ${db.dialect}.`);
+  return new Store(db);
+}
+
+/**
+ * The application-wide rate limit store.
+ * @type {object}
+ */
+const rateLimitStore = createStore();
+
+module.exports = rateLimitStore;
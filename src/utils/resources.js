@@ -0,0 +1,77 @@
+/**
+ * Shared resource registry: everything the server needs before accepting traffic and must
+ * close on shutdown. The shared database client is registered here, followed by the event-loop
+ * lag monitor of the liveness probe and periodic purges of expired rate limit and token rows. The
+ * tables of the database-backed stores are created by the migrations in `migrations/`, not at
+ * startup.
+ *
+ * `DB_CONNECT_RETRIES` (default 5) and `DB_CONNECT_RETRY_DELAY_MS` (default 500, doubled on each
+ * attempt) control how long startup waits for the database.
+ *
+ * Usage:
+ *   const resources = require('../utils/resources');
+ *   resources.register('cache', { start: () => cache.connect(), stop: () => cache.quit() });
+ *
+ * @module utils/resources
+ */
+
+const ResourceRegistry = require('../../lib/resourceRegistry');
+const config = require('../config');
+const db = require('./database');
+const rateLimitStore = require('./rateLimitStore');
+const tokenStore = require('./tokenStore');
+const logger = require('./logger');
+const { eventLoopMonitor } = require('./health');
+
+/**
+ * Interval in ms between deletions of expired rate limit and token rows.
+ * @type {number}
+ */
+const PURGE_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * The application-wide resource registry.
+ * @type {ResourceRegistry}
+ */
+const resources = new ResourceRegistry({ logger: logger.child({ component: 'resources' }) });
+
+resources.register('database', {
+  start: () => db.connect(),
+  stop: () => db.close(),
+  retries: config.db.connectRetries,
+  retryDelay: config.db.connectRetryDelay,
+});
+
+resources.register('eventLoopMonitor', {
+  start: eventLoopMonitor.start,
+  stop: eventLoopMonitor.stop,
+});
+
+/**
+ * Registers a resource deleting the expired rows of a SQL store every `PURGE_INTERVAL`. In-memory
+ * stores, which have no `purgeExpired()`, are skipped.
+ * @param {string} name - Resource name.
+ * @param {{ purgeExpired?: () => Promise<void> }} store
+ * @param {string} failure - Message logged when a purge fails.
+ * @private
+ */
+function registerPurge(name, store, failure) {
+  if (!store.purgeExpired) return;
+  let timer = null;
+  resources.register(name, {
+    start: async () => {
+      timer = setInterval(() => {
+        store.purgeExpired().catch((err) => {
+          logger.warn(failure, err);
+        });
+      }, PURGE_INTERVAL);
+      timer.unref();
+    },
+    stop: async () => clearInterval(timer),
+  });
+}
+
+registerPurge('rateLimitPurge', rateLimitStore, 'Purging expired rate limits failed.');
+registerPurge('tokenPurge', tokenStore, 'Purging expired tokens failed.');
+
+module.exports = resources;
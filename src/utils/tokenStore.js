@@ -0,0 +1,47 @@
+/**
+ * Shared token store of the JWT client, configured from environment variables. It records issued
+ * refresh tokens for rotation and reuse detection, and the tokens revoked by logout.
+ *
+ * `JWT_TOKEN_STORE=memory` (default) keeps them per process: a restart forgets every refresh
+ * token, and another instance does not know them, so it suits a single instance only.
+ * `JWT_TOKEN_STORE=database` keeps them in the `jwt_*` tables of the shared database client; it
+ * needs `DB_DRIVER=mysql` or `postgres`, and the tables are created by the migrations
+ * (`npm run migrate:up`).
+ *
+ * Usage:
+ *   const tokenStore = require('../utils/tokenStore');
+ *   const jwtClient = new JWTClient({ ...options, tokenStore });
+ *
+ * @module utils/tokenStore
+ */
+
+const { MemoryTokenStore, MySQLTokenStore, PgSQLTokenStore } = require('../../lib/tokenStore');
+const config = require('../config');
+const db = require('./database');
+
+/**
+ * SQL store class for each database dialect.
+ * @type {Object<string, typeof import('../../lib/tokenStore').SQLTokenStore>}
+ */
+const SQL_STORES = { mysql: MySQLTokenStore, postgres: PgSQLTokenStore };
+
+/**
+ * Creates the store selected by `JWT_TOKEN_STORE`.
+ * @returns {object}
+ * @throws {Error} If the database engine has no token store.
+ * @private
+ */
+function createStore() {
+  if (config.jwt.tokenStore === 'memory') return new MemoryTokenStore();
+  const Store = SQL_STORES[db.dialect];
+  if (!Store) throw new Error(`JWT_TOKEN_STORE=database does not support ${db.dialect}.`);
+  return new Store(db);
+}
+
+/**
+ * The application-wide token store.
+ * @type {object}
+ */
+const tokenStore = createStore();
+
+module.exports = tokenStore;
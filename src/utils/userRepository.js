@@ -0,0 +1,49 @@
+/**
+ * Shared user repository used by the auth routes, configured from environment variables.
+ *
+ * `AUTH_USER_STORE=memory` (default) keeps users per process, which suits tests and demos only.
+ * `AUTH_USER_STORE=database` keeps them in the `users` table of the shared database client; it
+ * needs `DB_DRIVER=mysql` or `postgres`, and the table is created by the migrations
+ * (`npm run migrate:up`).
+ *
+ * Usage:
+ *   const users = require('../utils/userRepository');
+ *   const user = await users.findByEmail('ada@example.com');
+ *
+ * @module utils/userRepository
+ */
+
+const {
+  MemoryUserRepository,
+  MySQLUserRepository,
+  PgSQLUserRepository,
+} = require('../../lib/userRepository');
+const config = require('../config');
+const db = require('./database');
+
+/**
+ * SQL repository class for each database dialect.
+ * @type {Object<string, typeof import('../../lib/userRepository').SQLUserRepository>}
+ */
+const SQL_REPOSITORIES = { mysql: MySQLUserRepository, postgres: PgSQLUserRepository };
+
+/**
+ * Creates the repository selected by `AUTH_USER_STORE`.
+ * @returns {object}
+ * @throws {Error} If the database engine has no user repository.
+ * @private
+ */
+function createRepository() {
+  if (config.auth.userStore === 'memory') return new MemoryUserRepository();
+  const Repository = SQL_REPOSITORIES[db.dialect];
+  if (!Repository) throw new Error(`AUTH_USER_STORE=database does not support ${db.dialect}.`);
+  return new Repository(db);
+}
+
+/**
+ * The application-wide user repository.
+ * @type {object}
+ */
+const userRepository = createRepository();
+
+module.exports = userRepository;
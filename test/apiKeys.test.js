@@ -0,0 +1,193 @@
+const express = require('express');
+const request = require('supertest');
+const SQLiteClient = require('../lib/sqlite');
+const { ApiKeyManager, MemoryApiKeyStore, PgSQLApiKeyStore } = require('../lib/apiKeys');
+const apiKeyAuth = require('../src/middlewares/apiKeyAuth');
+const { requirePermission } = require('../src/middlewares/authorize');
+const { errorHandler } = require('../src/middlewares/errorHandlers');
+
+/**
+ * Loads the app and its JWTClient with an access secret configured.
+ */
+function loadApp() {
+  let loaded;
+  jest.isolateModules(() => {
+    process.env.JWT_ACCESS_SECRET = 'test-access-secret-of-32-characters!';
+    /* eslint-disable global-require */
+    loaded = { app: require('../src/index'), jwtClient: require('../src/utils/jwtClient') };
+    /* eslint-enable global-require */
+    delete process.env.JWT_ACCESS_SECRET;
+  });
+  return loaded;
+}
+
+describe.each([
+  ['MemoryApiKeyStore', async () => new MemoryApiKeyStore()],
+  [
+    'PgSQLApiKeyStore on SQLite',
+    async () => {
+      const store = new PgSQLApiKeyStore(new SQLiteClient({ filename: ':memory:' }));
+      await store.createTables();
+      return store;
+    },
+  ],
+])('ApiKeyManager with %s', (name, createStore) => {
+  let apiKeys;
+  let store;
+
+  beforeEach(async () => {
+    store = await createStore();
+    apiKeys = new ApiKeyManager({ store, prefix: 'acme', touchInterval: 0 });
+  });
+
+  it('should issue prefixed keys and store only their hash', async () => {
+    const { key, apiKey } = await apiKeys.create({
+      name: 'export',
+      scopes: ['reports:read'],
+      ownerId: 7,
+    });
+    expect(key).toMatch(new RegExp(`^acme_${apiKey.id}_[A-Za-z0-9_-]{43}$`));
+    expect(apiKey).toMatchObject({ name: 'export', scopes: ['reports:read'], ownerId: '7' });
+    expect(apiKey).not.toHaveProperty('hash');
+
+    const record = await store.findById(apiKey.id);
+    expect(record.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(record)).not.toContain(key.split('_')[2]);
+  });
+
+  it('should verify keys and track their last use', async () => {
+    const { key, apiKey } = await apiKeys.create({ name: 'export' });
+    expect(apiKey.lastUsedAt).toBeNull();
+
+    const verified = await apiKeys.verify(key);
+    expect(verified.id).toBe(apiKey.id);
+    expect((await store.findById(apiKey.id)).lastUsedAt).toBeInstanceOf(Date);
+
+    await expect(apiKeys.verify(`${key.slice(0, -1)}x`)).rejects.toMatchObject({
+      code: 'ER_INVALID_API_KEY',
+    });
+    await expect(apiKeys.verify('acme_nope')).rejects.toMatchObject({
+      code: 'ER_INVALID_API_KEY',
+    });
+  });
+
+  it('should reject expired and revoked keys, and revoke only owned keys', async () => {
+    const expired = await apiKeys.create({ name: 'old', expiresAt: new Date(Date.now() - 1000) });
+    await expect(apiKeys.verify(expired.key)).rejects.toMatchObject({
+      code: 'ER_API_KEY_EXPIRED',
+    });
+
+    const { key, apiKey } = await apiKeys.create({ name: 'export', ownerId: 'u1' });
+    expect(await apiKeys.revoke(apiKey.id, { ownerId: 'u2' })).toBe(false);
+    expect(await apiKeys.revoke(apiKey.id, { ownerId: 'u1' })).toBe(true);
+    expect(await apiKeys.revoke(apiKey.id)).toBe(false);
+    await expect(apiKeys.verify(key)).rejects.toMatchObject({ code: 'ER_API_KEY_REVOKED' });
+
+    const listed = await apiKeys.list({ ownerId: 'u1' });
+    expect(listed).toHaveLength(1);
+    expect(listed[0].revokedAt).toBeInstanceOf(Date);
+    expect(await apiKeys.list()).toHaveLength(2);
+  });
+});
+
+describe('apiKeyAuth middleware', () => {
+  const apiKeys = new ApiKeyManager();
+  const server = express()
+    .get('/reports', apiKeyAuth({ apiKeys }), requirePermission('reports:read'), (req, res) =>
+      res.json(req.principal)
+    )
+    .use(errorHandler);
+
+  it('should attach the key principal and enforce its scopes', async () => {
+    const { key, apiKey } = await apiKeys.create({ name: 'export', scopes: ['reports:*'] });
+    const res = await request(server).get('/reports').set('X-API-Key', key);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      type: 'apiKey',
+      id: apiKey.id,
+      roles: [],
+      permissions: ['reports:*'],
+    });
+
+    const other = await apiKeys.create({ name: 'other', scopes: ['content:read'] });
+    const denied = await request(server).get('/reports').set('X-API-Key', other.key);
+    expect(denied.statusCode).toBe(403);
+  });
+
+  it('should reject missing and invalid keys with 401', async () => {
+    const missing = await request(server).get('/reports');
+    expect(missing.statusCode).toBe(401);
+    expect(missing.body.errorCode).toBe('ER_INVALID_API_KEY');
+
+    const invalid = await request(server).get('/reports').set('X-API-Key', 'ak_bogus');
+    expect(invalid.statusCode).toBe(401);
+  });
+});
+
+describe('API key routes', () => {
+  it('should create, use, list and revoke keys', async () => {
+    const { app, jwtClient } = loadApp();
+    const admin = `Bearer ${await jwtClient.generateAccessToken({ data: { id: 1, roles: ['admin'] } })}`;
+
+    const created = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', admin)
+      .send({ name: 'billing sync', scopes: ['content:read'] });
+    expect(created.statusCode).toBe(201);
+    const { key, apiKey } = created.body.data;
+    expect(apiKey).toMatchObject({ name: 'billing sync', ownerId: '1', revokedAt: null });
+
+    const service = await request(app).get('/api/example/service').set('X-API-Key', key);
+    expect(service.statusCode).toBe(200);
+    expect(service.body.data).toMatchObject({ type: 'apiKey', permissions: ['content:read'] });
+
+    const listed = await request(app).get('/api/api-keys').set('Authorization', admin);
+    expect(listed.body.data.map(({ id }) => id)).toEqual([apiKey.id]);
+    expect(listed.body.data[0].lastUsedAt).toEqual(expect.any(String));
+
+    const revoked = await request(app)
+      .delete(`/api/api-keys/${apiKey.id}`)
+      .set('Authorization', admin);
+    expect(revoked.statusCode).toBe(200);
+    const again = await request(app)
+      .delete(`/api/api-keys/${apiKey.id}`)
+      .set('Authorization', admin);
+    expect(again.statusCode).toBe(404);
+
+    const rejected = await request(app).get('/api/example/service').set('X-API-Key', key);
+    expect(rejected.statusCode).toBe(401);
+    expect(rejected.body.errorCode).toBe('ER_API_KEY_REVOKED');
+  });
+
+  it('should only let users grant scopes they hold', async () => {
+    const { app, jwtClient } = loadApp();
+    const editor = await jwtClient.generateAccessToken({
+      data: { id: 2, roles: ['editor'], permissions: ['apiKeys:manage'] },
+    });
+
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${editor}`)
+      .send({ name: 'escalate', scopes: ['content:publish', 'users:delete'] });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.data).toEqual({ scopes: ['users:delete'] });
+
+    const user = await jwtClient.generateAccessToken({ data: { id: 3, roles: ['user'] } });
+    const forbidden = await request(app)
+      .get('/api/api-keys')
+      .set('Authorization', `Bearer ${user}`);
+    expect(forbidden.statusCode).toBe(403);
+  });
+
+  it('should document the apiKey security scheme', () => {
+    // eslint-disable-next-line global-require
+    const { v1: spec } = require('../src/docs/swagger');
+    expect(spec.components.securitySchemes.apiKey).toEqual({
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+    });
+    expect(spec.paths['/api/v1/example/service'].get.security).toEqual([{ apiKey: [] }]);
+    expect(spec.paths['/api/v1/api-keys'].post.security).toEqual([{ bearerAuth: [] }]);
+  });
+});
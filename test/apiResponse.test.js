@@ -0,0 +1,102 @@
+const express = require('express');
+const request = require('supertest');
+const apiResponse = require('../src/utils/apiResponse');
+const { notFoundHandler, errorHandler } = require('../src/middlewares/errorHandlers');
+const { ValidationError } = require('../src/utils/httpErrors');
+
+function createApp() {
+  const app = express();
+  app.get('/invalid', () => {
+    throw new ValidationError([{ location: 'query', field: 'page', message: 'must be integer' }]);
+  });
+  app.get('/clash', (req, res) =>
+    apiResponse.error(
+      res,
+      'Order archived',
+      409,
+      { status: 'archived', type: 'order', detail: 'x' },
+      { title: 'x', instance: 'x' }
+    )
+  );
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('apiResponse error formats', () => {
+  const app = createApp();
+
+  afterEach(() => {
+    apiResponse.configure({ errorFormat: 'envelope', problemTypeBase: null });
+  });
+
+  it('should render the envelope by default', async () => {
+    const res = await request(app).get('/missing');
+
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.body).toMatchObject({ success: false, error: 'Not found', code: 404 });
+  });
+
+  it('should render RFC 7807 problem details in problem mode', async () => {
+    apiResponse.configure({
+      errorFormat: 'problem',
+      problemTypeBase: 'https://example.com/probs/',
+    });
+    const res = await request(app).get('/invalid');
+
+    expect(res.statusCode).toBe(422);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toEqual({
+      type: 'https://example.com/probs/validation-failed',
+      title: 'Unprocessable Entity',
+      status: 422,
+      detail: 'Validation failed',
+      instance: '/invalid',
+      errors: [{ location: 'query', field: 'page', message: 'must be integer' }],
+      errorCode: 'VALIDATION_FAILED',
+    });
+  });
+
+  it('should not let extension members override the standard members', async () => {
+    apiResponse.configure({ errorFormat: 'problem' });
+    const res = await request(app).get('/clash');
+
+    expect(res.body).toEqual({
+      type: 'about:blank',
+      title: 'Conflict',
+      status: 409,
+      detail: 'Order archived',
+      instance: '/clash',
+    });
+    expect(Object.keys(res.body)).toEqual(['type', 'title', 'status', 'detail', 'instance']);
+  });
+
+  it('should negotiate the format from the Accept header', async () => {
+    apiResponse.configure({ errorFormat: 'negotiate' });
+
+    const problem = await request(app).get('/missing').set('Accept', 'application/problem+json');
+    expect(problem.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(problem.headers.vary).toMatch(/Accept/);
+    expect(problem.body).toMatchObject({ type: 'about:blank', title: 'Not Found', status: 404 });
+
+    const envelope = await request(app).get('/missing').set('Accept', 'application/json');
+    expect(envelope.body).toMatchObject({ success: false, code: 404 });
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => apiResponse.configure({ errorFormat: 'xml' })).toThrow(/Unsupported error format/);
+  });
+
+  it('should document problem details in the Swagger spec', () => {
+    jest.isolateModules(() => {
+      process.env.API_ERROR_FORMAT = 'problem';
+      // eslint-disable-next-line global-require
+      const { v1: spec } = require('../src/docs/swagger');
+      delete process.env.API_ERROR_FORMAT;
+
+      expect(spec.paths['/api/v1/'].get.responses['500'].content).toEqual({
+        'application/problem+json': { schema: { $ref: '#/components/schemas/ProblemDetails' } },
+      });
+    });
+  });
+});
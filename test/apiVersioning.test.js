@@ -0,0 +1,153 @@
+const express = require('express');
+const request = require('supertest');
+const apiVersioning = require('../src/middlewares/apiVersioning');
+const { errorHandler } = require('../src/middlewares/errorHandlers');
+const app = require('../src/index');
+const swaggerSpecs = require('../src/docs/swagger');
+
+describe('apiVersioning', () => {
+  const createApp = (v1Options = {}) => {
+    const v1 = express.Router();
+    v1.get('/items', (req, res) => res.json({ version: req.apiVersion, items: 'v1' }));
+    v1.get('/users', (req, res) => res.json({ version: req.apiVersion, users: 'v1' }));
+    const v2 = express.Router();
+    v2.get('/items', (req, res) => res.json({ version: req.apiVersion, items: 'v2' }));
+
+    const testApp = express();
+    testApp.use('/api', apiVersioning({ v1: { ...v1Options, router: v1 }, v2: { router: v2 } }));
+    testApp.use(errorHandler);
+    return testApp;
+  };
+
+  it('should select the version from the URL prefix', async () => {
+    const res = await request(createApp()).get('/api/v2/items');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ version: 'v2', items: 'v2' });
+    expect(res.headers['api-version']).toBe('v2');
+  });
+
+  it('should fall back to earlier versions for unchanged routes', async () => {
+    const res = await request(createApp()).get('/api/v2/users');
+    expect(res.body).toEqual({ version: 'v2', users: 'v1' });
+
+    const missing = await request(createApp()).get('/api/v2/missing');
+    expect(missing.statusCode).toBe(404);
+    expect(missing.headers['api-version']).toBe('v2');
+  });
+
+  it("should not run a newer version's middleware on routes served by an earlier one", async () => {
+    const v1 = express.Router();
+    v1.get('/users', (req, res) => res.json({ users: 'v1', checked: Boolean(req.checked) }));
+    const users = express.Router();
+    users.delete('/:id', (req, res) => res.json({ deleted: req.params.id }));
+    v1.use('/users', users);
+    const v2 = express.Router();
+    v2.use((req, res, next) => {
+      req.checked = true;
+      next();
+    });
+    v2.get('/items', (req, res) => res.json({ items: 'v2', checked: req.checked }));
+    const testApp = express()
+      .use('/api', apiVersioning({ v1: { router: v1 }, v2: { router: v2 } }))
+      .use(errorHandler);
+
+    expect((await request(testApp).get('/api/v2/users')).body).toEqual({
+      users: 'v1',
+      checked: false,
+    });
+    const header = await request(testApp).get('/api/users').set('Accept-Version', '2');
+    expect(header.body).toEqual({ users: 'v1', checked: false });
+    expect((await request(testApp).delete('/api/v2/users/7')).body).toEqual({ deleted: '7' });
+    expect((await request(testApp).get('/api/v2/items')).body).toEqual({
+      items: 'v2',
+      checked: true,
+    });
+    expect((await request(testApp).head('/api/v2/items')).statusCode).toBe(200);
+    expect((await request(testApp).post('/api/v2/items')).statusCode).toBe(404);
+  });
+
+  it('should select the version of unprefixed URLs from the Accept-Version header', async () => {
+    const testApp = createApp();
+
+    const latest = await request(testApp).get('/api/items').set('Accept-Version', '2');
+    expect(latest.body).toEqual({ version: 'v2', items: 'v2' });
+    expect(latest.headers.vary).toContain('Accept-Version');
+
+    const fallback = await request(testApp).get('/api/items');
+    expect(fallback.body).toEqual({ version: 'v1', items: 'v1' });
+  });
+
+  it('should reject unknown versions', async () => {
+    const testApp = createApp();
+
+    const header = await request(testApp).get('/api/items').set('Accept-Version', 'v9');
+    expect(header.statusCode).toBe(400);
+    expect(header.body).toMatchObject({
+      errorCode: 'UNSUPPORTED_API_VERSION',
+      data: { versions: ['v1', 'v2'] },
+    });
+
+    const prefix = await request(testApp).get('/api/v9/items');
+    expect(prefix.statusCode).toBe(404);
+    expect(prefix.body).toMatchObject({ errorCode: 'UNKNOWN_API_VERSION' });
+  });
+
+  it('should send deprecation headers for deprecated versions', async () => {
+    const testApp = createApp({
+      deprecated: '2026-01-01T00:00:00Z',
+      sunset: '2026-07-01T00:00:00Z',
+      link: 'https://example.com/migrate',
+    });
+
+    const res = await request(testApp).get('/api/v1/items');
+    expect(res.headers.deprecation).toBe('@1767225600');
+    expect(res.headers.sunset).toBe('Wed, 01 Jul 2026 00:00:00 GMT');
+    expect(res.headers.link).toBe('<https://example.com/migrate>; rel="deprecation"');
+
+    const current = await request(testApp).get('/api/v2/items');
+    expect(current.headers).not.toHaveProperty('deprecation');
+  });
+
+  it('should reject invalid version names', () => {
+    const router = express.Router();
+    expect(() => apiVersioning({ latest: { router } })).toThrow(/Invalid API version "latest"/);
+    expect(() => apiVersioning({ v1: { router } }, { defaultVersion: 'v2' })).toThrow(
+      /Unknown default API version "v2"/
+    );
+  });
+});
+
+describe('API versions', () => {
+  it('should serve the v2 greeting and keep v1 as the unprefixed default', async () => {
+    const v2 = await request(app).get('/api/v2/example/greet/Jane');
+    expect(v2.body.data).toEqual({ greeting: 'Hello, Jane!' });
+
+    const v1 = await request(app).get('/api/example/greet/Jane');
+    expect(v1.body).toMatchObject({ data: null, message: 'Hello, Jane!' });
+  });
+
+  it('should generate one OpenAPI document per version', () => {
+    expect(Object.keys(swaggerSpecs)).toEqual(['v1', 'v2']);
+    expect(swaggerSpecs.v1.paths).toHaveProperty(['/api/v1/example/hello']);
+    expect(swaggerSpecs.v2.paths).toHaveProperty(['/api/v2/example/hello']);
+    expect(swaggerSpecs.v2.paths['/api/v2/example/greet/{name}'].get.description).toMatch(
+      /data\.greeting/
+    );
+    expect(swaggerSpecs.v1.paths['/api/v1/example/greet/{name}'].get).not.toHaveProperty(
+      'description'
+    );
+  });
+
+  it('should serve each document and list them in Swagger UI', async () => {
+    const doc = await request(app).get('/api-docs/v2.json');
+    expect(doc.statusCode).toBe(200);
+    expect(doc.body.info.title).toMatch(/\(v2\)$/);
+
+    const unknown = await request(app).get('/api-docs/v9.json');
+    expect(unknown.statusCode).toBe(404);
+
+    const init = await request(app).get('/api-docs/swagger-ui-init.js');
+    expect(init.text).toContain('"url": "/api-docs/v1.json"');
+    expect(init.text).toContain('"urls.primaryName": "v2"');
+  });
+});
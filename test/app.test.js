@@ -19,4 +19,25 @@ describe('Express App', () => {
     expect(res.statusCode).toBe(200);
     expect(res.body).toHaveProperty('success', true);
   });
+
+  it('should require authentication at /api/example/me', async () => {
+    const res = await request(app).get('/api/example/me');
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toHaveProperty('success', false);
+  });
+
+  it('should serve a JSON Web Key Set at /.well-known/jwks.json', async () => {
+    const res = await request(app).get('/.well-known/jwks.json');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('keys');
+  });
+
+  it('should validate route params at /api/example/greet/:name', async () => {
+    const ok = await request(app).get('/api/example/greet/Jane');
+    expect(ok.statusCode).toBe(200);
+    expect(ok.body).toHaveProperty('message', 'Hello, Jane!');
+
+    const invalid = await request(app).get('/api/example/greet/%3Cscript%3E');
+    expect(invalid.statusCode).toBe(422);
+  });
 });
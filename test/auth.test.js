@@ -0,0 +1,70 @@
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const JWTClient = require('../lib/jwt');
+const { authenticate, optionalAuthenticate } = require('../src/middlewares/auth');
+const { errorHandler } = require('../src/middlewares/errorHandlers');
+
+const jwtClient = new JWTClient({
+  issuer: 'test-app',
+  audience: 'test-users',
+  subject: 'user-auth',
+  accessSecret: 'access_secret',
+  refreshSecret: 'refresh_secret',
+  accessExpiresIn: '15m',
+  refreshExpiresIn: '7d',
+});
+
+function createApp(options) {
+  const app = express();
+  app.use(cookieParser());
+  app.get('/me', authenticate({ jwtClient, ...options }), (req, res) =>
+    res.json({ user: req.user || null })
+  );
+  app.get('/feed', optionalAuthenticate({ jwtClient }), (req, res) =>
+    res.json({ user: req.user || null })
+  );
+  app.use(errorHandler);
+  return app;
+}
+
+describe('authenticate middleware', () => {
+  const app = createApp();
+
+  it('should reject requests without a token', async () => {
+    const res = await request(app).get('/me');
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({
+      success: false,
+      code: 401,
+      data: { code: 'ER_INVALID_ACCESS_TOKEN' },
+    });
+  });
+
+  it('should accept a Bearer token and attach req.user', async () => {
+    const token = await jwtClient.generateAccessToken({ data: { id: 1 } });
+    const res = await request(app).get('/me').set('Authorization', `Bearer ${token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user).toEqual({ id: 1 });
+  });
+
+  it('should accept a token from the access_token cookie', async () => {
+    const token = await jwtClient.generateAccessToken({ data: { id: 2 } });
+    const res = await request(app).get('/me').set('Cookie', `access_token=${token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user).toEqual({ id: 2 });
+  });
+
+  it('should reject an invalid token', async () => {
+    const res = await request(app).get('/me').set('Authorization', 'Bearer not-a-jwt');
+    expect(res.statusCode).toBe(401);
+    expect(res.body.data).toEqual({ code: 'ER_MALFORMED_TOKEN' });
+    expect(res.headers['www-authenticate']).toMatch(/error="invalid_token"/);
+  });
+
+  it('should let anonymous requests through in optional mode', async () => {
+    const res = await request(app).get('/feed');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user).toBeNull();
+  });
+});
@@ -0,0 +1,256 @@
+const request = require('supertest');
+const SQLiteClient = require('../lib/sqlite');
+const { hashPassword, verifyPassword, needsRehash } = require('../lib/password');
+const { MemoryUserRepository, PgSQLUserRepository } = require('../lib/userRepository');
+const { MemoryTokenStore } = require('../lib/tokenStore');
+
+/**
+ * Loads the app with the auth routes enabled.
+ */
+function createAuthApp() {
+  const env = {
+    AUTH_ROUTES: 'true',
+    AUTH_PASSWORD_COST: '10',
+    AUTH_MAX_FAILED_LOGINS: '3',
+    JWT_ACCESS_SECRET: 'test-access-secret-of-32-characters!',
+    JWT_REFRESH_SECRET: 'test-refresh-secret-of-32-characters',
+  };
+  let app;
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    // eslint-disable-next-line global-require
+    app = require('../src/index');
+    Object.keys(env).forEach((key) => delete process.env[key]);
+  });
+  return app;
+}
+
+function refreshCookieOf(res) {
+  return (res.headers['set-cookie'] || []).find((cookie) => cookie.startsWith('refresh_token='));
+}
+
+describe('password hashing', () => {
+  it('should hash with scrypt and verify in constant time', async () => {
+    const hash = await hashPassword('correct horse', { cost: 10 });
+    expect(hash).toMatch(/^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/);
+    expect(await hashPassword('correct horse', { cost: 10 })).not.toBe(hash);
+    expect(await verifyPassword('correct horse', hash)).toBe(true);
+    expect(await verifyPassword('wrong horse', hash)).toBe(false);
+    expect(await verifyPassword('correct horse', 'not-a-hash')).toBe(false);
+  });
+
+  it('should tell when a hash uses other parameters', async () => {
+    const hash = await hashPassword('secret', { cost: 10 });
+    expect(needsRehash(hash, { cost: 10 })).toBe(false);
+    expect(needsRehash(hash, { cost: 11 })).toBe(true);
+  });
+});
+
+describe.each([
+  ['MemoryUserRepository', async () => new MemoryUserRepository()],
+  [
+    'PgSQLUserRepository on SQLite',
+    async () => {
+      const repository = new PgSQLUserRepository(new SQLiteClient({ filename: ':memory:' }));
+      await repository.createTables();
+      return repository;
+    },
+  ],
+])('%s', (name, createRepository) => {
+  let users;
+
+  beforeEach(async () => {
+    users = await createRepository();
+  });
+
+  it('should create and find users', async () => {
+    const created = await users.create({
+      email: 'ada@example.com',
+      passwordHash: 'h',
+      roles: ['user'],
+    });
+    expect(await users.findById(created.id)).toEqual(created);
+    expect(await users.findByEmail('ada@example.com')).toMatchObject({
+      id: created.id,
+      roles: ['user'],
+      failedLogins: 0,
+      lockedUntil: null,
+    });
+    expect(await users.findByEmail('bob@example.com')).toBeNull();
+    await expect(users.create({ email: 'ada@example.com', passwordHash: 'h' })).rejects.toEqual(
+      expect.objectContaining({ message: expect.stringMatching(/unique|duplicate/i) })
+    );
+
+    await users.updatePasswordHash(created.id, 'h2');
+    expect((await users.findById(created.id)).passwordHash).toBe('h2');
+  });
+
+  it('should lock after the maximum failed logins and reset', async () => {
+    const { id } = await users.create({ email: 'ada@example.com', passwordHash: 'h' });
+    const lockedUntil = new Date(Date.now() + 60000);
+    await users.recordFailedLogin(id, { maxAttempts: 2, lockedUntil });
+    expect(await users.findById(id)).toMatchObject({ failedLogins: 1, lockedUntil: null });
+
+    await users.recordFailedLogin(id, { maxAttempts: 2, lockedUntil });
+    expect(await users.findById(id)).toMatchObject({ failedLogins: 0, lockedUntil });
+
+    await users.resetFailedLogins(id);
+    expect(await users.findById(id)).toMatchObject({ failedLogins: 0, lockedUntil: null });
+  });
+});
+
+describe('Auth routes', () => {
+  const credentials = { email: 'Ada@Example.com', password: 'correct horse battery' };
+
+  it('should keep refresh tokens in the JWT_TOKEN_STORE store', () => {
+    // eslint-disable-next-line global-require
+    const jwtClient = require('../src/utils/jwtClient');
+    // eslint-disable-next-line global-require
+    expect(jwtClient.tokenStore).toBe(require('../src/utils/tokenStore'));
+    expect(jwtClient.tokenStore).toBeInstanceOf(MemoryTokenStore);
+    jest.isolateModules(() => {
+      process.env.JWT_TOKEN_STORE = 'database';
+      // eslint-disable-next-line global-require
+      expect(() => require('../src/utils/tokenStore')).toThrow(
+        'JWT_TOKEN_STORE=database does not support sqlite.'
+      );
+      delete process.env.JWT_TOKEN_STORE;
+    });
+  });
+
+  it('should not be mounted unless AUTH_ROUTES is set', async () => {
+    // eslint-disable-next-line global-require
+    const res = await request(require('../src/index')).post('/api/auth/login').send(credentials);
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should register, log in, refresh and log out', async () => {
+    const app = createAuthApp();
+
+    const registered = await request(app).post('/api/auth/register').send(credentials);
+    expect(registered.statusCode).toBe(201);
+    expect(registered.body.data.user).toEqual({
+      id: expect.any(String),
+      email: 'ada@example.com',
+      roles: ['user'],
+      createdAt: expect.any(String),
+    });
+    const duplicate = await request(app).post('/api/auth/register').send(credentials);
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.body.errorCode).toBe('EMAIL_TAKEN');
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ ...credentials, email: 'ada@example.com' });
+    expect(login.statusCode).toBe(200);
+    expect(login.body.data).toMatchObject({ tokenType: 'Bearer', user: { roles: ['user'] } });
+    const cookie = refreshCookieOf(login);
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/Path=\/api;/);
+    expect(cookie).toMatch(/SameSite=Strict/);
+    const { accessToken } = login.body.data;
+
+    const me = await request(app)
+      .get('/api/example/me')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(me.body.data).toEqual({ id: registered.body.data.user.id, roles: ['user'] });
+
+    const refreshed = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+    expect(refreshed.statusCode).toBe(200);
+    expect(refreshed.body.data.accessToken).toEqual(expect.any(String));
+    const rotated = refreshCookieOf(refreshed);
+    expect(rotated).not.toBe(cookie);
+
+    const logout = await request(app).post('/api/auth/logout').set('Cookie', rotated);
+    expect(logout.statusCode).toBe(200);
+    expect(refreshCookieOf(logout)).toMatch(/Expires=Thu, 01 Jan 1970/);
+
+    const revoked = await request(app)
+      .get('/api/example/me')
+      .set('Authorization', `Bearer ${refreshed.body.data.accessToken}`);
+    expect(revoked.statusCode).toBe(401);
+    const afterLogout = await request(app).post('/api/auth/refresh').set('Cookie', rotated);
+    expect(afterLogout.statusCode).toBe(401);
+  });
+
+  it('should send the refresh cookie to the versioned auth routes', async () => {
+    const agent = request.agent(createAuthApp());
+    await agent.post('/api/v1/auth/register').send(credentials);
+    const login = await agent.post('/api/v1/auth/login').send(credentials);
+    expect(login.statusCode).toBe(200);
+
+    const refreshed = await agent.post('/api/v1/auth/refresh');
+    expect(refreshed.statusCode).toBe(200);
+    expect(refreshed.body.data.accessToken).toEqual(expect.any(String));
+
+    const logout = await agent.post('/api/v2/auth/logout');
+    expect(logout.statusCode).toBe(200);
+    const afterLogout = await agent.post('/api/v1/auth/refresh');
+    expect(afterLogout.statusCode).toBe(401);
+    expect(afterLogout.body.errorCode).toBe('ER_INVALID_REFRESH_TOKEN');
+  });
+
+  it('should reject replayed refresh tokens and missing cookies', async () => {
+    const app = createAuthApp();
+    await request(app).post('/api/auth/register').send(credentials);
+    const cookie = refreshCookieOf(await request(app).post('/api/auth/login').send(credentials));
+
+    await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+    const replay = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+    expect(replay.statusCode).toBe(401);
+    expect(replay.body.errorCode).toBe('ER_REFRESH_TOKEN_REUSED');
+    expect(refreshCookieOf(replay)).toMatch(/Expires=Thu, 01 Jan 1970/);
+
+    const missing = await request(app).post('/api/auth/refresh');
+    expect(missing.statusCode).toBe(401);
+    expect(missing.body.errorCode).toBe('ER_INVALID_REFRESH_TOKEN');
+  });
+
+  it('should register an email once when registrations race', async () => {
+    const app = createAuthApp();
+    const responses = await Promise.all(
+      [1, 2].map(() => request(app).post('/api/auth/register').send(credentials))
+    );
+    expect(responses.map((res) => [res.statusCode, res.body.errorCode]).sort()).toEqual([
+      [201, undefined],
+      [409, 'EMAIL_TAKEN'],
+    ]);
+  });
+
+  it('should lock the account after repeated failed logins', async () => {
+    const app = createAuthApp();
+    await request(app).post('/api/auth/register').send(credentials);
+    const wrong = { ...credentials, password: 'wrong password' };
+
+    const unknown = await request(app)
+      .post('/api/auth/login')
+      .send({ ...credentials, email: 'nobody@example.com' });
+    expect(unknown.statusCode).toBe(401);
+    expect(unknown.body.errorCode).toBe('INVALID_CREDENTIALS');
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const attempt of [1, 2, 3]) {
+      // eslint-disable-next-line no-await-in-loop
+      const res = await request(app).post('/api/auth/login').send(wrong);
+      expect([attempt, res.statusCode, res.body.errorCode]).toEqual([
+        attempt,
+        401,
+        'INVALID_CREDENTIALS',
+      ]);
+    }
+
+    // Locked accounts answer like unknown ones, even to the right password
+    const locked = await request(app).post('/api/auth/login').send(credentials);
+    expect(locked.statusCode).toBe(401);
+    expect(locked.headers['retry-after']).toBeUndefined();
+    expect({ ...locked.body, requestId: null }).toEqual({ ...unknown.body, requestId: null });
+  });
+
+  it('should validate credentials', async () => {
+    const res = await request(createAuthApp())
+      .post('/api/auth/register')
+      .send({ email: 'not-an-email', password: 'short' });
+    expect(res.statusCode).toBe(422);
+    expect(res.body.data.errors.map((err) => err.field)).toEqual(['email', 'password']);
+  });
+});
@@ -0,0 +1,253 @@
+const express = require('express');
+const request = require('supertest');
+const AccessControl = require('../lib/accessControl');
+const {
+  authorize,
+  requireRole,
+  requirePermission,
+  isOwner,
+  hasPermission,
+  anyOf,
+  allOf,
+  hasRole,
+  rolesOf,
+} = require('../src/middlewares/authorize');
+const { errorHandler } = require('../src/middlewares/errorHandlers');
+const { userPrincipal } = require('../src/middlewares/auth');
+const { v1: swaggerSpec } = require('../src/docs/swagger');
+
+describe('AccessControl', () => {
+  const acl = new AccessControl({
+    user: { permissions: ['posts:read'] },
+    editor: { inherits: ['user'], permissions: ['posts:*'] },
+    admin: { inherits: ['editor'], permissions: ['*'] },
+  });
+
+  it('should resolve inherited roles and permissions', () => {
+    expect(acl.can(['editor'], 'posts:read')).toBe(true);
+    expect(acl.can(['editor'], 'posts:delete')).toBe(true);
+    expect(acl.can(['editor'], 'users:delete')).toBe(false);
+    expect(acl.can(['user'], 'posts:delete')).toBe(false);
+    expect(acl.can(['admin'], 'anything:at-all')).toBe(true);
+    expect(acl.hasRole(['admin'], 'user')).toBe(true);
+    expect(acl.hasRole(['user'], 'editor')).toBe(false);
+  });
+
+  it('should accept direct grants and ignore unknown roles', () => {
+    expect(acl.can(['ghost'], 'posts:read')).toBe(false);
+    expect(acl.can([], 'reports:export', ['reports:*'])).toBe(true);
+    expect(acl.hasRole(['ghost'], 'ghost')).toBe(false);
+  });
+
+  it('should reject unknown parents and cycles', () => {
+    expect(() => new AccessControl({ a: { inherits: ['missing'] } })).toThrow(
+      'unknown role "missing"'
+    );
+    expect(() => new AccessControl({ a: { inherits: ['b'] }, b: { inherits: ['a'] } })).toThrow(
+      'cycle'
+    );
+  });
+});
+
+describe('authorize middleware', () => {
+  function createApp(...middlewares) {
+    return express()
+      .use((req, res, next) => {
+        const user = req.get('X-User');
+        if (user) req.principal = userPrincipal(JSON.parse(user));
+        next();
+      })
+      .get('/users/:userId', ...middlewares, (req, res) => res.json({ ok: true }))
+      .use(errorHandler);
+  }
+
+  const as = (user) => ['X-User', JSON.stringify(user)];
+
+  it('should respond 401 without a user and 403 through the error envelope', async () => {
+    const server = createApp(requireRole('admin'));
+
+    const anonymous = await request(server).get('/users/1');
+    expect(anonymous.statusCode).toBe(401);
+
+    const denied = await request(server)
+      .get('/users/1')
+      .set(...as({ id: 1, roles: ['editor'] }));
+    expect(denied.statusCode).toBe(403);
+    expect(denied.body).toEqual({
+      success: false,
+      error: 'You do not have permission to perform this action.',
+      code: 403,
+      errorCode: 'FORBIDDEN',
+      data: { requiredRoles: ['admin'] },
+    });
+
+    const allowed = await request(server)
+      .get('/users/1')
+      .set(...as({ id: 1, role: 'admin' }));
+    expect(allowed.statusCode).toBe(200);
+  });
+
+  it('should check inherited permissions and direct grants', async () => {
+    const server = createApp(requirePermission('content:publish', 'profile:read'));
+
+    const editor = await request(server)
+      .get('/users/1')
+      .set(...as({ id: 1, roles: ['editor'] }));
+    expect(editor.statusCode).toBe(200);
+
+    const user = await request(server)
+      .get('/users/1')
+      .set(...as({ id: 1, roles: ['user'] }));
+    expect(user.statusCode).toBe(403);
+    expect(user.body.data).toEqual({ requiredPermissions: ['content:publish', 'profile:read'] });
+
+    const granted = await request(server)
+      .get('/users/1')
+      .set(...as({ id: 1, roles: ['user'], permissions: ['content:publish'] }));
+    expect(granted.statusCode).toBe(200);
+  });
+
+  it('should combine ownership with permission policies', async () => {
+    const server = createApp(
+      authorize(
+        anyOf(
+          isOwner((req) => req.params.userId),
+          hasPermission('users:read')
+        )
+      )
+    );
+
+    expect(
+      (
+        await request(server)
+          .get('/users/7')
+          .set(...as({ id: 7 }))
+      ).statusCode
+    ).toBe(200);
+    expect(
+      (
+        await request(server)
+          .get('/users/8')
+          .set(...as({ id: 7 }))
+      ).statusCode
+    ).toBe(403);
+    const admin = await request(server)
+      .get('/users/8')
+      .set(...as({ id: 7, roles: ['admin'] }));
+    expect(admin.statusCode).toBe(200);
+  });
+
+  it('should read the user id from another principal field', async () => {
+    const server = express()
+      .use((req, res, next) => {
+        req.principal = { type: 'user', id: 1, userId: 7 };
+        next();
+      })
+      .get('/users/:userId', authorize(isOwner((req) => req.params.userId, 'userId')), (req, res) =>
+        res.json({ ok: true })
+      )
+      .use(errorHandler);
+
+    expect((await request(server).get('/users/7')).statusCode).toBe(200);
+    expect((await request(server).get('/users/1')).statusCode).toBe(403);
+  });
+
+  it('should read roles from a single role or a list', () => {
+    expect(rolesOf({ role: 'admin' })).toEqual(['admin']);
+    expect(rolesOf({ roles: ['user', 'editor'] })).toEqual(['user', 'editor']);
+    expect(rolesOf({})).toEqual([]);
+  });
+
+  it('should describe the requirement for the route table and the docs', () => {
+    const middleware = authorize(
+      anyOf(
+        isOwner(() => 1),
+        hasPermission('users:read')
+      )
+    );
+    expect(middleware.auth).toBe('owner or permission: users:read');
+    expect(middleware.authorization).toBe('owning the resource or the permissions `users:read`');
+
+    expect(requireRole('admin', 'editor').auth).toBe('role: admin | editor');
+    const custom = authorize(() => true, { label: 'office hours' });
+    expect([custom.auth, custom.authorization]).toEqual(['office hours', 'office hours']);
+  });
+
+  it('should support async policies and forward their errors', async () => {
+    const lookup = jest.fn(async (req) => {
+      if (req.params.userId === 'boom') throw new Error('lookup failed');
+      return 7;
+    });
+    const server = createApp(
+      authorize(allOf(hasRole('user'), isOwner(lookup)), { message: 'Not your post.' })
+    );
+
+    const allowed = await request(server)
+      .get('/users/1')
+      .set(...as({ id: 7, roles: ['user'] }));
+    expect(allowed.statusCode).toBe(200);
+
+    const notRole = await request(server)
+      .get('/users/1')
+      .set(...as({ id: 7 }));
+    expect(notRole.statusCode).toBe(403);
+    expect(notRole.body.error).toBe('Not your post.');
+    expect(lookup).toHaveBeenCalledTimes(1);
+
+    const failed = await request(server)
+      .get('/users/boom')
+      .set(...as({ id: 7, roles: ['user'] }));
+    expect(failed.statusCode).toBe(500);
+  });
+
+  it('should reject unknown roles when defining routes', () => {
+    expect(() => requireRole('superuser')).toThrow('Unknown role "superuser"');
+  });
+});
+
+describe('Authorization in the app and its docs', () => {
+  it('should protect the example admin route', async () => {
+    let app;
+    let jwtClient;
+    jest.isolateModules(() => {
+      process.env.JWT_ACCESS_SECRET = 'test-access-secret-of-32-characters!';
+      /* eslint-disable global-require */
+      app = require('../src/index');
+      jwtClient = require('../src/utils/jwtClient');
+      /* eslint-enable global-require */
+      delete process.env.JWT_ACCESS_SECRET;
+    });
+    const editor = await jwtClient.generateAccessToken({ data: { id: 1, roles: ['editor'] } });
+    const admin = await jwtClient.generateAccessToken({ data: { id: 2, roles: ['admin'] } });
+
+    const denied = await request(app)
+      .get('/api/example/admin')
+      .set('Authorization', `Bearer ${editor}`);
+    expect(denied.statusCode).toBe(403);
+
+    const allowed = await request(app)
+      .get('/api/example/admin')
+      .set('Authorization', `Bearer ${admin}`);
+    expect(allowed.statusCode).toBe(200);
+    expect(allowed.body.data).toEqual({ roles: ['admin'] });
+
+    const single = await jwtClient.generateAccessToken({ data: { id: 3, role: 'admin' } });
+    const normalized = await request(app)
+      .get('/api/example/admin')
+      .set('Authorization', `Bearer ${single}`);
+    expect(normalized.body.data).toEqual({ roles: ['admin'] });
+  });
+
+  it('should document required roles and permissions', () => {
+    const admin = swaggerSpec.paths['/api/v1/example/admin'].get;
+    expect(admin.description).toBe('**Requires** one of the roles `admin`.');
+    expect(admin.security).toEqual([{ bearerAuth: [] }]);
+    expect(Object.keys(admin.responses)).toEqual(expect.arrayContaining(['200', '401', '403']));
+
+    const profile = swaggerSpec.paths['/api/v1/example/users/{userId}'].get;
+    expect(profile.description).toBe(
+      '**Requires** owning the resource or the permissions `users:read`.'
+    );
+    expect(swaggerSpec.paths['/api/v1/example/greet/{name}'].get).not.toHaveProperty('security');
+  });
+});
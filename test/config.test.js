@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { inspect } = require('util');
+const { loadEnv, loadEnvFiles, freezeConfig, ConfigError } = require('../lib/config');
+const schema = require('../src/config/schema');
+
+describe('config', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (file, contents) => fs.writeFileSync(path.join(directory, file), contents);
+
+  it('should read the dotenv files of the environment in precedence order', () => {
+    write('.env', 'PORT=1\nDB_HOST=shared\nLOG_LEVEL=warn\n');
+    write('.env.production', 'PORT=2\nDB_HOST=prod\n');
+    write('.env.production.local', 'PORT=3\n');
+
+    expect(loadEnvFiles({ environment: 'production', directory })).toEqual({
+      PORT: '3',
+      DB_HOST: 'prod',
+      LOG_LEVEL: 'warn',
+    });
+    expect(loadEnvFiles({ environment: 'test', directory })).toMatchObject({ PORT: '1' });
+  });
+
+  it('should coerce types, apply defaults and let the process environment win', () => {
+    write('.env.test', 'PORT=4000\nDB_POOL_SIZE=3\nMETRICS_TOKEN=\n');
+
+    const { values, secrets } = loadEnv(schema, {
+      env: { NODE_ENV: 'test', PORT: '5000', DB_PASSWORD: 'hunter2', UNRELATED: 'x' },
+      directory,
+    });
+
+    expect(values).toMatchObject({
+      NODE_ENV: 'test',
+      PORT: 5000,
+      DB_POOL_SIZE: 3,
+      DB_DRIVER: 'sqlite',
+      HEALTH_MAX_HEAP_RATIO: 0.9,
+      JWT_CLOCK_TOLERANCE: 0,
+    });
+    expect(values).not.toHaveProperty('METRICS_TOKEN');
+    expect(values).not.toHaveProperty('UNRELATED');
+    expect(secrets).toEqual([
+      'METRICS_TOKEN',
+      'JWT_ACCESS_SECRET',
+      'JWT_REFRESH_SECRET',
+      'DB_PASSWORD',
+    ]);
+  });
+
+  it('should report every invalid or missing variable at once', () => {
+    let error;
+    try {
+      loadEnv(schema, {
+        env: { NODE_ENV: 'production', PORT: 'http', DB_DRIVER: 'mysql', LOG_LEVEL: 'loud' },
+        directory,
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems.map(({ key }) => key).sort()).toEqual([
+      'DB_NAME',
+      'DB_USER',
+      'JWT_ACCESS_SECRET',
+      'JWT_REFRESH_SECRET',
+      'LOG_LEVEL',
+      'PORT',
+    ]);
+    expect(error.message).toMatch(/^Invalid configuration \(6 problem\(s\)\):\n/);
+    expect(error.message).toContain('  - PORT: must be integer (HTTP port)');
+    expect(error.message).toContain('  - LOG_LEVEL: must be equal to one of the allowed values');
+    expect(error.message).toContain('  - DB_NAME: is required (Database name)');
+  });
+
+  it('should cap the password hashing cost', () => {
+    expect(loadEnv(schema, { env: { AUTH_PASSWORD_COST: '16' }, directory }).values).toMatchObject({
+      AUTH_PASSWORD_COST: 16,
+    });
+    expect(() => loadEnv(schema, { env: { AUTH_PASSWORD_COST: '17' }, directory })).toThrow(
+      /AUTH_PASSWORD_COST: must be <= 16/
+    );
+  });
+
+  it('should not require an access secret when signing keys are configured', () => {
+    const secret = 'x'.repeat(32);
+    const { values } = loadEnv(schema, {
+      env: { NODE_ENV: 'production', JWT_KEYS_DIR: '/keys', JWT_REFRESH_SECRET: secret },
+      directory,
+    });
+    expect(values.JWT_KEYS_DIR).toBe('/keys');
+  });
+
+  it('should require the JWT secrets when the auth routes are enabled', () => {
+    expect(() => loadEnv(schema, { env: { AUTH_ROUTES: 'true' }, directory })).toThrow(
+      expect.objectContaining({
+        problems: [
+          expect.objectContaining({ key: 'JWT_REFRESH_SECRET' }),
+          expect.objectContaining({ key: 'JWT_ACCESS_SECRET' }),
+        ],
+      })
+    );
+    expect(loadEnv(schema, { env: { AUTH_ROUTES: 'false' }, directory }).values.AUTH_ROUTES).toBe(
+      false
+    );
+  });
+
+  it('should freeze the config and mask secrets when serialized or inspected', () => {
+    const config = freezeConfig(
+      {
+        port: 3000,
+        db: { host: 'localhost', password: '3000' },
+        tags: ['hunter2'],
+        metrics: { token: null },
+      },
+      ['db.password', 'metrics.token']
+    );
+
+    expect(Object.isFrozen(config.db)).toBe(true);
+    expect(Reflect.set(config.db, 'host', 'elsewhere')).toBe(false);
+    expect(config.db.password).toBe('3000');
+    // Masked by key: a secret equal to another value leaves that value alone
+    expect(JSON.parse(JSON.stringify(config))).toEqual({
+      port: 3000,
+      db: { host: 'localhost', password: '[REDACTED]' },
+      tags: ['hunter2'],
+      metrics: { token: null },
+    });
+    expect(inspect(config)).toContain("password: '[REDACTED]'");
+    expect(Object.keys(config)).toEqual(['port', 'db', 'tags', 'metrics']);
+  });
+
+  it('should expose the typed application config', () => {
+    let config;
+    jest.isolateModules(() => {
+      process.env.CORS_ORIGINS = 'https://a.example, https://b.example';
+      // eslint-disable-next-line global-require
+      config = require('../src/config');
+      delete process.env.CORS_ORIGINS;
+    });
+
+    expect(config).toMatchObject({
+      env: 'test',
+      isTest: true,
+      port: 3000,
+      log: { level: 'silent' },
+      trustProxy: false,
+      security: {
+        profile: 'relaxed',
+        cors: { origins: ['https://a.example', 'https://b.example'], credentials: false },
+        hsts: false,
+      },
+      db: { driver: 'sqlite', poolSize: 10, slowQueryThreshold: null },
+    });
+    expect(Object.isFrozen(config)).toBe(true);
+  });
+});
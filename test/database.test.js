@@ -0,0 +1,311 @@
+const EventEmitter = require('events');
+const mysql2 = require('mysql2/promise');
+const { createDatabaseClient } = require('../lib/database');
+const DatabaseClient = require('../lib/databaseClient');
+const PgSQLClient = require('../lib/pgsql');
+const MySQLClient = require('../lib/mysql');
+const SQLiteClient = require('../lib/sqlite');
+const Logger = require('../lib/logger');
+const { PgSQLTokenStore } = require('../lib/tokenStore');
+
+describe('DatabaseClient', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = createDatabaseClient({ driver: 'sqlite', filename: ':memory:' });
+    await db.query('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, active INTEGER)');
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  it('should create clients for each driver', () => {
+    expect(db).toBeInstanceOf(SQLiteClient);
+    expect(db.dialect).toBe('sqlite');
+    expect(createDatabaseClient({ driver: 'mysql' })).toBeInstanceOf(MySQLClient);
+    expect(createDatabaseClient({ driver: 'postgres', pool: true }).usePool).toBe(true);
+    expect(() => createDatabaseClient({ driver: 'oracle' })).toThrow(/Unsupported database driver/);
+  });
+
+  it('should return the common result shape', async () => {
+    const insert = await db.execute('INSERT INTO users (name, active) VALUES (:name, :active)', {
+      name: 'Ada',
+      active: true,
+    });
+    expect(insert).toEqual({ rows: [], affectedRows: 1, insertId: 1 });
+
+    const update = await db.execute('UPDATE users SET name = :name WHERE id = :id', {
+      id: 1,
+      name: 'Grace',
+    });
+    expect(update).toEqual({ rows: [], affectedRows: 1, insertId: null });
+
+    const rows = await db.query('SELECT * FROM users WHERE name = :name AND id = :id', {
+      id: 1,
+      name: 'Grace',
+    });
+    expect(rows).toEqual([{ id: 1, name: 'Grace', active: 1 }]);
+
+    const returning = await db.execute('DELETE FROM users WHERE id = :id RETURNING id', { id: 1 });
+    expect(returning).toEqual({ rows: [{ id: 1 }], affectedRows: 1, insertId: null });
+  });
+
+  it('should commit, roll back and use savepoints', async () => {
+    await db.transaction(async (tx) => {
+      await tx.query('INSERT INTO users (name) VALUES (:name)', { name: 'kept' });
+      await tx
+        .transaction(async (sp) => {
+          await sp.query('INSERT INTO users (name) VALUES (:name)', { name: 'dropped' });
+          throw new Error('inner');
+        })
+        .catch(() => {});
+    });
+    await expect(
+      db.transaction(async (tx) => {
+        await tx.query('INSERT INTO users (name) VALUES (:name)', { name: 'rolled back' });
+        throw new Error('outer');
+      })
+    ).rejects.toThrow('outer');
+
+    const rows = await db.query('SELECT name FROM users');
+    expect(rows).toEqual([{ name: 'kept' }]);
+  });
+
+  it('should queue concurrent transactions on the single connection', async () => {
+    await Promise.all(
+      [1, 2, 3].map((n) =>
+        db.transaction(async (tx) => {
+          await tx.query('INSERT INTO users (name) VALUES (:name)', { name: `user-${n}` });
+          await new Promise((resolve) => {
+            setImmediate(resolve);
+          });
+        })
+      )
+    );
+
+    const [{ total }] = await db.query('SELECT COUNT(*) AS total FROM users');
+    expect(total).toBe(3);
+  });
+
+  it("should not run statements inside another caller's transaction", async () => {
+    let inside;
+    const entered = new Promise((resolve) => {
+      inside = resolve;
+    });
+    const failing = db.transaction(async (tx) => {
+      await tx.query('INSERT INTO users (name) VALUES (:name)', { name: 'rolled back' });
+      inside();
+      await new Promise((resolve) => {
+        setImmediate(resolve);
+      });
+      throw new Error('abort');
+    });
+    await entered;
+    const insert = db.query('INSERT INTO users (name) VALUES (:name)', { name: 'kept' });
+
+    await expect(failing).rejects.toThrow('abort');
+    await insert;
+    expect(await db.query('SELECT name FROM users')).toEqual([{ name: 'kept' }]);
+  });
+
+  it('should resolve MySQL writes with the ResultSetHeader', async () => {
+    const mysql = new MySQLClient({});
+    const header = { fieldCount: 0, affectedRows: 1, insertId: 7, info: '', warningStatus: 0 };
+    const rows = [{ id: 7 }];
+    const conn = {
+      query: async (sql) => [sql.startsWith('SELECT') ? rows : header],
+      end: async () => {},
+    };
+    mysql.openConnection = async () => conn;
+
+    expect(await mysql.query('INSERT INTO users (name) VALUES (?)', ['Ada'])).toBe(header);
+    expect(await mysql.execute('INSERT INTO users (name) VALUES (?)', ['Ada'])).toEqual({
+      rows: [],
+      affectedRows: 1,
+      insertId: 7,
+    });
+    expect(await mysql.query('SELECT id FROM users')).toBe(rows);
+    await mysql.transaction(async (tx) => {
+      expect(await tx.query('UPDATE users SET name = ?', ['Grace'])).toBe(header);
+    });
+    await mysql.close();
+  });
+
+  it('should back a SQL token store', async () => {
+    const store = new PgSQLTokenStore(db);
+    await store.createTables();
+    const expiresAt = new Date(Date.now() + 60000);
+    await store.saveRefreshToken({ jti: 'a', familyId: 'f', expiresAt });
+
+    expect(await store.consumeRefreshToken('a')).toBe('consumed');
+    expect(await store.consumeRefreshToken('a')).toBe('reused');
+    expect(await store.consumeRefreshToken('b')).toBe('unknown');
+    await store.revokeFamily('f', expiresAt);
+    await store.revokeFamily('f', expiresAt);
+    expect(await store.isFamilyRevoked('f')).toBe(true);
+  });
+});
+
+describe('DatabaseClient instrumentation', () => {
+  it('should emit query events, time statements and enrich errors', async () => {
+    const logger = { warn: jest.fn() };
+    const db = new SQLiteClient({ slowQueryThreshold: 0, logger });
+    const events = [];
+    ['beforeQuery', 'afterQuery', 'queryError'].forEach((name) =>
+      db.on(name, (event) => events.push([name, event]))
+    );
+
+    expect(db.poolStats()).toEqual({ total: 0, idle: 0, waiting: 0 });
+    await db.query('CREATE TABLE users (id INTEGER PRIMARY KEY, password TEXT)');
+    await db.execute('INSERT INTO users (password) VALUES (:password)', { password: 'hunter2' });
+    const err = await db.query('SELECT * FROM missing WHERE id = :id', { id: 1 }).catch((e) => e);
+
+    expect(err.message).toMatch(/no such table/);
+    expect(err.sql).toBe('SELECT * FROM missing WHERE id = :id');
+    expect(events.map(([name]) => name)).toEqual([
+      'beforeQuery',
+      'afterQuery',
+      'beforeQuery',
+      'afterQuery',
+      'beforeQuery',
+      'queryError',
+    ]);
+    const [, inserted] = events[3];
+    expect(inserted).toMatchObject({ operation: 'INSERT', dialect: 'sqlite', affectedRows: 1 });
+    expect(inserted.id).toBe(events[2][1].id);
+    expect(events[5][1]).toMatchObject({ id: err.queryId, error: err });
+
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringMatching(/^Slow query \(.+ ms\): INSERT INTO users/),
+      expect.objectContaining({ params: { password: '[REDACTED]' } })
+    );
+    expect(JSON.stringify(logger.warn.mock.calls)).not.toContain('hunter2');
+
+    const series = db.queryDurations.get();
+    expect(series.map(({ labels, count }) => [labels, count])).toEqual([
+      [{ operation: 'CREATE', status: 'ok' }, 1],
+      [{ operation: 'INSERT', status: 'ok' }, 1],
+      [{ operation: 'SELECT', status: 'error' }, 1],
+    ]);
+    expect(db.poolStats()).toEqual({ total: 1, idle: 1, waiting: 0 });
+    await db.close();
+  });
+
+  it('should report busy and waiting connections', async () => {
+    const db = new SQLiteClient();
+    let inside;
+    const entered = new Promise((resolve) => {
+      inside = resolve;
+    });
+    let finish;
+    const first = db.session(
+      () =>
+        new Promise((resolve) => {
+          inside();
+          finish = resolve;
+        })
+    );
+    await entered;
+    const second = db.session(async () => {});
+    await new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+
+    expect(db.poolStats()).toEqual({ total: 1, idle: 0, waiting: 1 });
+    finish();
+    await Promise.all([first, second]);
+    expect(db.poolStats()).toEqual({ total: 1, idle: 1, waiting: 0 });
+    await db.close();
+  });
+
+  it('should log slow queries through lib/logger by default', () => {
+    expect(new SQLiteClient().logger).toBeInstanceOf(Logger);
+  });
+
+  it('should read the pg pool counters', () => {
+    const pg = new PgSQLClient({}, true);
+    pg.conn = { totalCount: 5, idleCount: 2, waitingCount: 1 };
+    expect(pg.poolStats()).toEqual({ total: 5, idle: 2, waiting: 1 });
+  });
+
+  it('should follow the MySQL pool through its events', async () => {
+    const pool = new EventEmitter();
+    const connection = new EventEmitter();
+    const queue = [];
+    let busy = false;
+    const handle = {
+      query: async () => [[]],
+      release: () => {
+        // mysql2 hands the connection to a queued checkout without an event
+        if (queue.length > 0) return queue.shift()(handle);
+        busy = false;
+        return pool.emit('release', connection);
+      },
+    };
+    pool.getConnection = () => {
+      if (busy) {
+        pool.emit('enqueue');
+        return new Promise((resolve) => {
+          queue.push(resolve);
+        });
+      }
+      if (!handle.opened) {
+        handle.opened = true;
+        pool.emit('connection', connection);
+      }
+      busy = true;
+      pool.emit('acquire', connection);
+      return Promise.resolve(handle);
+    };
+    pool.end = async () => {};
+    jest.spyOn(mysql2, 'createPool').mockReturnValue(pool);
+    const mysql = new MySQLClient({}, true);
+
+    await mysql.connect();
+    expect(mysql.poolStats()).toEqual({ total: 1, idle: 1, waiting: 0 });
+
+    let queued;
+    await mysql.session(async () => {
+      expect(mysql.poolStats()).toEqual({ total: 1, idle: 0, waiting: 0 });
+      queued = mysql.execute('SELECT 1');
+      await new Promise((resolve) => {
+        setImmediate(resolve);
+      });
+      expect(mysql.poolStats()).toEqual({ total: 1, idle: 0, waiting: 1 });
+    });
+    await queued;
+    expect(mysql.poolStats()).toEqual({ total: 1, idle: 1, waiting: 0 });
+
+    connection.emit('end');
+    expect(mysql.poolStats()).toEqual({ total: 0, idle: 0, waiting: 0 });
+    await mysql.close();
+    mysql2.createPool.mockRestore();
+  });
+});
+
+describe('DatabaseClient.formatQuery', () => {
+  it('should convert named parameters to each driver placeholder', () => {
+    const sql = 'SELECT :a::text, :b, :a, :missing, created_at::date FROM t';
+    const params = { a: 1, b: 2 };
+
+    expect(new PgSQLClient({}).formatQuery(sql, params)).toEqual({
+      text: 'SELECT $1::text, $2, $3, :missing, created_at::date FROM t',
+      values: [1, 2, 1],
+    });
+    expect(new MySQLClient({}).formatQuery(sql, params)).toEqual({
+      text: 'SELECT ?::text, ?, ?, :missing, created_at::date FROM t',
+      values: [1, 2, 1],
+    });
+    expect(new MySQLClient({}).formatQuery('SELECT ?', [1])).toEqual({
+      text: 'SELECT ?',
+      values: [1],
+    });
+  });
+
+  it('should require adapters to implement the driver calls', async () => {
+    await expect(new DatabaseClient().query('SELECT 1')).rejects.toThrow(
+      /openConnection\(\) must be implemented/
+    );
+  });
+});
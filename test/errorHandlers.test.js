@@ -0,0 +1,165 @@
+const express = require('express');
+const request = require('supertest');
+const JWTError = require('../lib/JWTError');
+const SQLiteClient = require('../lib/sqlite');
+const requestId = require('../src/middlewares/requestId');
+const { notFoundHandler, errorHandler } = require('../src/middlewares/errorHandlers');
+const { ConflictError, ServiceUnavailableError } = require('../src/utils/httpErrors');
+const logger = require('../src/utils/logger');
+
+function createApp(err, handlers = { notFoundHandler, errorHandler }) {
+  const app = express();
+  app.use(requestId);
+  app.get('/fail', () => {
+    throw err;
+  });
+  app.use(handlers.notFoundHandler);
+  app.use(handlers.errorHandler);
+  return app;
+}
+
+/**
+ * Loads the error handlers with the config of another NODE_ENV.
+ */
+function handlersFor(environment) {
+  const { NODE_ENV } = process.env;
+  let handlers;
+  jest.isolateModules(() => {
+    Object.assign(process.env, { NODE_ENV: environment, LOG_LEVEL: 'silent' });
+    // eslint-disable-next-line global-require
+    handlers = require('../src/middlewares/errorHandlers');
+    process.env.NODE_ENV = NODE_ENV;
+    delete process.env.LOG_LEVEL;
+  });
+  return handlers;
+}
+
+function dbError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+describe('errorHandler', () => {
+  let logError;
+
+  beforeEach(() => {
+    logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logError.mockRestore();
+  });
+
+  it('should render HttpErrors with their status, code, details and request id', async () => {
+    const app = createApp(
+      new ConflictError('Email taken', { code: 'EMAIL_TAKEN', details: { field: 'email' } })
+    );
+    const res = await request(app).get('/fail').set('X-Request-Id', 'req-123');
+
+    expect(res.statusCode).toBe(409);
+    expect(res.headers['x-request-id']).toBe('req-123');
+    expect(res.body).toEqual({
+      success: false,
+      error: 'Email taken',
+      code: 409,
+      data: { field: 'email' },
+      errorCode: 'EMAIL_TAKEN',
+      requestId: 'req-123',
+    });
+  });
+
+  it('should respond 404 with NOT_FOUND for unknown routes', async () => {
+    const res = await request(createApp()).get('/missing');
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toMatchObject({ errorCode: 'NOT_FOUND', requestId: expect.any(String) });
+  });
+
+  it('should keep numeric status and string code of plain errors', async () => {
+    const err = Object.assign(new Error('Intentional'), { status: 400, code: 'INTENTIONAL_ERROR' });
+    const res = await request(createApp(err)).get('/fail');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ error: 'Intentional', errorCode: 'INTENTIONAL_ERROR' });
+  });
+
+  it('should map JWTErrors to 401', async () => {
+    const res = await request(createApp(new JWTError('Expired', { code: 'ER_TOKEN_EXPIRED' }))).get(
+      '/fail'
+    );
+
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['www-authenticate']).toMatch(/invalid_token/);
+    expect(res.body.errorCode).toBe('ER_TOKEN_EXPIRED');
+  });
+
+  it.each([
+    [dbError('ER_DUP_ENTRY', "Duplicate entry 'a' for key 'email'"), 409, 'DUPLICATE_ENTRY'],
+    [dbError('23505', 'duplicate key value violates unique constraint'), 409, 'DUPLICATE_ENTRY'],
+    [dbError('23503', 'violates foreign key constraint'), 409, 'FOREIGN_KEY_VIOLATION'],
+  ])('should map database error %#', async (err, status, errorCode) => {
+    const res = await request(createApp(err)).get('/fail');
+
+    expect(res.statusCode).toBe(status);
+    expect(res.body.errorCode).toBe(errorCode);
+    expect(res.body.error).not.toBe(err.message);
+  });
+
+  it('should answer 500 when JWT secrets are not configured', async () => {
+    const err = new JWTError('JWT secret is not configured.', { code: 'ER_JWT_NOT_CONFIGURED' });
+    const res = await request(createApp(err)).get('/fail');
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toMatchObject({
+      error: 'Internal server error',
+      errorCode: 'ER_JWT_NOT_CONFIGURED',
+    });
+    expect(res.headers['www-authenticate']).toBeUndefined();
+  });
+
+  it('should map connection errors only when the database raised them', async () => {
+    const db = new SQLiteClient();
+    db.openConnection = async () => {
+      throw dbError('ECONNREFUSED', 'connect ECONNREFUSED 127.0.0.1:3306');
+    };
+    const fromDatabase = await db.query('SELECT 1').catch((err) => err);
+
+    const unavailable = await request(createApp(fromDatabase)).get('/fail');
+    expect(unavailable.statusCode).toBe(503);
+    expect(unavailable.body).toMatchObject({
+      error: 'Database unavailable',
+      errorCode: 'DATABASE_UNAVAILABLE',
+    });
+
+    const other = dbError('ECONNREFUSED', 'connect ECONNREFUSED 10.0.0.1:443');
+    const res = await request(createApp(other)).get('/fail');
+    expect(res.statusCode).toBe(500);
+    expect(res.body.errorCode).toBe('INTERNAL_SERVER_ERROR');
+  });
+
+  it('should send the message of service unavailable errors', async () => {
+    const err = new ServiceUnavailableError('Maintenance until 02:00', { code: 'MAINTENANCE' });
+    const res = await request(createApp(err)).get('/fail');
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body).toMatchObject({ error: 'Maintenance until 02:00', errorCode: 'MAINTENANCE' });
+  });
+
+  it('should hide internal messages and include stacks only in development', async () => {
+    const err = new Error('secret connection string');
+
+    const prod = await request(createApp(err)).get('/fail');
+    expect(prod.statusCode).toBe(500);
+    expect(logError).toHaveBeenCalledWith(
+      'Unhandled error',
+      expect.objectContaining({ err: expect.any(Error), method: 'GET', path: '/fail' })
+    );
+    expect(prod.body).toMatchObject({
+      error: 'Internal server error',
+      errorCode: 'INTERNAL_SERVER_ERROR',
+    });
+    expect(prod.body).not.toHaveProperty('stack');
+
+    const dev = await request(createApp(err, handlersFor('development'))).get('/fail');
+    expect(dev.body.stack).toMatch(/secret connection string/);
+  });
+});
@@ -0,0 +1,90 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const app = require('../src/index');
+const { liveness, readiness } = require('../src/utils/health');
+const { shutdown } = require('../lib/shutdown');
+const resources = require('../src/utils/resources');
+
+describe('Health routes', () => {
+  it('should report liveness', async () => {
+    const res = await request(app).get('/health/live');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body).toEqual({
+      status: 'pass',
+      checks: {
+        eventLoop: { status: 'pass', latencyMs: expect.any(Number), details: expect.any(Object) },
+        memory: { status: 'pass', latencyMs: expect.any(Number), details: expect.any(Object) },
+      },
+    });
+    expect(liveness.checks.map(({ name }) => name)).toEqual(['eventLoop', 'memory']);
+    expect(resources.get('eventLoopMonitor')).toBeTruthy();
+  });
+
+  it('should report readiness with the database check', async () => {
+    const res = await request(app).get('/health/ready');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.checks.database).toMatchObject({
+      status: 'pass',
+      details: { total: 1, idle: expect.any(Number), waiting: 0 },
+    });
+  });
+
+  it('should leave check details out in production without the metrics token', async () => {
+    const routerWith = (token) => {
+      let router;
+      jest.isolateModules(() => {
+        const config = jest.requireActual('../src/config');
+        jest.doMock('../src/config', () => ({
+          ...config,
+          isProduction: true,
+          metrics: { ...config.metrics, token },
+        }));
+        // eslint-disable-next-line global-require
+        router = require('../src/routes/health.routes');
+      });
+      jest.dontMock('../src/config');
+      return express().use('/health', router);
+    };
+    const summary = {
+      status: 'pass',
+      checks: {
+        eventLoop: { status: 'pass', latencyMs: expect.any(Number) },
+        memory: { status: 'pass', latencyMs: expect.any(Number) },
+      },
+    };
+
+    expect((await request(routerWith(undefined)).get('/health/live')).body).toEqual(summary);
+    const guarded = routerWith('probe-secret');
+    expect((await request(guarded).get('/health/live')).body).toEqual(summary);
+    const res = await request(guarded)
+      .get('/health/live')
+      .set('Authorization', 'Bearer probe-secret');
+    expect(res.body.checks.memory.details).toEqual(
+      expect.objectContaining({ rss: expect.any(Number) })
+    );
+  });
+
+  it('should fail readiness as soon as shutdown starts', async () => {
+    const server = http.createServer(app);
+    await new Promise((resolve) => {
+      server.listen(0, resolve);
+    });
+    const logger = { info: jest.fn(), error: jest.fn() };
+    const exit = jest.fn();
+
+    const done = shutdown(server, undefined, {
+      drainDelay: 200,
+      onShutdown: () => readiness.markShuttingDown(),
+      exit,
+      logger,
+    });
+    const res = await request(server).get('/health/ready');
+    expect(res.statusCode).toBe(503);
+    expect(res.body.checks.shutdown).toMatchObject({ status: 'fail' });
+
+    expect(await done).toBe(0);
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+});
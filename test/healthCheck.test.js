@@ -0,0 +1,90 @@
+const { HealthCheck, databaseCheck, eventLoopCheck, memoryCheck } = require('../lib/healthCheck');
+const SQLiteClient = require('../lib/sqlite');
+
+describe('HealthCheck', () => {
+  it('should report each check with its status and latency', async () => {
+    const health = new HealthCheck({ timeout: 50 })
+      .register('ok', async () => ({ version: 1 }))
+      .register('slow', () => new Promise(() => {}), { timeout: 10 })
+      .register(
+        'optional',
+        async () => {
+          throw new Error('cache unavailable');
+        },
+        { critical: false }
+      );
+
+    const { status, checks } = await health.run();
+    expect(status).toBe('fail');
+    expect(checks.ok).toEqual({
+      status: 'pass',
+      latencyMs: expect.any(Number),
+      details: { version: 1 },
+    });
+    expect(checks.slow).toMatchObject({
+      status: 'fail',
+      error: 'Health check "slow" timed out after 10 ms.',
+    });
+    expect(checks.slow.latencyMs).toBeGreaterThanOrEqual(9);
+    expect(checks.optional).toMatchObject({ status: 'warn', error: 'cache unavailable' });
+    expect(() => health.register('ok', async () => {})).toThrow(/already registered/);
+  });
+
+  it('should pass when only non-critical checks fail, and fail once shutting down', async () => {
+    const health = new HealthCheck().register(
+      'optional',
+      async () => {
+        throw new Error('down');
+      },
+      { critical: false }
+    );
+    expect((await health.run()).status).toBe('pass');
+
+    health.markShuttingDown();
+    expect(await health.run()).toEqual({
+      status: 'fail',
+      checks: { shutdown: { status: 'fail', latencyMs: 0, error: 'Server is shutting down.' } },
+    });
+  });
+});
+
+describe('built-in checks', () => {
+  it('should query the database and report pool stats', async () => {
+    const db = new SQLiteClient();
+    expect(await databaseCheck(db)()).toEqual({ total: 1, idle: 1, waiting: 0 });
+    await db.close();
+
+    const failing = { query: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) };
+    await expect(databaseCheck(failing)()).rejects.toThrow('ECONNREFUSED');
+  });
+
+  it('should report event-loop lag and memory use against their limits', async () => {
+    expect(await eventLoopCheck({ maxLag: 1000 })()).toEqual({
+      p99: expect.any(Number),
+      max: expect.any(Number),
+    });
+
+    const block = eventLoopCheck({ maxLag: 10 });
+    await block.start();
+    await new Promise((resolve) => {
+      setTimeout(resolve, 50);
+    });
+    const until = Date.now() + 100;
+    while (Date.now() < until);
+    await new Promise((resolve) => {
+      setTimeout(resolve, 50);
+    });
+    await expect(block()).rejects.toMatchObject({
+      message: expect.stringMatching(/^Event loop lag of .+ ms exceeds 10 ms\.$/),
+      details: { p99: expect.any(Number), max: expect.any(Number) },
+    });
+    await block.stop();
+
+    expect(await memoryCheck()()).toEqual({
+      rss: expect.any(Number),
+      heapUsed: expect.any(Number),
+      heapLimit: expect.any(Number),
+    });
+    await expect(memoryCheck({ maxRss: 1 })()).rejects.toThrow(/Resident set size exceeds 1 bytes/);
+  });
+});
@@ -0,0 +1,39 @@
+const Histogram = require('../lib/histogram');
+
+describe('Histogram', () => {
+  it('should count values into cumulative buckets per label set', () => {
+    const histogram = new Histogram({ buckets: [0.1, 1] });
+    histogram.observe({ operation: 'SELECT', status: 'ok' }, 0.05);
+    histogram.observe({ status: 'ok', operation: 'SELECT' }, 0.5);
+    histogram.observe({ operation: 'UPDATE', status: 'ok' }, 3);
+
+    expect(histogram.get()).toEqual([
+      {
+        labels: { operation: 'SELECT', status: 'ok' },
+        buckets: [
+          { le: 0.1, count: 1 },
+          { le: 1, count: 2 },
+          { le: Infinity, count: 2 },
+        ],
+        sum: 0.55,
+        count: 2,
+      },
+      {
+        labels: { operation: 'UPDATE', status: 'ok' },
+        buckets: [
+          { le: 0.1, count: 0 },
+          { le: 1, count: 0 },
+          { le: Infinity, count: 1 },
+        ],
+        sum: 3,
+        count: 1,
+      },
+    ]);
+    histogram.reset();
+    expect(histogram.get()).toEqual([]);
+  });
+
+  it('should reject unsorted buckets', () => {
+    expect(() => new Histogram({ buckets: [1, 0.5] })).toThrow(/ascending order/);
+  });
+});
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JWTClient = require('../lib/jwt');
+const JWTError = require('../lib/JWTError');
+const SQLiteClient = require('../lib/sqlite');
+const { MemoryTokenStore, PgSQLTokenStore } = require('../lib/tokenStore');
+const KeyStore = require('../lib/keyStore');
+
+function createClient(options = {}) {
+  return new JWTClient({
+    issuer: 'test-app',
+    audience: 'test-users',
+    subject: 'user-auth',
+    accessSecret: 'access_secret',
+    refreshSecret: 'refresh_secret',
+    accessExpiresIn: '15m',
+    refreshExpiresIn: '7d',
+    tokenStore: new MemoryTokenStore(),
+    ...options,
+  });
+}
+
+describe('JWTClient refresh token rotation', () => {
+  it('should exchange a refresh token for a new pair in the same family', async () => {
+    const jwtClient = createClient();
+    const refreshToken = await jwtClient.generateRefreshToken({ data: { id: 1 } });
+    const rotated = await jwtClient.rotateRefreshToken(refreshToken);
+
+    const { data: oldPayload } = await jwtClient.verifyRefreshToken(refreshToken);
+    const { data: newPayload } = await jwtClient.verifyRefreshToken(rotated.refreshToken);
+    const { data: accessPayload } = await jwtClient.verifyAccessToken(rotated.accessToken);
+
+    expect(rotated.data).toEqual({ id: 1 });
+    expect(newPayload.fam).toBe(oldPayload.fam);
+    expect(newPayload.jti).not.toBe(oldPayload.jti);
+    expect(accessPayload.data).toEqual({ id: 1 });
+  });
+
+  it('should revoke the whole family when a rotated token is replayed', async () => {
+    const jwtClient = createClient();
+    const refreshToken = await jwtClient.generateRefreshToken({ data: { id: 1 } });
+    const rotated = await jwtClient.rotateRefreshToken(refreshToken);
+
+    await expect(jwtClient.rotateRefreshToken(refreshToken)).rejects.toMatchObject({
+      code: 'ER_REFRESH_TOKEN_REUSED',
+    });
+    await expect(jwtClient.rotateRefreshToken(rotated.refreshToken)).rejects.toMatchObject({
+      code: 'ER_TOKEN_REVOKED',
+    });
+    await expect(jwtClient.verifyAccessToken(rotated.accessToken)).rejects.toBeInstanceOf(JWTError);
+  });
+
+  it('should reject a token unknown to the store without revoking its family', async () => {
+    const refreshToken = await createClient().generateRefreshToken({ data: { id: 1 } });
+    const jwtClient = createClient();
+
+    await expect(jwtClient.rotateRefreshToken(refreshToken)).rejects.toMatchObject({
+      code: 'ER_REFRESH_TOKEN_UNKNOWN',
+    });
+    const { data: payload } = await jwtClient.verifyRefreshToken(refreshToken);
+    expect(await jwtClient.tokenStore.isFamilyRevoked(payload.fam)).toBe(false);
+  });
+
+  it('should rotate a refresh token on another instance sharing a SQL token store', async () => {
+    const db = new SQLiteClient({ filename: ':memory:' });
+    const tokenStore = new PgSQLTokenStore(db);
+    await tokenStore.createTables();
+    const [first, second] = [createClient({ tokenStore }), createClient({ tokenStore })];
+
+    const refreshToken = await first.generateRefreshToken({ data: { id: 1 } });
+    const rotated = await second.rotateRefreshToken(refreshToken);
+    await expect(first.rotateRefreshToken(rotated.refreshToken)).resolves.toMatchObject({
+      data: { id: 1 },
+    });
+    await expect(second.rotateRefreshToken(refreshToken)).rejects.toMatchObject({
+      code: 'ER_REFRESH_TOKEN_REUSED',
+    });
+    await db.close();
+  });
+
+  it('should tell consumed, reused and unknown refresh tokens apart', async () => {
+    const store = new MemoryTokenStore();
+    await store.saveRefreshToken({
+      jti: 'a',
+      familyId: 'f',
+      expiresAt: new Date(Date.now() + 1000),
+    });
+
+    expect(await store.consumeRefreshToken('a')).toBe('consumed');
+    expect(await store.consumeRefreshToken('a')).toBe('reused');
+    expect(await store.consumeRefreshToken('b')).toBe('unknown');
+  });
+
+  it('should reject a revoked access token', async () => {
+    const jwtClient = createClient();
+    const accessToken = await jwtClient.generateAccessToken({ data: { id: 1 } });
+    await jwtClient.revokeAccessToken(accessToken);
+
+    await expect(jwtClient.verifyAccessToken(accessToken)).rejects.toMatchObject({
+      code: 'ER_TOKEN_REVOKED',
+    });
+  });
+
+  it('should reject every token of a family after logout', async () => {
+    const jwtClient = createClient();
+    const refreshToken = await jwtClient.generateRefreshToken({ data: { id: 1 } });
+    const rotated = await jwtClient.rotateRefreshToken(refreshToken);
+    await jwtClient.revokeRefreshToken(rotated.refreshToken);
+
+    await expect(jwtClient.verifyRefreshToken(rotated.refreshToken)).rejects.toMatchObject({
+      code: 'ER_TOKEN_REVOKED',
+    });
+    await expect(jwtClient.verifyAccessToken(rotated.accessToken)).rejects.toMatchObject({
+      code: 'ER_TOKEN_REVOKED',
+    });
+  });
+
+  it('should forget revocations once they expire, without a write pruning them', async () => {
+    const store = new MemoryTokenStore();
+    const expiresAt = new Date(Date.now() + 1000);
+    await store.revokeToken('a', expiresAt);
+    await store.revokeFamily('f', expiresAt);
+    expect(await store.isTokenRevoked('a')).toBe(true);
+    expect(await store.isFamilyRevoked('f')).toBe(true);
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(expiresAt.getTime());
+    try {
+      expect(await store.isTokenRevoked('a')).toBe(false);
+      expect(await store.isFamilyRevoked('f')).toBe(false);
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
+
+describe('JWTClient asymmetric signing', () => {
+  it.each(['RS256', 'ES256', 'EdDSA'])(
+    'should sign and verify access tokens with %s',
+    async (alg) => {
+      const jwtClient = createClient({ keyStore: [KeyStore.generateKey('k1', alg)] });
+      const token = await jwtClient.generateAccessToken({ data: { id: 1 } });
+      const header = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+
+      expect(header).toMatchObject({ alg, kid: 'k1' });
+      await expect(jwtClient.verifyAccessToken(token)).resolves.toMatchObject({
+        data: { data: { id: 1 } },
+      });
+    }
+  );
+
+  it('should keep verifying tokens signed by a retired key', async () => {
+    const keyStore = new KeyStore([KeyStore.generateKey('old', 'EdDSA')]);
+    const jwtClient = createClient({ keyStore });
+    const oldToken = await jwtClient.generateAccessToken({ data: { id: 1 } });
+
+    keyStore.addKey({ ...KeyStore.generateKey('new', 'ES256'), active: true });
+    const newToken = await jwtClient.generateAccessToken({ data: { id: 1 } });
+
+    await expect(jwtClient.verifyAccessToken(oldToken)).resolves.toMatchObject({ code: 'OK' });
+    await expect(jwtClient.verifyAccessToken(newToken)).resolves.toMatchObject({ code: 'OK' });
+
+    keyStore.removeKey('old');
+    await expect(jwtClient.verifyAccessToken(oldToken)).rejects.toMatchObject({
+      code: 'ER_UNKNOWN_KEY_ID',
+    });
+  });
+
+  it('should load .pem/.pub pairs from a directory by kid', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+    try {
+      const current = KeyStore.generateKey('2024-02', 'ES256');
+      const retired = KeyStore.generateKey('2024-01', 'EdDSA');
+      fs.writeFileSync(path.join(dir, '2024-02.pem'), current.privateKey);
+      fs.writeFileSync(path.join(dir, '2024-02.pub'), current.publicKey);
+      fs.writeFileSync(path.join(dir, '2024-01.pub'), retired.publicKey);
+      fs.writeFileSync(path.join(dir, 'README.md'), 'keys');
+
+      const keyStore = KeyStore.fromDirectory(dir, '2024-02');
+      expect(keyStore.getSigningKey()).toMatchObject({ kid: '2024-02', algorithm: 'ES256' });
+      expect(keyStore.getVerificationKey('2024-01')).toMatchObject({ privateKey: null });
+      const jwtClient = createClient({ keyStore });
+      const token = await jwtClient.generateAccessToken({ data: { id: 1 } });
+      await expect(jwtClient.verifyAccessToken(token)).resolves.toMatchObject({ code: 'OK' });
+
+      fs.writeFileSync(path.join(dir, '2024-02.pub'), retired.publicKey);
+      expect(() => KeyStore.fromDirectory(dir)).toThrow(/does not match its private key/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject an algorithm that does not match the key type', () => {
+    const { privateKey } = KeyStore.generateKey('k1', 'RS256');
+    expect(() => new KeyStore().addKey({ kid: 'k1', privateKey, algorithm: 'ES256' })).toThrow(
+      'Key "k1" is an RS256 key and cannot be used with ES256.'
+    );
+    expect(() => new KeyStore().addKey({ kid: 'k1', privateKey, algorithm: 'HS256' })).toThrow(
+      /Unsupported algorithm "HS256"/
+    );
+  });
+
+  it('should publish public keys only in the JWKS', () => {
+    const keyStore = new KeyStore([KeyStore.generateKey('k1', 'RS256')]);
+    const { keys } = keyStore.toJWKS();
+
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({ kid: 'k1', alg: 'RS256', use: 'sig', kty: 'RSA' });
+    expect(keys[0]).not.toHaveProperty('d');
+  });
+});
+
+describe('JWTClient claim validation', () => {
+  it('should return a typed verification result', async () => {
+    const jwtClient = createClient();
+    const token = await jwtClient.generateAccessToken({ data: { id: 1 } });
+    const result = await jwtClient.verifyAccessToken(token);
+
+    expect(result).toMatchObject({ err: null, code: 'OK', type: 'access' });
+    expect(result.data).toMatchObject({
+      iss: 'test-app',
+      aud: 'test-users',
+      sub: 'user-auth',
+      type: 'access',
+    });
+  });
+
+  it('should reject an access token presented as a refresh token', async () => {
+    const jwtClient = createClient({ refreshSecret: 'access_secret' });
+    const token = await jwtClient.generateAccessToken({ data: { id: 1 } });
+
+    await expect(jwtClient.verifyRefreshToken(token)).rejects.toMatchObject({
+      code: 'ER_WRONG_TOKEN_TYPE',
+    });
+  });
+
+  it.each([
+    [{ issuer: 'other-app' }, 'ER_ISSUER_MISMATCH'],
+    [{ audience: 'other-users' }, 'ER_AUDIENCE_MISMATCH'],
+    [{ subject: 'other-subject' }, 'ER_SUBJECT_MISMATCH'],
+  ])('should reject a token verified with %o', async (options, code) => {
+    const token = await createClient().generateAccessToken({ data: { id: 1 } });
+
+    await expect(createClient(options).verifyAccessToken(token)).rejects.toMatchObject({ code });
+  });
+
+  it('should reject an expired token', async () => {
+    const jwtClient = createClient({ accessExpiresIn: '-1m' });
+    const token = await jwtClient.generateAccessToken({ data: { id: 1 } });
+
+    await expect(jwtClient.verifyAccessToken(token)).rejects.toMatchObject({
+      code: 'ER_TOKEN_EXPIRED',
+    });
+    await expect(
+      createClient({ clockTolerance: '5m' }).verifyAccessToken(token)
+    ).resolves.toMatchObject({ code: 'OK' });
+  });
+
+  it('should reject a token that is not valid yet', async () => {
+    const jwtClient = createClient();
+    jest.useFakeTimers({ now: Date.now() + 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+    const token = await jwtClient.generateAccessToken({ data: { id: 1 } });
+    jest.useRealTimers();
+
+    await expect(jwtClient.verifyAccessToken(token)).rejects.toMatchObject({
+      code: 'ER_TOKEN_NOT_YET_VALID',
+    });
+  });
+
+  it('should reject a token older than maxAge', async () => {
+    jest.useFakeTimers({ now: Date.now() - 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+    const token = await createClient().generateAccessToken({ data: { id: 1 } });
+    jest.useRealTimers();
+
+    await expect(createClient({ maxAge: '30s' }).verifyAccessToken(token)).rejects.toMatchObject({
+      code: 'ER_TOKEN_EXPIRED',
+    });
+  });
+
+  it('should reject a token with a bad signature', async () => {
+    const token = await createClient({ accessSecret: 'other_secret' }).generateAccessToken({
+      data: { id: 1 },
+    });
+
+    await expect(createClient().verifyAccessToken(token)).rejects.toMatchObject({
+      code: 'ER_INVALID_SIGNATURE',
+    });
+  });
+
+  it('should report a missing secret as a configuration error', async () => {
+    const token = await createClient().generateAccessToken({ data: { id: 1 } });
+    const unconfigured = createClient({ accessSecret: undefined });
+
+    await expect(unconfigured.verifyAccessToken(token)).rejects.toMatchObject({
+      name: 'JWTError',
+      code: 'ER_JWT_NOT_CONFIGURED',
+    });
+    await expect(unconfigured.generateAccessToken({ data: { id: 1 } })).rejects.toMatchObject({
+      code: 'ER_JWT_NOT_CONFIGURED',
+    });
+  });
+});
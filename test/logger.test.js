@@ -0,0 +1,67 @@
+const Logger = require('../lib/logger');
+const requestContext = require('../lib/requestContext');
+
+function createLogger(options) {
+  const lines = [];
+  const logger = new Logger({ destination: { write: (line) => lines.push(line) }, ...options });
+  return { logger, entries: () => lines.map((line) => JSON.parse(line)) };
+}
+
+describe('Logger', () => {
+  it('should write JSON lines above the configured level', () => {
+    const { logger, entries } = createLogger({ level: 'info', bindings: { service: 'api' } });
+    logger.debug('hidden');
+    logger.info('Server started', { port: 3000 });
+    logger.error('Failed', new Error('boom'));
+
+    const [started, failed] = entries();
+    expect(entries()).toHaveLength(2);
+    expect(started).toEqual({
+      level: 'info',
+      time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      msg: 'Server started',
+      service: 'api',
+      port: 3000,
+    });
+    expect(failed.err).toMatchObject({ name: 'Error', message: 'boom', stack: expect.any(String) });
+    expect(logger.isLevelEnabled('debug')).toBe(false);
+    expect(() => new Logger({ level: 'verbose' })).toThrow(/Unknown log level/);
+  });
+
+  it('should add child bindings and the request context', () => {
+    const { logger, entries } = createLogger();
+    const child = logger.child({ component: 'database' });
+    requestContext.run({ requestId: 'req-1' }, () => child.warn('Slow query'));
+    child.warn('Outside a request');
+
+    expect(entries()).toEqual([
+      expect.objectContaining({ component: 'database', requestId: 'req-1' }),
+      expect.not.objectContaining({ requestId: expect.anything() }),
+    ]);
+  });
+
+  it('should redact credentials at any depth and survive cycles', () => {
+    const { logger, entries } = createLogger();
+    const body = { user: { email: 'a@b.c', password: 'hunter2', newPassword: 'x' } };
+    body.self = body;
+    logger.info('Request', {
+      headers: { authorization: 'Bearer abc', cookie: 'sid=1', 'x-api-key': 'k', accept: '*/*' },
+      body,
+      err: Object.assign(new Error('bad'), { refreshToken: 'r' }),
+    });
+
+    const [entry] = entries();
+    expect(entry.headers).toEqual({
+      authorization: '[REDACTED]',
+      cookie: '[REDACTED]',
+      'x-api-key': '[REDACTED]',
+      accept: '*/*',
+    });
+    expect(entry.body).toEqual({
+      user: { email: 'a@b.c', password: '[REDACTED]', newPassword: '[REDACTED]' },
+      self: '[Circular]',
+    });
+    expect(entry.err.refreshToken).toBe('[REDACTED]');
+    expect(JSON.stringify(entry)).not.toMatch(/hunter2|Bearer abc|sid=1/);
+  });
+});
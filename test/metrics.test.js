@@ -0,0 +1,177 @@
+const request = require('supertest');
+const express = require('express');
+const { MetricsRegistry, Counter } = require('../lib/metrics');
+const registerProcessMetrics = require('../lib/processMetrics');
+const httpMetrics = require('../src/middlewares/httpMetrics');
+const app = require('../src/index');
+const { errorHandler } = require('../src/middlewares/errorHandlers');
+
+describe('MetricsRegistry', () => {
+  it('should render counters and gauges with escaped labels', async () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('app_events_total', 'Events\nseen.');
+    counter.inc({ kind: 'a "b"\\c' });
+    counter.inc({ kind: 'a "b"\\c' }, 2);
+    counter.inc();
+    registry.gauge('app_queue_depth', 'Jobs waiting.', {
+      collect: async (gauge) => gauge.set({ queue: 'mail' }, 3),
+    });
+
+    expect(await registry.render()).toBe(
+      [
+        '# HELP app_events_total Events\\nseen.',
+        '# TYPE app_events_total counter',
+        'app_events_total{kind="a \\"b\\"\\\\c"} 3',
+        'app_events_total 1',
+        '# HELP app_queue_depth Jobs waiting.',
+        '# TYPE app_queue_depth gauge',
+        'app_queue_depth{queue="mail"} 3',
+        '',
+      ].join('\n')
+    );
+    expect(registry.contentType).toBe('text/plain; version=0.0.4; charset=utf-8');
+  });
+
+  it('should drop gauge label sets the collector no longer sets', async () => {
+    const registry = new MetricsRegistry();
+    let queues = { mail: 3, sms: 1 };
+    registry.gauge('app_queue_depth', 'Jobs waiting.', {
+      collect: (gauge) =>
+        Object.entries(queues).forEach(([queue, depth]) => gauge.set({ queue }, depth)),
+    });
+    const manual = registry.gauge('app_workers', 'Workers.');
+    manual.set({ pool: 'a' }, 2);
+    manual.set({ pool: 'b' }, 1);
+    manual.remove({ pool: 'b' });
+
+    await registry.render();
+    queues = { mail: 0 };
+    const body = await registry.render();
+
+    expect(body).toContain('app_queue_depth{queue="mail"} 0');
+    expect(body).not.toContain('sms');
+    expect(body).toContain('app_workers{pool="a"} 2');
+    expect(body).not.toContain('pool="b"');
+  });
+
+  it('should render histograms with cumulative buckets', async () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram('app_job_seconds', 'Job durations.', { buckets: [1, 5] });
+    histogram.observe({ job: 'x' }, 0.5);
+    histogram.observe({ job: 'x' }, 3);
+
+    expect(await registry.render()).toBe(
+      [
+        '# HELP app_job_seconds Job durations.',
+        '# TYPE app_job_seconds histogram',
+        'app_job_seconds_bucket{job="x",le="1"} 1',
+        'app_job_seconds_bucket{job="x",le="5"} 2',
+        'app_job_seconds_bucket{job="x",le="+Inf"} 2',
+        'app_job_seconds_sum{job="x"} 3.5',
+        'app_job_seconds_count{job="x"} 2',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should reject invalid, duplicate or unknown metrics', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('app_total', 'Total.');
+    expect(() => registry.counter('app_total', 'Again.')).toThrow('already registered');
+    expect(() => registry.counter('app-total', 'Dash.')).toThrow('Invalid metric name');
+    expect(() => registry.register('app_other', 'Other.', {})).toThrow('must be a Counter');
+    expect(() => new Counter().inc({}, -1)).toThrow('only be increased');
+  });
+
+  it('should register process metrics', async () => {
+    const registry = new MetricsRegistry();
+    const stop = registerProcessMetrics(registry);
+    try {
+      const body = await registry.render();
+      expect(body).toMatch(/^process_resident_memory_bytes \d+$/m);
+      expect(body).toMatch(/^nodejs_heap_size_used_bytes \d+$/m);
+      expect(body).toMatch(/^nodejs_eventloop_lag_seconds\{quantile="0.99"\} [\d.e-]+$/m);
+      expect(body).toContain('# TYPE nodejs_gc_duration_seconds histogram');
+    } finally {
+      stop();
+    }
+  });
+});
+
+describe('httpMetrics middleware', () => {
+  it('should label requests by route pattern and status', async () => {
+    const registry = new MetricsRegistry();
+    const router = express.Router();
+    router.get('/:id', (req, res) => res.status(req.params.id === '0' ? 404 : 200).end());
+    const server = express().use(httpMetrics({ registry })).use('/items', router);
+
+    await request(server).get('/items/1');
+    await request(server).get('/items/2');
+    await request(server).get('/items/0');
+    await request(server).get('/nowhere');
+
+    const body = await registry.render();
+    expect(body).toContain('http_requests_total{method="GET",route="/items/:id",status="200"} 2');
+    expect(body).toContain('http_requests_total{method="GET",route="/items/:id",status="404"} 1');
+    expect(body).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(body).toMatch(
+      /^http_request_duration_seconds_count\{method="GET",route="\/items\/:id",status="200"\} 2$/m
+    );
+    expect(() => httpMetrics({ registry })).toThrow('already registered');
+  });
+});
+
+describe('Metrics route', () => {
+  it('should serve HTTP, process and database metrics', async () => {
+    await request(app).get('/health/ready');
+    const res = await request(app).get('/metrics');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain; .*version=0\.0\.4/);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.text).toContain(
+      'http_requests_total{method="GET",route="/health/ready",status="200"}'
+    );
+    expect(res.text).toMatch(/^db_pool_connections\{state="total"\} 1$/m);
+    expect(res.text).toContain('db_query_duration_seconds_count{operation="SELECT",status="ok"}');
+    expect(res.text).toContain('# TYPE process_resident_memory_bytes gauge');
+  });
+
+  it('should require the token when METRICS_TOKEN is set', async () => {
+    let protectedApp;
+    jest.isolateModules(() => {
+      process.env.METRICS_TOKEN = 'scrape-secret';
+      // eslint-disable-next-line global-require
+      protectedApp = require('../src/index');
+      delete process.env.METRICS_TOKEN;
+    });
+    const missing = await request(protectedApp).get('/metrics');
+    expect(missing.statusCode).toBe(401);
+    expect(missing.body.success).toBe(false);
+
+    const wrong = await request(protectedApp).get('/metrics').set('Authorization', 'Bearer nope');
+    expect(wrong.statusCode).toBe(401);
+
+    const ok = await request(protectedApp)
+      .get('/metrics')
+      .set('Authorization', 'Bearer scrape-secret');
+    expect(ok.statusCode).toBe(200);
+    expect(ok.text).toContain('# TYPE http_requests_total counter');
+  });
+
+  it('should not serve metrics in production without METRICS_TOKEN', async () => {
+    let router;
+    jest.isolateModules(() => {
+      const config = jest.requireActual('../src/config');
+      jest.doMock('../src/config', () => ({
+        ...config,
+        isProduction: true,
+        metrics: { ...config.metrics, token: undefined },
+      }));
+      // eslint-disable-next-line global-require
+      router = require('../src/routes/metrics.routes');
+    });
+    jest.dontMock('../src/config');
+    const res = await request(express().use('/metrics', router).use(errorHandler)).get('/metrics');
+    expect(res.statusCode).toBe(404);
+  });
+});
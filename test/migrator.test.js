@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../lib/migrator');
+const SQLiteClient = require('../lib/sqlite');
+const { run } = require('../scripts/migrate');
+
+describe('Migrator', () => {
+  let dir;
+  let db;
+  let migrator;
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrator-'));
+    db = new SQLiteClient({ filename: ':memory:' });
+    migrator = new Migrator(db, {
+      directory: path.join(dir, 'migrations'),
+      seedsDirectory: path.join(dir, 'seeds'),
+    });
+    write(
+      'migrations/20250101000000_create_users.sql',
+      [
+        '-- migrate:up',
+        "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT DEFAULT 'a;b');",
+        '/* seed; the admin */',
+        "INSERT INTO users (name) VALUES ('admin');",
+        '-- migrate:down',
+        'DROP TABLE users;',
+      ].join('\n')
+    );
+    write(
+      'migrations/20250102000000_add_email.js',
+      [
+        "exports.up = (db) => db.query('ALTER TABLE users ADD COLUMN email TEXT');",
+        "exports.down = (db) => db.query('ALTER TABLE users DROP COLUMN email');",
+      ].join('\n')
+    );
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should apply pending migrations in order and record them', async () => {
+    expect(await migrator.up({ to: '20250101000000' })).toEqual(['20250101000000']);
+    expect(await migrator.up()).toEqual(['20250102000000']);
+    expect(await migrator.up()).toEqual([]);
+
+    const status = await migrator.status();
+    expect(status.map(({ version, state }) => [version, state])).toEqual([
+      ['20250101000000', 'applied'],
+      ['20250102000000', 'applied'],
+    ]);
+    expect(await db.query('SELECT name, email FROM users')).toEqual([
+      { name: 'admin', email: null },
+    ]);
+  });
+
+  it('should revert the latest migrations', async () => {
+    await migrator.up();
+
+    expect(await migrator.down()).toEqual(['20250102000000']);
+    expect(await migrator.down({ steps: 5 })).toEqual(['20250101000000']);
+    await expect(db.query('SELECT * FROM users')).rejects.toThrow(/no such table/);
+    expect((await migrator.status()).every((entry) => entry.state === 'pending')).toBe(true);
+  });
+
+  it('should roll back a failing migration and refuse modified ones', async () => {
+    write(
+      'migrations/20250103000000_broken.sql',
+      '-- migrate:up\nCREATE TABLE t (id INTEGER);\nINSERT INTO missing VALUES (1);'
+    );
+    await expect(migrator.up()).rejects.toThrow(/no such table: missing/);
+    await expect(db.query('SELECT * FROM t')).rejects.toThrow(/no such table/);
+    expect((await migrator.status()).map((entry) => entry.state)).toEqual([
+      'applied',
+      'applied',
+      'pending',
+    ]);
+
+    write('migrations/20250101000000_create_users.sql', '-- migrate:up\nSELECT 1;');
+    expect((await migrator.status())[0].state).toBe('changed');
+    await expect(migrator.up()).rejects.toThrow(/modified: 20250101000000_create_users/);
+  });
+
+  it('should run shared and environment seeds', async () => {
+    await migrator.up();
+    write('seeds/01_users.sql', "INSERT INTO users (name) VALUES ('shared');");
+    write(
+      'seeds/test/01_users.js',
+      'module.exports = (db) => db.query("INSERT INTO users (name) VALUES (\'test\')");'
+    );
+    write('seeds/production/01_users.sql', "INSERT INTO users (name) VALUES ('prod');");
+
+    expect(await migrator.seed({ environment: 'test' })).toEqual([
+      '01_users.sql',
+      path.join('test', '01_users.js'),
+    ]);
+    const rows = await db.query('SELECT name FROM users ORDER BY id');
+    expect(rows.map((row) => row.name)).toEqual(['admin', 'shared', 'test']);
+  });
+
+  it('should create migration files and run CLI commands', async () => {
+    const lines = [];
+    const print = (line) => lines.push(line);
+
+    await run(['create', 'Add', 'posts', '--js'], { migrator, print });
+    const created = fs
+      .readdirSync(path.join(dir, 'migrations'))
+      .find((file) => file.endsWith('_add_posts.js'));
+    expect(created).toMatch(/^\d{14}_add_posts\.js$/);
+
+    await run(['up'], { migrator, print });
+    await run(['status'], { migrator, print });
+    expect(lines.slice(1)).toEqual([
+      `Applied: 20250101000000, 20250102000000, ${created.slice(0, 14)}`,
+      'applied  20250101000000_create_users',
+      'applied  20250102000000_add_email',
+      `applied  ${created.replace('.js', '')}`,
+    ]);
+    await expect(run(['sideways'], { migrator, print })).rejects.toThrow(/Unknown command/);
+  });
+});
+
+describe('bundled migrations', () => {
+  it('should create and drop the application tables', async () => {
+    const db = new SQLiteClient({ filename: ':memory:' });
+    const migrator = new Migrator(db, { directory: path.join(__dirname, '../migrations') });
+    const tables = async () =>
+      (
+        await db.query(
+          "SELECT name FROM sqlite_master WHERE type = 'table' AND name <> 'schema_migrations' ORDER BY name"
+        )
+      ).map(({ name }) => name);
+
+    const applied = await migrator.up();
+    expect(await tables()).toEqual([
+      'api_keys',
+      'jwt_refresh_tokens',
+      'jwt_revoked_families',
+      'jwt_revoked_tokens',
+      'rate_limits',
+      'users',
+    ]);
+    await migrator.down({ steps: applied.length });
+    expect(await tables()).toEqual([]);
+    await db.close();
+  });
+});
+
+describe('Migrator.splitStatements', () => {
+  it('should ignore semicolons in strings, comments and dollar quotes', () => {
+    const script = [
+      'INSERT INTO t VALUES (\'a;b\', "c;d");',
+      '-- comment; here',
+      'CREATE FUNCTION f() RETURNS int AS $body$ BEGIN RETURN 1; END; $body$ LANGUAGE plpgsql;',
+      '/* only a comment; */',
+    ].join('\n');
+
+    expect(Migrator.splitStatements(script)).toEqual([
+      'INSERT INTO t VALUES (\'a;b\', "c;d")',
+      '-- comment; here\nCREATE FUNCTION f() RETURNS int AS $body$ BEGIN RETURN 1; END; $body$ LANGUAGE plpgsql',
+    ]);
+  });
+});
@@ -0,0 +1,214 @@
+const express = require('express');
+const request = require('supertest');
+const parseListQuery = require('../src/middlewares/queryParser');
+const { paginated } = require('../src/utils/apiResponse');
+const { errorHandler } = require('../src/middlewares/errorHandlers');
+const {
+  buildListQuery,
+  paginateRows,
+  encodeCursor,
+  decodeCursor,
+  quoteIdentifier,
+} = require('../lib/pagination');
+
+const ITEMS = Array.from({ length: 45 }, (_, i) => ({ id: i + 1, name: `item-${i + 1}` }));
+
+function createApp(options) {
+  const app = express();
+  app.get('/items', parseListQuery(options), (req, res) => {
+    const { listQuery } = req;
+    if (listQuery.mode === 'cursor') {
+      const after = listQuery.cursor ? listQuery.cursor.values[0] : 0;
+      const rows = ITEMS.filter((item) => item.id > after).slice(0, listQuery.limit + 1);
+      const page = paginateRows(rows, listQuery);
+      return paginated(res, page.rows, page.meta);
+    }
+    const rows = ITEMS.slice(listQuery.offset, listQuery.offset + listQuery.limit);
+    return paginated(res, rows, { ...listQuery, total: ITEMS.length });
+  });
+  app.get('/query', parseListQuery(options), (req, res) => res.json(req.listQuery));
+  app.use(errorHandler);
+  return app;
+}
+
+describe('parseListQuery', () => {
+  const app = createApp({
+    sortable: { createdAt: 'created_at', name: 'name' },
+    filterable: { status: ['eq', 'in'], age: { column: 'user_age', operators: ['gte', 'lt'] } },
+    defaultSort: '-createdAt',
+    maxLimit: 50,
+  });
+
+  it('should parse page, limit, sort and filters into a whitelisted list query', async () => {
+    const res = await request(app).get(
+      '/query?page=3&limit=10&sort=name,-createdAt&filter[status][in]=active,pending&filter[age][gte]=18'
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      mode: 'offset',
+      page: 3,
+      limit: 10,
+      offset: 20,
+      sort: [
+        { field: 'name', column: 'name', direction: 'asc' },
+        { field: 'createdAt', column: 'created_at', direction: 'desc' },
+      ],
+      filters: [
+        { field: 'status', column: 'status', operator: 'in', value: ['active', 'pending'] },
+        { field: 'age', column: 'user_age', operator: 'gte', value: '18' },
+      ],
+    });
+  });
+
+  it('should apply defaults and clamp the limit', async () => {
+    const res = await request(app).get('/query?limit=500');
+
+    expect(res.body).toMatchObject({ page: 1, limit: 50, offset: 0 });
+    expect(res.body.sort).toEqual([
+      { field: 'createdAt', column: 'created_at', direction: 'desc' },
+    ]);
+  });
+
+  it('should reject unknown fields, operators and invalid numbers with 422', async () => {
+    const res = await request(app).get('/query?page=0&sort=password&filter[age][eq]=1&filter[x]=1');
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.data.errors).toEqual([
+      { location: 'query', field: 'page', message: 'must be a positive integer' },
+      { location: 'query', field: 'sort', message: 'cannot sort by "password"' },
+      { location: 'query', field: 'filter.age', message: 'operator "eq" is not allowed' },
+      { location: 'query', field: 'filter.x', message: 'cannot filter by "x"' },
+    ]);
+  });
+
+  it('should not match prototype keys or accept repeated values', async () => {
+    const res = await request(app).get(
+      '/query?sort=constructor&filter[constructor]=x&filter[toString][eq]=x&filter[status]=a&filter[status]=b'
+    );
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.data.errors).toEqual([
+      { location: 'query', field: 'sort', message: 'cannot sort by "constructor"' },
+      { location: 'query', field: 'filter.constructor', message: 'cannot filter by "constructor"' },
+      { location: 'query', field: 'filter.toString', message: 'cannot filter by "toString"' },
+      { location: 'query', field: 'filter.status', message: 'operator "eq" takes a single value' },
+    ]);
+
+    const list = await request(app).get('/query?filter[status][in]=a&filter[status][in]=b,c');
+    expect(list.body.filters).toEqual([
+      { field: 'status', column: 'status', operator: 'in', value: ['a', 'b', 'c'] },
+    ]);
+  });
+});
+
+describe('paginated', () => {
+  it('should add offset metadata and links', async () => {
+    const app = createApp({ sortable: ['id'] });
+    const res = await request(app).get('/items?page=2&limit=20&sort=id');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toHaveLength(20);
+    expect(res.body.data[0].id).toBe(21);
+    expect(res.body.meta).toEqual({
+      total: 45,
+      limit: 20,
+      page: 2,
+      totalPages: 3,
+      hasNext: true,
+      hasPrev: true,
+    });
+    expect(res.body.links).toEqual({
+      self: '/items?page=2&limit=20&sort=id',
+      first: '/items?page=1&limit=20&sort=id',
+      prev: '/items?page=1&limit=20&sort=id',
+      next: '/items?page=3&limit=20&sort=id',
+      last: '/items?page=3&limit=20&sort=id',
+    });
+  });
+
+  it('should walk pages with cursors', async () => {
+    const app = createApp({ mode: 'cursor' });
+    const first = await request(app).get('/items?limit=20');
+
+    expect(first.body.data.map((item) => item.id)).toEqual(ITEMS.slice(0, 20).map((i) => i.id));
+    expect(first.body.meta).toMatchObject({ hasNext: true, hasPrev: false, prevCursor: null });
+
+    const second = await request(app).get(first.body.links.next);
+    expect(second.body.data[0].id).toBe(21);
+    expect(second.body.meta.hasPrev).toBe(true);
+
+    const last = await request(app).get(`/items?limit=20&cursor=${encodeCursor([40])}`);
+    expect(last.body.data.map((item) => item.id)).toEqual([41, 42, 43, 44, 45]);
+    expect(last.body.meta.nextCursor).toBeNull();
+    expect(last.body.links.next).toBeNull();
+  });
+
+  it('should reject a tampered cursor', async () => {
+    const app = createApp({ mode: 'cursor' });
+    const res = await request(app).get('/items?cursor=not-a-cursor');
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.data.errors[0].field).toBe('cursor');
+  });
+});
+
+describe('buildListQuery', () => {
+  it('should build offset fragments with named parameters', () => {
+    const query = buildListQuery(
+      {
+        mode: 'offset',
+        limit: 10,
+        offset: 20,
+        sort: [{ column: 'created_at', direction: 'desc' }],
+        filters: [
+          { column: 'status', operator: 'in', value: ['a', 'b'] },
+          { column: 'name', operator: 'like', value: '50%' },
+          { column: 'age', operator: 'gte', value: 18 },
+        ],
+      },
+      { dialect: 'mysql' }
+    );
+
+    expect(query).toEqual({
+      where: 'WHERE `status` IN (:f0_0, :f0_1) AND `name` LIKE :f1 AND `age` >= :f2',
+      orderBy: 'ORDER BY `created_at` DESC',
+      limit: 'LIMIT :limit OFFSET :offset',
+      params: { f0_0: 'a', f0_1: 'b', f1: '%50\\%%', f2: 18, limit: 10, offset: 20 },
+    });
+  });
+
+  it('should build keyset conditions for cursor pages', () => {
+    const sort = [
+      { column: 'created_at', direction: 'desc' },
+      { column: 'id', direction: 'asc' },
+    ];
+    const next = buildListQuery(
+      { mode: 'cursor', limit: 5, sort, filters: [], cursor: decodeCursor(encodeCursor(['x', 7])) },
+      { dialect: 'postgres' }
+    );
+
+    expect(next.where).toBe('WHERE (("created_at" < :c0) OR ("created_at" = :c0 AND "id" > :c1))');
+    expect(next.orderBy).toBe('ORDER BY "created_at" DESC, "id" ASC');
+    expect(next.params).toEqual({ c0: 'x', c1: 7, limit: 6 });
+
+    const prev = buildListQuery(
+      {
+        mode: 'cursor',
+        limit: 5,
+        sort,
+        filters: [],
+        cursor: { values: ['x', 7], direction: 'prev' },
+      },
+      { dialect: 'postgres' }
+    );
+    expect(prev.where).toBe('WHERE (("created_at" > :c0) OR ("created_at" = :c0 AND "id" < :c1))');
+    expect(prev.orderBy).toBe('ORDER BY "created_at" ASC, "id" DESC');
+  });
+
+  it('should quote identifiers for each dialect', () => {
+    expect(quoteIdentifier('users.na`me', 'mysql')).toBe('`users`.`na``me`');
+    expect(quoteIdentifier('users.na"me', 'postgres')).toBe('"users"."na""me"');
+    expect(() => quoteIdentifier('id', 'oracle')).toThrow(/Unsupported dialect/);
+  });
+});
@@ -0,0 +1,122 @@
+const { QueryBuilder, raw } = require('../lib/queryBuilder');
+const SQLiteClient = require('../lib/sqlite');
+
+describe('QueryBuilder', () => {
+  it('should build a SELECT with joins, grouped conditions, sort and pagination', () => {
+    const query = new QueryBuilder('postgres')
+      .select('u.id', 'u.name AS author', raw('COUNT(p.id) AS posts'))
+      .from('users AS u')
+      .leftJoin('posts AS p', 'p.user_id', 'u.id')
+      .where('u.status', 'active')
+      .where((q) => q.where('u.age', '>=', 18).orWhere('u.verified', true))
+      .whereIn('u.role', ['admin', 'editor'])
+      .whereNotNull('u.email')
+      .groupBy('u.id', 'u.name')
+      .orderBy('u.name', 'DESC')
+      .limit(10)
+      .offset(20);
+
+    const expected = {
+      sql:
+        'SELECT "u"."id", "u"."name" AS "author", COUNT(p.id) AS posts FROM "users" AS "u" ' +
+        'LEFT JOIN "posts" AS "p" ON "p"."user_id" = "u"."id" ' +
+        'WHERE "u"."status" = :p1 AND ("u"."age" >= :p2 OR "u"."verified" = :p3) ' +
+        'AND "u"."role" IN (:p4, :p5) AND "u"."email" IS NOT NULL ' +
+        'GROUP BY "u"."id", "u"."name" ORDER BY "u"."name" DESC LIMIT :p6 OFFSET :p7',
+      params: { p1: 'active', p2: 18, p3: true, p4: 'admin', p5: 'editor', p6: 10, p7: 20 },
+    };
+    expect(query.toSQL()).toEqual(expected);
+    expect(query.toSQL()).toEqual(expected);
+  });
+
+  it('should build INSERT, UPDATE and DELETE statements', () => {
+    expect(
+      new QueryBuilder('mysql')
+        .insert([
+          { name: 'a', age: 1 },
+          { name: 'b', age: 2 },
+        ])
+        .into('users')
+        .toSQL()
+    ).toEqual({
+      sql: 'INSERT INTO `users` (`name`, `age`) VALUES (:p1, :p2), (:p3, :p4)',
+      params: { p1: 'a', p2: 1, p3: 'b', p4: 2 },
+    });
+
+    expect(
+      new QueryBuilder('postgres')
+        .update({ name: 'c', visits: raw('visits + :step', { step: 1 }) })
+        .table('users')
+        .where({ id: 7, deleted_at: null })
+        .returning('id')
+        .toSQL()
+    ).toEqual({
+      sql: 'UPDATE "users" SET "name" = :p2, "visits" = visits + :step WHERE "id" = :p1 AND "deleted_at" IS NULL RETURNING "id"',
+      params: { p1: 7, p2: 'c', step: 1 },
+    });
+
+    expect(new QueryBuilder('sqlite').delete().from('users').whereIn('id', []).toSQL()).toEqual({
+      sql: 'DELETE FROM "users" WHERE 1 = 0',
+      params: {},
+    });
+  });
+
+  it('should quote hostile identifiers and reject unknown operators and directions', () => {
+    const { sql } = new QueryBuilder('mysql')
+      .select()
+      .from('users')
+      .orderBy('name`; DROP TABLE users; --')
+      .toSQL();
+    expect(sql).toBe('SELECT * FROM `users` ORDER BY `name``; DROP TABLE users; --` ASC');
+
+    const builder = new QueryBuilder('postgres').select().from('users');
+    expect(() => builder.where('id', '= 1 OR 1 =', 1)).toThrow(/Unsupported operator/);
+    expect(() => builder.orderBy('id', 'desc; DROP TABLE users')).toThrow(/Invalid sort direction/);
+    expect(() => builder.limit('10; --')).toThrow(/non-negative integer/);
+    expect(() => new QueryBuilder('mysql').delete().from('t').returning().toSQL()).toThrow(
+      /RETURNING is not supported by MySQL/
+    );
+    expect(() => new QueryBuilder('oracle')).toThrow(/Unsupported dialect/);
+  });
+
+  it('should reject ILIKE outside PostgreSQL and lists of values in where()', () => {
+    expect(
+      new QueryBuilder('postgres').select().from('users').where('name', 'ilike', 'a%').toSQL()
+    ).toEqual({ sql: 'SELECT * FROM "users" WHERE "name" ILIKE :p1', params: { p1: 'a%' } });
+    ['mysql', 'sqlite'].forEach((dialect) => {
+      const builder = new QueryBuilder(dialect).select().from('users');
+      expect(() => builder.where('name', 'ILIKE', 'a%')).toThrow(
+        `ILIKE is only supported by PostgreSQL; use LIKE on ${dialect}.`
+      );
+      expect(() => builder.where('name', 'not ilike', 'a%')).toThrow(/NOT ILIKE is only supported/);
+    });
+
+    const builder = new QueryBuilder('postgres').select().from('users');
+    expect(() => builder.where('id', [1, 2])).toThrow('Use whereIn() to compare "id" with a list');
+    expect(() => builder.where({ id: [1, 2] })).toThrow(/Use whereIn\(\)/);
+    expect(() => builder.where('id', '<>', [1, 2])).toThrow(/Use whereIn\(\)/);
+  });
+
+  it('should run on a client and on a transaction', async () => {
+    const db = new SQLiteClient();
+    await db.query('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, visits INTEGER)');
+
+    const [ada] = await new QueryBuilder(db)
+      .insert({ name: 'Ada', visits: 0 })
+      .into('users')
+      .returning('id', 'name')
+      .query();
+    expect(ada).toEqual({ id: 1, name: 'Ada' });
+
+    await db.transaction((tx) =>
+      new QueryBuilder(tx).update({ visits: 1 }).table('users').where('id', ada.id).execute()
+    );
+    const rows = await new QueryBuilder(db)
+      .select('name', 'visits')
+      .from('users')
+      .offset(0)
+      .query();
+    expect(rows).toEqual([{ name: 'Ada', visits: 1 }]);
+    await db.close();
+  });
+});
@@ -0,0 +1,192 @@
+const express = require('express');
+const request = require('supertest');
+const SQLiteClient = require('../lib/sqlite');
+const { RateLimiter, MemoryRateLimitStore, PgSQLRateLimitStore } = require('../lib/rateLimit');
+const { fixedWindow, slidingWindow, tokenBucket } = require('../lib/rateLimit/algorithms');
+const rateLimit = require('../src/middlewares/rateLimit');
+const { errorHandler } = require('../src/middlewares/errorHandlers');
+const app = require('../src/index');
+
+/**
+ * Runs an algorithm over requests at the given times, threading the state.
+ */
+function simulate(algorithm, times, options) {
+  let state = null;
+  return times.map((now) => {
+    const step = algorithm(state, { now, cost: 1, ...options });
+    ({ state } = step);
+    return step.result;
+  });
+}
+
+describe('Rate limit algorithms', () => {
+  const options = { limit: 2, windowMs: 1000 };
+
+  it('should count requests per fixed window', () => {
+    const results = simulate(fixedWindow, [0, 100, 200, 1000], options);
+    expect(results.map((r) => r.allowed)).toEqual([true, true, false, true]);
+    expect(results[1]).toEqual({ allowed: true, remaining: 0, resetMs: 900, retryAfterMs: 0 });
+    expect(results[2]).toEqual({ allowed: false, remaining: 0, resetMs: 800, retryAfterMs: 800 });
+  });
+
+  it('should weight the previous window in the sliding window', () => {
+    const results = simulate(slidingWindow, [900, 950, 1100, 1600], options);
+    expect(results.map((r) => r.allowed)).toEqual([true, true, false, true]);
+    // At 1100 the previous window still counts for 2 * 0.9; it decays below 1 after 1500
+    expect(results[2]).toMatchObject({ remaining: 0, retryAfterMs: 400 });
+  });
+
+  it('should refill the token bucket continuously', () => {
+    const results = simulate(tokenBucket, [0, 0, 0, 500], options);
+    expect(results.map((r) => r.allowed)).toEqual([true, true, false, true]);
+    expect(results[2]).toEqual({ allowed: false, remaining: 0, resetMs: 1000, retryAfterMs: 500 });
+    expect(results[3]).toMatchObject({ remaining: 0, resetMs: 1000 });
+  });
+});
+
+describe('RateLimiter', () => {
+  it('should validate its options', () => {
+    expect(() => new RateLimiter({ limit: 1, windowMs: 1, algorithm: 'leaky' })).toThrow(
+      /Unknown rate limit algorithm/
+    );
+    expect(() => new RateLimiter({ limit: 0, windowMs: 1000 })).toThrow(/must be positive/);
+  });
+
+  it('should keep keys apart and reset them', async () => {
+    const limiter = new RateLimiter({
+      limit: 1,
+      windowMs: 60000,
+      store: new MemoryRateLimitStore(),
+    });
+    expect((await limiter.consume('a')).allowed).toBe(true);
+    expect((await limiter.consume('a')).allowed).toBe(false);
+    expect((await limiter.consume('b')).allowed).toBe(true);
+    await limiter.reset('a');
+    expect(await limiter.consume('a')).toMatchObject({ allowed: true, limit: 1, remaining: 0 });
+    await expect(limiter.consume('a', 2)).rejects.toThrow(/exceeds the limit/);
+  });
+
+  it('should keep state in a SQL store', async () => {
+    // SQLite has no row locks; its transactions lock the whole database instead
+    class SQLiteRateLimitStore extends PgSQLRateLimitStore {
+      // eslint-disable-next-line class-methods-use-this
+      get lockClause() {
+        return '';
+      }
+    }
+    const db = new SQLiteClient({ filename: ':memory:' });
+    const store = new SQLiteRateLimitStore(db);
+    await store.createTables();
+    const limiter = new RateLimiter({
+      limit: 2,
+      windowMs: 60000,
+      algorithm: 'token-bucket',
+      store,
+    });
+
+    const results = await Promise.all([1, 2, 3].map(() => limiter.consume('ip:1')));
+    expect(results.map((r) => r.allowed).sort()).toEqual([false, true, true]);
+    const [row] = await db.query('SELECT id, expires_at FROM rate_limits');
+    expect(row.id).toBe('rl:ip:1');
+    expect(Number(row.expires_at)).toBeGreaterThan(Date.now());
+
+    await store.purgeExpired();
+    await limiter.reset('ip:1');
+    expect((await limiter.consume('ip:1')).allowed).toBe(true);
+    await db.close();
+  });
+
+  it('should purge expired rows of the shared store while the server runs', async () => {
+    const store = { purgeExpired: jest.fn(async () => {}) };
+    let resources;
+    jest.isolateModules(() => {
+      jest.doMock('../src/utils/rateLimitStore', () => store);
+      // eslint-disable-next-line global-require
+      resources = require('../src/utils/resources');
+    });
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const purge = resources.get('rateLimitPurge');
+      await purge.start();
+      jest.advanceTimersByTime(10 * 60 * 1000);
+      expect(store.purgeExpired).toHaveBeenCalledTimes(1);
+
+      await purge.stop();
+      jest.advanceTimersByTime(10 * 60 * 1000);
+      expect(store.purgeExpired).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+      jest.dontMock('../src/utils/rateLimitStore');
+    }
+  });
+});
+
+describe('rateLimit middleware', () => {
+  const build = (options) => {
+    const server = express();
+    server.use((req, res, next) => {
+      if (req.get('x-user')) req.user = { id: req.get('x-user') };
+      next();
+    });
+    server.get('/', rateLimit({ limit: 2, windowMs: 60000, ...options }), (req, res) =>
+      res.json({ ok: true })
+    );
+    server.use(errorHandler);
+    return server;
+  };
+
+  it('should set RateLimit headers and reject with a 429 envelope', async () => {
+    const server = build();
+    const first = await request(server).get('/');
+    expect(first.statusCode).toBe(200);
+    expect(first.headers).toMatchObject({
+      'ratelimit-policy': '2;w=60',
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-reset': '60',
+    });
+
+    await request(server).get('/');
+    const res = await request(server).get('/');
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBe('60');
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+    expect(res.body).toEqual({
+      success: false,
+      error: 'Too many requests, please try again later.',
+      code: 429,
+      errorCode: 'TOO_MANY_REQUESTS',
+      data: { retryAfter: 60 },
+    });
+  });
+
+  it('should key requests by user and fall back to the IP', async () => {
+    const server = build({ limit: 1, keyBy: 'user' });
+    expect((await request(server).get('/').set('x-user', '1')).statusCode).toBe(200);
+    expect((await request(server).get('/').set('x-user', '1')).statusCode).toBe(429);
+    expect((await request(server).get('/').set('x-user', '2')).statusCode).toBe(200);
+    expect((await request(server).get('/')).statusCode).toBe(200);
+    expect((await request(server).get('/')).statusCode).toBe(429);
+  });
+
+  it('should support custom keys and skipping', async () => {
+    const server = build({
+      limit: 1,
+      keyBy: (req) => `tenant:${req.get('x-tenant')}`,
+      skip: (req) => req.get('x-internal') === 'yes',
+    });
+    await request(server).get('/').set('x-tenant', 'a');
+    expect((await request(server).get('/').set('x-tenant', 'a')).statusCode).toBe(429);
+    expect((await request(server).get('/').set('x-tenant', 'b')).statusCode).toBe(200);
+    const skipped = await request(server).get('/').set('x-tenant', 'a').set('x-internal', 'yes');
+    expect(skipped.statusCode).toBe(200);
+    expect(skipped.headers['ratelimit-limit']).toBeUndefined();
+    expect(() => rateLimit({ keyBy: 'session' })).toThrow(/Unknown rate limit key/);
+  });
+
+  it('should throttle the API routes', async () => {
+    const res = await request(app).get('/api/does-not-exist');
+    expect(res.headers['ratelimit-limit']).toBe('100');
+    expect((await request(app).get('/health/live')).headers['ratelimit-limit']).toBeUndefined();
+  });
+});
@@ -0,0 +1,61 @@
+const express = require('express');
+const request = require('supertest');
+const Logger = require('../lib/logger');
+const SQLiteClient = require('../lib/sqlite');
+const requestId = require('../src/middlewares/requestId');
+const requestLogger = require('../src/middlewares/requestLogger');
+
+describe('requestLogger', () => {
+  let lines;
+  let app;
+  let db;
+
+  beforeEach(() => {
+    lines = [];
+    const logger = new Logger({ destination: { write: (line) => lines.push(JSON.parse(line)) } });
+    db = new SQLiteClient({ slowQueryThreshold: 0, logger });
+    app = express();
+    app.use(requestId);
+    app.use(requestLogger({ logger }));
+    const router = express.Router();
+    router.get('/:id', async (req, res) => {
+      await db.query('SELECT :id AS id', { id: req.params.id });
+      res.json({ id: req.params.id });
+    });
+    router.get('/:id/fail', () => db.query('SELECT * FROM missing'));
+    app.use('/users', router);
+    app.use((err, req, res, next) => {
+      res.status(500).json({ queryId: err.queryId, requestId: err.requestId });
+      next();
+    });
+  });
+
+  afterEach(() => db.close());
+
+  it('should log method, route, status and duration with the request id', async () => {
+    const res = await request(app).get('/users/42?token=secret').set('X-Request-Id', 'req-42');
+    expect(res.statusCode).toBe(200);
+
+    const [slowQuery, access] = lines;
+    expect(slowQuery).toMatchObject({ level: 'warn', requestId: 'req-42' });
+    expect(access).toEqual({
+      level: 'info',
+      time: expect.any(String),
+      msg: 'GET /users/42',
+      requestId: 'req-42',
+      method: 'GET',
+      path: '/users/42',
+      route: '/users/:id',
+      status: 200,
+      durationMs: expect.any(Number),
+      contentLength: res.text.length,
+    });
+  });
+
+  it('should tag database errors with the request id and log server errors at error level', async () => {
+    const res = await request(app).get('/users/1/fail').set('X-Request-Id', 'req-fail');
+
+    expect(res.body).toEqual({ queryId: expect.any(String), requestId: 'req-fail' });
+    expect(lines.pop()).toMatchObject({ level: 'error', status: 500, route: '/users/:id/fail' });
+  });
+});
@@ -0,0 +1,63 @@
+const ResourceRegistry = require('../lib/resourceRegistry');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('ResourceRegistry', () => {
+  it('should retry a failing start with backoff', async () => {
+    const registry = new ResourceRegistry({ logger });
+    const start = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockResolvedValue();
+    registry.register('database', { start, retries: 2, retryDelay: 1 });
+
+    await registry.startAll();
+    expect(start).toHaveBeenCalledTimes(3);
+    expect(registry.get('database').state).toBe('started');
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Failed to start database (attempt 2/3): ECONNREFUSED. Retrying in 2 ms.'
+    );
+  });
+
+  it('should stop started resources when a later one cannot start', async () => {
+    const calls = [];
+    const registry = new ResourceRegistry({ logger })
+      .register('database', { stop: async () => calls.push('database') })
+      .register('cache', {
+        start: async () => {
+          throw new Error('cache down');
+        },
+        stop: async () => calls.push('cache'),
+      })
+      .register('queue', { stop: async () => calls.push('queue') });
+
+    await expect(registry.startAll()).rejects.toThrow('cache down');
+    expect(calls).toEqual(['cache', 'database']);
+    expect(registry.get('queue').state).toBe('registered');
+    expect(() => registry.register('cache')).toThrow(/already registered/);
+  });
+
+  it('should stop in reverse order and bound each stop with a timeout', async () => {
+    const calls = [];
+    const registry = new ResourceRegistry({ logger })
+      .register('database', { stop: async () => calls.push('database') })
+      .register('hanging', { stop: () => new Promise(() => {}), stopTimeout: 10 })
+      .register('cache', {
+        stop: async () => {
+          calls.push('cache');
+          throw new Error('already closed');
+        },
+      });
+    await registry.startAll();
+
+    const failures = await registry.stopAll();
+    expect(calls).toEqual(['cache', 'database']);
+    expect(failures.map(({ name, error }) => [name, error.message])).toEqual([
+      ['cache', 'already closed'],
+      ['hanging', 'Resource "hanging" did not stop within 10 ms.'],
+    ]);
+    expect(registry.resources.every(({ state }) => state === 'stopped')).toBe(true);
+    expect(await registry.stopAll()).toEqual([]);
+  });
+});
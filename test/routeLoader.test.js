@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { loadRoutes, formatRouteTable } = require('../lib/routeLoader');
+const apiRouter = require('../src/routes/api.routes');
+
+describe('routeLoader', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (file, body) =>
+    fs.writeFileSync(
+      path.join(directory, file),
+      `const router = require(${JSON.stringify(require.resolve('express'))}).Router();\n${body}`
+    );
+
+  const appWith = (router) => express().use('/api', router);
+
+  it('should mount modules by file name, or at their declared base path', async () => {
+    write(
+      'index.routes.js',
+      "router.get('/', (req, res) => res.send('root'));\nmodule.exports = router;"
+    );
+    write(
+      'users.routes.js',
+      "router.get('/:id', (req, res) => res.send('user'));\nmodule.exports = router;"
+    );
+    write(
+      'apiKeys.routes.js',
+      "router.get('/', (req, res) => res.send('keys'));\nmodule.exports = { basePath: '/api-keys', router };"
+    );
+    const app = appWith(loadRoutes(directory));
+
+    expect((await request(app).get('/api/')).text).toBe('root');
+    expect((await request(app).get('/api/users/1')).text).toBe('user');
+    expect((await request(app).get('/api/api-keys')).text).toBe('keys');
+    expect((await request(app).get('/api/apiKeys')).statusCode).toBe(404);
+  });
+
+  it('should run declared middleware and skip disabled or excluded modules', async () => {
+    write(
+      'secret.routes.js',
+      `function deny(req, res) { res.status(401).end(); }
+      deny.auth = 'token';
+      router.get('/', (req, res) => res.send('secret'));
+      module.exports = { middleware: [deny], router };`
+    );
+    write(
+      'beta.routes.js',
+      "router.get('/', (req, res) => res.send('beta'));\nmodule.exports = { enabled: false, router };"
+    );
+    write(
+      'health.routes.js',
+      "router.get('/', (req, res) => res.send('ok'));\nmodule.exports = router;"
+    );
+    const app = appWith(loadRoutes(directory, { exclude: ['health.routes.js'] }));
+
+    expect((await request(app).get('/api/secret')).statusCode).toBe(401);
+    expect((await request(app).get('/api/beta')).statusCode).toBe(404);
+    expect((await request(app).get('/api/health')).statusCode).toBe(404);
+  });
+
+  it('should list each route with its middleware chain and auth requirements', () => {
+    write(
+      'posts.routes.js',
+      `function authenticate(req, res, next) { next(); }
+      authenticate.auth = 'JWT';
+      function requireEditor(req, res, next) { next(); }
+      requireEditor.auth = 'role: editor';
+      router.get('/', function list(req, res) { res.end(); });
+      router.use(authenticate);
+      router.route('/:id').put(requireEditor, function update(req, res) { res.end(); });
+      module.exports = router;`
+    );
+    const { routes } = loadRoutes(directory);
+
+    expect(routes).toEqual([
+      {
+        method: 'GET',
+        path: '/posts',
+        middleware: ['list'],
+        auth: [],
+        authorization: [],
+        file: path.relative(process.cwd(), path.join(directory, 'posts.routes.js')),
+      },
+      expect.objectContaining({
+        method: 'PUT',
+        path: '/posts/:id',
+        middleware: ['authenticate', 'requireEditor', 'update'],
+        auth: ['JWT', 'role: editor'],
+      }),
+    ]);
+    expect(formatRouteTable(routes, { prefix: '/api' }).split('\n')).toEqual([
+      'METHOD  PATH            AUTH               MIDDLEWARE',
+      'GET     /api/posts      public             list',
+      'PUT     /api/posts/:id  JWT, role: editor  authenticate > requireEditor > update',
+    ]);
+  });
+
+  it('should fail at boot when two modules define the same route', () => {
+    write(
+      'users.routes.js',
+      "router.get('/:id', (req, res) => res.end());\nmodule.exports = router;"
+    );
+    write(
+      'accounts.routes.js',
+      "router.get('/:userId', (req, res) => res.end());\nmodule.exports = { basePath: '/users', router };"
+    );
+
+    expect(() => loadRoutes(directory)).toThrow(
+      /^Route conflict: GET \/users\/:id is defined in .*accounts\.routes\.js and .*users\.routes\.js\.$/
+    );
+  });
+
+  it('should reject modules that export no router', () => {
+    write('broken.routes.js', 'module.exports = { basePath: "/broken" };');
+    expect(() => loadRoutes(directory)).toThrow(/must export a router or \{ router, basePath \}/);
+  });
+
+  it('should load the API routes of every version', () => {
+    const { routes } = apiRouter;
+
+    expect(routes).toContainEqual(
+      expect.objectContaining({
+        method: 'GET',
+        path: '/v1/example/admin',
+        auth: ['JWT', 'role: admin'],
+        version: 'v1',
+      })
+    );
+    expect(routes).toContainEqual(
+      expect.objectContaining({
+        path: '/v1/example/users/:userId',
+        auth: ['JWT', 'owner or permission: users:read'],
+      })
+    );
+    expect(routes).toContainEqual(
+      expect.objectContaining({ method: 'GET', path: '/v2/example/greet/:name', version: 'v2' })
+    );
+    expect(routes.filter(({ path: routePath }) => routePath.startsWith('/v1/auth'))).toEqual([]);
+  });
+});
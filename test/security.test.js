@@ -0,0 +1,204 @@
+const express = require('express');
+const request = require('supertest');
+const createOriginMatcher = require('../lib/originMatcher');
+const { securityHeaders, corsPolicy } = require('../src/middlewares/security');
+const bodyPolicy = require('../src/middlewares/bodyPolicy');
+const { errorHandler } = require('../src/middlewares/errorHandlers');
+const { PROFILES } = require('../src/config/security');
+
+/**
+ * Loads the config with extra environment variables.
+ */
+function configWith(env) {
+  const previous = { ...process.env };
+  let config;
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    try {
+      // eslint-disable-next-line global-require
+      config = require('../src/config');
+    } finally {
+      process.env = previous;
+    }
+  });
+  return config;
+}
+
+describe('createOriginMatcher', () => {
+  const isAllowed = createOriginMatcher([
+    'https://Example.com/',
+    'https://*.example.com',
+    '/^https:\\/\\/pr-\\d+\\.preview\\.dev$/',
+    /^http:\/\/localhost:\d+$/,
+  ]);
+
+  it.each([
+    ['https://example.com', true],
+    ['https://api.example.com', true],
+    ['https://a.b.example.com', true],
+    ['https://pr-42.preview.dev', true],
+    ['http://localhost:5173', true],
+    ['http://example.com', false],
+    ['https://example.com.evil.io', false],
+    ['https://evilexample.com', false],
+    ['https://pr-x.preview.dev', false],
+    [undefined, false],
+  ])('should match %s: %s', (origin, expected) => {
+    expect(isAllowed(origin)).toBe(expected);
+  });
+});
+
+describe('corsPolicy', () => {
+  const build = (options) =>
+    express()
+      .use(corsPolicy(options))
+      .get('/', (req, res) => res.json({ ok: true }));
+
+  it('should only answer allowed origins, with credentials when enabled', async () => {
+    const app = build({
+      origins: ['https://*.example.com'],
+      credentials: true,
+      exposedHeaders: ['X-Request-Id'],
+    });
+
+    const allowed = await request(app).get('/').set('Origin', 'https://app.example.com');
+    expect(allowed.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    expect(allowed.headers['access-control-allow-credentials']).toBe('true');
+    expect(allowed.headers['access-control-expose-headers']).toBe('X-Request-Id');
+
+    const denied = await request(app).get('/').set('Origin', 'https://evil.io');
+    expect(denied.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  it('should allow any origin without credentials', async () => {
+    const res = await request(build({ origins: '*' }))
+      .get('/')
+      .set('Origin', 'https://x.io');
+    expect(res.headers['access-control-allow-origin']).toBe('*');
+    expect(() => corsPolicy({ origins: '*', credentials: true })).toThrow(/list the origins/);
+  });
+});
+
+describe('securityHeaders', () => {
+  const headersFor = async (profile) =>
+    (
+      await request(
+        express()
+          .use(securityHeaders(profile))
+          .get('/', (req, res) => res.end())
+      ).get('/')
+    ).headers;
+
+  it('should enforce CSP and HSTS in the strict profile', async () => {
+    const headers = await headersFor(PROFILES.strict);
+    expect(headers['strict-transport-security']).toBe('max-age=31536000; includeSubDomains');
+    expect(headers['content-security-policy']).toMatch(/default-src 'self'/);
+    expect(headers['content-security-policy']).toMatch(/upgrade-insecure-requests/);
+  });
+
+  it('should only report CSP violations and skip HSTS in the relaxed profile', async () => {
+    const headers = await headersFor(PROFILES.relaxed);
+    expect(headers['strict-transport-security']).toBeUndefined();
+    expect(headers['content-security-policy']).toBeUndefined();
+    expect(headers['content-security-policy-report-only']).toMatch(/default-src 'self'/);
+  });
+});
+
+describe('bodyPolicy', () => {
+  const app = express()
+    .use(
+      bodyPolicy({
+        limit: '20b',
+        routes: {
+          '/imports': { limit: '1kb' },
+          '/webhooks/': { types: ['text/*'] },
+        },
+      })
+    )
+    .post(/.*/, (req, res) => res.json({ body: req.body }))
+    .use(errorHandler);
+
+  it('should parse bodies within the limit of the route', async () => {
+    const small = await request(app).post('/items').send({ a: 1 });
+    expect(small.statusCode).toBe(200);
+    expect(small.body.body).toEqual({ a: 1 });
+
+    const form = await request(app).post('/items').type('form').send('a=1');
+    expect(form.body.body).toEqual({ a: '1' });
+
+    const large = { name: 'x'.repeat(100) };
+    expect((await request(app).post('/items').send(large)).statusCode).toBe(413);
+    expect((await request(app).post('/imports/users').send(large)).statusCode).toBe(200);
+  });
+
+  it('should reject bodies with other content types', async () => {
+    const res = await request(app).post('/items').type('text/plain').send('hello');
+    expect(res.statusCode).toBe(415);
+    expect(res.body).toMatchObject({
+      error: 'Unsupported content type "text/plain".',
+      errorCode: 'UNSUPPORTED_MEDIA_TYPE',
+      data: { allowed: ['application/json', 'application/x-www-form-urlencoded'] },
+    });
+
+    expect((await request(app).post('/webhooks/x').type('text/plain').send('hi')).statusCode).toBe(
+      200
+    );
+    expect((await request(app).post('/webhooks/x').send({ a: 1 })).statusCode).toBe(415);
+    expect((await request(app).post('/items')).statusCode).toBe(200);
+  });
+});
+
+describe('Security config', () => {
+  const jwt = { JWT_ACCESS_SECRET: 'a'.repeat(32), JWT_REFRESH_SECRET: 'r'.repeat(32) };
+
+  it('should use the strict profile in production', () => {
+    const config = configWith({ NODE_ENV: 'production', ...jwt });
+    expect(config.security).toMatchObject({
+      profile: 'strict',
+      cors: { origins: [], credentials: false },
+      hsts: { maxAge: 31536000 },
+      csp: { reportOnly: false },
+      body: { limit: '100kb' },
+    });
+  });
+
+  it('should apply overrides and parse TRUST_PROXY', () => {
+    const config = configWith({
+      SECURITY_PROFILE: 'strict',
+      CORS_ORIGINS: 'https://app.example.com, https://*.example.com',
+      CORS_CREDENTIALS: 'true',
+      HSTS_MAX_AGE: '0',
+      CSP_REPORT_URI: '/csp-reports',
+      BODY_LIMIT: '2mb',
+      TRUST_PROXY: '2',
+    });
+    expect(config.trustProxy).toBe(2);
+    expect(config.security).toMatchObject({
+      cors: { origins: ['https://app.example.com', 'https://*.example.com'], credentials: true },
+      hsts: false,
+      csp: { directives: { reportUri: ['/csp-reports'] } },
+      body: { limit: '2mb' },
+    });
+    expect(configWith({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }).trustProxy).toBe(
+      'loopback, 10.0.0.0/8'
+    );
+    expect(() => configWith({ CORS_CREDENTIALS: 'true', CORS_ORIGINS: '*' })).toThrow(
+      /CORS_ORIGINS: must list origins/
+    );
+  });
+
+  it('should build the Swagger server URL from forwarded headers of trusted proxies', async () => {
+    let app;
+    jest.isolateModules(() => {
+      process.env.TRUST_PROXY = 'true';
+      // eslint-disable-next-line global-require
+      app = require('../src/index');
+      delete process.env.TRUST_PROXY;
+    });
+    const res = await request(app)
+      .get('/api-docs/v1.json')
+      .set('X-Forwarded-Proto', 'https')
+      .set('X-Forwarded-Host', 'api.example.com');
+    expect(res.body.servers).toEqual([{ url: 'https://api.example.com' }]);
+  });
+});
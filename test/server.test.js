@@ -0,0 +1,72 @@
+const http = require('http');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ResourceRegistry = require('../lib/resourceRegistry');
+const { shutdown } = require('../lib/shutdown');
+const { start } = require('../src/server');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('server lifecycle', () => {
+  it('should start resources before listening and stop them after draining', async () => {
+    const calls = [];
+    const registry = new ResourceRegistry({ logger }).register('database', {
+      start: async () => calls.push('start database'),
+      stop: async () => calls.push('stop database'),
+    });
+    const server = await start({ port: 0, registry });
+    expect(server.listening).toBe(true);
+    server.on('close', () => calls.push('close server'));
+
+    const exit = jest.fn();
+    const done = shutdown(server, undefined, { registry, exit, logger });
+    expect(shutdown(server, undefined, { registry, exit, logger })).toBe(done);
+    expect(await done).toBe(0);
+    expect(calls).toEqual(['start database', 'close server', 'stop database']);
+    expect(exit).toHaveBeenCalledTimes(1);
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  it('should not listen when a resource cannot start', async () => {
+    const registry = new ResourceRegistry({ logger }).register('database', {
+      start: async () => {
+        throw new Error('ECONNREFUSED');
+      },
+    });
+    const listen = jest.spyOn(http.Server.prototype, 'listen');
+
+    await expect(start({ port: 0, registry })).rejects.toThrow('ECONNREFUSED');
+    expect(listen).not.toHaveBeenCalled();
+    listen.mockRestore();
+  });
+
+  it('should close lingering requests after the timeout and exit with 1', async () => {
+    const server = http.createServer(() => {});
+    await new Promise((resolve) => {
+      server.listen(0, resolve);
+    });
+    const req = http.get(`http://localhost:${server.address().port}`).on('error', () => {});
+    await new Promise((resolve) => {
+      server.once('request', resolve);
+    });
+
+    const exit = jest.fn();
+    expect(await shutdown(server, undefined, { timeout: 20, exit, logger })).toBe(1);
+    expect(exit).toHaveBeenCalledWith(1);
+    expect(logger.error).toHaveBeenCalledWith('Forced remaining connections closed after 20 ms.');
+    req.destroy();
+  });
+
+  it('should print the configuration problems and exit with 1', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '../src/server.js')], {
+      env: { ...process.env, NODE_ENV: 'test', PORT: 'http' },
+      encoding: 'utf8',
+      timeout: 20000,
+    });
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain(
+      'Invalid configuration (1 problem(s)):\n  - PORT: must be integer'
+    );
+  });
+});
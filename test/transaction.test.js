@@ -0,0 +1,146 @@
+const PgSQLClient = require('../lib/pgsql');
+const MySQLClient = require('../lib/mysql');
+
+/**
+ * Fakes a pooled pg client that records every statement it runs.
+ */
+function createPgClient({ failOn } = {}) {
+  const client = new PgSQLClient({}, true);
+  const log = [];
+  const pgClient = {
+    query: async (text, values) => {
+      log.push(values.length ? `${text} ${JSON.stringify(values)}` : text);
+      if (failOn && failOn(text, log)) {
+        const err = new Error('could not serialize access');
+        err.code = '40001';
+        throw err;
+      }
+      return { command: 'SELECT', rows: [{ ok: true }], rowCount: 1 };
+    },
+    release: () => log.push('release'),
+  };
+  client.openConnection = async () => ({ connect: async () => pgClient, end: async () => {} });
+  return { client, log };
+}
+
+describe('transaction', () => {
+  it('should commit on success and pass named parameters', async () => {
+    const { client, log } = createPgClient();
+    const result = await client.transaction(async (tx) => {
+      await tx.query('UPDATE accounts SET balance = :balance WHERE id = :id', {
+        balance: 10,
+        id: 1,
+      });
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(log).toEqual([
+      'BEGIN',
+      'UPDATE accounts SET balance = $1 WHERE id = $2 [10,1]',
+      'COMMIT',
+      'release',
+    ]);
+  });
+
+  it('should roll back and rethrow when the callback throws', async () => {
+    const { client, log } = createPgClient();
+    let saved;
+    await expect(
+      client.transaction(async (tx) => {
+        saved = tx;
+        throw new Error('boom');
+      })
+    ).rejects.toThrow('boom');
+
+    expect(log).toEqual(['BEGIN', 'ROLLBACK', 'release']);
+    await expect(saved.query('SELECT 1')).rejects.toThrow(/already been committed or rolled back/);
+  });
+
+  it('should use savepoints for nested transactions', async () => {
+    const { client, log } = createPgClient();
+    await client.transaction(
+      async (tx) => {
+        await tx.transaction((sp) => sp.query('SELECT 1'));
+        await tx
+          .transaction(async () => {
+            throw new Error('inner');
+          })
+          .catch(() => {});
+      },
+      { isolationLevel: 'SERIALIZABLE' }
+    );
+
+    expect(log).toEqual([
+      'BEGIN ISOLATION LEVEL SERIALIZABLE',
+      'SAVEPOINT sp_1',
+      'SELECT 1',
+      'RELEASE SAVEPOINT sp_1',
+      'SAVEPOINT sp_2',
+      'ROLLBACK TO SAVEPOINT sp_2',
+      'COMMIT',
+      'release',
+    ]);
+  });
+
+  it('should retry serialization failures', async () => {
+    const { client, log } = createPgClient({
+      failOn: (text, statements) => text === 'COMMIT' && !statements.includes('release'),
+    });
+    const fn = jest.fn(async (tx) => tx.query('SELECT 1'));
+    await client.transaction(fn, { retries: 2, retryDelay: 1 });
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(log).toEqual([
+      'BEGIN',
+      'SELECT 1',
+      'COMMIT',
+      'ROLLBACK',
+      'release',
+      'BEGIN',
+      'SELECT 1',
+      'COMMIT',
+      'release',
+    ]);
+  });
+
+  it('should not retry other errors', async () => {
+    const { client } = createPgClient();
+    const fn = jest.fn(async () => {
+      throw Object.assign(new Error('duplicate'), { code: '23505' });
+    });
+
+    await expect(client.transaction(fn, { retries: 3, retryDelay: 1 })).rejects.toThrow();
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject unknown isolation levels', async () => {
+    const { client } = createPgClient();
+    await expect(
+      client.transaction(async () => {}, { isolationLevel: 'SNAPSHOT; DROP TABLE x' })
+    ).rejects.toThrow(/Unsupported isolation level/);
+  });
+
+  it('should set the isolation level before starting a MySQL transaction', async () => {
+    const client = new MySQLClient({}, true);
+    const log = [];
+    const conn = {
+      query: async (sql) => {
+        log.push(sql);
+        return [[]];
+      },
+      release: () => log.push('release'),
+    };
+    client.openConnection = async () => ({ getConnection: async () => conn });
+
+    await client.transaction((tx) => tx.query('SELECT 1'), { isolationLevel: 'READ COMMITTED' });
+
+    expect(log).toEqual([
+      'SET TRANSACTION ISOLATION LEVEL READ COMMITTED',
+      'START TRANSACTION',
+      'SELECT 1',
+      'COMMIT',
+      'release',
+    ]);
+  });
+});
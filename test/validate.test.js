@@ -0,0 +1,89 @@
+const express = require('express');
+const request = require('supertest');
+const validate = require('../src/middlewares/validate');
+const { errorHandler } = require('../src/middlewares/errorHandlers');
+const { v1: swaggerSpec } = require('../src/docs/swagger');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.post(
+    '/users/:id',
+    validate({
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: { id: { type: 'integer', minimum: 1 } },
+      },
+      query: {
+        type: 'object',
+        properties: { notify: { type: 'boolean', default: false } },
+      },
+      body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+          age: { type: 'integer' },
+        },
+      },
+    }),
+    (req, res) => res.json({ params: req.params, query: req.query, body: req.body })
+  );
+  app.use(errorHandler);
+  return app;
+}
+
+describe('validate middleware', () => {
+  const app = createApp();
+
+  it('should coerce inputs, apply defaults and strip undeclared properties', async () => {
+    const res = await request(app)
+      .post('/users/42')
+      .send({ email: 'jane@example.com', age: '30', isAdmin: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      params: { id: 42 },
+      query: { notify: false },
+      body: { email: 'jane@example.com', age: 30 },
+    });
+  });
+
+  it('should respond 422 with a field-by-field error list', async () => {
+    const res = await request(app).post('/users/0?notify=maybe').send({ age: 'old' });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body).toMatchObject({
+      success: false,
+      code: 422,
+      error: 'Validation failed',
+      errorCode: 'VALIDATION_FAILED',
+    });
+    expect(res.body.data.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ location: 'params', field: 'id' }),
+        expect.objectContaining({ location: 'query', field: 'notify' }),
+        expect.objectContaining({ location: 'body', field: 'email' }),
+        expect.objectContaining({ location: 'body', field: 'age' }),
+      ])
+    );
+  });
+});
+
+describe('Swagger request schemas', () => {
+  it('should generate operation parameters from the validation schemas', () => {
+    const operation = swaggerSpec.paths['/api/v1/example/greet/{name}'].get;
+
+    expect(operation).not.toHaveProperty('x-validate');
+    expect(operation.parameters).toEqual([
+      expect.objectContaining({
+        in: 'path',
+        name: 'name',
+        required: true,
+        schema: expect.objectContaining({ type: 'string', maxLength: 50 }),
+      }),
+    ]);
+    expect(operation.responses).toHaveProperty('422');
+  });
+});